@@ -1,13 +1,52 @@
 // ============================================
 // BACKGROUND SERVICE WORKER
-// Handles API requests that require CORS bypass
+// Handles API requests that require CORS bypass,
+// refreshes market data for all new tabs and checks price alerts
 // ============================================
+import {
+    SNOOZE_OPTIONS,
+    loadAlerts,
+    updateAlerts,
+    evaluateAlert,
+    snoozeAlert,
+    getSnoozeEnd,
+    describeAlert,
+    formatNumber
+} from './components/finance/priceAlerts.js';
+import {
+    loadQuotes,
+    refreshQuotes,
+    trackSymbols,
+    getTrackedSymbols,
+    getQuoteMaxAge
+} from './components/finance/marketDataCache.js';
+import { getRefreshDelay } from './components/finance/marketHours.js';
+import { loadProfiles } from './components/settings/profiles.js';
+
+const MARKET_DATA_ALARM = 'market-data';
+const SCHEDULED_REFRESH_MIN_AGE = 60 * 1000; // Quotes fetched this recently (for a tab) are skipped by scheduled refreshes
+const NOTIFICATION_PREFIX = 'price-alert:';
+const SNOOZE_BUTTONS = Object.keys(SNOOZE_OPTIONS); // Notification button order
+
+// Refreshes run one after another, each followed by an alert check
+let refreshQueue = Promise.resolve();
 
 console.log('Background service worker loaded');
 
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // Add widget API handlers here if needed
+    // New tabs say which symbols they show; anything without a recent quote is fetched now
+    if (request?.type === 'track-market-symbols' && Array.isArray(request.symbols)) {
+        queueRefresh(async () => {
+            await trackSymbols(request.symbols);
+            return request.symbols;
+        }, { maxAge: request.force ? 0 : getQuoteMaxAge() });
+    }
+
+    // The widget asks for a check right after alerts are added or edited
+    if (request?.type === 'check-price-alerts') {
+        queueRefresh(getAlertSymbols, { maxAge: getQuoteMaxAge() });
+    }
     return false;
 });
 
@@ -15,3 +54,143 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('Extension installed/updated', details.reason);
 });
+
+// Alarms may not survive a browser restart
+chrome.runtime.onStartup.addListener(() => {
+    ensureRefreshAlarm();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== MARKET_DATA_ALARM) return;
+
+    // Schedule the next run first, so a worker stopped mid-refresh still wakes up again
+    scheduleNextRefresh();
+    queueRefresh(async () => [...await getTrackedSymbols(), ...await getAlertSymbols()], {
+        maxAge: SCHEDULED_REFRESH_MIN_AGE,
+        prune: true
+    });
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+    // Open a new tab, where the widget highlights the symbol
+    chrome.notifications.clear(notificationId);
+    chrome.tabs.create({});
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+
+    const [profileId, alertId] = notificationId.slice(NOTIFICATION_PREFIX.length).split(':');
+    const until = getSnoozeEnd(SNOOZE_BUTTONS[buttonIndex]);
+
+    chrome.notifications.clear(notificationId);
+    await updateAlerts(alerts => alerts.map(alert => alert.id === alertId ? snoozeAlert(alert, until) : alert), profileId);
+});
+
+ensureRefreshAlarm();
+
+/**
+ * Create the refresh alarm unless it's already pending (re-creating it would push the
+ * next refresh back every time the worker wakes up)
+ */
+async function ensureRefreshAlarm() {
+    const alarm = await chrome.alarms.get(MARKET_DATA_ALARM);
+    if (!alarm) {
+        chrome.alarms.create(MARKET_DATA_ALARM, { delayInMinutes: 1 });
+    }
+}
+
+/**
+ * Next refresh in a few minutes while the market is open, up to an hour when it's closed
+ */
+function scheduleNextRefresh() {
+    chrome.alarms.create(MARKET_DATA_ALARM, { delayInMinutes: getRefreshDelay() });
+}
+
+/**
+ * Fetch quotes (see refreshQuotes) once earlier refreshes are done, then check alerts
+ * @param {Function} getSymbols - Returns (a Promise of) the Yahoo symbols to refresh
+ * @param {Object} options - Passed to refreshQuotes
+ */
+function queueRefresh(getSymbols, options) {
+    refreshQueue = refreshQueue
+        .then(async () => {
+            await refreshQuotes(await getSymbols(), options);
+            await checkAlerts();
+        })
+        .catch(error => console.error('Error refreshing market data:', error));
+    return refreshQueue;
+}
+
+/**
+ * Symbols of armed alerts in every profile
+ */
+async function getAlertSymbols() {
+    const { profiles } = await loadProfiles();
+    const alerts = await Promise.all(profiles.map(profile => loadAlerts(profile.id)));
+    return alerts.flat().filter(alert => alert.enabled).map(alert => alert.symbol);
+}
+
+/**
+ * Compare every profile's armed alerts with prices fetched since they were last checked
+ */
+async function checkAlerts() {
+    const [{ profiles }, quotes] = await Promise.all([loadProfiles(), loadQuotes()]);
+
+    for (const profile of profiles) {
+        await checkProfileAlerts(profile, quotes, profiles.length > 1);
+    }
+}
+
+/**
+ * @param {Object} profile - { id, name }
+ * @param {Object} quotes - See loadQuotes
+ * @param {boolean} nameProfile - Mention the profile in notifications
+ */
+async function checkProfileAlerts(profile, quotes, nameProfile) {
+    const alerts = await loadAlerts(profile.id);
+    const now = Date.now();
+    const fired = [];
+    const evaluated = {};
+
+    alerts.forEach(alert => {
+        const quote = quotes[alert.symbol];
+        if (!alert.enabled || !quote?.lastUpdated || quote.lastUpdated <= (alert.checkedAt || 0)) return;
+
+        const result = evaluateAlert(alert, { price: quote.currentPrice, changePercent: quote.changePercent }, now);
+        evaluated[alert.id] = result.alert;
+        if (result.fired) {
+            fired.push(result.alert);
+        }
+    });
+
+    if (Object.keys(evaluated).length === 0) return;
+
+    // Alerts edited or deleted in a tab meanwhile keep the tab's version
+    await updateAlerts(current => current.map(alert => {
+        const result = evaluated[alert.id];
+        const isUnchanged = result && alert.condition === result.condition &&
+            alert.threshold === result.threshold && alert.symbol === result.symbol &&
+            alert.enabled && alert.snoozedUntil === result.snoozedUntil;
+        return isUnchanged ? result : alert;
+    }), profile.id);
+
+    fired.forEach(alert => showAlertNotification(alert, quotes[alert.symbol], now, profile, nameProfile));
+}
+
+function showAlertNotification(alert, quote, now, profile, nameProfile) {
+    const sign = quote.changePercent >= 0 ? '+' : '';
+    const kind = alert.repeat ? 'Repeating alert' : 'One-shot alert - now off';
+
+    chrome.notifications.create(`${NOTIFICATION_PREFIX}${profile.id}:${alert.id}:${now}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: describeAlert(alert),
+        message: `${alert.label} is at ${formatNumber(quote.currentPrice)} (${sign}${quote.changePercent.toFixed(2)}% today)`,
+        contextMessage: nameProfile ? `${kind} (${profile.name} profile)` : kind,
+        buttons: SNOOZE_BUTTONS.map(option => ({ title: SNOOZE_OPTIONS[option] })),
+        priority: 1
+    });
+}
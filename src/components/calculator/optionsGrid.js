@@ -158,30 +158,17 @@ export function calculateSummaryMetrics(position) {
 }
 
 /**
- * Get color for P&L cell (gradient green to red)
+ * Get color for P&L cell (gradient from the theme's surface to its positive/negative colour)
  * @param {number} pl - P&L value
  * @param {number} maxPL - Maximum absolute P&L for scaling
- * @returns {string} RGB color string
+ * @returns {string} CSS color
  */
 export function getPLColor(pl, maxPL) {
-    if (maxPL === 0) return 'rgb(38, 38, 38)'; // Neutral gray
+    if (maxPL === 0 || pl === 0) return 'var(--color-surface)'; // Neutral
 
     const intensity = Math.min(Math.abs(pl) / maxPL, 1);
+    const percent = Math.round(25 + 75 * intensity);
+    const color = pl > 0 ? 'var(--color-positive)' : 'var(--color-negative)';
 
-    if (pl > 0) {
-        // Green gradient
-        const r = Math.round(14 + (57 - 14) * intensity);
-        const g = Math.round(68 + (211 - 68) * intensity);
-        const b = Math.round(41 + (83 - 41) * intensity);
-        return `rgb(${r}, ${g}, ${b})`;
-    } else if (pl < 0) {
-        // Red gradient
-        const r = Math.round(90 + (239 - 90) * intensity);
-        const g = Math.round(26 + (68 - 26) * intensity);
-        const b = Math.round(26 + (68 - 26) * intensity);
-        return `rgb(${r}, ${g}, ${b})`;
-    } else {
-        // Neutral
-        return 'rgb(38, 38, 38)';
-    }
+    return `color-mix(in srgb, ${color} ${percent}%, var(--color-surface))`;
 }
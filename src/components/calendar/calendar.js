@@ -14,6 +14,23 @@ export const calendarWidget = {
     update: updateCalendarSettings,
     cleanup: () => {}, // No cleanup needed for calendar
 
+    // Settings shown in the settings modal
+    settings: {
+        fields: [
+            {
+                key: 'weekStartsOn',
+                type: 'select',
+                label: 'Week Starts On',
+                default: 'monday',
+                options: [
+                    { value: 'monday', label: 'Monday' },
+                    { value: 'sunday', label: 'Sunday' }
+                ]
+            },
+            { key: 'showWeekNumbers', type: 'toggle', label: 'Show Week Numbers', default: true }
+        ]
+    },
+
     // Layout configuration for drag/drop/resize
     layout: {
         defaultPosition: { x: '5%', y: '200px' },
@@ -14,6 +14,23 @@ export const clockWidget = {
     update: updateClockSettings,
     cleanup: stopClock,
 
+    // Settings shown in the settings modal
+    settings: {
+        fields: [
+            {
+                key: 'timeFormat',
+                type: 'select',
+                label: 'Time Format',
+                default: '24h',
+                options: [
+                    { value: '24h', label: '24-hour' },
+                    { value: '12h', label: '12-hour' }
+                ]
+            },
+            { key: 'showSeconds', type: 'toggle', label: 'Show Seconds', default: true }
+        ]
+    },
+
     // Layout configuration for drag/drop/resize
     layout: {
         defaultPosition: { x: '10%', y: '5%' },
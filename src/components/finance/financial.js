@@ -1,16 +1,97 @@
 // financial.js - Financial metrics widget
+import { updateSetting } from '../settings/settings.js';
 import {
     initDataService,
-    getAllAssetData,
-    getHeaderIndicesData,
     cleanupService,
-    getCategoryData,
     getYieldSpread,
-    getAssetData
+    getAssetData,
+    setWatchlist,
+    getWatchlistData,
+    setPortfolioSymbols,
+    getQuote,
+    normalizeSymbol,
+    validateSymbol,
+    getAssetConfig,
+    getChartRanges,
+    getChartSeries,
+    loadChartSeries,
+    getTrackedAssets,
+    getDefaultWatchlist
 } from './financialDataService.js';
+import {
+    initPortfolio,
+    getPositions,
+    addPosition,
+    updatePosition,
+    removePosition,
+    importPositions,
+    parsePositionsCsv,
+    normalizeCurrency,
+    getPortfolioSymbols,
+    getPortfolioSummary
+} from './portfolioService.js';
+import {
+    ALERT_CONDITIONS,
+    SNOOZE_OPTIONS,
+    loadAlerts,
+    updateAlerts,
+    watchAlerts,
+    createAlert,
+    resetAlert,
+    snoozeAlert,
+    getSnoozeEnd,
+    isAlertSnoozed,
+    describeAlert,
+    formatNumber
+} from './priceAlerts.js';
+import { getMarketStatus } from './marketHours.js';
+import { escapeHtml } from '../../utils/escapeHtml.js';
 
 let statusInterval;
 
+// Quotes arrive from the background worker several at a time; views showing many symbols
+// are re-rendered once per batch
+const MARKET_REFRESH_DELAY = 100;
+let marketRefreshTimer = null;
+
+// Watchlist state (entries come from settings and are edited in the widget)
+let watchlist = [];
+let isEditingWatchlist = false;
+let editingSymbol = null; // Entry whose name/category is in the form (null when adding)
+let isValidatingSymbol = false;
+
+// Portfolio state (positions live in portfolioService, valued in the settings' currency)
+let portfolioCurrency = 'USD';
+let isEditingPortfolio = false;
+let editingPositionId = null; // Position in the form ('new' when adding)
+let isSavingPosition = false;
+
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/; // Yahoo currency codes, including minor units like "GBp"
+
+// Built-in groups with a layout of their own (see renderMarketSections); other categories are tables
+const SECTION_LAYOUTS = {
+    indices: { icon: 'ph-chart-line-up', render: renderScoreboard },
+    treasuries: { icon: 'ph-bank', render: renderTreasuryGrid },
+    volatility: { icon: 'ph-chart-line', render: renderVolatilityCards },
+    currencies: { icon: 'ph-currency-dollar', render: renderCompactCardGrid },
+    commoditiesAdditional: { icon: 'ph-coins', render: renderCompactCardGrid },
+    bonds: { icon: 'ph-bank', render: renderCardGrid },
+    international: { icon: 'ph-globe', render: renderCardScroll },
+    sectors: { icon: 'ph-chart-bar', render: renderSectorScoreboard },
+    indicesAdditional: { icon: 'ph-chart-line-up', render: renderCardScroll }
+};
+
+// Charts: sparkline range from settings ('off' hides them) and the chart opened by clicking an asset
+const CHART_RETRY_DELAY = 5 * 60 * 1000; // Before retrying a series that failed to load
+let sparklineRange = 'off';
+let expandedChart = null; // { symbol, label, range }
+let chartErrors = {}; // `${symbol}:${range}` -> { message, time }
+
+// Price alerts (stored by priceAlerts.js and checked by the background worker)
+let priceAlerts = [];
+let editingAlertId = null; // Alert in the form ('new' when adding)
+let stopWatchingAlerts = null;
+
 // Widget configuration for registration
 export const financialWidget = {
     displayName: 'Financial',
@@ -20,6 +101,42 @@ export const financialWidget = {
     update: updateFinancial,
     cleanup: stopStatusUpdates,
 
+    // Stored settings (edited in the widget itself, so no controls in the settings modal)
+    settings: {
+        fields: [
+            {
+                key: 'financeWatchlist', // [{ symbol, name, category, type, currency }] in display order
+                type: 'array',
+                item: isValidWatchlistEntry,
+                hidden: true,
+                default: getDefaultWatchlist()
+            },
+            {
+                key: 'financeSparklineRange',
+                type: 'select',
+                label: 'Sparklines',
+                hint: 'Shown on watchlist cards and scoreboards; click any of them for a larger chart',
+                default: 'off',
+                options: [
+                    { value: 'off', label: 'Off' },
+                    { value: '1d', label: '1 day (intraday)' },
+                    { value: '5d', label: '5 days' },
+                    { value: '1mo', label: '1 month' },
+                    { value: '1y', label: '1 year' }
+                ]
+            },
+            {
+                key: 'financePortfolioCurrency',
+                type: 'select',
+                label: 'Portfolio Currency',
+                hint: 'Positions in other currencies are converted at Yahoo\'s latest exchange rate',
+                default: 'USD',
+                options: ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'HKD', 'SGD', 'SEK', 'NOK', 'DKK', 'INR']
+                    .map(currency => ({ value: currency, label: currency }))
+            }
+        ]
+    },
+
     // Layout configuration for drag/drop/resize
     layout: {
         defaultPosition: { x: '50%', y: '200px' },
@@ -34,12 +151,32 @@ export const financialWidget = {
 };
 
 export function initFinancial(settings) {
+    initPortfolio();
+    readWatchlistSettings(settings);
+    portfolioCurrency = settings.financePortfolioCurrency || 'USD';
+    sparklineRange = settings.financeSparklineRange || 'off';
+
     // Initialize data service with callback for data updates
-    initDataService(handleDataUpdate);
+    const quotesLoaded = initDataService(handleDataUpdate, watchlist, getPortfolioSymbols(portfolioCurrency));
 
-    // Initial render
+    // Initial render, then again as soon as the shared quotes are loaded
     renderFinancialPanel();
     updateMarketStatus();
+    quotesLoaded.then(() => {
+        if (statusInterval) {
+            renderFinancialPanel();
+        }
+    });
+
+    // Watchlist editor controls are re-rendered with the panel, so listen on the container
+    document.getElementById('financial-container')?.addEventListener('click', handlePanelClick);
+    document.getElementById('financial-container')?.addEventListener('submit', handlePanelSubmit);
+    document.getElementById('financial-container')?.addEventListener('keydown', handlePanelKeydown);
+    document.getElementById('financial-container')?.addEventListener('mousemove', handleChartHover);
+
+    // Alerts are stored asynchronously and change when the background worker fires them
+    loadAlerts().then(handleAlertsChange);
+    stopWatchingAlerts = watchAlerts(handleAlertsChange);
 
     // Update market status every second
     statusInterval = setInterval(updateMarketStatus, 1000);
@@ -51,18 +188,76 @@ export function initFinancial(settings) {
  */
 function handleDataUpdate(symbol, data) {
     updateMetricRow(symbol, data);
+    scheduleMarketRefresh();
+}
+
+function scheduleMarketRefresh() {
+    if (!marketRefreshTimer) {
+        marketRefreshTimer = setTimeout(refreshMarketViews, MARKET_REFRESH_DELAY);
+    }
+}
+
+/**
+ * Re-render the market pulse, watchlist sections and portfolio with the latest quotes,
+ * leaving the chart, the watchlist editor and alerts (and any open form) alone
+ */
+function refreshMarketViews() {
+    marketRefreshTimer = null;
+
+    const panel = document.querySelector('#financial-container .financial-panel');
+    if (!panel) return;
+
+    const marketPulse = panel.querySelector(':scope > .traffic-light-cards');
+    if (marketPulse) {
+        marketPulse.outerHTML = renderMarketPulseTrafficLight();
+    }
+
+    const sections = panel.querySelector('.financial-sections-container');
+    if (sections) {
+        sections.innerHTML = renderMarketSections();
+    }
+
+    updatePortfolioSection();
+    loadVisibleCharts();
+    applyAlertHighlights();
 }
 
 export function updateFinancial(settings) {
-    // For now, settings don't affect the financial widget
-    // In the future, this could handle metric customization
+    readWatchlistSettings(settings);
+    setWatchlist(watchlist);
+    portfolioCurrency = settings.financePortfolioCurrency || 'USD';
+    setPortfolioSymbols(getPortfolioSymbols(portfolioCurrency));
+    sparklineRange = settings.financeSparklineRange || 'off';
+
+    // Drop out of the form if the entry being edited was removed
+    if (editingSymbol && !watchlist.some(entry => entry.symbol === editingSymbol)) {
+        editingSymbol = null;
+    }
+
     renderFinancialPanel();
 }
 
 function stopStatusUpdates() {
     if (statusInterval) {
         clearInterval(statusInterval);
+        statusInterval = null;
+    }
+    clearTimeout(marketRefreshTimer);
+    marketRefreshTimer = null;
+    document.getElementById('financial-container')?.removeEventListener('click', handlePanelClick);
+    document.getElementById('financial-container')?.removeEventListener('submit', handlePanelSubmit);
+    document.getElementById('financial-container')?.removeEventListener('keydown', handlePanelKeydown);
+    document.getElementById('financial-container')?.removeEventListener('mousemove', handleChartHover);
+    if (stopWatchingAlerts) {
+        stopWatchingAlerts();
+        stopWatchingAlerts = null;
     }
+    expandedChart = null;
+    editingAlertId = null;
+    isEditingWatchlist = false;
+    editingSymbol = null;
+    isEditingPortfolio = false;
+    editingPositionId = null;
     // Cleanup data service
     cleanupService();
 }
@@ -106,88 +301,17 @@ function getTrafficLightStatus(symbol, value, changePercent) {
 }
 
 /**
- * Render Hero Indices - Color-Coded Scoreboard Style
- */
-function renderHeroIndicesScoreboard() {
-    const spx = getAssetData('SPX');
-    const nasdaq = getAssetData('NASDAQ');
-    const rut = getAssetData('RUT');
-
-    const createScoreboardBox = (data, name, formatDecimals = 2) => {
-        if (!data) {
-            return `
-                <div class="scoreboard-box scoreboard-neutral">
-                    <div class="scoreboard-content">
-                        <div class="scoreboard-label">${name}</div>
-                        <div class="scoreboard-value">--</div>
-                        <div class="scoreboard-change metric-neutral">
-                            <i class="ph ph-minus"></i>
-                            --
-                        </div>
-                    </div>
-                </div>
-            `;
-        }
-
-        const colorClass = getScoreboardColorClass(data.changePercent);
-        const trendIcon = data.trend === 'up' ? 'ph-caret-up' :
-                         data.trend === 'down' ? 'ph-caret-down' :
-                         'ph-minus';
-
-        const sign = data.changePercent >= 0 ? '+' : '';
-        const changePercent = `${sign}${data.changePercent.toFixed(2)}%`;
-
-        return `
-            <div class="scoreboard-box ${colorClass}">
-                <div class="scoreboard-content">
-                    <div class="scoreboard-label">${name}</div>
-                    <div class="scoreboard-value">${data.currentPrice.toFixed(formatDecimals).toLocaleString()}</div>
-                    <div class="scoreboard-change">
-                        <i class="ph ${trendIcon}"></i>
-                        ${changePercent}
-                    </div>
-                </div>
-            </div>
-        `;
-    };
-
-    return `
-        <div class="scoreboard-grid">
-            ${createScoreboardBox(spx, 'S&P 500', 2)}
-            ${createScoreboardBox(nasdaq, 'Nasdaq', 2)}
-            ${createScoreboardBox(rut, 'Russell 2000', 2)}
-        </div>
-    `;
-}
-
-/**
- * Render Market Pulse - Traffic Light Card Style
+ * Render Market Pulse - Traffic Light Card Style, for those of its symbols that are in the watchlist
  */
 function renderMarketPulseTrafficLight() {
     const vix = getAssetData('VIX');
     const dxy = getAssetData('DXY');
     const btc = getAssetData('BTC');
+    const hasSpread = Boolean(getAssetData('10Y') && getAssetData('3M'));
     const spread10Y3M = getYieldSpread('10Y', '3M');
     const isInverted = parseInt(spread10Y3M) < 0;
 
     const createTrafficLightCard = (symbol, data, name, icon, iconCategory, valueFormatter = null) => {
-        if (!data && symbol !== 'SPREAD') {
-            return `
-                <div class="traffic-light-card">
-                    <div class="traffic-light-circle traffic-light-neutral">
-                        <div class="traffic-light-percentage">--</div>
-                    </div>
-                    <div class="traffic-light-content">
-                        <div class="traffic-light-header">
-                            <i class="ph ${icon} traffic-light-icon ${iconCategory}"></i>
-                            <div class="traffic-light-name">${name}</div>
-                        </div>
-                        <div class="traffic-light-value">--</div>
-                    </div>
-                </div>
-            `;
-        }
-
         let value, changePercent, statusClass, displayValue;
 
         if (symbol === 'SPREAD') {
@@ -208,7 +332,7 @@ function renderMarketPulseTrafficLight() {
             : `${sign}${changePercent.toFixed(1)}%`;
 
         return `
-            <div class="traffic-light-card">
+            <div class="traffic-light-card" ${symbol !== 'SPREAD' ? `data-symbol="${symbol}"` : ''}>
                 <div class="traffic-light-circle ${statusClass}">
                     <div class="traffic-light-percentage">${percentageText}</div>
                 </div>
@@ -223,23 +347,73 @@ function renderMarketPulseTrafficLight() {
         `;
     };
 
+    const cardsHTML = [
+        vix ? createTrafficLightCard('VIX', vix, 'VIX', 'ph-chart-line', 'icon-volatility') : '',
+        hasSpread ? createTrafficLightCard('SPREAD', null, '10Y-3M Spread', 'ph-bank', 'icon-treasury') : '',
+        dxy ? createTrafficLightCard('DXY', dxy, 'US Dollar', 'ph-currency-dollar', 'icon-currency') : '',
+        btc ? createTrafficLightCard('BTC', btc, 'Bitcoin', 'ph-currency-btc', 'icon-crypto', (val) => `$${(val / 1000).toFixed(1)}k`) : ''
+    ].join('');
+
+    if (!cardsHTML) return '';
+
     return `
         <div class="traffic-light-cards">
-            ${createTrafficLightCard('VIX', vix, 'VIX', 'ph-chart-line', 'icon-volatility')}
-            ${createTrafficLightCard('SPREAD', null, '10Y-3M Spread', 'ph-bank', 'icon-treasury')}
-            ${createTrafficLightCard('DXY', dxy, 'US Dollar', 'ph-currency-dollar', 'icon-currency')}
-            ${createTrafficLightCard('BTC', btc, 'Bitcoin', 'ph-currency-btc', 'icon-crypto', (val) => `$${(val / 1000).toFixed(1)}k`)}
+            ${cardsHTML}
         </div>
     `;
 }
 
 /**
- * Render Volatility section with traffic light cards
+ * Scoreboard box (indices and sectors), coloured by today's move
  */
-function renderVolatilitySection() {
-    const data = getCategoryData('volatility');
+function createScoreboardBox(metric) {
+    const changePercent = parseFloat(metric.changePercent.replace(/[^0-9.-]/g, '')) || 0;
+    const colorClass = metric.isLoading ? 'scoreboard-neutral' : getScoreboardColorClass(changePercent);
+    const trendIcon = metric.trend === 'up' ? 'ph-caret-up' :
+                     metric.trend === 'down' ? 'ph-caret-down' :
+                     'ph-minus';
+
+    const sign = changePercent >= 0 ? '+' : '';
 
-    const volatilityHTML = data.map(metric => {
+    return `
+        <div class="scoreboard-box ${colorClass}" data-symbol="${escapeHtml(metric.symbol)}" data-label="${metric.label}" data-action="expand-chart">
+            <div class="scoreboard-content">
+                <div class="scoreboard-label">${metric.label}</div>
+                <div class="scoreboard-value">${metric.isLoading ? '--' : metric.value}</div>
+                <div class="scoreboard-change">
+                    <i class="ph ${trendIcon}"></i>
+                    ${metric.isLoading ? '--' : `${sign}${changePercent.toFixed(2)}%`}
+                </div>
+                ${renderSparkline(metric.symbol)}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Indices as a color-coded scoreboard, in watchlist order
+ */
+function renderScoreboard(metrics) {
+    return `
+        <div class="scoreboard-grid">
+            ${metrics.map(metric => createScoreboardBox(metric)).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Sectors as a scoreboard sorted by performance (best to worst)
+ */
+function renderSectorScoreboard(metrics) {
+    const changeOf = metric => parseFloat(metric.changePercent.replace(/[^0-9.-]/g, '')) || 0;
+    return renderScoreboard([...metrics].sort((a, b) => changeOf(b) - changeOf(a)));
+}
+
+/**
+ * Volatility metrics as traffic light cards
+ */
+function renderVolatilityCards(metrics) {
+    const volatilityHTML = metrics.map(metric => {
         const value = parseFloat(metric.value) || 0;
         const changePercent = parseFloat(metric.changePercent.replace(/[^0-9.-]/g, '')) || 0;
         const statusClass = getTrafficLightStatus(metric.symbol, value, changePercent);
@@ -248,59 +422,76 @@ function renderVolatilitySection() {
         const percentageText = `${sign}${changePercent.toFixed(1)}%`;
 
         return `
-            <div class="traffic-light-card">
+            <div class="traffic-light-card" data-symbol="${escapeHtml(metric.symbol)}" data-label="${metric.label}" data-action="expand-chart">
                 <div class="traffic-light-circle ${statusClass}">
                     <div class="traffic-light-percentage">${percentageText}</div>
                 </div>
                 <div class="traffic-light-content">
                     <div class="traffic-light-header">
                         <i class="ph ${metric.icon} traffic-light-icon icon-volatility"></i>
-                        <div class="traffic-light-name">${metric.name}</div>
+                        <div class="traffic-light-name">${metric.label}</div>
                     </div>
                     <div class="traffic-light-value">${metric.value}</div>
+                    ${renderSparkline(metric.symbol)}
                 </div>
             </div>
         `;
     }).join('');
 
     return `
-        <div class="market-category">
-            <div class="category-label">
-                <i class="ph ph-chart-line category-label-icon"></i>
-                <span>Volatility Metrics</span>
-            </div>
-            <div class="traffic-light-cards">
-                ${volatilityHTML}
-            </div>
+        <div class="traffic-light-cards">
+            ${volatilityHTML}
         </div>
     `;
 }
 
 /**
- * Render Treasury Yields section with compact grid
+ * Treasury yields as a compact grid, with a warning while the 10Y-3M curve is inverted
  */
-function renderTreasuriesSection() {
-    const data = getCategoryData('treasuries');
-    const cardsHTML = data.map(metric => createMarketCard(metric)).join('');
-
+function renderTreasuryGrid(metrics) {
     const spread10Y3M = getYieldSpread('10Y', '3M');
     const isInverted = parseInt(spread10Y3M) < 0;
 
     return `
-        <div class="market-category">
-            <div class="category-label">
-                <i class="ph ph-bank category-label-icon"></i>
-                <span>Treasury Yields</span>
-            </div>
-            <div class="category-grid">
-                ${cardsHTML}
+        ${renderCardGrid(metrics)}
+        ${isInverted ? `
+            <div class="spread-warning">
+                <i class="ph ph-warning"></i>
+                <span>Yield curve inverted (10Y-3M: ${spread10Y3M} bps)</span>
             </div>
-            ${isInverted ? `
-                <div class="spread-warning">
-                    <i class="ph ph-warning"></i>
-                    <span>Yield curve inverted (10Y-3M: ${spread10Y3M} bps)</span>
-                </div>
-            ` : ''}
+        ` : ''}
+    `;
+}
+
+/**
+ * Cards in a grid (treasuries, credit & bonds)
+ */
+function renderCardGrid(metrics) {
+    return `
+        <div class="category-grid">
+            ${metrics.map(metric => createMarketCard(metric)).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Cards in a horizontal scroll (international markets, other indices)
+ */
+function renderCardScroll(metrics) {
+    return `
+        <div class="category-scroll">
+            ${metrics.map(metric => createMarketCard(metric)).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Compact cards in a two-column grid (currencies, commodities)
+ */
+function renderCompactCardGrid(metrics) {
+    return `
+        <div class="category-grid-compact">
+            ${metrics.map(metric => createCompactMarketCard(metric)).join('')}
         </div>
     `;
 }
@@ -323,16 +514,17 @@ function createMarketCard(metric) {
     const categoryIcon = metric.icon || 'ph-chart-line';
 
     return `
-        <div class="market-card ${loadingClass}" data-symbol="${metric.symbol}" data-category="${metric.category}">
+        <div class="market-card ${loadingClass}" data-symbol="${escapeHtml(metric.symbol)}" data-category="${metric.category}" data-label="${metric.label}" data-action="expand-chart">
             <div class="market-card-icon">
                 <i class="ph ${categoryIcon}"></i>
             </div>
-            <div class="market-card-name">${metric.name}</div>
+            <div class="market-card-name">${metric.label}</div>
             <div class="market-card-value">${metric.value}</div>
             <div class="market-card-change ${trendClass}">
                 <i class="ph ${trendIcon}"></i>
                 ${metric.changePercent}
             </div>
+            ${renderSparkline(metric.symbol)}
         </div>
     `;
 }
@@ -355,269 +547,1190 @@ function createCompactMarketCard(metric) {
     const categoryIcon = metric.icon || 'ph-chart-line';
 
     return `
-        <div class="market-card market-card-compact ${loadingClass}" data-symbol="${metric.symbol}" data-category="${metric.category}">
+        <div class="market-card market-card-compact ${loadingClass}" data-symbol="${escapeHtml(metric.symbol)}" data-category="${metric.category}" data-label="${metric.label}" data-action="expand-chart">
             <div class="market-card-icon">
                 <i class="ph ${categoryIcon}"></i>
             </div>
-            <div class="market-card-name">${metric.name}</div>
+            <div class="market-card-name">${metric.label}</div>
             <div class="market-card-value">${metric.value}</div>
             <div class="market-card-change ${trendClass}">
                 <i class="ph ${trendIcon}"></i>
                 ${metric.changePercent}
             </div>
+            ${renderSparkline(metric.symbol)}
         </div>
     `;
 }
 
+function renderFinancialPanel() {
+    const container = document.getElementById('financial-container');
+    if (!container) return;
+
+    const panelHTML = `
+        <div class="financial-panel">
+            <div class="financial-header">
+                <div class="financial-header-top">
+                    <div id="market-status" class="market-status-pill">
+                        Market Closed
+                    </div>
+                    <div id="eastern-time" class="eastern-time">
+                        <i class="ph ph-buildings"></i>
+                        <span>ET 00:00</span>
+                    </div>
+                </div>
+            </div>
+
+            ${renderExpandedChart()}
+
+            ${renderMarketPulseTrafficLight()}
+
+            ${renderWatchlistSection()}
+
+            ${renderPortfolioSection()}
+
+            ${renderAlertsSection()}
+        </div>
+    `;
+
+    container.innerHTML = panelHTML;
+
+    loadVisibleCharts();
+    applyAlertHighlights();
+}
+
 /**
- * Render Currencies section with compact two-column grid
+ * Render the watchlist, one section per category (in the order their first symbol appears)
  */
-function renderCurrenciesSection() {
-    const data = getCategoryData('currencies');
-    const cardsHTML = data.map(metric => createCompactMarketCard(metric)).join('');
+function renderMarketSections() {
+    const data = getWatchlistData();
+    if (data.length === 0) {
+        return '<div class="watchlist-empty">Add any Yahoo Finance symbol (stocks, ETFs, indices, currencies, crypto) with the pencil button.</div>';
+    }
 
-    return `
-        <div class="market-category">
-            <div class="category-label">
-                <i class="ph ph-currency-dollar category-label-icon"></i>
-                <span>Currencies</span>
-            </div>
-            <div class="category-grid-compact">
-                ${cardsHTML}
+    const groups = [];
+    data.forEach(metric => {
+        let group = groups.find(g => g.name === metric.watchlistCategory);
+        if (!group) {
+            group = { name: metric.watchlistCategory, metrics: [] };
+            groups.push(group);
+        }
+        group.metrics.push(metric);
+    });
+
+    // Uncategorized symbols only need a label when there are categories to tell them apart from
+    const uncategorizedLabel = groups.length > 1 ? 'Other' : '';
+
+    return groups.map(group => {
+        // Names and price formats (e.g. "12.34 GBp") come from stored entries
+        const metrics = group.metrics.map(metric => ({
+            ...metric,
+            label: escapeHtml(metric.label),
+            value: escapeHtml(metric.value)
+        }));
+        const label = group.name || uncategorizedLabel;
+
+        // A category of built-ins from a single group keeps that group's layout
+        const section = metrics[0].section;
+        const layout = metrics.every(metric => metric.section === section) ? SECTION_LAYOUTS[section] : null;
+
+        return `
+            <div class="market-category">
+                ${label ? `
+                    <div class="category-label">
+                        <i class="ph ${layout ? layout.icon : 'ph-star'} category-label-icon"></i>
+                        <span>${escapeHtml(label)}</span>
+                    </div>
+                ` : ''}
+                ${layout ? layout.render(metrics) : `
+                    <div class="financial-table">
+                        ${metrics.map(metric => createMetricRow(metric)).join('')}
+                    </div>
+                `}
             </div>
-        </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Sparkline placeholder for an asset, filled from the chart cache
+ */
+function renderSparkline(symbol) {
+    if (sparklineRange === 'off') return '';
+
+    const series = getChartSeries(symbol, sparklineRange);
+    return `<div class="financial-sparkline" data-sparkline="${escapeHtml(symbol)}">${series ? createSparklineSvg(series, sparklineRange) : ''}</div>`;
+}
+
+function createSparklineSvg(series, range) {
+    const values = series.points.map(([, close]) => close);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const spread = max - min || 1;
+
+    const path = values.map((value, index) => {
+        const x = (index / (values.length - 1)) * 100;
+        const y = 29 - ((value - min) / spread) * 28;
+        return `${index === 0 ? 'M' : 'L'}${x.toFixed(2)},${y.toFixed(2)}`;
+    }).join(' ');
+
+    return `
+        <svg class="sparkline-svg ${getSeriesTrendClass(series, range)}" viewBox="0 0 100 30" preserveAspectRatio="none" aria-hidden="true">
+            <path d="${path}" vector-effect="non-scaling-stroke"></path>
+        </svg>
     `;
 }
 
 /**
- * Render Additional Indices section with horizontal scroll
+ * Fetch sparklines (and the expanded chart) that are missing or stale, filling them in as they arrive
  */
-function renderAdditionalIndicesSection() {
-    const data = getCategoryData('indicesAdditional');
-    const cardsHTML = data.map(metric => createMarketCard(metric)).join('');
+function loadVisibleCharts() {
+    const requests = [];
+
+    if (sparklineRange !== 'off') {
+        const symbols = new Set([...document.querySelectorAll('#financial-container [data-sparkline]')]
+            .map(element => element.dataset.sparkline));
+        symbols.forEach(symbol => requests.push({ symbol, range: sparklineRange }));
+    }
+
+    if (expandedChart) {
+        requests.unshift({ symbol: expandedChart.symbol, range: expandedChart.range });
+    }
+
+    requests.forEach(({ symbol, range }) => {
+        const key = `${symbol}:${range}`;
+        const series = getChartSeries(symbol, range);
+        const lastError = chartErrors[key];
+
+        if ((series && !series.isStale) || (lastError && Date.now() - lastError.time < CHART_RETRY_DELAY)) {
+            return;
+        }
+
+        loadChartSeries(symbol, range)
+            .then(() => {
+                delete chartErrors[key];
+                updateCharts(symbol, range);
+            })
+            .catch(error => {
+                console.error(`Error fetching chart for ${symbol}:`, error);
+                chartErrors[key] = { message: error.message, time: Date.now() };
+                updateCharts(symbol, range);
+            });
+    });
+}
+
+/**
+ * Redraw one symbol's sparklines, and the expanded chart if it shows that series
+ */
+function updateCharts(symbol, range) {
+    const series = getChartSeries(symbol, range);
+
+    if (series && range === sparklineRange) {
+        document.querySelectorAll(`#financial-container [data-sparkline="${symbol}"]`).forEach(element => {
+            element.innerHTML = createSparklineSvg(series, range);
+        });
+    }
+
+    if (expandedChart && expandedChart.symbol === symbol && expandedChart.range === range) {
+        const chartPanel = document.querySelector('#financial-container .financial-chart-panel');
+        if (chartPanel) {
+            chartPanel.outerHTML = renderExpandedChart();
+        }
+    }
+}
+
+/**
+ * Render the larger chart for the clicked asset, with a range picker
+ */
+function renderExpandedChart() {
+    if (!expandedChart) return '';
+
+    const { symbol, label, range } = expandedChart;
+    const series = getChartSeries(symbol, range);
+    const error = chartErrors[`${symbol}:${range}`];
+    const formatPrice = getAssetConfig(symbol)?.formatPrice || (price => price.toFixed(2));
+
+    const rangeButtons = Object.entries(getChartRanges()).map(([key, config]) => `
+        <button type="button" class="financial-chart-range ${key === range ? 'active' : ''}" data-action="chart-range" data-range="${key}">${config.label}</button>
+    `).join('');
+
+    let bodyHTML;
+    if (series) {
+        bodyHTML = renderChartBody(series, range, formatPrice);
+    } else if (error) {
+        bodyHTML = `<div class="financial-chart-message">Couldn't load the chart: ${escapeHtml(error.message)}</div>`;
+    } else {
+        bodyHTML = '<div class="financial-chart-message">Loading chart…</div>';
+    }
 
     return `
-        <div class="market-category">
-            <div class="category-label">
-                <i class="ph ph-chart-line-up category-label-icon"></i>
-                <span>Other Indices</span>
-            </div>
-            <div class="category-scroll">
-                ${cardsHTML}
+        <div class="financial-chart-panel">
+            <div class="financial-chart-header">
+                <span class="financial-chart-title">${escapeHtml(label)}</span>
+                <div class="financial-chart-ranges">${rangeButtons}</div>
+                <button type="button" class="watchlist-btn" data-action="close-chart" title="Close chart" aria-label="Close chart">
+                    <i class="ph ph-x"></i>
+                </button>
             </div>
+            ${bodyHTML}
+        </div>
+    `;
+}
+
+function renderChartBody(series, range, formatPrice) {
+    const values = series.points.map(([, close]) => close);
+    const baseline = getSeriesBaseline(series, range);
+    const last = values[values.length - 1];
+    const change = last - baseline;
+    const changePercent = baseline ? (change / baseline) * 100 : 0;
+    const high = Math.max(...values);
+    const low = Math.min(...values);
+
+    // Leave room for the previous close line when the price stayed on one side of it
+    const min = Math.min(low, baseline);
+    const max = Math.max(high, baseline);
+    const spread = max - min || 1;
+    const toY = (value) => 95 - ((value - min) / spread) * 90;
+
+    const line = values.map((value, index) => {
+        const x = (index / (values.length - 1)) * 300;
+        return `${index === 0 ? 'M' : 'L'}${x.toFixed(2)},${toY(value).toFixed(2)}`;
+    }).join(' ');
+    const baselineY = toY(baseline).toFixed(2);
+
+    const sign = change >= 0 ? '+' : '';
+    const trendClass = getSeriesTrendClass(series, range);
+    const firstTime = series.points[0][0];
+    const lastTime = series.points[series.points.length - 1][0];
+
+    return `
+        <div class="financial-chart-summary">
+            <span class="financial-chart-price">${escapeHtml(formatPrice(last))}</span>
+            <span class="financial-chart-change ${trendClass === 'sparkline-up' ? 'metric-positive' : trendClass === 'sparkline-down' ? 'metric-negative' : 'metric-neutral'}">
+                ${sign}${change.toFixed(2)} (${sign}${changePercent.toFixed(2)}%)
+            </span>
+            <span class="financial-chart-range-stats">High ${escapeHtml(formatPrice(high))} · Low ${escapeHtml(formatPrice(low))}</span>
+        </div>
+        <div class="financial-chart-plot">
+            <svg class="financial-chart-svg ${trendClass}" viewBox="0 0 300 100" preserveAspectRatio="none" aria-hidden="true">
+                <path class="financial-chart-area" d="${line} L300,100 L0,100 Z"></path>
+                <line class="financial-chart-baseline" x1="0" y1="${baselineY}" x2="300" y2="${baselineY}" vector-effect="non-scaling-stroke"></line>
+                <path class="financial-chart-line" d="${line}" vector-effect="non-scaling-stroke"></path>
+            </svg>
+            <div class="financial-chart-cursor" hidden></div>
+        </div>
+        <div class="financial-chart-axis">
+            <span>${formatChartTime(firstTime, range)}</span>
+            <span class="financial-chart-readout"></span>
+            <span>${formatChartTime(lastTime, range)}</span>
         </div>
     `;
 }
 
 /**
- * Render International Markets section with horizontal scroll
+ * Show the price under the pointer in the expanded chart
+ */
+function handleChartHover(e) {
+    const plot = e.target.closest?.('.financial-chart-plot');
+    const readout = document.querySelector('#financial-container .financial-chart-readout');
+    const cursor = document.querySelector('#financial-container .financial-chart-cursor');
+    if (!readout || !cursor) return;
+
+    if (!plot || !expandedChart) {
+        readout.textContent = '';
+        cursor.hidden = true;
+        return;
+    }
+
+    const series = getChartSeries(expandedChart.symbol, expandedChart.range);
+    if (!series) return;
+
+    const rect = plot.getBoundingClientRect();
+    const fraction = rect.width > 0 ? Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)) : 0;
+    const index = Math.round(fraction * (series.points.length - 1));
+    const [time, close] = series.points[index];
+    const formatPrice = getAssetConfig(expandedChart.symbol)?.formatPrice || (price => price.toFixed(2));
+
+    readout.textContent = `${formatChartTime(time, expandedChart.range)} · ${formatPrice(close)}`;
+    cursor.style.left = `${(index / (series.points.length - 1)) * 100}%`;
+    cursor.hidden = false;
+}
+
+/**
+ * Intraday moves are measured from the previous close, longer ranges from their first point
+ */
+function getSeriesBaseline(series, range) {
+    return range === '1d' && series.previousClose ? series.previousClose : series.points[0][1];
+}
+
+function getSeriesTrendClass(series, range) {
+    const last = series.points[series.points.length - 1][1];
+    const baseline = getSeriesBaseline(series, range);
+    if (last > baseline) return 'sparkline-up';
+    if (last < baseline) return 'sparkline-down';
+    return 'sparkline-flat';
+}
+
+function formatChartTime(timestamp, range) {
+    const date = new Date(timestamp * 1000);
+
+    if (range === '1d') {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    if (range === '5d') {
+        return `${date.toLocaleDateString([], { weekday: 'short' })} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+    if (range === '1mo') {
+        return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleDateString([], { month: 'short', year: 'numeric' });
+}
+
+function openExpandedChart(symbol, label) {
+    // Clicking the open asset again closes its chart
+    if (expandedChart && expandedChart.symbol === symbol) {
+        expandedChart = null;
+        renderFinancialPanel();
+        return;
+    }
+
+    expandedChart = { symbol, label, range: sparklineRange !== 'off' ? sparklineRange : '1d' };
+    renderFinancialPanel();
+    document.querySelector('#financial-container .financial-chart-panel')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Render the watchlist: cards grouped by the user's categories, or the editor
  */
-function renderInternationalSection() {
-    const data = getCategoryData('international');
-    const cardsHTML = data.map(metric => createMarketCard(metric)).join('');
+function renderWatchlistSection() {
+    const toggleIcon = isEditingWatchlist ? 'ph-check' : 'ph-pencil-simple';
+    const toggleTitle = isEditingWatchlist ? 'Done editing' : 'Edit watchlist';
 
     return `
-        <div class="market-category">
-            <div class="category-label">
-                <i class="ph ph-globe category-label-icon"></i>
-                <span>International Markets</span>
-            </div>
-            <div class="category-scroll">
-                ${cardsHTML}
+        <div class="financial-section financial-watchlist">
+            <div class="section-header watchlist-header">
+                <i class="ph ph-star"></i>
+                <span>Watchlist</span>
+                <button type="button" class="watchlist-btn watchlist-toggle" data-action="toggle-watchlist-edit" title="${toggleTitle}" aria-label="${toggleTitle}">
+                    <i class="ph ${toggleIcon}"></i>
+                </button>
             </div>
+            ${isEditingWatchlist ? renderWatchlistEditor() : `
+                <div class="financial-sections-container">
+                    ${renderMarketSections()}
+                </div>
+            `}
+        </div>
+    `;
+}
+
+function renderWatchlistEditor() {
+    const editing = watchlist.find(entry => entry.symbol === editingSymbol);
+    const categories = [...new Set(watchlist.map(entry => entry.category).filter(Boolean))];
+
+    const rowsHTML = watchlist.map((entry, index) => `
+        <div class="watchlist-edit-row ${entry.symbol === editingSymbol ? 'watchlist-edit-row-active' : ''}" data-symbol="${escapeHtml(entry.symbol)}">
+            <span class="watchlist-edit-symbol">${escapeHtml(entry.symbol)}</span>
+            <span class="watchlist-edit-name">${escapeHtml(entry.name)}</span>
+            <span class="watchlist-edit-category">${escapeHtml(entry.category)}</span>
+            <button type="button" class="watchlist-btn" data-action="move-entry-up" title="Move up" aria-label="Move ${escapeHtml(entry.symbol)} up" ${index === 0 ? 'disabled' : ''}>
+                <i class="ph ph-arrow-up"></i>
+            </button>
+            <button type="button" class="watchlist-btn" data-action="move-entry-down" title="Move down" aria-label="Move ${escapeHtml(entry.symbol)} down" ${index === watchlist.length - 1 ? 'disabled' : ''}>
+                <i class="ph ph-arrow-down"></i>
+            </button>
+            <button type="button" class="watchlist-btn" data-action="edit-entry" title="Rename or recategorize" aria-label="Edit ${escapeHtml(entry.symbol)}">
+                <i class="ph ph-pencil-simple"></i>
+            </button>
+            <button type="button" class="watchlist-btn" data-action="remove-entry" title="Remove" aria-label="Remove ${escapeHtml(entry.symbol)}">
+                <i class="ph ph-trash"></i>
+            </button>
+        </div>
+    `).join('');
+
+    return `
+        <div class="watchlist-editor">
+            ${rowsHTML || '<div class="watchlist-empty">Your watchlist is empty.</div>'}
+            <form class="watchlist-form" autocomplete="off">
+                <input type="text" class="text-input watchlist-form-symbol" name="symbol" placeholder="Symbol, e.g. AAPL" value="${escapeHtml(editing?.symbol || '')}" title="Yahoo Finance symbol, e.g. AAPL, ^FTSE, EURUSD=X, ETH-USD" ${editing ? 'readonly' : 'required'}>
+                <input type="text" class="text-input watchlist-form-name" name="name" placeholder="Name (optional)" value="${escapeHtml(editing?.name || '')}">
+                <input type="text" class="text-input watchlist-form-category" name="category" placeholder="Category (optional)" value="${escapeHtml(editing?.category || '')}" list="watchlist-categories">
+                <datalist id="watchlist-categories">
+                    ${categories.map(category => `<option value="${escapeHtml(category)}"></option>`).join('')}
+                </datalist>
+                <button type="submit" class="watchlist-form-submit" ${isValidatingSymbol ? 'disabled' : ''}>
+                    ${isValidatingSymbol ? 'Checking…' : editing ? 'Save' : 'Add'}
+                </button>
+                ${editing ? `
+                    <button type="button" class="watchlist-btn" data-action="cancel-entry-edit" title="Cancel" aria-label="Cancel">
+                        <i class="ph ph-x"></i>
+                    </button>
+                ` : ''}
+            </form>
         </div>
     `;
 }
 
+function handlePanelClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const symbol = button.closest('.watchlist-edit-row')?.dataset.symbol;
+    const alertId = button.closest('.alert-row')?.dataset.alertId;
+
+    switch (button.dataset.action) {
+        case 'toggle-watchlist-edit':
+            isEditingWatchlist = !isEditingWatchlist;
+            editingSymbol = null;
+            renderFinancialPanel();
+            if (isEditingWatchlist) {
+                focusWatchlistForm();
+            }
+            break;
+        case 'move-entry-up':
+            moveWatchlistEntry(symbol, -1);
+            break;
+        case 'move-entry-down':
+            moveWatchlistEntry(symbol, 1);
+            break;
+        case 'edit-entry':
+            editingSymbol = symbol;
+            renderFinancialPanel();
+            focusWatchlistForm();
+            break;
+        case 'remove-entry':
+            removeWatchlistEntry(symbol);
+            break;
+        case 'cancel-entry-edit':
+            editingSymbol = null;
+            renderFinancialPanel();
+            break;
+        case 'add-position':
+            editingPositionId = 'new';
+            renderFinancialPanel();
+            focusPositionForm();
+            break;
+        case 'import-positions':
+            openPositionsImport();
+            break;
+        case 'toggle-portfolio-edit':
+            isEditingPortfolio = !isEditingPortfolio;
+            editingPositionId = null;
+            renderFinancialPanel();
+            break;
+        case 'edit-position':
+            editingPositionId = button.closest('.portfolio-row')?.dataset.positionId || null;
+            renderFinancialPanel();
+            focusPositionForm();
+            break;
+        case 'remove-position':
+            deletePosition(button.closest('.portfolio-row')?.dataset.positionId);
+            break;
+        case 'cancel-position-edit':
+            editingPositionId = null;
+            renderFinancialPanel();
+            break;
+        case 'expand-chart':
+            openExpandedChart(button.dataset.symbol, button.dataset.label || button.dataset.symbol);
+            break;
+        case 'chart-range':
+            if (expandedChart) {
+                expandedChart = { ...expandedChart, range: button.dataset.range };
+                renderFinancialPanel();
+            }
+            break;
+        case 'close-chart':
+            expandedChart = null;
+            renderFinancialPanel();
+            break;
+        case 'add-alert':
+            editingAlertId = 'new';
+            renderFinancialPanel();
+            focusAlertForm();
+            break;
+        case 'edit-alert':
+            editingAlertId = alertId;
+            renderFinancialPanel();
+            focusAlertForm();
+            break;
+        case 'cancel-alert-edit':
+            editingAlertId = null;
+            renderFinancialPanel();
+            break;
+        case 'dismiss-alert':
+            changeAlert(alertId, item => ({ ...item, triggered: false }));
+            break;
+        case 'snooze-alert':
+            changeAlert(alertId, item => snoozeAlert(item, getSnoozeEnd(button.dataset.snooze)));
+            break;
+        case 'unsnooze-alert':
+            changeAlert(alertId, item => ({ ...item, snoozedUntil: 0 }));
+            break;
+        case 'rearm-alert':
+            changeAlert(alertId, resetAlert).then(requestAlertCheck);
+            break;
+        case 'remove-alert':
+            deleteAlert(alertId);
+            break;
+    }
+}
+
+function handlePanelKeydown(e) {
+    if (e.key !== 'Escape') return;
+
+    if (expandedChart && e.target.closest('.financial-chart-panel')) {
+        e.stopPropagation();
+        expandedChart = null;
+        renderFinancialPanel();
+    } else if (editingSymbol && e.target.closest('.watchlist-form')) {
+        e.stopPropagation();
+        editingSymbol = null;
+        renderFinancialPanel();
+    } else if (editingPositionId && e.target.closest('.portfolio-form')) {
+        e.stopPropagation();
+        editingPositionId = null;
+        renderFinancialPanel();
+    } else if (editingAlertId && e.target.closest('.alert-form')) {
+        e.stopPropagation();
+        editingAlertId = null;
+        renderFinancialPanel();
+    }
+}
+
+function handlePanelSubmit(e) {
+    if (e.target.closest('.watchlist-form')) {
+        e.preventDefault();
+        saveWatchlistForm(e.target.closest('.watchlist-form'));
+    } else if (e.target.closest('.portfolio-form')) {
+        e.preventDefault();
+        savePositionForm(e.target.closest('.portfolio-form'));
+    } else if (e.target.closest('.alert-form')) {
+        e.preventDefault();
+        saveAlertForm(e.target.closest('.alert-form'));
+    }
+}
+
+async function saveWatchlistForm(form) {
+    const name = form.elements.name.value.trim();
+    const category = form.elements.category.value.trim();
+
+    if (editingSymbol) {
+        const symbol = editingSymbol;
+        editingSymbol = null;
+        saveWatchlist(watchlist.map(entry => entry.symbol === symbol
+            ? { ...entry, name: name || entry.name, category }
+            : entry));
+        renderFinancialPanel();
+        focusWatchlistForm();
+        return;
+    }
+
+    const symbol = normalizeSymbol(form.elements.symbol.value);
+    if (!symbol) {
+        alert('Please enter a Yahoo Finance symbol, e.g. AAPL, ^FTSE, EURUSD=X or ETH-USD.');
+        return;
+    }
+
+    if (watchlist.some(entry => entry.symbol === symbol)) {
+        alert(`${symbol} is already in your watchlist.`);
+        return;
+    }
+
+    if (isValidatingSymbol) return;
+
+    // Test fetch, so typos don't end up as permanently loading cards
+    isValidatingSymbol = true;
+    renderFinancialPanel();
+
+    try {
+        const quote = await validateSymbol(symbol);
+        saveWatchlist([...watchlist, {
+            symbol,
+            name: name || quote.name,
+            category,
+            type: quote.type,
+            currency: quote.currency
+        }]);
+    } catch (error) {
+        alert(`Couldn't add ${symbol}: ${error.message}`);
+    } finally {
+        isValidatingSymbol = false;
+        if (isEditingWatchlist) {
+            renderFinancialPanel();
+            focusWatchlistForm();
+        }
+    }
+}
+
+function moveWatchlistEntry(symbol, offset) {
+    const index = watchlist.findIndex(entry => entry.symbol === symbol);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= watchlist.length) return;
+
+    const reordered = [...watchlist];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    saveWatchlist(reordered);
+}
+
+function removeWatchlistEntry(symbol) {
+    const entry = watchlist.find(e => e.symbol === symbol);
+    if (!entry) return;
+
+    if (confirm(`Remove ${entry.name} (${entry.symbol}) from your watchlist?`)) {
+        saveWatchlist(watchlist.filter(e => e.symbol !== symbol));
+    }
+}
+
+/**
+ * Persist the watchlist through settings (triggers a re-render via updateFinancial)
+ */
+function saveWatchlist(newWatchlist) {
+    watchlist = newWatchlist;
+    updateSetting('financeWatchlist', newWatchlist);
+}
+
+function focusWatchlistForm() {
+    const form = document.querySelector('#financial-container .watchlist-form');
+    const input = editingSymbol ? form?.elements.name : form?.elements.symbol;
+    input?.focus();
+}
+
 /**
- * Render Commodities section with compact two-column grid
+ * Render the portfolio: positions valued in the portfolio currency, with totals
  */
-function renderCommoditiesSection() {
-    const data = getCategoryData('commoditiesAdditional');
-    const cardsHTML = data.map(metric => createCompactMarketCard(metric)).join('');
+function renderPortfolioSection() {
+    const positions = getPositions();
+    const editTitle = isEditingPortfolio ? 'Done editing' : 'Edit positions';
 
     return `
-        <div class="market-category">
-            <div class="category-label">
-                <i class="ph ph-coins category-label-icon"></i>
-                <span>Commodities</span>
-            </div>
-            <div class="category-grid-compact">
-                ${cardsHTML}
+        <div class="financial-section financial-portfolio">
+            <div class="section-header watchlist-header">
+                <i class="ph ph-briefcase"></i>
+                <span>Portfolio</span>
+                <button type="button" class="watchlist-btn watchlist-toggle" data-action="add-position" title="Add position" aria-label="Add position">
+                    <i class="ph ph-plus"></i>
+                </button>
+                <button type="button" class="watchlist-btn" data-action="import-positions" title="Import a broker CSV export" aria-label="Import positions from CSV">
+                    <i class="ph ph-upload-simple"></i>
+                </button>
+                ${positions.length > 0 ? `
+                    <button type="button" class="watchlist-btn" data-action="toggle-portfolio-edit" title="${editTitle}" aria-label="${editTitle}">
+                        <i class="ph ${isEditingPortfolio ? 'ph-check' : 'ph-pencil-simple'}"></i>
+                    </button>
+                ` : ''}
             </div>
+            ${editingPositionId ? renderPositionForm() : ''}
+            ${positions.length > 0 ? renderPortfolioTable() : `
+                <div class="watchlist-empty">Add your holdings, or import the positions CSV your broker exports, to see their value and unrealised P&amp;L.</div>
+            `}
         </div>
     `;
 }
 
-/**
- * Render Credit/Bond ETFs section with compact grid
- */
-function renderBondsSection() {
-    const data = getCategoryData('bonds');
-    const cardsHTML = data.map(metric => createMarketCard(metric)).join('');
+function renderPortfolioTable() {
+    const summary = getPortfolioSummary(portfolioCurrency, getQuote);
+
+    const rowsHTML = summary.positions.map(position => `
+        <div class="portfolio-row ${position.isLoading ? 'metric-loading' : ''}" data-position-id="${escapeHtml(position.id)}" data-yahoo-symbol="${escapeHtml(position.symbol)}" ${position.error ? `title="${escapeHtml(position.error)}"` : ''}>
+            <div class="portfolio-cell portfolio-symbol">
+                <span class="portfolio-primary">${escapeHtml(position.symbol)}</span>
+                <span class="portfolio-secondary">
+                    ${formatQuantity(position.quantity)} @ ${position.averageCost === null ? '--' : formatMoney(position.averageCost, position.currency)}
+                </span>
+            </div>
+            <div class="portfolio-cell">
+                <span class="portfolio-primary">${formatMoney(position.marketValue, portfolioCurrency)}</span>
+                <span class="portfolio-secondary">${formatMoney(position.price, position.currency)}</span>
+            </div>
+            <div class="portfolio-cell ${getTrendClass(position.dayChange)}">
+                <span class="portfolio-primary">${formatSignedMoney(position.dayChange, portfolioCurrency)}</span>
+            </div>
+            <div class="portfolio-cell ${getTrendClass(position.unrealizedPnl)}">
+                <span class="portfolio-primary">${formatSignedMoney(position.unrealizedPnl, portfolioCurrency)}</span>
+                <span class="portfolio-secondary">${formatSignedPercent(position.unrealizedPnlPercent)}</span>
+            </div>
+            <div class="portfolio-cell">
+                <span class="portfolio-primary">${position.allocation === null ? '--' : `${position.allocation.toFixed(1)}%`}</span>
+                <span class="portfolio-allocation-bar"><span style="width: ${(position.allocation || 0).toFixed(1)}%"></span></span>
+            </div>
+            ${isEditingPortfolio ? `
+                <div class="portfolio-cell portfolio-actions">
+                    <button type="button" class="watchlist-btn" data-action="edit-position" title="Edit" aria-label="Edit ${escapeHtml(position.symbol)}">
+                        <i class="ph ph-pencil-simple"></i>
+                    </button>
+                    <button type="button" class="watchlist-btn" data-action="remove-position" title="Remove" aria-label="Remove ${escapeHtml(position.symbol)}">
+                        <i class="ph ph-trash"></i>
+                    </button>
+                </div>
+            ` : ''}
+        </div>
+    `).join('');
 
     return `
-        <div class="market-category">
-            <div class="category-label">
-                <i class="ph ph-bank category-label-icon"></i>
-                <span>Credit & Bonds</span>
+        <div class="portfolio-table ${isEditingPortfolio ? 'portfolio-editing' : ''}">
+            <div class="portfolio-row portfolio-head">
+                <span>Position</span>
+                <span>Value</span>
+                <span>Day</span>
+                <span>Unrealised P&amp;L</span>
+                <span>Allocation</span>
+                ${isEditingPortfolio ? '<span></span>' : ''}
             </div>
-            <div class="category-grid">
-                ${cardsHTML}
+            ${rowsHTML}
+            <div class="portfolio-row portfolio-total" ${summary.isComplete ? '' : 'title="Positions still loading (or without a price) aren\'t included"'}>
+                <div class="portfolio-cell">
+                    <span class="portfolio-primary">Total${summary.isComplete ? '' : '*'}</span>
+                </div>
+                <div class="portfolio-cell">
+                    <span class="portfolio-primary">${formatMoney(summary.totalValue, portfolioCurrency)}</span>
+                </div>
+                <div class="portfolio-cell ${getTrendClass(summary.dayChange)}">
+                    <span class="portfolio-primary">${formatSignedMoney(summary.dayChange, portfolioCurrency)}</span>
+                    <span class="portfolio-secondary">${formatSignedPercent(summary.dayChangePercent)}</span>
+                </div>
+                <div class="portfolio-cell ${getTrendClass(summary.unrealizedPnl)}">
+                    <span class="portfolio-primary">${formatSignedMoney(summary.unrealizedPnl, portfolioCurrency)}</span>
+                    <span class="portfolio-secondary">${formatSignedPercent(summary.unrealizedPnlPercent)}</span>
+                </div>
+                <div class="portfolio-cell"></div>
+                ${isEditingPortfolio ? '<div class="portfolio-cell"></div>' : ''}
             </div>
         </div>
     `;
 }
 
+function renderPositionForm() {
+    const position = getPositions().find(p => p.id === editingPositionId);
+
+    return `
+        <form class="portfolio-form" autocomplete="off">
+            <input type="text" class="text-input" name="symbol" placeholder="Symbol, e.g. AAPL" value="${escapeHtml(position?.symbol || '')}" title="Yahoo Finance symbol" ${position ? 'readonly' : 'required'}>
+            <input type="number" class="text-input" name="quantity" placeholder="Quantity" min="0" step="any" value="${position ? position.quantity : ''}" required>
+            <input type="number" class="text-input" name="averageCost" placeholder="Average cost" min="0" step="any" value="${position?.averageCost ?? ''}" title="Average cost per share, in the position's currency">
+            <input type="text" class="text-input portfolio-form-currency" name="currency" placeholder="Currency" value="${escapeHtml(position?.currency || '')}" title="Currency the symbol is quoted in (e.g. USD, EUR, GBp for pence); filled in from Yahoo when left empty">
+            <button type="submit" class="watchlist-form-submit" ${isSavingPosition ? 'disabled' : ''}>
+                ${isSavingPosition ? 'Checking…' : position ? 'Save' : 'Add'}
+            </button>
+            <button type="button" class="watchlist-btn" data-action="cancel-position-edit" title="Cancel" aria-label="Cancel">
+                <i class="ph ph-x"></i>
+            </button>
+        </form>
+    `;
+}
+
 /**
- * Render Sector Performance section as Scoreboard Grid (sorted by performance)
+ * Re-render just the portfolio as prices arrive (not while its form is open)
  */
-function renderSectorsSection() {
-    const data = getCategoryData('sectors');
-    // Sort by performance (best to worst)
-    const sorted = data.sort((a, b) => {
-        const aChange = parseFloat(a.changePercent.replace(/[^0-9.-]/g, '')) || 0;
-        const bChange = parseFloat(b.changePercent.replace(/[^0-9.-]/g, '')) || 0;
-        return bChange - aChange;
+function updatePortfolioSection() {
+    const section = document.querySelector('#financial-container .financial-portfolio');
+    if (!section || editingPositionId || getPositions().length === 0) return;
+
+    section.outerHTML = renderPortfolioSection();
+    applyAlertHighlights();
+}
+
+async function savePositionForm(form) {
+    const quantity = parseFloat(form.elements.quantity.value);
+    const costText = form.elements.averageCost.value.trim();
+    const averageCost = costText === '' ? null : parseFloat(costText);
+    const currencyText = form.elements.currency.value.trim();
+    let currency = normalizeCurrency(currencyText);
+
+    if (!(quantity > 0)) {
+        alert('Please enter a quantity greater than zero.');
+        return;
+    }
+
+    if (averageCost !== null && !(averageCost >= 0)) {
+        alert('Please enter the average cost per share, or leave it empty.');
+        return;
+    }
+
+    if (currencyText && !currency) {
+        alert('Please enter a three-letter currency code (e.g. USD, EUR, or GBp for pence), or leave it empty.');
+        return;
+    }
+
+    if (editingPositionId !== 'new') {
+        const id = editingPositionId;
+        const existing = getPositions().find(p => p.id === id);
+        editingPositionId = null;
+        updatePosition(id, { quantity, averageCost, currency: currency || existing?.currency || portfolioCurrency });
+        refreshPortfolio();
+        return;
+    }
+
+    const symbol = normalizeSymbol(form.elements.symbol.value);
+    if (!symbol) {
+        alert('Please enter a Yahoo Finance symbol, e.g. AAPL, VOD.L or BTC-USD.');
+        return;
+    }
+
+    if (getPositions().some(p => p.symbol === symbol) &&
+        !confirm(`You already hold ${symbol}. Add another position in it?`)) {
+        return;
+    }
+
+    if (isSavingPosition) return;
+
+    // Test fetch: catches typos and tells us the currency Yahoo quotes the symbol in
+    isSavingPosition = true;
+    renderFinancialPanel();
+
+    try {
+        const quote = await validateSymbol(symbol);
+        currency = currency || normalizeCurrency(quote.currency) || portfolioCurrency;
+        addPosition({ symbol, quantity, averageCost, currency });
+        editingPositionId = null;
+    } catch (error) {
+        alert(`Couldn't add ${symbol}: ${error.message}`);
+    } finally {
+        isSavingPosition = false;
+        refreshPortfolio();
+        focusPositionForm();
+    }
+}
+
+function deletePosition(id) {
+    const position = getPositions().find(p => p.id === id);
+    if (!position) return;
+
+    if (confirm(`Remove your ${formatQuantity(position.quantity)} ${position.symbol} position?`)) {
+        removePosition(id);
+        if (getPositions().length === 0) {
+            isEditingPortfolio = false;
+        }
+        refreshPortfolio();
+    }
+}
+
+function openPositionsImport() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.csv,.txt,text/csv';
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+
+        let result;
+        try {
+            result = parsePositionsCsv(await file.text(), portfolioCurrency);
+        } catch (error) {
+            console.error('Error reading positions CSV:', error);
+            alert(`Could not import ${file.name}: ${error.message}.`);
+            return;
+        }
+
+        if (result.positions.length === 0) {
+            alert(`No positions found in ${file.name}. The file needs symbol and quantity columns.`);
+            return;
+        }
+
+        const held = new Set(getPositions().map(p => p.symbol));
+        const replacing = result.positions.filter(p => held.has(p.symbol)).length;
+        const details = [
+            replacing > 0 ? `${replacing} existing position${replacing === 1 ? '' : 's'} in the same symbols will be replaced.` : '',
+            result.skipped > 0 ? `${result.skipped} row${result.skipped === 1 ? '' : 's'} without a symbol and quantity (such as cash or totals) will be skipped.` : ''
+        ].filter(Boolean).join('\n');
+
+        const count = result.positions.length;
+        if (confirm(`Import ${count} position${count === 1 ? '' : 's'} from ${file.name}?${details ? `\n\n${details}` : ''}`)) {
+            importPositions(result.positions);
+            refreshPortfolio();
+        }
     });
 
-    const sectorsHTML = sorted.map(metric => {
-        const changePercent = parseFloat(metric.changePercent.replace(/[^0-9.-]/g, '')) || 0;
-        const colorClass = getScoreboardColorClass(changePercent);
-        const trendIcon = metric.trend === 'up' ? 'ph-caret-up' :
-                         metric.trend === 'down' ? 'ph-caret-down' :
-                         'ph-minus';
+    fileInput.click();
+}
+
+/**
+ * Fetch any new symbols (or exchange rates) and re-render after positions change
+ */
+function refreshPortfolio() {
+    setPortfolioSymbols(getPortfolioSymbols(portfolioCurrency));
+    renderFinancialPanel();
+}
+
+function focusPositionForm() {
+    const form = document.querySelector('#financial-container .portfolio-form');
+    const input = editingPositionId === 'new' ? form?.elements.symbol : form?.elements.quantity;
+    input?.focus();
+}
+
+/**
+ * Render price alerts: what each watches, whether it fired or is snoozed, and its controls
+ */
+function renderAlertsSection() {
+    const rowsHTML = priceAlerts.map(item => {
+        const isSnoozed = isAlertSnoozed(item);
+        const status = getAlertStatus(item, isSnoozed);
 
         return `
-            <div class="scoreboard-box ${colorClass}">
-                <div class="scoreboard-content">
-                    <div class="scoreboard-label">${metric.name}</div>
-                    <div class="scoreboard-value">${metric.value}</div>
-                    <div class="scoreboard-change">
-                        <i class="ph ${trendIcon}"></i>
-                        ${metric.changePercent}
-                    </div>
+            <div class="alert-row ${item.triggered ? 'alert-row-triggered' : ''} ${!item.enabled ? 'alert-row-off' : ''}" data-alert-id="${escapeHtml(item.id)}">
+                <i class="ph ${status.icon} alert-row-icon"></i>
+                <div class="alert-row-text">
+                    <span class="alert-row-description">${escapeHtml(describeAlert(item))}</span>
+                    <span class="alert-row-status">${escapeHtml(status.text)}</span>
                 </div>
+                ${item.triggered ? `
+                    <button type="button" class="watchlist-btn" data-action="dismiss-alert" title="Dismiss" aria-label="Dismiss ${escapeHtml(describeAlert(item))}">
+                        <i class="ph ph-check"></i>
+                    </button>
+                ` : ''}
+                ${!item.enabled ? `
+                    <button type="button" class="watchlist-btn" data-action="rearm-alert" title="Turn back on" aria-label="Turn ${escapeHtml(describeAlert(item))} back on">
+                        <i class="ph ph-arrow-counter-clockwise"></i>
+                    </button>
+                ` : isSnoozed ? `
+                    <button type="button" class="watchlist-btn" data-action="unsnooze-alert" title="End snooze" aria-label="End snooze">
+                        <i class="ph ph-bell"></i>
+                    </button>
+                ` : Object.entries(SNOOZE_OPTIONS).map(([option, label]) => `
+                    <button type="button" class="watchlist-btn" data-action="snooze-alert" data-snooze="${option}" title="${label}" aria-label="${label}">
+                        <i class="ph ${option === 'tomorrow' ? 'ph-moon' : 'ph-bell-z'}"></i>
+                    </button>
+                `).join('')}
+                <button type="button" class="watchlist-btn" data-action="edit-alert" title="Edit" aria-label="Edit ${escapeHtml(describeAlert(item))}">
+                    <i class="ph ph-pencil-simple"></i>
+                </button>
+                <button type="button" class="watchlist-btn" data-action="remove-alert" title="Delete" aria-label="Delete ${escapeHtml(describeAlert(item))}">
+                    <i class="ph ph-trash"></i>
+                </button>
             </div>
         `;
     }).join('');
 
     return `
-        <div class="market-category">
-            <div class="category-label">
-                <i class="ph ph-chart-bar category-label-icon"></i>
-                <span>Sector Performance</span>
-            </div>
-            <div class="scoreboard-grid">
-                ${sectorsHTML}
+        <div class="financial-section financial-alerts">
+            <div class="section-header watchlist-header">
+                <i class="ph ph-bell"></i>
+                <span>Alerts</span>
+                <button type="button" class="watchlist-btn watchlist-toggle" data-action="add-alert" title="Add alert" aria-label="Add alert">
+                    <i class="ph ph-plus"></i>
+                </button>
             </div>
+            ${editingAlertId ? renderAlertForm() : ''}
+            ${rowsHTML || `
+                <div class="watchlist-empty">Get a notification when a price goes above or below a level, or moves a set percentage in a day - checked every few minutes, even with no tab open.</div>
+            `}
         </div>
     `;
 }
 
-/**
- * Render Crypto section (Bitcoin only)
- */
-function renderCryptoSection() {
-    const data = getCategoryData('crypto');
-    const rowsHTML = data.map(metric => createCompactMetricRow(metric)).join('');
+function getAlertStatus(item, isSnoozed) {
+    const firedAt = item.triggeredAt ? `Fired ${formatAlertTime(item.triggeredAt)}` : '';
+    const lastPrice = typeof item.lastPrice === 'number' ? ` · last ${formatNumber(item.lastPrice)}` : '';
+
+    if (!item.enabled) {
+        return { icon: 'ph-bell-slash', text: `${firedAt || 'Off'} · one-shot, now off` };
+    }
+    if (isSnoozed) {
+        return { icon: 'ph-bell-z', text: `Snoozed until ${formatAlertTime(item.snoozedUntil)}${lastPrice}` };
+    }
+    if (item.triggered) {
+        return { icon: 'ph-bell-ringing', text: `${firedAt}${lastPrice}` };
+    }
+    return { icon: 'ph-bell', text: `${item.repeat ? 'Repeating' : 'Once'}${lastPrice}` };
+}
+
+function formatAlertTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday ? time : `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+}
+
+function renderAlertForm() {
+    const editing = priceAlerts.find(item => item.id === editingAlertId);
+    const assets = getTrackedAssets();
+
+    // An alert on a symbol that's no longer tracked keeps it as an option
+    if (editing && !assets.some(asset => asset.yahooSymbol === editing.symbol)) {
+        assets.unshift({ symbol: editing.symbol, name: editing.label, yahooSymbol: editing.symbol });
+    }
 
     return `
-        <div class="financial-section">
-            <div class="section-header">
-                <i class="ph ph-currency-btc"></i>
-                <span>Cryptocurrency</span>
-            </div>
-            <div class="section-content">
-                ${rowsHTML}
-            </div>
-        </div>
+        <form class="alert-form" autocomplete="off">
+            <select class="select alert-form-symbol" name="symbol" aria-label="Symbol">
+                ${assets.map(asset => `
+                    <option value="${escapeHtml(asset.yahooSymbol)}" ${asset.yahooSymbol === editing?.symbol ? 'selected' : ''}>
+                        ${escapeHtml(asset.name)} (${escapeHtml(asset.yahooSymbol)})
+                    </option>
+                `).join('')}
+            </select>
+            <select class="select" name="condition" aria-label="Condition">
+                ${Object.entries(ALERT_CONDITIONS).map(([condition, { label, unit }]) => `
+                    <option value="${condition}" ${condition === editing?.condition ? 'selected' : ''}>${label}${unit ? ` …${unit}` : ''}</option>
+                `).join('')}
+            </select>
+            <input type="number" class="text-input" name="threshold" placeholder="Level or %" step="any" value="${editing ? editing.threshold : ''}" required>
+            <select class="select" name="repeat" aria-label="Repeat">
+                <option value="once" ${editing?.repeat ? '' : 'selected'}>Once</option>
+                <option value="repeat" ${editing?.repeat ? 'selected' : ''}>Every time</option>
+            </select>
+            <button type="submit" class="watchlist-form-submit">${editing ? 'Save' : 'Add'}</button>
+            <button type="button" class="watchlist-btn" data-action="cancel-alert-edit" title="Cancel" aria-label="Cancel">
+                <i class="ph ph-x"></i>
+            </button>
+        </form>
     `;
 }
 
+async function saveAlertForm(form) {
+    const symbol = form.elements.symbol.value;
+    const condition = form.elements.condition.value;
+    const threshold = parseFloat(form.elements.threshold.value);
+    const repeat = form.elements.repeat.value === 'repeat';
+
+    if (!Number.isFinite(threshold)) {
+        alert('Please enter the price level (or percentage) to alert at.');
+        return;
+    }
+
+    if (condition.startsWith('change-') && !(threshold > 0)) {
+        alert('Please enter a percentage greater than zero, e.g. 5 for a 5% move.');
+        return;
+    }
+
+    const id = editingAlertId;
+    const asset = getTrackedAssets().find(a => a.yahooSymbol === symbol);
+    const label = asset?.name || priceAlerts.find(item => item.id === id)?.label || symbol;
+    editingAlertId = null;
+
+    // Editing re-arms the alert; a new symbol also forgets the price "crosses" compares with
+    await changeAlerts(list => id === 'new'
+        ? [...list, createAlert({ symbol, label, condition, threshold, repeat })]
+        : list.map(item => item.id === id
+            ? resetAlert({ ...item, symbol, label, condition, threshold, repeat, lastPrice: item.symbol === symbol ? item.lastPrice : null })
+            : item));
+    requestAlertCheck();
+}
+
+function deleteAlert(id) {
+    const item = priceAlerts.find(a => a.id === id);
+    if (!item) return;
+
+    if (confirm(`Delete the alert "${describeAlert(item)}"?`)) {
+        if (editingAlertId === id) {
+            editingAlertId = null;
+        }
+        changeAlerts(list => list.filter(a => a.id !== id));
+    }
+}
+
+function changeAlert(id, change) {
+    return changeAlerts(list => list.map(item => item.id === id ? change(item) : item));
+}
+
 /**
- * Create compact metric row for sections (smaller than main table rows)
+ * Apply a change to the stored alerts and re-render with the result
  */
-function createCompactMetricRow(metric) {
-    const trendClass = metric.trend === 'up' ? 'metric-positive' :
-                       metric.trend === 'down' ? 'metric-negative' :
-                       'metric-neutral';
+async function changeAlerts(change) {
+    try {
+        handleAlertsChange(await updateAlerts(change));
+    } catch (error) {
+        console.error('Error saving price alerts:', error);
+        alert(`Could not save alerts: ${error.message}`);
+    }
+}
 
-    const trendIcon = metric.trend === 'up' ? 'ph-caret-up' :
-                      metric.trend === 'down' ? 'ph-caret-down' :
-                      'ph-minus';
+/**
+ * Show alerts loaded or changed elsewhere (the background worker marks them as fired)
+ */
+function handleAlertsChange(alerts) {
+    priceAlerts = alerts;
 
-    const loadingClass = metric.isLoading ? 'metric-loading' : '';
+    // Drop out of the form if the alert being edited was deleted
+    if (editingAlertId && editingAlertId !== 'new' && !priceAlerts.some(item => item.id === editingAlertId)) {
+        editingAlertId = null;
+    }
 
-    return `
-        <div class="compact-metric-row" data-symbol="${metric.symbol}">
-            <div class="compact-metric-label">
-                <i class="ph ${metric.icon}"></i>
-                <span>${metric.name}</span>
-            </div>
-            <div class="compact-metric-data ${loadingClass}">
-                <span class="compact-metric-value">${metric.value}</span>
-                <span class="compact-metric-change ${trendClass}">
-                    <i class="ph ${trendIcon}"></i>
-                    ${metric.changePercent}
-                </span>
-            </div>
-        </div>
-    `;
+    const section = document.querySelector('#financial-container .financial-alerts');
+    if (section && !editingAlertId) {
+        section.outerHTML = renderAlertsSection();
+    }
+    applyAlertHighlights();
 }
 
-function renderFinancialPanel() {
-    const container = document.getElementById('financial-container');
-    if (!container) return;
+/**
+ * Highlight every card, row and box showing a symbol whose alert has fired (until dismissed)
+ */
+function applyAlertHighlights() {
+    const triggered = new Set(priceAlerts.filter(item => item.triggered).map(item => item.symbol));
 
-    // Get legacy tracked assets for backwards compatibility
-    const legacyData = getAllAssetData().filter(asset => asset.category === 'stock');
-    const legacyHTML = legacyData.map(metric => createMetricRow(metric)).join('');
+    document.querySelectorAll('#financial-container [data-symbol]:not(.watchlist-edit-row), #financial-container [data-yahoo-symbol]').forEach(element => {
+        const yahooSymbol = element.dataset.yahooSymbol || getAssetConfig(element.dataset.symbol)?.yahooSymbol;
+        element.classList.toggle('financial-alert-triggered', triggered.has(yahooSymbol));
+    });
+}
 
-    const panelHTML = `
-        <div class="financial-panel">
-            <div class="financial-header">
-                <div class="financial-header-top">
-                    <div id="market-status" class="market-status-pill">
-                        Market Closed
-                    </div>
-                    <div id="eastern-time" class="eastern-time">
-                        <i class="ph ph-buildings"></i>
-                        <span>ET 00:00</span>
-                    </div>
-                </div>
-            </div>
+/**
+ * Ask the background worker to check alerts now rather than at its next scheduled run
+ */
+function requestAlertCheck() {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
+
+    // The worker doesn't reply, which rejects the returned promise
+    chrome.runtime.sendMessage({ type: 'check-price-alerts' }).catch(() => {});
+}
 
-            ${renderHeroIndicesScoreboard()}
+function focusAlertForm() {
+    const form = document.querySelector('#financial-container .alert-form');
+    const input = editingAlertId === 'new' ? form?.elements.symbol : form?.elements.threshold;
+    input?.focus();
+}
 
-            ${renderMarketPulseTrafficLight()}
+function getTrendClass(value) {
+    if (value === null || value === 0) return 'metric-neutral';
+    return value > 0 ? 'metric-positive' : 'metric-negative';
+}
 
-            <div class="financial-sections-container">
-                ${renderTreasuriesSection()}
-                ${renderVolatilitySection()}
-                ${renderCurrenciesSection()}
-                ${renderCommoditiesSection()}
-                ${renderBondsSection()}
-                ${renderInternationalSection()}
-                ${renderSectorsSection()}
-                ${renderAdditionalIndicesSection()}
-            </div>
+function formatMoney(value, currency) {
+    if (value === null || value === undefined) return '--';
 
-            ${legacyHTML ? `
-                <div class="financial-section">
-                    <div class="section-header">
-                        <i class="ph ph-star"></i>
-                        <span>Tracked Assets</span>
-                    </div>
-                    <div class="financial-table" id="financial-table">
-                        ${legacyHTML}
-                    </div>
-                </div>
-            ` : ''}
-        </div>
-    `;
+    // Minor units such as GBp aren't ISO codes
+    if (!/^[A-Z]{3}$/.test(currency)) {
+        return `${value.toFixed(2)} ${currency}`;
+    }
 
-    container.innerHTML = panelHTML;
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(value);
+}
+
+function formatSignedMoney(value, currency) {
+    if (value === null || value === undefined) return '--';
+    return `${value > 0 ? '+' : ''}${formatMoney(value, currency)}`;
+}
+
+function formatSignedPercent(value) {
+    if (value === null || value === undefined) return '';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function formatQuantity(quantity) {
+    return quantity.toLocaleString('en-US', { maximumFractionDigits: 6 });
+}
+
+/**
+ * Stored and imported entries end up in the widget's markup, so the symbol must be a well-formed
+ * ticker (upper case, see normalizeSymbol) and the currency a three-letter code like Yahoo's
+ * ("USD", or minor units like "GBp")
+ */
+function isValidWatchlistEntry(entry) {
+    return entry !== null && typeof entry === 'object' && !Array.isArray(entry) &&
+        typeof entry.symbol === 'string' && normalizeSymbol(entry.symbol) === entry.symbol &&
+        typeof entry.name === 'string' &&
+        (entry.category === undefined || typeof entry.category === 'string') &&
+        (entry.type === undefined || entry.type === null || (typeof entry.type === 'string' && /^[A-Z]+$/.test(entry.type))) &&
+        (entry.currency === undefined || entry.currency === null || (typeof entry.currency === 'string' && CURRENCY_PATTERN.test(entry.currency)));
+}
+
+function readWatchlistSettings(settings) {
+    watchlist = Array.isArray(settings.financeWatchlist) ? settings.financeWatchlist : [];
 }
 
 function createIndexItem(index) {
@@ -661,7 +1774,7 @@ function createMetricRow(metric) {
     const intensity = absChange >= 2.0 ? 'high' : absChange >= 1.0 ? 'medium' : 'low';
 
     return `
-        <div class="financial-row" data-symbol="${metric.symbol}" data-category="${metric.category}" data-intensity="${intensity}">
+        <div class="financial-row" data-symbol="${escapeHtml(metric.symbol)}" data-category="${metric.category}" data-intensity="${intensity}" data-label="${metric.label}" data-action="expand-chart">
             <div class="metric-icon-label">
                 <i class="ph ${metric.icon} metric-icon"></i>
                 <span class="metric-label">${metric.label}</span>
@@ -673,6 +1786,7 @@ function createMetricRow(metric) {
                     ${metric.changePercent}
                 </span>
             </div>
+            ${renderSparkline(metric.symbol)}
         </div>
     `;
 }
@@ -769,111 +1883,3 @@ function updateMarketStatus() {
 function padZero(num) {
     return num.toString().padStart(2, '0');
 }
-
-function getMarketStatus(date) {
-    // Convert to ET timezone
-    const etTime = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    const day = etTime.getDay();
-    const hours = etTime.getHours();
-    const minutes = etTime.getMinutes();
-    const totalMinutes = hours * 60 + minutes;
-
-    // Market hours in ET (converted to minutes from midnight)
-    const preMarketStart = 4 * 60;        // 4:00 AM
-    const marketOpen = 9 * 60 + 30;       // 9:30 AM
-    const marketClose = 16 * 60;          // 4:00 PM
-    const afterHoursEnd = 20 * 60;        // 8:00 PM
-
-    // Weekend handling
-    if (day === 0 || day === 6) {
-        // Calculate time until Monday 4:00 AM ET
-        const countdown = getCountdownToMonday(etTime);
-        return {
-            label: 'Market Closed',
-            type: 'closed',
-            countdown: countdown
-        };
-    }
-
-    // During market hours
-    if (totalMinutes >= marketOpen && totalMinutes < marketClose) {
-        const countdown = getCountdownToTime(totalMinutes, marketClose);
-        return {
-            label: 'Market Open',
-            type: 'open',
-            countdown: `Closes in ${countdown}`
-        };
-    }
-    // Pre-market hours
-    else if (totalMinutes >= preMarketStart && totalMinutes < marketOpen) {
-        const countdown = getCountdownToTime(totalMinutes, marketOpen);
-        return {
-            label: 'Pre-Market',
-            type: 'premarket',
-            countdown: `Opens in ${countdown}`
-        };
-    }
-    // After hours
-    else if (totalMinutes >= marketClose && totalMinutes < afterHoursEnd) {
-        const countdown = getCountdownToTime(totalMinutes, afterHoursEnd);
-        return {
-            label: 'After Hours',
-            type: 'afterhours',
-            countdown: `Closes in ${countdown}`
-        };
-    }
-    // Overnight (after 8 PM or before 4 AM)
-    else {
-        let countdown;
-        if (totalMinutes >= afterHoursEnd) {
-            // After 8 PM, show time until next pre-market (tomorrow 4 AM)
-            countdown = getCountdownToTime(totalMinutes, 24 * 60 + preMarketStart);
-        } else {
-            // Before 4 AM, show time until pre-market today
-            countdown = getCountdownToTime(totalMinutes, preMarketStart);
-        }
-        return {
-            label: 'Market Closed',
-            type: 'closed',
-            countdown: `Opens in ${countdown}`
-        };
-    }
-}
-
-function getCountdownToTime(currentMinutes, targetMinutes) {
-    const diff = targetMinutes - currentMinutes;
-    const hours = Math.floor(diff / 60);
-    const mins = diff % 60;
-
-    if (hours > 0) {
-        return `${hours}h ${mins}m`;
-    } else {
-        return `${mins}m`;
-    }
-}
-
-function getCountdownToMonday(etTime) {
-    // Calculate days until Monday
-    const currentDay = etTime.getDay();
-    const daysUntilMonday = currentDay === 0 ? 1 : 7 - currentDay + 1;
-
-    // Create target date (next Monday at 4:00 AM ET)
-    const monday = new Date(etTime);
-    monday.setDate(monday.getDate() + daysUntilMonday);
-    monday.setHours(4, 0, 0, 0);
-
-    // Calculate difference
-    const diff = monday - etTime;
-    const hours = Math.floor(diff / (1000 * 60 * 60));
-    const mins = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-
-    if (hours >= 24) {
-        const days = Math.floor(hours / 24);
-        const remainingHours = hours % 24;
-        return `Opens in ${days}d ${remainingHours}h`;
-    } else if (hours > 0) {
-        return `Opens in ${hours}h ${mins}m`;
-    } else {
-        return `Opens in ${mins}m`;
-    }
-}
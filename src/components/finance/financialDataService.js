@@ -1,42 +1,56 @@
 // financialDataService.js - Yahoo Finance API integration
+// Quotes come from the shared cache the background worker keeps fresh (marketDataCache.js);
+// charts and symbol checks are fetched by the tab itself
+import { loadQuotes, watchQuotes, requestQuotes } from './marketDataCache.js';
+import { loadProfiles, getActiveProfileId } from '../settings/profiles.js';
+import { loadProfileSettings } from '../settings/settings.js';
 
 // Constants
-const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes cache (only fetch on page reload)
-const FETCH_THROTTLE = 60 * 1000; // 60 seconds between fetches for same symbol
 const STAGGER_DELAY = 300; // 300ms between staggered requests
 const YAHOO_API_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
-
-// Header indices - Major market overview
-const HEADER_INDICES = [
-    {
-        symbol: 'SPX',
-        name: 'S&P 500',
-        yahooSymbol: '^GSPC',
-        formatPrice: (price) => price.toFixed(2)
-    },
-    {
-        symbol: 'NASDAQ',
-        name: 'Nasdaq',
-        yahooSymbol: '^IXIC',
-        formatPrice: (price) => price.toFixed(2)
-    },
-    {
-        symbol: 'DJI',
-        name: 'Dow',
-        yahooSymbol: '^DJI',
-        formatPrice: (price) => price.toFixed(2)
-    }
-];
-
-// Progressive loading phases
-const LOADING_PHASES = {
-    critical: 0,    // Load immediately (header indices + key metrics)
-    important: 1,   // Load after 2 seconds
-    secondary: 2    // Load after 8 seconds
+// Chart ranges for sparklines and the expanded chart: Yahoo `interval` and how long a series stays fresh
+const CHART_RANGES = {
+    '1d': { label: '1D', interval: '5m', cacheDuration: 5 * 60 * 1000 },
+    '5d': { label: '5D', interval: '30m', cacheDuration: 15 * 60 * 1000 },
+    '1mo': { label: '1M', interval: '1d', cacheDuration: 60 * 60 * 1000 },
+    '1y': { label: '1Y', interval: '1wk', cacheDuration: 6 * 60 * 60 * 1000 }
 };
+const CHART_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Stored series older than this are deleted at startup
+const CHART_CACHE_KEY_PATTERN = /^financial_.+_chart_[a-z0-9]+$/;
+const LEGACY_QUOTE_KEY_PATTERN = /^financial_.+_data$/; // Per-tab quote cache, replaced by marketDataCache.js
+const SYMBOL_PATTERN = /^[A-Z0-9^=.&-]{1,20}$/; // Yahoo tickers, e.g. "AAPL", "^GSPC", "EURUSD=X", "BRK-B"
 
-// Symbol categories for organized display
+// Built-in symbols: the watchlist starts out with these (see getDefaultWatchlist), and watchlist
+// entries for one of them keep its short key, icon and price format
 const SYMBOL_CATEGORIES = {
+    // Major market overview
+    indices: [
+        {
+            symbol: 'SPX',
+            name: 'S&P 500',
+            yahooSymbol: '^GSPC',
+            icon: 'ph-chart-line-up',
+            category: 'indices',
+            formatPrice: (price) => price.toFixed(2)
+        },
+        {
+            symbol: 'NASDAQ',
+            name: 'Nasdaq',
+            yahooSymbol: '^IXIC',
+            icon: 'ph-chart-line-up',
+            category: 'indices',
+            formatPrice: (price) => price.toFixed(2)
+        },
+        {
+            symbol: 'DJI',
+            name: 'Dow',
+            yahooSymbol: '^DJI',
+            icon: 'ph-chart-line-up',
+            category: 'indices',
+            formatPrice: (price) => price.toFixed(2)
+        }
+    ],
+
     // Volatility metrics
     volatility: [
         {
@@ -45,7 +59,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^VIX',
             icon: 'ph-chart-line',
             category: 'volatility',
-            loadPhase: LOADING_PHASES.critical,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -54,7 +67,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^VVIX',
             icon: 'ph-chart-line',
             category: 'volatility',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -63,7 +75,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^VIX9D',
             icon: 'ph-chart-line',
             category: 'volatility',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -72,7 +83,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^VXST',
             icon: 'ph-chart-line',
             category: 'volatility',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => price.toFixed(2)
         }
     ],
@@ -85,7 +95,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^IRX',
             icon: 'ph-bank',
             category: 'treasuries',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => `${price.toFixed(3)}%`
         },
         {
@@ -94,7 +103,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^FVX',
             icon: 'ph-bank',
             category: 'treasuries',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => `${price.toFixed(3)}%`
         },
         {
@@ -103,7 +111,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^TNX',
             icon: 'ph-bank',
             category: 'treasuries',
-            loadPhase: LOADING_PHASES.critical,
             formatPrice: (price) => `${price.toFixed(3)}%`
         },
         {
@@ -112,7 +119,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^TYX',
             icon: 'ph-bank',
             category: 'treasuries',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => `${price.toFixed(3)}%`
         }
     ],
@@ -125,7 +131,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'DX-Y.NYB',
             icon: 'ph-currency-dollar-simple',
             category: 'currencies',
-            loadPhase: LOADING_PHASES.critical,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -134,7 +139,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'EURUSD=X',
             icon: 'ph-currency-eur',
             category: 'currencies',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => price.toFixed(4)
         },
         {
@@ -143,7 +147,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'GBPUSD=X',
             icon: 'ph-currency-gbp',
             category: 'currencies',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => price.toFixed(4)
         },
         {
@@ -152,7 +155,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'JPY=X',
             icon: 'ph-currency-jpy',
             category: 'currencies',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -161,7 +163,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'AUDUSD=X',
             icon: 'ph-currency-circle-dollar',
             category: 'currencies',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(4)
         },
         {
@@ -170,7 +171,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'USDCAD=X',
             icon: 'ph-currency-dollar',
             category: 'currencies',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(4)
         }
     ],
@@ -183,7 +183,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^RUT',
             icon: 'ph-chart-line-up',
             category: 'indices',
-            loadPhase: LOADING_PHASES.critical,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -192,7 +191,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^RLG',
             icon: 'ph-chart-line-up',
             category: 'indices',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -201,7 +199,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^RLV',
             icon: 'ph-chart-line-up',
             category: 'indices',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -210,7 +207,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^W5000',
             icon: 'ph-chart-line-up',
             category: 'indices',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         }
     ],
@@ -223,7 +219,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'GC=F',
             icon: 'ph-crown',
             category: 'commodities',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -237,7 +232,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'SI=F',
             icon: 'ph-coins',
             category: 'commodities',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -251,7 +245,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'HG=F',
             icon: 'ph-cube',
             category: 'commodities',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -265,7 +258,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'CL=F',
             icon: 'ph-drop',
             category: 'commodities',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -279,7 +271,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'ZC=F',
             icon: 'ph-plant',
             category: 'commodities',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -293,7 +284,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'ZW=F',
             icon: 'ph-plant',
             category: 'commodities',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -311,7 +301,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^FTSE',
             icon: 'ph-globe',
             category: 'international',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -320,7 +309,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^GDAXI',
             icon: 'ph-globe',
             category: 'international',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -329,7 +317,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^FCHI',
             icon: 'ph-globe',
             category: 'international',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -338,7 +325,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^N225',
             icon: 'ph-globe',
             category: 'international',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -347,7 +333,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '000001.SS',
             icon: 'ph-globe',
             category: 'international',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -356,7 +341,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^HSI',
             icon: 'ph-globe',
             category: 'international',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         },
         {
@@ -365,7 +349,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: '^AXJO',
             icon: 'ph-globe',
             category: 'international',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => price.toFixed(2)
         }
     ],
@@ -378,7 +361,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'HYG',
             icon: 'ph-bank',
             category: 'bonds',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -392,7 +374,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'LQD',
             icon: 'ph-bank',
             category: 'bonds',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -406,7 +387,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'TLT',
             icon: 'ph-bank',
             category: 'bonds',
-            loadPhase: LOADING_PHASES.important,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -420,7 +400,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'AGG',
             icon: 'ph-bank',
             category: 'bonds',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -434,7 +413,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'SHY',
             icon: 'ph-bank',
             category: 'bonds',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -452,7 +430,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLK',
             icon: 'ph-cpu',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -466,7 +443,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLE',
             icon: 'ph-lightning',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -480,7 +456,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLF',
             icon: 'ph-bank',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -494,7 +469,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLV',
             icon: 'ph-heartbeat',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -508,7 +482,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLY',
             icon: 'ph-shopping-cart',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -522,7 +495,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLP',
             icon: 'ph-shopping-bag',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -536,7 +508,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLI',
             icon: 'ph-factory',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -550,7 +521,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLB',
             icon: 'ph-cube',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -564,7 +534,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLRE',
             icon: 'ph-buildings',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -578,7 +547,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLU',
             icon: 'ph-plug',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -592,7 +560,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'XLC',
             icon: 'ph-broadcast',
             category: 'sectors',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -610,7 +577,6 @@ const SYMBOL_CATEGORIES = {
             yahooSymbol: 'BTC-USD',
             icon: 'ph-currency-btc',
             category: 'crypto',
-            loadPhase: LOADING_PHASES.secondary,
             formatPrice: (price) => new Intl.NumberFormat('en-US', {
                 style: 'currency',
                 currency: 'USD',
@@ -618,46 +584,52 @@ const SYMBOL_CATEGORIES = {
                 maximumFractionDigits: 0,
             }).format(price)
         }
-    ],
-
-    // Legacy tracked assets (for backwards compatibility)
-    legacy: [
-        {
-            symbol: 'NVDA',
-            name: 'NVIDIA',
-            yahooSymbol: 'NVDA',
-            icon: 'ph-cpu',
-            category: 'stock',
-            loadPhase: LOADING_PHASES.critical,
-            formatPrice: (price) => new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2,
-            }).format(price)
-        }
     ]
 };
 
-// Flatten all categories into single array
-const ASSET_CONFIGS = [
-    ...SYMBOL_CATEGORIES.volatility,
-    ...SYMBOL_CATEGORIES.treasuries,
-    ...SYMBOL_CATEGORIES.currencies,
-    ...SYMBOL_CATEGORIES.indicesAdditional,
-    ...SYMBOL_CATEGORIES.commoditiesAdditional,
-    ...SYMBOL_CATEGORIES.international,
-    ...SYMBOL_CATEGORIES.bonds,
-    ...SYMBOL_CATEGORIES.sectors,
-    ...SYMBOL_CATEGORIES.crypto,
-    ...SYMBOL_CATEGORIES.legacy
-];
+// Flatten all categories into single array, remembering which one each asset came from
+const ASSET_CONFIGS = Object.entries(SYMBOL_CATEGORIES)
+    .flatMap(([section, assets]) => assets.map(asset => ({ ...asset, section })));
+
+// The default watchlist's categories, in display order, and the name each one is grouped under
+const DEFAULT_CATEGORY_NAMES = {
+    indices: 'Indices',
+    treasuries: 'Treasury Yields',
+    volatility: 'Volatility',
+    currencies: 'Currencies',
+    commoditiesAdditional: 'Commodities',
+    bonds: 'Credit & Bonds',
+    international: 'International Markets',
+    sectors: 'Sector Performance',
+    indicesAdditional: 'Other Indices',
+    crypto: 'Crypto'
+};
+
+// Icon and card colour (row data-category) for watchlist symbols, by Yahoo instrument type
+const INSTRUMENT_STYLES = {
+    EQUITY: { icon: 'ph-chart-line-up', category: 'stock' },
+    ETF: { icon: 'ph-stack', category: 'stock' },
+    MUTUALFUND: { icon: 'ph-stack', category: 'stock' },
+    INDEX: { icon: 'ph-chart-bar', category: 'index' },
+    CURRENCY: { icon: 'ph-currency-circle-dollar', category: 'forex' },
+    CRYPTOCURRENCY: { icon: 'ph-currency-btc', category: 'crypto' },
+    FUTURE: { icon: 'ph-cube', category: 'commodity' }
+};
+const DEFAULT_INSTRUMENT_STYLE = { icon: 'ph-star', category: 'stock' };
+
+// User's watchlist (built from settings by setWatchlist()) and the symbols that price their
+// portfolio (setPortfolioSymbols()) - together, everything that is fetched
+let watchlistAssets = [];
+let portfolioAssets = [];
+let isServiceStarted = false;
 
 // State management
-let dataCache = {};
-let lastFetchTimes = {};
-let refreshIntervalId = null;
-let currentRotationIndex = 0;
+let dataCache = {}; // Asset key -> display data, built from the shared quotes
+let quotes = {}; // Yahoo symbol -> quote (see marketDataCache.js)
+let stopWatchingQuotes = null;
+let chartCache = {}; // `${symbol}:${range}` -> { points, previousClose, timestamp }
+let pendingCharts = {}; // `${symbol}:${range}` -> Promise
+let chartQueue = Promise.resolve(); // Chart requests go out one at a time, STAGGER_DELAY apart
 
 // Callbacks for UI updates
 let onDataUpdateCallback = null;
@@ -665,353 +637,413 @@ let onDataUpdateCallback = null;
 /**
  * Initialize the data service
  * @param {Function} onDataUpdate - Callback function when data is updated
+ * @param {Array} [watchlist=[]] - Watchlist entries from settings (see setWatchlist)
+ * @param {string[]} [portfolioSymbols=[]] - Yahoo symbols that price the portfolio
+ * @returns {Promise<void>} Resolves once the shared quotes are loaded
  */
-export function initDataService(onDataUpdate) {
+export function initDataService(onDataUpdate, watchlist = [], portfolioSymbols = []) {
     onDataUpdateCallback = onDataUpdate;
+    pruneMarketCache();
+    watchlistAssets = watchlist.map(createWatchlistAsset);
+    portfolioAssets = portfolioSymbols.map(createPortfolioAsset);
+    isServiceStarted = true;
+
+    getAllAssets().forEach(asset => {
+        dataCache[asset.symbol] = getQuoteData(asset);
+    });
+
+    // The background worker updates the shared quotes on its own schedule
+    stopWatchingQuotes = watchQuotes(applyQuotes);
 
-    // Load all cached data immediately
-    loadAllCachedData();
+    return loadQuotes().then(stored => {
+        if (!isServiceStarted) return;
 
-    // Start staggered fetch for all assets (only on init/page reload)
-    startStaggeredFetch();
+        // Render what's cached straight away, without a callback per symbol
+        quotes = stored;
+        getAllAssets().forEach(asset => {
+            dataCache[asset.symbol] = getQuoteData(asset);
+        });
 
-    // NOTE: Automatic refresh disabled to avoid rate limiting
-    // Data will only refresh on page reload
+        // Anything missing or out of date is fetched by the worker
+        requestQuotes(getSymbolsByPriority());
+    });
 }
 
 /**
- * Load cached data for all assets
+ * Take in changed quotes and notify the UI about each asset whose data changed
  */
-function loadAllCachedData() {
-    // Load header indices
-    HEADER_INDICES.forEach(asset => {
-        const cachedData = getCachedData(asset.symbol);
-        if (cachedData) {
-            dataCache[asset.symbol] = {
-                ...cachedData,
-                isLoading: false
-            };
-
-            // Notify UI immediately with cached data
-            if (onDataUpdateCallback) {
-                onDataUpdateCallback(asset.symbol, dataCache[asset.symbol]);
-            }
-        } else {
-            // Initialize with loading state
-            dataCache[asset.symbol] = {
-                currentPrice: 0,
-                change: 0,
-                changePercent: 0,
-                trend: 'neutral',
-                isLoading: true,
-                error: null,
-                lastUpdated: null
-            };
+function applyQuotes(newQuotes) {
+    quotes = newQuotes;
+
+    getAllAssets().forEach(asset => {
+        const data = getQuoteData(asset);
+        const previous = dataCache[asset.symbol];
+        if (previous && previous.lastUpdated === data.lastUpdated && previous.error === data.error &&
+            previous.isLoading === data.isLoading) {
+            return;
         }
-    });
 
-    // Load tracked assets
-    ASSET_CONFIGS.forEach(asset => {
-        const cachedData = getCachedData(asset.symbol);
-        if (cachedData) {
-            dataCache[asset.symbol] = {
-                ...cachedData,
-                isLoading: false
-            };
-
-            // Notify UI immediately with cached data
-            if (onDataUpdateCallback) {
-                onDataUpdateCallback(asset.symbol, dataCache[asset.symbol]);
-            }
-        } else {
-            // Initialize with loading state
-            dataCache[asset.symbol] = {
-                currentPrice: 0,
-                change: 0,
-                changePercent: 0,
-                trend: 'neutral',
-                isLoading: true,
-                error: null,
-                lastUpdated: null
-            };
+        dataCache[asset.symbol] = data;
+        if (onDataUpdateCallback) {
+            onDataUpdateCallback(asset.symbol, data);
         }
     });
 }
 
 /**
- * Get cached data from localStorage
+ * Display data for an asset from its shared quote (loading until one has been fetched)
  */
-function getCachedData(symbol) {
-    try {
-        const cachedStr = localStorage.getItem(`financial_${symbol}_data`);
-        if (!cachedStr) return null;
-
-        const cached = JSON.parse(cachedStr);
-
-        // Check if cache is still valid
-        if (Date.now() - cached.timestamp <= CACHE_DURATION) {
-            return {
-                currentPrice: cached.currentPrice,
-                change: cached.change,
-                changePercent: cached.changePercent,
-                trend: cached.trend,
-                lastUpdated: cached.timestamp
-            };
-        }
-    } catch (error) {
-        console.error(`Error reading cache for ${symbol}:`, error);
+function getQuoteData(asset) {
+    const quote = quotes[asset.yahooSymbol];
+    if (!quote) {
+        return {
+            currentPrice: 0,
+            change: 0,
+            changePercent: 0,
+            trend: 'neutral',
+            isLoading: true,
+            error: null,
+            lastUpdated: null
+        };
     }
-    return null;
+
+    return {
+        currentPrice: quote.currentPrice || 0,
+        change: quote.change || 0,
+        changePercent: quote.changePercent || 0,
+        trend: quote.trend || 'neutral',
+        isLoading: false,
+        error: quote.error || null,
+        lastUpdated: quote.lastUpdated || null
+    };
 }
 
 /**
- * Store data in localStorage
+ * Watchlist and portfolio assets, one per cache key
  */
-function setCachedData(symbol, data) {
-    try {
-        const cacheData = {
-            currentPrice: data.currentPrice,
-            change: data.change,
-            changePercent: data.changePercent,
-            trend: data.trend,
-            timestamp: Date.now()
-        };
-        localStorage.setItem(`financial_${symbol}_data`, JSON.stringify(cacheData));
-    } catch (error) {
-        console.error(`Error caching data for ${symbol}:`, error);
-    }
+function getAllAssets() {
+    const assets = [];
+    [...watchlistAssets, ...portfolioAssets].forEach(asset => {
+        if (!assets.some(a => a.symbol === asset.symbol)) {
+            assets.push(asset);
+        }
+    });
+    return assets;
 }
 
 /**
- * Start progressive fetch for all assets in phases
- * Phase 0 (Critical): Load immediately - header indices + key metrics
- * Phase 1 (Important): Load after 2 seconds - volatility, treasuries, currencies, bonds
- * Phase 2 (Secondary): Load after 8 seconds - international, sectors, crypto, etc
+ * Yahoo symbols of every asset, in watchlist order (so what's shown first loads first),
+ * then the portfolio's
  */
-function startStaggeredFetch() {
-    let delay = 0;
-
-    // Phase 0: Fetch header indices first (critical)
-    HEADER_INDICES.forEach((asset, index) => {
-        setTimeout(() => {
-            fetchAssetData(asset);
-        }, delay);
-        delay += STAGGER_DELAY;
-    });
+function getSymbolsByPriority() {
+    return [...new Set(getAllAssets().map(asset => asset.yahooSymbol))];
+}
 
-    // Phase 0: Critical assets (VIX, 10Y, DXY, RUT, NVDA)
-    const criticalAssets = ASSET_CONFIGS.filter(asset => asset.loadPhase === LOADING_PHASES.critical);
-    criticalAssets.forEach((asset) => {
-        setTimeout(() => {
-            fetchAssetData(asset);
-        }, delay);
-        delay += STAGGER_DELAY;
-    });
+/**
+ * Get current data for a specific asset
+ */
+export function getAssetData(symbol) {
+    return dataCache[symbol] || null;
+}
 
-    // Phase 1: Important assets (after 2 second delay)
-    const phase1Delay = 2000;
-    const importantAssets = ASSET_CONFIGS.filter(asset => asset.loadPhase === LOADING_PHASES.important);
-    importantAssets.forEach((asset, index) => {
-        setTimeout(() => {
-            fetchAssetData(asset);
-        }, phase1Delay + (index * STAGGER_DELAY));
-    });
+/**
+ * Format change value
+ */
+function formatChange(change) {
+    const sign = change >= 0 ? '+' : '';
+    return `${sign}${change.toFixed(2)}`;
+}
+
+/**
+ * Format change percentage
+ */
+function formatChangePercent(changePercent) {
+    const sign = changePercent >= 0 ? '+' : '';
+    return `${sign}${changePercent.toFixed(4)}%`;
+}
+
+/**
+ * Get asset configuration
+ */
+export function getAssetConfig(symbol) {
+    return getAllAssets().find(asset => asset.symbol === symbol);
+}
 
-    // Phase 2: Secondary assets (after 8 second delay)
-    const phase2Delay = 8000;
-    const secondaryAssets = ASSET_CONFIGS.filter(asset => asset.loadPhase === LOADING_PHASES.secondary);
-    secondaryAssets.forEach((asset, index) => {
-        setTimeout(() => {
-            fetchAssetData(asset);
-        }, phase2Delay + (index * STAGGER_DELAY));
+/**
+ * Get the latest price for any fetched Yahoo symbol (watchlist or portfolio)
+ * @param {string} yahooSymbol - e.g. "AAPL" or "EURUSD=X"
+ * @returns {Object|null} { price (null until first loaded), change, changePercent, isLoading, error }
+ */
+export function getQuote(yahooSymbol) {
+    const asset = getAllAssets().find(a => a.yahooSymbol === yahooSymbol);
+    const data = asset && dataCache[asset.symbol];
+    if (!data) return null;
+
+    return {
+        price: data.lastUpdated ? data.currentPrice : null,
+        change: data.change || 0,
+        changePercent: data.changePercent || 0,
+        isLoading: data.isLoading || false,
+        error: data.error || null
+    };
+}
+
+/**
+ * Every symbol the widget tracks (watchlist and portfolio), e.g. for choosing alert symbols
+ * @returns {Array} [{ symbol, name, yahooSymbol }], one per Yahoo symbol
+ */
+export function getTrackedAssets() {
+    const assets = [];
+    getAllAssets().forEach(asset => {
+        if (!assets.some(a => a.yahooSymbol === asset.yahooSymbol)) {
+            assets.push({ symbol: asset.symbol, name: asset.name, yahooSymbol: asset.yahooSymbol });
+        }
     });
+    return assets;
 }
 
 /**
- * Fetch data for a specific asset
+ * @returns {Object} Chart ranges by key ('1d', '5d', '1mo', '1y'): { label, interval, cacheDuration }
  */
-async function fetchAssetData(asset) {
-    const now = Date.now();
-    const lastFetch = lastFetchTimes[asset.symbol];
+export function getChartRanges() {
+    return CHART_RANGES;
+}
 
-    // Throttle: Skip if fetched recently
-    if (lastFetch && now - lastFetch < FETCH_THROTTLE) {
-        return;
+/**
+ * Get a cached price series (which may be stale - check `isStale` and call loadChartSeries)
+ * @param {string} symbol - Asset key, e.g. 'SPX' or a watchlist ticker
+ * @param {string} range - Key of CHART_RANGES
+ * @returns {Object|null} { points: [[timestamp (s), close]], previousClose, timestamp, isStale }
+ */
+export function getChartSeries(symbol, range) {
+    const key = `${symbol}:${range}`;
+    if (!chartCache[key]) {
+        chartCache[key] = getCachedChart(symbol, range);
     }
 
-    // Update last fetch time
-    lastFetchTimes[asset.symbol] = now;
+    const series = chartCache[key];
+    if (!series) return null;
 
-    // Update loading state
-    dataCache[asset.symbol] = {
-        ...dataCache[asset.symbol],
-        isLoading: true
+    return {
+        ...series,
+        isStale: Date.now() - series.timestamp > CHART_RANGES[range].cacheDuration
     };
+}
 
-    try {
-        // Use chart API with minimal time range (just need current data)
-        const endDate = Math.floor(now / 1000);
-        const startDate = endDate - (2 * 24 * 60 * 60); // Last 2 days
-        const url = `${YAHOO_API_BASE}${asset.yahooSymbol}?period1=${startDate}&period2=${endDate}&interval=1d`;
+/**
+ * Fetch a price series unless a fresh one is cached. Requests are queued so that
+ * a panel full of sparklines doesn't hit Yahoo all at once.
+ * @param {string} symbol - Asset key
+ * @param {string} range - Key of CHART_RANGES
+ * @returns {Promise<Object>} The series (see getChartSeries)
+ * @throws {Error} If the symbol or range is unknown or the request fails
+ */
+export function loadChartSeries(symbol, range) {
+    const key = `${symbol}:${range}`;
+    const asset = getAssetConfig(symbol);
 
-        const response = await fetch(url);
+    if (!asset || !CHART_RANGES[range]) {
+        return Promise.reject(new Error(`No chart for ${symbol} (${range})`));
+    }
 
-        if (!response.ok) {
-            throw new Error(`API request failed with status ${response.status}`);
-        }
+    const cached = getChartSeries(symbol, range);
+    if (cached && !cached.isStale) {
+        return Promise.resolve(cached);
+    }
 
-        const result = await response.json();
+    if (!pendingCharts[key]) {
+        const request = chartQueue.then(() => fetchChartSeries(asset, range));
 
-        if (!result.chart?.result?.[0]) {
-            throw new Error('No data available in response');
-        }
+        // Keep the queue going after failures, with a gap before the next request
+        chartQueue = request.catch(() => {}).then(() => new Promise(resolve => setTimeout(resolve, STAGGER_DELAY)));
 
-        const chartData = result.chart.result[0];
-        const meta = chartData.meta;
-
-        // Extract data from time series (more accurate for daily changes)
-        const quotes = chartData.indicators?.quote?.[0];
-        const closes = quotes?.close || [];
-
-        // Get current price and previous close from the time series
-        let currentPrice = meta.regularMarketPrice || 0;
-        let previousClose = 0;
-
-        // If we have close data, use the last two values
-        if (closes.length >= 2) {
-            // Filter out null values
-            const validCloses = closes.filter(c => c !== null && c !== undefined);
-            if (validCloses.length >= 2) {
-                currentPrice = validCloses[validCloses.length - 1];
-                previousClose = validCloses[validCloses.length - 2];
-            } else if (validCloses.length === 1) {
-                currentPrice = validCloses[0];
-                previousClose = meta.chartPreviousClose || meta.previousClose || 0;
-            }
-        } else {
-            // Fallback to meta data if no time series available
-            currentPrice = meta.regularMarketPrice || meta.previousClose || 0;
-            previousClose = meta.chartPreviousClose || meta.previousClose || 0;
-        }
+        pendingCharts[key] = request.finally(() => {
+            delete pendingCharts[key];
+        });
+    }
 
-        // Calculate change
-        const change = currentPrice - previousClose;
-        const changePercent = previousClose !== 0 ? ((change / previousClose) * 100) : 0;
+    return pendingCharts[key];
+}
 
-        // Determine trend
-        const trend = change > 0 ? 'up' : change < 0 ? 'down' : 'neutral';
+async function fetchChartSeries(asset, range) {
+    const { interval } = CHART_RANGES[range];
+    const url = `${YAHOO_API_BASE}${encodeURIComponent(asset.yahooSymbol)}?range=${range}&interval=${interval}`;
 
-        // Update cache
-        const newData = {
-            currentPrice,
-            change,
-            changePercent,
-            trend,
-            isLoading: false,
-            error: null,
-            lastUpdated: now
-        };
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`API request failed with status ${response.status}`);
+    }
 
-        dataCache[asset.symbol] = newData;
-        setCachedData(asset.symbol, newData);
+    const result = await response.json();
+    const chartData = result.chart?.result?.[0];
+    if (!chartData) {
+        throw new Error('No data available in response');
+    }
 
-        // Notify UI
-        if (onDataUpdateCallback) {
-            onDataUpdateCallback(asset.symbol, newData);
-        }
+    // Gaps (e.g. a halted interval) come back as null closes
+    const timestamps = chartData.timestamp || [];
+    const closes = chartData.indicators?.quote?.[0]?.close || [];
+    const points = timestamps
+        .map((time, index) => [time, closes[index]])
+        .filter(([, close]) => close !== null && close !== undefined);
 
-    } catch (error) {
-        console.error(`Error fetching ${asset.symbol}:`, error);
+    if (points.length < 2) {
+        throw new Error('Not enough data for a chart');
+    }
 
-        const errorData = {
-            ...dataCache[asset.symbol],
-            isLoading: false,
-            error: error.message
-        };
+    const series = {
+        points,
+        previousClose: chartData.meta?.chartPreviousClose ?? null,
+        timestamp: Date.now()
+    };
 
-        dataCache[asset.symbol] = errorData;
+    chartCache[`${asset.symbol}:${range}`] = series;
+    setCachedChart(asset.symbol, range, series);
 
-        // Notify UI with error
-        if (onDataUpdateCallback) {
-            onDataUpdateCallback(asset.symbol, errorData);
-        }
+    return { ...series, isStale: false };
+}
+
+function getChartCacheKey(symbol, range) {
+    return `financial_${symbol}_chart_${range}`;
+}
+
+function getCachedChart(symbol, range) {
+    try {
+        return JSON.parse(localStorage.getItem(getChartCacheKey(symbol, range)));
+    } catch (error) {
+        console.error(`Error reading chart cache for ${symbol}:`, error);
+        return null;
+    }
+}
+
+function setCachedChart(symbol, range, series) {
+    try {
+        localStorage.setItem(getChartCacheKey(symbol, range), JSON.stringify(series));
+    } catch (error) {
+        console.error(`Error caching chart for ${symbol}:`, error);
     }
 }
 
 /**
- * Start rotating refresh interval
- * DISABLED: To avoid rate limiting from Yahoo Finance API
+ * Forget every range of an asset's chart
  */
-// function startRotatingRefresh() {
-//     refreshIntervalId = setInterval(() => {
-//         const asset = ASSET_CONFIGS[currentRotationIndex];
-//         fetchAssetData(asset);
-//         currentRotationIndex = (currentRotationIndex + 1) % ASSET_CONFIGS.length;
-//     }, REFRESH_INTERVAL);
-// }
+function removeCachedCharts(symbol) {
+    Object.keys(CHART_RANGES).forEach(range => {
+        delete chartCache[`${symbol}:${range}`];
+        localStorage.removeItem(getChartCacheKey(symbol, range));
+    });
+}
 
 /**
- * Setup visibility change listener
- * DISABLED: To avoid rate limiting from Yahoo Finance API
+ * Delete the charts of assets that left this profile's watchlist and portfolio, unless another
+ * profile's watchlist still shows them (the chart cache is shared by every profile)
+ * @param {string[]} symbols - Asset keys
  */
-// function setupVisibilityListener() {
-//     document.addEventListener('visibilitychange', handleVisibilityChange);
-// }
+async function removeUnusedCharts(symbols) {
+    try {
+        const { profiles } = await loadProfiles();
+        const watchlists = await Promise.all(profiles
+            .filter(profile => profile.id !== getActiveProfileId())
+            .map(async profile => {
+                const settings = await loadProfileSettings(profile.id);
+                return settings?.financeWatchlist || getDefaultWatchlist();
+            }));
+
+        const inUse = new Set([
+            ...watchlists.flat().map(entry => createWatchlistAsset(entry).symbol),
+            ...getAllAssets().map(asset => asset.symbol) // In case it was added back meanwhile
+        ]);
+        symbols.filter(symbol => !inUse.has(symbol)).forEach(removeCachedCharts);
+    } catch (error) {
+        console.error('Error cleaning up the chart cache:', error);
+    }
+}
 
 /**
- * Handle visibility change event
- * DISABLED: To avoid rate limiting from Yahoo Finance API
+ * Delete stored series that are unreadable or older than CHART_CACHE_MAX_AGE (which also
+ * covers symbols dropped while no tab was open), and quotes cached by older versions
  */
-// function handleVisibilityChange() {
-//     if (document.visibilityState === 'visible') {
-//         const now = Date.now();
-//         ASSET_CONFIGS.forEach((asset, index) => {
-//             const lastFetch = lastFetchTimes[asset.symbol];
-//             if (!lastFetch || now - lastFetch > 30000) {
-//                 setTimeout(() => {
-//                     fetchAssetData(asset);
-//                 }, index * STAGGER_DELAY);
-//             }
-//         });
-//     }
-// }
+function pruneMarketCache() {
+    const cutoff = Date.now() - CHART_CACHE_MAX_AGE;
+
+    Object.keys(localStorage)
+        .filter(key => LEGACY_QUOTE_KEY_PATTERN.test(key))
+        .forEach(key => localStorage.removeItem(key));
+
+    Object.keys(localStorage)
+        .filter(key => CHART_CACHE_KEY_PATTERN.test(key))
+        .forEach(key => {
+            let series = null;
+            try {
+                series = JSON.parse(localStorage.getItem(key));
+            } catch {
+                // Unreadable, so dropped below
+            }
+
+            if (!series || !(series.timestamp >= cutoff)) {
+                localStorage.removeItem(key);
+            }
+        });
+}
 
 /**
- * Get current data for a specific asset
+ * Replace the watchlist (e.g. after it was edited); newly added symbols are fetched right away
+ * @param {Array} watchlist - [{ symbol, name, category, type, currency }] where `symbol` is the
+ *   Yahoo ticker, `category` the user's grouping and `type`/`currency` come from validateSymbol()
  */
-export function getAssetData(symbol) {
-    return dataCache[symbol] || null;
+export function setWatchlist(watchlist) {
+    replaceUserAssets(() => {
+        watchlistAssets = watchlist.map(createWatchlistAsset);
+    });
 }
 
 /**
- * Get header indices data formatted for display
+ * Replace the symbols that price the portfolio (positions and exchange rates); new ones are fetched right away
+ * @param {string[]} symbols - Yahoo symbols
  */
-export function getHeaderIndicesData() {
-    return HEADER_INDICES.map(asset => {
-        const data = dataCache[asset.symbol] || {};
+export function setPortfolioSymbols(symbols) {
+    replaceUserAssets(() => {
+        portfolioAssets = symbols.map(createPortfolioAsset);
+    });
+}
 
-        return {
-            symbol: asset.symbol,
-            label: asset.name,
-            value: asset.formatPrice(data.currentPrice || 0),
-            change: formatChange(data.change || 0),
-            changePercent: formatChangePercent(data.changePercent || 0),
-            trend: data.trend || 'neutral',
-            isLoading: data.isLoading || false,
-            error: data.error || null
-        };
+function replaceUserAssets(replace) {
+    const previousSymbols = new Set(getAllAssets().map(asset => asset.symbol));
+    replace();
+
+    // Symbols no longer shown mustn't linger in the market pulse or spreads, nor their charts in storage
+    const currentSymbols = new Set(getAllAssets().map(asset => asset.symbol));
+    Object.keys(dataCache)
+        .filter(symbol => !currentSymbols.has(symbol))
+        .forEach(symbol => delete dataCache[symbol]);
+    const removedSymbols = [...previousSymbols].filter(symbol => !currentSymbols.has(symbol));
+    if (removedSymbols.length > 0) {
+        removeUnusedCharts(removedSymbols);
+    }
+
+    if (!isServiceStarted) return;
+
+    const addedAssets = getAllAssets().filter(asset => !previousSymbols.has(asset.symbol));
+    if (addedAssets.length === 0) return;
+
+    addedAssets.forEach(asset => {
+        dataCache[asset.symbol] = getQuoteData(asset);
     });
+    requestQuotes(addedAssets.map(asset => asset.yahooSymbol));
 }
 
 /**
- * Get all asset data formatted for display
+ * Get watchlist data formatted for display, in watchlist order
+ * @returns {Array} [{ symbol (cache key), yahooSymbol, label, value, change, changePercent, trend, icon,
+ *   category (card colour), section (built-in category, or null), watchlistCategory, isLoading, error }]
  */
-export function getAllAssetData() {
-    return ASSET_CONFIGS.map(asset => {
+export function getWatchlistData() {
+    return watchlistAssets.map(asset => {
         const data = dataCache[asset.symbol] || {};
 
         return {
             symbol: asset.symbol,
+            yahooSymbol: asset.yahooSymbol,
             label: asset.name,
             value: asset.formatPrice(data.currentPrice || 0),
             change: formatChange(data.change || 0),
@@ -1019,6 +1051,8 @@ export function getAllAssetData() {
             trend: data.trend || 'neutral',
             icon: asset.icon,
             category: asset.category,
+            section: asset.section,
+            watchlistCategory: asset.watchlistCategory,
             isLoading: data.isLoading || false,
             error: data.error || null
         };
@@ -1026,82 +1060,137 @@ export function getAllAssetData() {
 }
 
 /**
- * Format change value
+ * Normalize a user-entered ticker
+ * @returns {string|null} Upper-cased ticker, or null if it can't be a Yahoo symbol
  */
-function formatChange(change) {
-    const sign = change >= 0 ? '+' : '';
-    return `${sign}${change.toFixed(2)}`;
+export function normalizeSymbol(value) {
+    const symbol = String(value || '').trim().toUpperCase();
+    return SYMBOL_PATTERN.test(symbol) ? symbol : null;
 }
 
 /**
- * Format change percentage
+ * Check that Yahoo Finance has a price for a symbol (one small chart request)
+ * @param {string} symbol - Yahoo ticker, e.g. "AAPL" or "^FTSE"
+ * @returns {Promise<Object>} { symbol, name, type, currency } as reported by Yahoo
+ * @throws {Error} If the symbol is malformed, unknown or has no price
  */
-function formatChangePercent(changePercent) {
-    const sign = changePercent >= 0 ? '+' : '';
-    return `${sign}${changePercent.toFixed(4)}%`;
+export async function validateSymbol(symbol) {
+    const ticker = normalizeSymbol(symbol);
+    if (!ticker) {
+        throw new Error(`"${symbol}" is not a valid Yahoo Finance symbol`);
+    }
+
+    const response = await fetch(`${YAHOO_API_BASE}${encodeURIComponent(ticker)}?range=1d&interval=1d`);
+
+    // Yahoo answers 404 (with a chart.error body) for unknown symbols
+    if (response.status === 404) {
+        throw new Error(`Yahoo Finance doesn't know the symbol "${ticker}"`);
+    }
+    if (!response.ok) {
+        throw new Error(`API request failed with status ${response.status}`);
+    }
+
+    const result = await response.json();
+    const meta = result.chart?.result?.[0]?.meta;
+
+    if (!meta || typeof meta.regularMarketPrice !== 'number') {
+        throw new Error(result.chart?.error?.description || `No price data for "${ticker}"`);
+    }
+
+    // Type and currency are stored with watchlist entries, which only take well-formed codes
+    return {
+        symbol: meta.symbol || ticker,
+        name: meta.longName || meta.shortName || ticker,
+        type: /^[A-Z]+$/.test(meta.instrumentType) ? meta.instrumentType : null,
+        currency: /^[A-Za-z]{3}$/.test(meta.currency) ? meta.currency : null
+    };
 }
 
 /**
- * Get asset configuration
+ * The watchlist a profile starts out with: every built-in symbol, grouped by category
+ * @returns {Array} Watchlist entries (see setWatchlist); built-ins need no type or currency
  */
-export function getAssetConfig(symbol) {
-    return ASSET_CONFIGS.find(asset => asset.symbol === symbol);
+export function getDefaultWatchlist() {
+    return Object.entries(DEFAULT_CATEGORY_NAMES).flatMap(([section, category]) =>
+        SYMBOL_CATEGORIES[section].map(asset => ({ symbol: asset.yahooSymbol, name: asset.name, category })));
 }
 
 /**
- * Cleanup service - stop all intervals and listeners
+ * Build the asset config for a watchlist entry. A built-in ticker keeps the built-in's short
+ * key (which the market pulse and yield spread look up), icon and price format.
  */
-export function cleanupService() {
-    if (refreshIntervalId) {
-        clearInterval(refreshIntervalId);
-        refreshIntervalId = null;
-    }
-
-    // Visibility listener disabled - no need to remove
-    // document.removeEventListener('visibilitychange', handleVisibilityChange);
+function createWatchlistAsset(entry) {
+    const builtIn = ASSET_CONFIGS.find(asset => asset.yahooSymbol === entry.symbol);
+    const style = builtIn || INSTRUMENT_STYLES[entry.type] || DEFAULT_INSTRUMENT_STYLE;
+
+    return {
+        symbol: builtIn ? builtIn.symbol : getWatchlistKey(entry.symbol),
+        name: entry.name || entry.symbol,
+        yahooSymbol: entry.symbol,
+        icon: style.icon,
+        category: style.category,
+        section: builtIn ? builtIn.section : null,
+        watchlistCategory: entry.category || '',
+        formatPrice: builtIn ? builtIn.formatPrice : createPriceFormatter(entry)
+    };
+}
 
-    onDataUpdateCallback = null;
-    currentRotationIndex = 0;
+function createPortfolioAsset(symbol) {
+    return createWatchlistAsset({ symbol, name: symbol });
 }
 
 /**
- * Force refresh all assets (for testing or manual refresh)
+ * Cache key for a watchlist ticker - keeps tickers like "BTC" (an ETF) apart from the
+ * built-in short keys (where BTC means BTC-USD)
  */
-export function forceRefreshAll() {
-    startStaggeredFetch();
+function getWatchlistKey(ticker) {
+    const clashes = ASSET_CONFIGS.some(asset => asset.symbol === ticker);
+    return clashes ? `${ticker}:watch` : ticker;
+}
+
+function createPriceFormatter({ type, currency }) {
+    // Exchange rates need more precision than prices
+    if (type === 'CURRENCY') {
+        return (price) => price.toFixed(4);
+    }
+
+    // Indices are points
+    if (type === 'INDEX' || !currency) {
+        return (price) => price.toFixed(2);
+    }
+
+    // Minor units like GBp (pence) aren't ISO currency codes
+    if (!/^[A-Z]{3}$/.test(currency)) {
+        return (price) => `${price.toFixed(2)} ${currency}`;
+    }
+
+    const formatter = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    });
+    return (price) => formatter.format(price);
 }
 
 /**
- * Get data for a specific category
- * @param {string} categoryName - Name of the category ('volatility', 'treasuries', etc.)
- * @returns {Array} Array of asset data with current prices and changes
+ * Cleanup service - stop listening for quote changes
  */
-export function getCategoryData(categoryName) {
-    const category = SYMBOL_CATEGORIES[categoryName];
-    if (!category) return [];
+export function cleanupService() {
+    if (stopWatchingQuotes) {
+        stopWatchingQuotes();
+        stopWatchingQuotes = null;
+    }
 
-    return category.map(asset => {
-        const data = dataCache[asset.symbol] || {
-            currentPrice: 0,
-            change: 0,
-            changePercent: 0,
-            trend: 'neutral',
-            isLoading: true
-        };
+    onDataUpdateCallback = null;
+    isServiceStarted = false;
+}
 
-        return {
-            symbol: asset.symbol,
-            name: asset.name,
-            icon: asset.icon,
-            value: asset.formatPrice(data.currentPrice || 0),
-            change: formatChange(data.change || 0),
-            changePercent: formatChangePercent(data.changePercent || 0),
-            trend: data.trend || 'neutral',
-            isLoading: data.isLoading || false,
-            error: data.error || null,
-            category: asset.category
-        };
-    });
+/**
+ * Force refresh all assets (for testing or manual refresh)
+ */
+export function forceRefreshAll() {
+    requestQuotes(getSymbolsByPriority(), { force: true });
 }
 
 /**
@@ -1122,11 +1211,3 @@ export function getYieldSpread(symbol1, symbol2) {
     // Return spread in basis points
     return ((yield1 - yield2) * 100).toFixed(0);
 }
-
-/**
- * Get all symbol categories for rendering
- * @returns {object} Object containing all categories
- */
-export function getSymbolCategories() {
-    return SYMBOL_CATEGORIES;
-}
@@ -0,0 +1,264 @@
+// marketDataCache.js - Latest quotes for every tracked Yahoo symbol, fetched by the background worker
+// and shared with all new tabs through chrome.storage.local (so tabs render from it instead of fetching)
+import { getRefreshInterval } from './marketHours.js';
+
+const QUOTES_STORAGE_KEY = 'finance_quotes';
+const TRACKED_STORAGE_KEY = 'finance_tracked_symbols';
+const YAHOO_API_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+const STAGGER_DELAY = 300; // 300ms between requests
+const QUOTE_BATCH_SIZE = 10; // Quotes fetched between saves, so open tabs fill in as they arrive
+const TRACKED_SYMBOL_RETENTION = 24 * 60 * 60 * 1000; // Symbols no tab has asked for in a day stop being fetched
+
+// Without the extension APIs (development), quotes are kept in localStorage and changes are
+// only seen by this page
+const localListeners = new Set();
+let localRefresh = Promise.resolve();
+
+/**
+ * Load the shared quotes
+ * @returns {Promise<Object>} Yahoo symbol -> { currentPrice, change, changePercent, trend,
+ *   lastUpdated (null until a price was fetched), checkedAt, error }
+ */
+export function loadQuotes() {
+    return readValue(QUOTES_STORAGE_KEY, {});
+}
+
+/**
+ * Call `onChange(quotes)` whenever the shared quotes change
+ * @returns {Function} Stops listening
+ */
+export function watchQuotes(onChange) {
+    if (!hasExtensionStorage()) {
+        localListeners.add(onChange);
+        return () => localListeners.delete(onChange);
+    }
+
+    const listener = (changes, areaName) => {
+        if (areaName === 'local' && changes[QUOTES_STORAGE_KEY]) {
+            onChange(changes[QUOTES_STORAGE_KEY].newValue || {});
+        }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Ask for symbols to be kept up to date; any without a recent quote are fetched now
+ * @param {string[]} symbols - Yahoo symbols, most important first
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Refetch every symbol, however recent its quote
+ */
+export function requestQuotes(symbols, { force = false } = {}) {
+    if (typeof chrome !== 'undefined' && chrome.runtime?.sendMessage) {
+        // The worker doesn't reply, which rejects the returned promise
+        chrome.runtime.sendMessage({ type: 'track-market-symbols', symbols, force }).catch(() => {});
+        return;
+    }
+
+    // No background worker outside the extension, so the page fetches for itself
+    localRefresh = localRefresh
+        .then(() => refreshQuotes(symbols, { maxAge: force ? 0 : getQuoteMaxAge() }))
+        .catch(error => console.error('Error refreshing market data:', error));
+}
+
+/**
+ * @returns {number} How old a quote may be before it's refetched (the current session's refresh interval), in ms
+ */
+export function getQuoteMaxAge() {
+    return getRefreshInterval() * 60 * 1000;
+}
+
+/**
+ * Remember that a tab wants these symbols (background worker)
+ * @param {string[]} symbols - Yahoo symbols
+ * @returns {Promise<void>}
+ */
+export async function trackSymbols(symbols) {
+    const tracked = await readValue(TRACKED_STORAGE_KEY, {});
+    const now = Date.now();
+    symbols.forEach(symbol => {
+        tracked[symbol] = now;
+    });
+    await writeValue(TRACKED_STORAGE_KEY, tracked);
+}
+
+/**
+ * Symbols some tab asked for recently, forgetting the rest (background worker)
+ * @returns {Promise<string[]>}
+ */
+export async function getTrackedSymbols() {
+    const tracked = await readValue(TRACKED_STORAGE_KEY, {});
+    const cutoff = Date.now() - TRACKED_SYMBOL_RETENTION;
+    const expired = Object.keys(tracked).filter(symbol => tracked[symbol] < cutoff);
+
+    if (expired.length > 0) {
+        expired.forEach(symbol => delete tracked[symbol]);
+        await writeValue(TRACKED_STORAGE_KEY, tracked);
+    }
+    return Object.keys(tracked);
+}
+
+/**
+ * Fetch quotes one at a time (STAGGER_DELAY apart, to stay clear of Yahoo's rate limits),
+ * saving them in batches
+ * @param {string[]} symbols - Yahoo symbols, most important first
+ * @param {Object} [options]
+ * @param {number} [options.maxAge=0] - Skip symbols checked less than this long ago (ms)
+ * @param {boolean} [options.prune=false] - Drop stored quotes for symbols not in `symbols`
+ * @returns {Promise<string[]>} The symbols that were fetched
+ */
+export async function refreshQuotes(symbols, { maxAge = 0, prune = false } = {}) {
+    const quotes = await loadQuotes();
+    const now = Date.now();
+    const wanted = [...new Set(symbols)];
+
+    if (prune) {
+        Object.keys(quotes).forEach(symbol => {
+            if (!wanted.includes(symbol)) {
+                delete quotes[symbol];
+            }
+        });
+    }
+
+    const due = wanted.filter(symbol => !quotes[symbol] || now - (quotes[symbol].checkedAt || 0) >= maxAge);
+
+    for (let i = 0; i < due.length; i++) {
+        if (i > 0) {
+            await new Promise(resolve => setTimeout(resolve, STAGGER_DELAY));
+        }
+
+        const symbol = due[i];
+        try {
+            quotes[symbol] = await fetchQuote(symbol);
+        } catch (error) {
+            console.error(`Error fetching ${symbol}:`, error);
+            // Keep the last price, but don't retry before the next refresh
+            quotes[symbol] = { ...quotes[symbol], error: error.message, checkedAt: Date.now() };
+        }
+
+        if ((i + 1) % QUOTE_BATCH_SIZE === 0 || i === due.length - 1) {
+            await writeValue(QUOTES_STORAGE_KEY, quotes);
+        }
+    }
+
+    if (prune && due.length === 0) {
+        await writeValue(QUOTES_STORAGE_KEY, quotes);
+    }
+
+    return due;
+}
+
+/**
+ * Fetch the current price and today's change for a Yahoo symbol
+ * @param {string} symbol - Yahoo ticker, e.g. "^VIX" or "BTC-USD"
+ * @returns {Promise<Object>} Quote (see loadQuotes)
+ * @throws {Error} If the request fails or has no data
+ */
+async function fetchQuote(symbol) {
+    const now = Date.now();
+
+    // Use chart API with minimal time range (just need current data)
+    const endDate = Math.floor(now / 1000);
+    const startDate = endDate - (2 * 24 * 60 * 60); // Last 2 days
+    const url = `${YAHOO_API_BASE}${encodeURIComponent(symbol)}?period1=${startDate}&period2=${endDate}&interval=1d`;
+
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`API request failed with status ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    if (!result.chart?.result?.[0]) {
+        throw new Error('No data available in response');
+    }
+
+    const chartData = result.chart.result[0];
+    const meta = chartData.meta;
+
+    // Extract data from time series (more accurate for daily changes)
+    const quotes = chartData.indicators?.quote?.[0];
+    const closes = quotes?.close || [];
+
+    // Get current price and previous close from the time series
+    let currentPrice = meta.regularMarketPrice || 0;
+    let previousClose = 0;
+
+    // If we have close data, use the last two values
+    if (closes.length >= 2) {
+        // Filter out null values
+        const validCloses = closes.filter(c => c !== null && c !== undefined);
+        if (validCloses.length >= 2) {
+            currentPrice = validCloses[validCloses.length - 1];
+            previousClose = validCloses[validCloses.length - 2];
+        } else if (validCloses.length === 1) {
+            currentPrice = validCloses[0];
+            previousClose = meta.chartPreviousClose || meta.previousClose || 0;
+        }
+    } else {
+        // Fallback to meta data if no time series available
+        currentPrice = meta.regularMarketPrice || meta.previousClose || 0;
+        previousClose = meta.chartPreviousClose || meta.previousClose || 0;
+    }
+
+    // Calculate change
+    const change = currentPrice - previousClose;
+    const changePercent = previousClose !== 0 ? ((change / previousClose) * 100) : 0;
+
+    return {
+        currentPrice,
+        change,
+        changePercent,
+        trend: change > 0 ? 'up' : change < 0 ? 'down' : 'neutral',
+        lastUpdated: now,
+        checkedAt: now,
+        error: null
+    };
+}
+
+function hasExtensionStorage() {
+    return typeof chrome !== 'undefined' && Boolean(chrome.storage?.local);
+}
+
+function readValue(key, fallback) {
+    return new Promise((resolve) => {
+        if (hasExtensionStorage()) {
+            chrome.storage.local.get([key], (result) => resolve(result[key] || fallback));
+            return;
+        }
+
+        try {
+            resolve(JSON.parse(localStorage.getItem(key)) || fallback);
+        } catch (error) {
+            console.error(`Error loading ${key}:`, error);
+            resolve(fallback);
+        }
+    });
+}
+
+function writeValue(key, value) {
+    return new Promise((resolve, reject) => {
+        if (hasExtensionStorage()) {
+            chrome.storage.local.set({ [key]: value }, () => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve();
+                }
+            });
+            return;
+        }
+
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            reject(error);
+            return;
+        }
+        if (key === QUOTES_STORAGE_KEY) {
+            localListeners.forEach(listener => listener(value));
+        }
+        resolve();
+    });
+}
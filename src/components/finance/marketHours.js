@@ -0,0 +1,139 @@
+// marketHours.js - US market session (pre-market, open, after hours, closed), shared by the widget and the background worker
+
+// How often the background worker refreshes market data in each session (minutes)
+const REFRESH_INTERVALS = {
+    open: 5,
+    premarket: 15,
+    afterhours: 15,
+    closed: 60
+};
+
+// Session boundaries in ET, in minutes from midnight
+const PRE_MARKET_START = 4 * 60;        // 4:00 AM
+const MARKET_OPEN = 9 * 60 + 30;        // 9:30 AM
+const MARKET_CLOSE = 16 * 60;           // 4:00 PM
+const AFTER_HOURS_END = 20 * 60;        // 8:00 PM
+
+/**
+ * Get the market session at a point in time
+ * @param {Date} date
+ * @returns {Object} { label, type ('open', 'premarket', 'afterhours' or 'closed'), countdown,
+ *   minutesUntilChange (until the next session starts) }
+ */
+export function getMarketStatus(date) {
+    // Convert to ET timezone
+    const etTime = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+    const day = etTime.getDay();
+    const totalMinutes = etTime.getHours() * 60 + etTime.getMinutes();
+
+    // Weekend handling
+    if (day === 0 || day === 6) {
+        // Calculate time until Monday 4:00 AM ET
+        const minutesUntilChange = getMinutesToMonday(etTime);
+        return {
+            label: 'Market Closed',
+            type: 'closed',
+            countdown: formatWeekendCountdown(minutesUntilChange),
+            minutesUntilChange
+        };
+    }
+
+    // During market hours
+    if (totalMinutes >= MARKET_OPEN && totalMinutes < MARKET_CLOSE) {
+        return {
+            label: 'Market Open',
+            type: 'open',
+            countdown: `Closes in ${formatCountdown(MARKET_CLOSE - totalMinutes)}`,
+            minutesUntilChange: MARKET_CLOSE - totalMinutes
+        };
+    }
+    // Pre-market hours
+    else if (totalMinutes >= PRE_MARKET_START && totalMinutes < MARKET_OPEN) {
+        return {
+            label: 'Pre-Market',
+            type: 'premarket',
+            countdown: `Opens in ${formatCountdown(MARKET_OPEN - totalMinutes)}`,
+            minutesUntilChange: MARKET_OPEN - totalMinutes
+        };
+    }
+    // After hours
+    else if (totalMinutes >= MARKET_CLOSE && totalMinutes < AFTER_HOURS_END) {
+        return {
+            label: 'After Hours',
+            type: 'afterhours',
+            countdown: `Closes in ${formatCountdown(AFTER_HOURS_END - totalMinutes)}`,
+            minutesUntilChange: AFTER_HOURS_END - totalMinutes
+        };
+    }
+    // Overnight (after 8 PM or before 4 AM)
+    else {
+        // After 8 PM the next pre-market is tomorrow at 4 AM
+        const minutesUntilChange = totalMinutes >= AFTER_HOURS_END
+            ? 24 * 60 + PRE_MARKET_START - totalMinutes
+            : PRE_MARKET_START - totalMinutes;
+        return {
+            label: 'Market Closed',
+            type: 'closed',
+            countdown: `Opens in ${formatCountdown(minutesUntilChange)}`,
+            minutesUntilChange
+        };
+    }
+}
+
+/**
+ * Minutes until market data should next be refreshed: often while the market is open, rarely
+ * when it's closed, and never later than the start of the next session
+ * @param {Date} [date=new Date()]
+ * @returns {number}
+ */
+export function getRefreshDelay(date = new Date()) {
+    const status = getMarketStatus(date);
+    return Math.max(1, Math.min(REFRESH_INTERVALS[status.type], status.minutesUntilChange));
+}
+
+/**
+ * @param {Date} [date=new Date()]
+ * @returns {number} Refresh interval of the current session, in minutes
+ */
+export function getRefreshInterval(date = new Date()) {
+    return REFRESH_INTERVALS[getMarketStatus(date).type];
+}
+
+function formatCountdown(diff) {
+    const hours = Math.floor(diff / 60);
+    const mins = diff % 60;
+
+    if (hours > 0) {
+        return `${hours}h ${mins}m`;
+    } else {
+        return `${mins}m`;
+    }
+}
+
+function getMinutesToMonday(etTime) {
+    // Calculate days until Monday
+    const currentDay = etTime.getDay();
+    const daysUntilMonday = currentDay === 0 ? 1 : 7 - currentDay + 1;
+
+    // Create target date (next Monday at 4:00 AM ET)
+    const monday = new Date(etTime);
+    monday.setDate(monday.getDate() + daysUntilMonday);
+    monday.setHours(4, 0, 0, 0);
+
+    return Math.floor((monday - etTime) / (1000 * 60));
+}
+
+function formatWeekendCountdown(diff) {
+    const hours = Math.floor(diff / 60);
+    const mins = diff % 60;
+
+    if (hours >= 24) {
+        const days = Math.floor(hours / 24);
+        const remainingHours = hours % 24;
+        return `Opens in ${days}d ${remainingHours}h`;
+    } else if (hours > 0) {
+        return `Opens in ${hours}h ${mins}m`;
+    } else {
+        return `Opens in ${mins}m`;
+    }
+}
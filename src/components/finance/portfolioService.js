@@ -0,0 +1,386 @@
+// portfolioService.js - Portfolio positions (kept in localStorage), broker CSV import and valuation
+import { normalizeSymbol } from './financialDataService.js';
+import { profileStorageKey } from '../settings/profiles.js';
+
+const PORTFOLIO_STORAGE_KEY = 'finance_portfolio'; // Suffixed per profile (see profiles.js)
+
+// Yahoo quotes some exchanges in minor units (e.g. London in pence)
+const MINOR_UNITS = {
+    GBp: { currency: 'GBP', divisor: 100 },
+    GBX: { currency: 'GBP', divisor: 100 },
+    ILA: { currency: 'ILS', divisor: 100 },
+    ZAc: { currency: 'ZAR', divisor: 100 }
+};
+
+// Broker export headers (lower-cased, letters and digits only) for each column we need
+const CSV_COLUMNS = {
+    symbol: ['symbol', 'ticker', 'tickersymbol', 'instrument', 'code', 'securitysymbol'],
+    quantity: ['quantity', 'qty', 'shares', 'units', 'position', 'sharesheld', 'quantityheld'],
+    averageCost: ['averagecost', 'avgcost', 'averageprice', 'avgprice', 'averagecostpershare', 'avgcostpershare',
+        'costpershare', 'unitcost', 'costbasispershare', 'pricepaid', 'averagebuyprice', 'avgbuyprice'],
+    totalCost: ['costbasis', 'totalcost', 'totalcostbasis', 'costbasistotal', 'bookcost', 'bookvalue'],
+    currency: ['currency', 'ccy', 'currencycode']
+};
+
+// [{ id, symbol, quantity, averageCost, currency }] - averageCost is per share (null if unknown),
+// in the position's currency, which is the currency Yahoo quotes the symbol in. Loaded by
+// initPortfolio(), once the profile schedule has picked the active profile
+let positions = [];
+
+/**
+ * Load the active profile's positions
+ */
+export function initPortfolio() {
+    positions = loadPositions();
+}
+
+/**
+ * @returns {Array} Positions in the order they were added
+ */
+export function getPositions() {
+    return positions;
+}
+
+/**
+ * Add a position
+ * @param {Object} position - { symbol, quantity, averageCost, currency }
+ * @returns {Object} The stored position (with its id)
+ */
+export function addPosition(position) {
+    const stored = { id: createPositionId(), ...position };
+    positions = [...positions, stored];
+    savePositions();
+    return stored;
+}
+
+/**
+ * Change a position's quantity, average cost or currency
+ * @param {string} id - Position ID
+ * @param {Object} changes - Fields to replace
+ */
+export function updatePosition(id, changes) {
+    positions = positions.map(position => position.id === id ? { ...position, ...changes, id } : position);
+    savePositions();
+}
+
+export function removePosition(id) {
+    positions = positions.filter(position => position.id !== id);
+    savePositions();
+}
+
+/**
+ * Add imported positions, replacing existing positions in the same symbols
+ * @param {Array} imported - Positions from parsePositionsCsv()
+ * @returns {Object} { added, replaced } counts
+ */
+export function importPositions(imported) {
+    const importedSymbols = new Set(imported.map(position => position.symbol));
+    const replaced = positions.filter(position => importedSymbols.has(position.symbol)).length;
+
+    positions = [
+        ...positions.filter(position => !importedSymbols.has(position.symbol)),
+        ...imported.map(position => ({ id: createPositionId(), ...position }))
+    ];
+    savePositions();
+
+    return { added: imported.length - replaced, replaced };
+}
+
+/**
+ * Parse a broker's holdings export. The header row is found by its column names, so notes
+ * above it are skipped; lots of the same symbol are merged at their weighted average cost.
+ * @param {string} text - CSV (comma, semicolon or tab separated)
+ * @param {string} defaultCurrency - Used when the file has no currency column
+ * @returns {Object} { positions: [{ symbol, quantity, averageCost, currency }], skipped }
+ * @throws {Error} If no header row with symbol and quantity columns is found
+ */
+export function parsePositionsCsv(text, defaultCurrency) {
+    const delimiter = detectDelimiter(text);
+    const rows = parseCsvRows(text.replace(/^\uFEFF/, ''), delimiter);
+
+    const headerIndex = rows.findIndex(row => {
+        const columns = findColumns(row);
+        return columns.symbol !== -1 && columns.quantity !== -1;
+    });
+    if (headerIndex === -1) {
+        throw new Error('No header row with symbol and quantity columns found');
+    }
+
+    const columns = findColumns(rows[headerIndex]);
+    const merged = new Map();
+    let skipped = 0;
+
+    rows.slice(headerIndex + 1).forEach(row => {
+        if (row.every(cell => cell.trim() === '')) return;
+
+        // Cash, totals and other non-security rows don't have a usable symbol and quantity
+        const symbol = normalizeSymbol(row[columns.symbol]);
+        const quantity = parseNumber(row[columns.quantity], delimiter);
+        if (!symbol || !(quantity > 0)) {
+            skipped++;
+            return;
+        }
+
+        let averageCost = columns.averageCost !== -1 ? parseNumber(row[columns.averageCost], delimiter) : null;
+        if (averageCost === null && columns.totalCost !== -1) {
+            const totalCost = parseNumber(row[columns.totalCost], delimiter);
+            averageCost = totalCost === null ? null : totalCost / quantity;
+        }
+
+        const currency = (columns.currency !== -1 && normalizeCurrency(row[columns.currency])) || defaultCurrency;
+        const existing = merged.get(symbol);
+
+        if (existing) {
+            const totalQuantity = existing.quantity + quantity;
+            existing.averageCost = existing.averageCost === null || averageCost === null
+                ? null
+                : (existing.averageCost * existing.quantity + averageCost * quantity) / totalQuantity;
+            existing.quantity = totalQuantity;
+        } else {
+            merged.set(symbol, { symbol, quantity, averageCost, currency });
+        }
+    });
+
+    return { positions: [...merged.values()], skipped };
+}
+
+/**
+ * Normalize a currency code, keeping the case of minor units such as GBp
+ * @returns {string|null} e.g. "USD" or "GBp", or null if it isn't a currency code
+ */
+export function normalizeCurrency(value) {
+    const code = String(value || '').trim();
+    if (MINOR_UNITS[code]) return code;
+    return /^[a-z]{3}$/i.test(code) ? code.toUpperCase() : null;
+}
+
+/**
+ * Yahoo symbols needed to value the portfolio: each position plus the exchange rates
+ * for positions held in other currencies
+ * @param {string} baseCurrency - Currency the portfolio is valued in
+ * @returns {string[]} Unique Yahoo symbols
+ */
+export function getPortfolioSymbols(baseCurrency) {
+    const symbols = new Set(positions.map(position => position.symbol));
+    positions.forEach(position => {
+        const fxSymbol = getFxSymbol(position.currency, baseCurrency);
+        if (fxSymbol) symbols.add(fxSymbol);
+    });
+    return [...symbols];
+}
+
+/**
+ * Value the portfolio in the base currency
+ * @param {string} baseCurrency - e.g. "USD"
+ * @param {Function} getQuote - (yahooSymbol) => { price, change, isLoading, error } or null
+ * @returns {Object} { positions, totalValue, dayChange, dayChangePercent, unrealizedPnl,
+ *   unrealizedPnlPercent, isComplete } - each position adds price, marketValue, dayChange,
+ *   unrealizedPnl, unrealizedPnlPercent (position currency converted to base), allocation (0-100),
+ *   isLoading and error; values are null while a price or exchange rate is missing
+ */
+export function getPortfolioSummary(baseCurrency, getQuote) {
+    const valued = positions.map(position => {
+        const quote = getQuote(position.symbol);
+        const rate = getExchangeRate(position.currency, baseCurrency, getQuote);
+        const price = quote?.price ?? null;
+
+        if (price === null || rate === null) {
+            return {
+                ...position,
+                price,
+                marketValue: null,
+                dayChange: null,
+                costBasis: null,
+                unrealizedPnl: null,
+                unrealizedPnlPercent: null,
+                isLoading: Boolean(quote?.isLoading),
+                error: quote?.error || (rate === null && price !== null ? `No ${position.currency}/${baseCurrency} rate` : null)
+            };
+        }
+
+        const marketValue = position.quantity * price * rate;
+        const costBasis = position.averageCost === null ? null : position.quantity * position.averageCost * rate;
+
+        return {
+            ...position,
+            price,
+            marketValue,
+            dayChange: position.quantity * (quote.change || 0) * rate,
+            costBasis,
+            unrealizedPnl: costBasis === null ? null : marketValue - costBasis,
+            unrealizedPnlPercent: costBasis ? ((marketValue - costBasis) / costBasis) * 100 : null,
+            isLoading: Boolean(quote.isLoading),
+            error: quote.error || null
+        };
+    });
+
+    const priced = valued.filter(position => position.marketValue !== null);
+    const withCost = priced.filter(position => position.costBasis !== null);
+    const totalValue = sum(priced, 'marketValue');
+    const dayChange = sum(priced, 'dayChange');
+    const totalCost = sum(withCost, 'costBasis');
+    const unrealizedPnl = sum(withCost, 'unrealizedPnl');
+
+    return {
+        positions: valued.map(position => ({
+            ...position,
+            allocation: position.marketValue !== null && totalValue > 0 ? (position.marketValue / totalValue) * 100 : null
+        })),
+        totalValue,
+        dayChange,
+        dayChangePercent: totalValue - dayChange !== 0 ? (dayChange / (totalValue - dayChange)) * 100 : 0,
+        unrealizedPnl,
+        unrealizedPnlPercent: totalCost ? (unrealizedPnl / totalCost) * 100 : null,
+        isComplete: priced.length === positions.length
+    };
+}
+
+/**
+ * Yahoo symbol for converting a currency to the base currency, e.g. "EURUSD=X"
+ * @returns {string|null} Null when no conversion is needed
+ */
+function getFxSymbol(currency, baseCurrency) {
+    const major = MINOR_UNITS[currency]?.currency || currency;
+    return major === baseCurrency ? null : `${major}${baseCurrency}=X`;
+}
+
+/**
+ * @returns {number|null} Base currency per unit of `currency`, or null while the rate is loading
+ */
+function getExchangeRate(currency, baseCurrency, getQuote) {
+    const divisor = MINOR_UNITS[currency]?.divisor || 1;
+    const fxSymbol = getFxSymbol(currency, baseCurrency);
+    if (!fxSymbol) return 1 / divisor;
+
+    const rate = getQuote(fxSymbol)?.price;
+    return rate ? rate / divisor : null;
+}
+
+function sum(items, field) {
+    return items.reduce((total, item) => total + item[field], 0);
+}
+
+function findColumns(row) {
+    const headers = row.map(cell => cell.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    const columns = {};
+    Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+        columns[field] = headers.findIndex(header => names.includes(header));
+    });
+    return columns;
+}
+
+function detectDelimiter(text) {
+    const firstLines = text.split(/\r?\n/).slice(0, 10).join('\n');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLines.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells (with "" escapes and line breaks)
+ */
+function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Parse a number as brokers write it: "$1,234.50", "(12.00)", "1.234,50" (semicolon files)
+ * @returns {number|null} Null for empty or non-numeric cells
+ */
+function parseNumber(value, delimiter) {
+    let text = String(value ?? '').trim();
+    const isNegative = /^\(.*\)$/.test(text) || text.includes('-');
+    text = text.replace(/[^0-9.,]/g, '');
+    if (!/\d/.test(text)) return null;
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    const decimalComma = lastComma > lastDot && (lastDot !== -1 || delimiter === ';');
+
+    if (decimalComma) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else if (delimiter === ';' && /^\d{1,3}(\.\d{3})+$/.test(text)) {
+        text = text.replace(/\./g, ''); // "1.000" is a thousand in semicolon (European) files
+    } else {
+        text = text.replace(/,/g, '');
+    }
+
+    const number = parseFloat(text);
+    if (Number.isNaN(number)) return null;
+    return isNegative ? -number : number;
+}
+
+function createPositionId() {
+    return `pos-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function loadPositions() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(profileStorageKey(PORTFOLIO_STORAGE_KEY)));
+        if (!Array.isArray(stored)) return [];
+
+        // Stored data may come from an imported config; one bad entry would break the valuation
+        const valid = stored.filter(isValidPosition);
+        if (valid.length < stored.length) {
+            console.warn(`Portfolio: ignored ${stored.length - valid.length} invalid position(s)`);
+        }
+        return valid;
+    } catch (error) {
+        console.error('Error loading portfolio:', error);
+        return [];
+    }
+}
+
+function isValidPosition(position) {
+    return position !== null && typeof position === 'object' && !Array.isArray(position) &&
+        typeof position.id === 'string' &&
+        typeof position.symbol === 'string' && normalizeSymbol(position.symbol) === position.symbol &&
+        typeof position.quantity === 'number' && Number.isFinite(position.quantity) &&
+        (position.averageCost === null || (typeof position.averageCost === 'number' && Number.isFinite(position.averageCost))) &&
+        typeof position.currency === 'string' && normalizeCurrency(position.currency) === position.currency;
+}
+
+function savePositions() {
+    try {
+        localStorage.setItem(profileStorageKey(PORTFOLIO_STORAGE_KEY), JSON.stringify(positions));
+    } catch (error) {
+        console.error('Error saving portfolio:', error);
+    }
+}
@@ -0,0 +1,245 @@
+// priceAlerts.js - Price alerts on tracked symbols, shared by the widget and the background worker
+// Alerts live in chrome.storage.local so the background worker can check them while no new tab is open.
+// Each profile has its own alerts; the worker checks every profile's.
+import { profileStorageKey, getActiveProfileId } from '../settings/profiles.js';
+
+const ALERTS_STORAGE_KEY = 'finance_alerts'; // Suffixed per profile (see profiles.js)
+
+// Conditions: `label` reads after the symbol's name, `unit` after the threshold
+export const ALERT_CONDITIONS = {
+    above: { label: 'above', unit: '' },
+    below: { label: 'below', unit: '' },
+    crosses: { label: 'crosses', unit: '' },
+    'change-up': { label: 'up more than', unit: '% today' },
+    'change-down': { label: 'down more than', unit: '% today' }
+};
+
+// Snooze choices offered by notifications and the widget
+export const SNOOZE_OPTIONS = {
+    hour: 'Snooze 1 hour',
+    tomorrow: 'Snooze until tomorrow'
+};
+
+/**
+ * Load a profile's alerts
+ * @param {string} [profileId] - Defaults to the active profile (the background worker has none, so must pass one)
+ * @returns {Promise<Array>} [{ id, symbol, label, condition, threshold, repeat, enabled, snoozedUntil,
+ *   triggered, triggeredAt, lastPrice, lastChangePercent, conditionMet, checkedAt }] where `symbol` is
+ *   the Yahoo ticker, `label` the name shown in notifications and `checkedAt` when it was last
+ *   compared with a fresh price
+ */
+export function loadAlerts(profileId = getActiveProfileId()) {
+    const key = profileStorageKey(ALERTS_STORAGE_KEY, profileId);
+
+    return new Promise((resolve) => {
+        if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+            chrome.storage.local.get([key], (result) => {
+                resolve(Array.isArray(result[key]) ? result[key] : []);
+            });
+            return;
+        }
+
+        // Outside the extension (development), fall back to localStorage
+        try {
+            const stored = JSON.parse(localStorage.getItem(key));
+            resolve(Array.isArray(stored) ? stored : []);
+        } catch (error) {
+            console.error('Error loading price alerts:', error);
+            resolve([]);
+        }
+    });
+}
+
+/**
+ * Replace a profile's alerts
+ * @param {Array} alerts
+ * @param {string} [profileId] - Defaults to the active profile
+ * @returns {Promise<void>}
+ */
+export function saveAlerts(alerts, profileId = getActiveProfileId()) {
+    const key = profileStorageKey(ALERTS_STORAGE_KEY, profileId);
+
+    return new Promise((resolve, reject) => {
+        if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+            chrome.storage.local.set({ [key]: alerts }, () => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve();
+                }
+            });
+            return;
+        }
+
+        try {
+            localStorage.setItem(key, JSON.stringify(alerts));
+            resolve();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Change alerts based on the latest stored copy, so the widget and the background worker
+ * don't overwrite each other's changes
+ * @param {Function} change - Receives the alerts and returns the new list
+ * @param {string} [profileId] - Defaults to the active profile
+ * @returns {Promise<Array>} The saved alerts
+ */
+export async function updateAlerts(change, profileId = getActiveProfileId()) {
+    const alerts = change(await loadAlerts(profileId));
+    await saveAlerts(alerts, profileId);
+    return alerts;
+}
+
+/**
+ * Call `onChange(alerts)` whenever the active profile's alerts are changed in another context
+ * (tab or background worker)
+ * @returns {Function} Stops listening
+ */
+export function watchAlerts(onChange) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) {
+        return () => {};
+    }
+
+    const key = profileStorageKey(ALERTS_STORAGE_KEY);
+    const listener = (changes, areaName) => {
+        if (areaName === 'local' && changes[key]) {
+            onChange(changes[key].newValue || []);
+        }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Create an armed alert
+ * @param {Object} fields - { symbol, label, condition, threshold, repeat }
+ */
+export function createAlert({ symbol, label, condition, threshold, repeat }) {
+    return resetAlert({
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        symbol,
+        label: label || symbol,
+        condition,
+        threshold,
+        repeat: Boolean(repeat),
+        lastPrice: null,
+        lastChangePercent: null
+    });
+}
+
+/**
+ * Re-arm an alert (after editing, or to use a fired one-shot alert again)
+ */
+export function resetAlert(alert) {
+    return {
+        ...alert,
+        enabled: true,
+        snoozedUntil: 0,
+        triggered: false,
+        triggeredAt: 0,
+        conditionMet: false,
+        checkedAt: 0
+    };
+}
+
+/**
+ * When a snooze ends
+ * @param {string} option - Key of SNOOZE_OPTIONS
+ * @param {number} [now=Date.now()]
+ * @returns {number} Timestamp (ms)
+ */
+export function getSnoozeEnd(option, now = Date.now()) {
+    if (option === 'tomorrow') {
+        const tomorrow = new Date(now);
+        tomorrow.setHours(24, 0, 0, 0);
+        return tomorrow.getTime();
+    }
+    return now + 60 * 60 * 1000;
+}
+
+/**
+ * Snooze an alert; a condition that still holds when the snooze ends fires again
+ * (which also brings back a one-shot alert that has already fired)
+ * @param {Object} alert
+ * @param {number} until - Timestamp (ms)
+ */
+export function snoozeAlert(alert, until) {
+    return { ...alert, enabled: true, snoozedUntil: until, triggered: false, conditionMet: false };
+}
+
+export function isAlertSnoozed(alert, now = Date.now()) {
+    return alert.snoozedUntil > now;
+}
+
+/**
+ * Check an alert against a fresh quote. Alerts fire when their condition starts to hold
+ * (or, for "crosses", when the price moves through the threshold), so a repeating alert
+ * fires again only after the condition has stopped holding in between.
+ * @param {Object} alert
+ * @param {Object} quote - { price, changePercent }
+ * @param {number} [now=Date.now()]
+ * @returns {Object} { alert: the updated alert, fired: boolean }
+ */
+export function evaluateAlert(alert, quote, now = Date.now()) {
+    const isMet = isConditionMet(alert, quote);
+    const updated = {
+        ...alert,
+        lastPrice: quote.price,
+        lastChangePercent: quote.changePercent,
+        checkedAt: now
+    };
+
+    if (!alert.enabled || isAlertSnoozed(alert, now)) {
+        return { alert: updated, fired: false };
+    }
+
+    const fired = alert.condition === 'crosses' ? isMet : isMet && !alert.conditionMet;
+    updated.conditionMet = isMet;
+
+    if (fired) {
+        updated.triggered = true;
+        updated.triggeredAt = now;
+        updated.enabled = alert.repeat;
+    }
+
+    return { alert: updated, fired };
+}
+
+function isConditionMet(alert, { price, changePercent }) {
+    const { threshold } = alert;
+
+    switch (alert.condition) {
+        case 'above':
+            return price >= threshold;
+        case 'below':
+            return price <= threshold;
+        case 'crosses': {
+            // Needs a previous price to know which side it was on. A price exactly at the threshold
+            // counts as either side, so a move that stops on it fires once it carries on through
+            const last = alert.lastPrice;
+            if (typeof last !== 'number') return false;
+            return (last <= threshold && price > threshold) || (last >= threshold && price < threshold);
+        }
+        case 'change-up':
+            return changePercent >= threshold;
+        case 'change-down':
+            return changePercent <= -threshold;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Short description, e.g. "VIX above 25" or "BTC down more than 5% today"
+ */
+export function describeAlert(alert) {
+    const condition = ALERT_CONDITIONS[alert.condition] || { label: alert.condition, unit: '' };
+    return `${alert.label} ${condition.label} ${formatNumber(alert.threshold)}${condition.unit}`;
+}
+
+export function formatNumber(value) {
+    return Number(value).toLocaleString('en-US', { maximumFractionDigits: 4 });
+}
@@ -1,14 +1,102 @@
 // github.js - GitHub activity widget with habit grid
+import { updateSetting } from '../settings/settings.js';
 import {
     initGitHubService,
     getActivityData,
     recordActivity,
     cleanupGitHubService,
     updateSettings as updateGitHubSettings,
-    getConnectionStatus
+    getSettings as getGitHubSettings,
+    getConnectionStatus,
+    getAccounts,
+    getHabits,
+    selectAccount,
+    parseAccountList,
+    COMBINED_ACCOUNT,
+    HABIT_KEY_PREFIX,
+    getHeatmapData,
+    getMonthData,
+    getDayDetail,
+    fetchContributionYear,
+    isContributionYearLoading,
+    CONTRIBUTION_TYPES
 } from './githubDataService.js';
+import {
+    getQueueData,
+    getQueueError,
+    isQueueLoading,
+    isQueueStale,
+    refreshQueue,
+    clearQueue
+} from './githubQueueService.js';
+import {
+    startNotificationPolling,
+    stopNotificationPolling,
+    getNotifications,
+    getNotificationsError,
+    hasFetchedNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    clearNotifications
+} from './githubNotificationsService.js';
+import {
+    parseRepoList,
+    getWatchlist,
+    getWatchlistError,
+    isWatchlistLoading,
+    isWatchlistStale,
+    refreshWatchlist,
+    clearWatchlist
+} from './githubWatchlistService.js';
+import {
+    normalizeServerUrl,
+    getGitHubWebUrl,
+    requestServerPermission,
+    removeServerPermission,
+    clearRateLimits
+} from './githubApi.js';
+import { escapeHtml } from '../../utils/escapeHtml.js';
 
 let updateInterval;
+let currentTab = 'activity'; // 'activity', 'queue', 'inbox' or 'repos'
+let watchedRepos = [];
+let showBreakdown = false; // Activity tab: contribution breakdown instead of the habit grid
+let countUnit = 'contribution'; // What the activity numbers count: 'contribution', 'commit' or a habit's unit
+let showLogForm = false; // Activity tab: form for logging activity on another day or in bulk
+let yearView = 'months'; // Year range: 'months' (monthly totals) or 'days' (daily heatmap)
+let heatmapYear = null; // Calendar year in the heatmap, or null for the past year
+let heatmapError = null; // Message from the last failed fetch of a past year
+let zoomedMonth = null; // { year, month } when the year view is zoomed into one month
+let selectedDay = null; // 'YYYY-MM-DD' whose detail is shown under the heatmap or zoomed month
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Account selector option that creates a habit instead of switching view
+const NEW_HABIT_OPTION = 'new-habit';
+
+// Notification reasons worth calling out (others show GitHub's reason as-is)
+const NOTIFICATION_REASONS = {
+    review_requested: 'Review requested',
+    mention: 'Mentioned',
+    team_mention: 'Team mentioned',
+    assign: 'Assigned',
+    ci_activity: 'CI activity',
+    author: 'Your thread',
+    comment: 'Commented',
+    state_change: 'State changed',
+    subscribed: 'Watching',
+    security_alert: 'Security alert'
+};
+
+const NOTIFICATION_ICONS = {
+    PullRequest: 'ph-git-pull-request',
+    Issue: 'ph-circle-dashed',
+    CheckSuite: 'ph-gear',
+    Commit: 'ph-git-commit',
+    Release: 'ph-tag',
+    Discussion: 'ph-chat-circle'
+};
 
 // Widget configuration for registration
 export const githubWidget = {
@@ -19,6 +107,104 @@ export const githubWidget = {
     update: updateGitHub,
     cleanup: cleanupGitHub,
 
+    // Settings shown in the settings modal
+    settings: {
+        fields: [
+            {
+                key: 'githubUsername',
+                type: 'text',
+                label: 'GitHub Username (optional)',
+                hint: 'Leave blank to track locally only',
+                placeholder: 'your-username',
+                default: ''
+            },
+            {
+                key: 'githubExtraAccounts',
+                type: 'text',
+                label: 'More Accounts or Organizations (optional)',
+                hint: 'Comma-separated logins, e.g. a work account or your organization. Pick one in the widget or view them combined.',
+                placeholder: 'work-login, my-org',
+                default: ''
+            },
+            {
+                key: 'githubToken',
+                type: 'password',
+                label: 'GitHub Personal Access Token (optional)',
+                hint: 'For cross-device sync, private activity tracking and the review queue (use the repo scope to include private repositories). For Enterprise Server, create it on your server.',
+                link: { url: 'https://github.com/settings/tokens', label: 'Create token' },
+                placeholder: 'ghp_••••••••••••••••',
+                default: ''
+            },
+            {
+                key: 'githubServerUrl',
+                type: 'text',
+                label: 'GitHub Enterprise Server (optional)',
+                hint: 'Leave blank for github.com. Press Enter to apply; you will be asked to allow access to the server.',
+                placeholder: 'https://github.example.com',
+                default: '',
+                apply: applyGitHubServerUrl
+            },
+            { key: 'githubUseAPI', type: 'toggle', label: 'Use GitHub API', default: false },
+            {
+                key: 'githubWatchedRepos',
+                type: 'text',
+                label: 'Watched Repositories',
+                hint: 'Comma-separated owner/name list for the Repos tab (needs a token)',
+                placeholder: 'facebook/react, vuejs/core',
+                default: ''
+            },
+            {
+                key: 'githubTimeRange',
+                type: 'select',
+                label: 'Activity Time Range',
+                default: 28,
+                options: [
+                    { value: 7, label: '7 days' },
+                    { value: 28, label: '28 days' },
+                    { value: 90, label: '90 days' },
+                    { value: 365, label: 'Year' }
+                ]
+            },
+            {
+                key: 'githubYearView',
+                type: 'select',
+                label: 'Year View',
+                hint: 'In the heatmap, click a day for its details or a month to zoom in',
+                default: 'months',
+                options: [
+                    { value: 'months', label: 'Monthly totals' },
+                    { value: 'days', label: 'Daily heatmap' }
+                ]
+            },
+            {
+                key: 'githubCountMode',
+                type: 'select',
+                label: 'Count',
+                hint: 'Contributions match GitHub\'s calendar (commits, pull requests, issues, reviews, new repos and branches)',
+                default: 'contributions',
+                options: [
+                    { value: 'contributions', label: 'Contributions' },
+                    { value: 'commits', label: 'Commits only' }
+                ]
+            },
+            { key: 'githubWeeklyGoal', type: 'number', label: 'Weekly Goal', integer: true, min: 1, max: 100, default: 20 },
+            {
+                key: 'githubCountedTypes', // Contribution types counted toward streaks and the goal (toggled in the breakdown)
+                type: 'array',
+                item: key => CONTRIBUTION_TYPES.some(type => type.key === key),
+                hidden: true,
+                default: CONTRIBUTION_TYPES.map(type => type.key)
+            },
+            {
+                key: 'githubHabits', // Habits logged by hand, each with its own grid and goal (managed in the widget)
+                type: 'array',
+                item: isValidHabit,
+                hidden: true,
+                default: []
+            }
+        ]
+    },
+
     // Layout configuration for drag/drop/resize
     layout: {
         defaultPosition: { x: '10%', y: '200px' },
@@ -32,21 +218,40 @@ export const githubWidget = {
 };
 
 export function initGitHub(settings) {
+    watchedRepos = parseRepoList(settings.githubWatchedRepos);
+    yearView = settings.githubYearView;
+
     // Initialize data service with callback
     initGitHubService(handleDataUpdate, {
         githubUsername: settings.githubUsername,
         githubToken: settings.githubToken,
         githubUseAPI: settings.githubUseAPI,
         githubTimeRange: settings.githubTimeRange || 28,
-        githubWeeklyGoal: settings.githubWeeklyGoal || 20
+        githubWeeklyGoal: settings.githubWeeklyGoal || 20,
+        githubAccounts: parseAccountList(settings.githubExtraAccounts),
+        githubServerUrl: settings.githubServerUrl || '',
+        githubCountedTypes: settings.githubCountedTypes,
+        githubCountMode: settings.githubCountMode,
+        githubHabits: settings.githubHabits
     });
 
+    if (settings.githubToken) {
+        startNotificationPolling(settings.githubToken, renderGitHubPanel);
+    }
+
+    // Tabs, queue and inbox actions (the panel is re-rendered, so listen on the container)
+    document.getElementById('github-container')?.addEventListener('click', handlePanelClick);
+    document.getElementById('github-container')?.addEventListener('change', handlePanelChange);
+    document.getElementById('github-container')?.addEventListener('submit', handleLogSubmit);
+
     // Initial render
     renderGitHubPanel();
 
-    // Update every minute to refresh "time ago" displays
+    // Update every minute to refresh "time ago" displays (but not while logging activity)
     updateInterval = setInterval(() => {
-        renderGitHubPanel();
+        if (!document.activeElement?.closest('.github-log-panel')) {
+            renderGitHubPanel();
+        }
     }, 60000);
 }
 
@@ -58,22 +263,72 @@ function handleDataUpdate(data) {
 }
 
 export function updateGitHub(settings) {
+    watchedRepos = parseRepoList(settings.githubWatchedRepos);
+    yearView = settings.githubYearView;
+
+    const serverUrl = settings.githubServerUrl || '';
+
+    // The queue, inbox and watchlist belong to the token's user on its server
+    const serverChanged = serverUrl !== getGitHubSettings().server;
+    if (settings.githubToken !== getGitHubSettings().token || serverChanged) {
+        clearQueue();
+        clearNotifications();
+        clearWatchlist({ keepHistory: !serverChanged });
+        clearRateLimits();
+
+        if (settings.githubToken) {
+            startNotificationPolling(settings.githubToken, renderGitHubPanel);
+        } else {
+            stopNotificationPolling();
+        }
+    }
+
     // Update settings in the data service
     updateGitHubSettings({
         username: settings.githubUsername,
         token: settings.githubToken,
         useAPI: settings.githubUseAPI,
         timeRange: settings.githubTimeRange || 28,
-        weeklyGoal: settings.githubWeeklyGoal || 20
+        weeklyGoal: settings.githubWeeklyGoal || 20,
+        accounts: parseAccountList(settings.githubExtraAccounts),
+        server: serverUrl,
+        countedTypes: settings.githubCountedTypes,
+        countMode: settings.githubCountMode,
+        habits: settings.githubHabits
     });
 
     renderGitHubPanel();
 }
 
+/**
+ * Validate an Enterprise Server URL and ask for access to its host.
+ * Runs from the settings field's change event, so the permission prompt has a user gesture.
+ */
+async function applyGitHubServerUrl(input, settings) {
+    const serverUrl = normalizeServerUrl(input);
+    const previousUrl = settings.githubServerUrl || '';
+
+    if (serverUrl === previousUrl) {
+        return input === serverUrl ? null : { githubServerUrl: serverUrl };
+    }
+
+    const granted = await requestServerPermission(serverUrl);
+    if (!granted) {
+        throw new Error(`Access to ${serverUrl} wasn't allowed, so GitHub will keep using ${previousUrl || 'github.com'}.`);
+    }
+
+    removeServerPermission(previousUrl);
+    return { githubServerUrl: serverUrl };
+}
+
 function cleanupGitHub() {
     if (updateInterval) {
         clearInterval(updateInterval);
     }
+    document.getElementById('github-container')?.removeEventListener('click', handlePanelClick);
+    document.getElementById('github-container')?.removeEventListener('change', handlePanelChange);
+    document.getElementById('github-container')?.removeEventListener('submit', handleLogSubmit);
+    stopNotificationPolling();
     cleanupGitHubService();
 }
 
@@ -81,14 +336,294 @@ function renderGitHubPanel() {
     const container = document.getElementById('github-container');
     if (!container) return;
 
+    if (currentTab === 'queue') {
+        refreshQueueIfStale();
+    } else if (currentTab === 'activity') {
+        fetchHeatmapYearIfNeeded();
+    } else if (currentTab === 'repos') {
+        refreshWatchlistIfStale();
+    }
+
+    const reviewCount = getQueueData()?.reviewRequests.total || 0;
+    const unreadCount = getNotifications().length;
+
+    container.innerHTML = `
+        <div class="github-panel">
+            <div class="github-tabs">
+                <button class="github-tab ${currentTab === 'activity' ? 'active' : ''}" data-tab="activity">
+                    Activity
+                </button>
+                <button class="github-tab ${currentTab === 'queue' ? 'active' : ''}" data-tab="queue">
+                    Queue
+                    ${reviewCount > 0 ? `<span class="github-tab-count" title="Reviews requested">${reviewCount}</span>` : ''}
+                </button>
+                <button class="github-tab ${currentTab === 'inbox' ? 'active' : ''}" data-tab="inbox">
+                    Inbox
+                    ${unreadCount > 0 ? `<span class="github-tab-count" title="Unread notifications">${unreadCount}</span>` : ''}
+                </button>
+                <button class="github-tab ${currentTab === 'repos' ? 'active' : ''}" data-tab="repos">
+                    Repos
+                </button>
+            </div>
+            ${renderCurrentTab()}
+        </div>
+    `;
+}
+
+function renderCurrentTab() {
+    switch (currentTab) {
+        case 'queue':
+            return renderQueueTab();
+        case 'inbox':
+            return renderInboxTab();
+        case 'repos':
+            return renderReposTab();
+        default:
+            return renderActivityTab();
+    }
+}
+
+async function handlePanelClick(e) {
+    const tab = e.target.closest('.github-tab');
+    if (tab) {
+        currentTab = tab.dataset.tab;
+        renderGitHubPanel();
+        return;
+    }
+
+    const actionBtn = e.target.closest('[data-action]');
+    const action = actionBtn?.dataset.action;
+
+    if (action === 'refresh-queue' && !isQueueLoading()) {
+        refreshQueue(getGitHubSettings().token).then(renderGitHubPanel);
+        renderGitHubPanel();
+    } else if (action === 'toggle-breakdown') {
+        showBreakdown = !showBreakdown;
+        renderGitHubPanel();
+    } else if (action === 'toggle-type') {
+        toggleCountedType(actionBtn.dataset.type);
+    } else if (action === 'log-one') {
+        logActivity(new Date(), 1);
+    } else if (action === 'toggle-log-form') {
+        showLogForm = !showLogForm;
+        renderGitHubPanel();
+    } else if (action === 'select-day') {
+        selectedDay = selectedDay === actionBtn.dataset.date ? null : actionBtn.dataset.date;
+        renderGitHubPanel();
+    } else if (action === 'close-day') {
+        selectedDay = null;
+        renderGitHubPanel();
+    } else if (action === 'zoom-month') {
+        zoomedMonth = { year: parseInt(actionBtn.dataset.year, 10), month: parseInt(actionBtn.dataset.month, 10) };
+        selectedDay = null;
+        renderGitHubPanel();
+    } else if (action === 'zoom-out') {
+        zoomedMonth = null;
+        selectedDay = null;
+        renderGitHubPanel();
+    } else if (action === 'rename-habit') {
+        renameHabit(actionBtn.dataset.habitId);
+    } else if (action === 'delete-habit') {
+        deleteHabit(actionBtn.dataset.habitId);
+    } else if (action === 'refresh-repos' && !isWatchlistLoading()) {
+        refreshWatchlist(watchedRepos, getGitHubSettings().token, { force: true }).then(renderGitHubPanel);
+        renderGitHubPanel();
+    } else if (action === 'mark-read' || action === 'mark-all-read') {
+        try {
+            if (action === 'mark-read') {
+                await markNotificationRead(actionBtn.dataset.threadId);
+            } else {
+                await markAllNotificationsRead();
+            }
+        } catch (error) {
+            console.error('Error marking GitHub notifications as read:', error);
+            alert(`Couldn't mark as read: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Include or exclude a contribution type from streaks and the weekly goal
+ */
+function toggleCountedType(type) {
+    const counted = getGitHubSettings().countedTypes;
+    const next = counted.includes(type) ? counted.filter(key => key !== type) : [...counted, type];
+
+    if (next.length === 0) {
+        alert('At least one kind of contribution has to count toward your streak.');
+        return;
+    }
+
+    updateSetting('githubCountedTypes', CONTRIBUTION_TYPES.map(t => t.key).filter(key => next.includes(key)));
+}
+
+function handlePanelChange(e) {
+    if (e.target.matches('.github-account-select')) {
+        heatmapError = null;
+        if (e.target.value === NEW_HABIT_OPTION) {
+            createHabit();
+        } else {
+            selectAccount(e.target.value);
+        }
+    } else if (e.target.matches('.github-habit-goal')) {
+        updateHabitGoal(e.target.dataset.habitId, e.target.value);
+    } else if (e.target.matches('.github-heatmap-year')) {
+        heatmapYear = e.target.value ? parseInt(e.target.value, 10) : null;
+        heatmapError = null;
+        selectedDay = null;
+        renderGitHubPanel();
+    }
+}
+
+/**
+ * Past years aren't part of the regular fetch; get the one shown in the heatmap
+ */
+function fetchHeatmapYearIfNeeded() {
+    const { timeRange } = getGitHubSettings();
+    if (timeRange !== 365 || yearView !== 'days' || zoomedMonth || heatmapYear === null ||
+        heatmapError || isContributionYearLoading(heatmapYear)) {
+        return;
+    }
+
+    fetchContributionYear(heatmapYear).catch(error => {
+        console.error(`Error fetching GitHub contributions for ${heatmapYear}:`, error);
+        heatmapError = error.message;
+        renderGitHubPanel();
+    });
+}
+
+/**
+ * Log activity from the form: any day up to today, and any amount (negative to correct)
+ */
+function handleLogSubmit(e) {
+    if (!e.target.matches('.github-log-form')) return;
+    e.preventDefault();
+
+    const form = e.target;
+    const count = parseInt(form.elements.count.value, 10);
+    const date = new Date(`${form.elements.date.value}T00:00:00`);
+
+    if (Number.isNaN(count) || count === 0) {
+        alert('Enter how many to log (a negative number takes some away).');
+        return;
+    }
+    if (Number.isNaN(date.getTime()) || date > new Date()) {
+        alert('Pick a day up to today.');
+        return;
+    }
+
+    logActivity(date, count);
+}
+
+/**
+ * Record activity on the habit being viewed, or on the primary account
+ */
+function logActivity(date, count) {
+    const { account } = getActivityData();
+
+    try {
+        recordActivity(date, count, account.startsWith(HABIT_KEY_PREFIX) ? account : '');
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+/**
+ * Habits are stored in settings (so they sync and back up); their logs stay local
+ */
+function isValidHabit(habit) {
+    return habit !== null && typeof habit === 'object' &&
+        typeof habit.id === 'string' && habit.id !== '' &&
+        typeof habit.name === 'string' && habit.name.trim() !== '' &&
+        typeof habit.unit === 'string' && habit.unit.trim() !== '' &&
+        Number.isInteger(habit.weeklyGoal) && habit.weeklyGoal >= 1;
+}
+
+function createHabit() {
+    const name = prompt('Name the habit to track (e.g. Reading, Workouts, GitLab commits):')?.trim();
+    if (!name) {
+        renderGitHubPanel(); // Put the selector back on the current view
+        return;
+    }
+
+    const unit = prompt(`What does one "${name}" count? (e.g. page, workout, commit)`, 'time')?.trim().toLowerCase() || 'time';
+    const habit = { id: Date.now().toString(36), name, unit, weeklyGoal: 5 };
+
+    updateSetting('githubHabits', [...getGitHubSettings().habits, habit]);
+    selectAccount(`${HABIT_KEY_PREFIX}${habit.id}`);
+}
+
+function renameHabit(habitId) {
+    const habit = getGitHubSettings().habits.find(h => h.id === habitId);
+    if (!habit) return;
+
+    const name = prompt('Rename habit:', habit.name)?.trim();
+    if (name && name !== habit.name) {
+        updateHabit(habitId, { name });
+    }
+}
+
+function updateHabitGoal(habitId, value) {
+    const weeklyGoal = parseInt(value, 10);
+    if (!(weeklyGoal >= 1)) {
+        alert('The weekly goal has to be at least 1.');
+        renderGitHubPanel();
+        return;
+    }
+    updateHabit(habitId, { weeklyGoal });
+}
+
+function updateHabit(habitId, changes) {
+    updateSetting('githubHabits', getGitHubSettings().habits.map(habit =>
+        habit.id === habitId ? { ...habit, ...changes } : habit
+    ));
+}
+
+function deleteHabit(habitId) {
+    const habit = getGitHubSettings().habits.find(h => h.id === habitId);
+    if (!habit || !confirm(`Delete "${habit.name}" and everything logged for it?`)) return;
+
+    showLogForm = false;
+    updateSetting('githubHabits', getGitHubSettings().habits.filter(h => h.id !== habitId));
+}
+
+function refreshQueueIfStale() {
+    const { token } = getGitHubSettings();
+    if (token && isQueueStale() && !isQueueLoading()) {
+        refreshQueue(token).then(renderGitHubPanel);
+    }
+}
+
+function refreshWatchlistIfStale() {
+    const { token } = getGitHubSettings();
+    if (token && isWatchlistStale(watchedRepos) && !isWatchlistLoading()) {
+        refreshWatchlist(watchedRepos, token).then(renderGitHubPanel);
+    }
+}
+
+/**
+ * Render the contribution streak, habit grid and weekly progress
+ */
+function renderActivityTab() {
     const data = getActivityData();
     const status = getConnectionStatus();
+    countUnit = data.unit;
 
     // Calculate progress percentage for weekly goal
     const weekProgress = Math.min(100, (data.weekActivity / data.weeklyGoal) * 100);
 
-    // Generate habit grid based on time range
-    const gridHTML = generateHabitGrid(data.rangeData, data.timeRange);
+    // Generate habit grid based on time range; the year can be a daily heatmap or zoomed into a month
+    const zoomed = data.timeRange === 365 && zoomedMonth !== null;
+    const heatmap = data.timeRange === 365 && !zoomed && yearView === 'days';
+    let gridHTML;
+    if (zoomed) {
+        gridHTML = generateMonthGrid(getMonthData(zoomedMonth.year, zoomedMonth.month));
+    } else if (heatmap) {
+        gridHTML = generateHeatmap(getHeatmapData(heatmapYear));
+    } else {
+        gridHTML = generateHabitGrid(data.rangeData, data.timeRange);
+    }
+    const dayDetailHTML = (zoomed || heatmap) && selectedDay ? generateDayDetail(getDayDetail(selectedDay)) : '';
 
     // Calculate dots for today's activity (max 5 dots)
     const todayDots = Math.min(5, data.todayActivity);
@@ -98,13 +633,22 @@ function renderGitHubPanel() {
     const statusHTML = generateConnectionStatus(status);
 
     // Generate section label based on time range
-    const sectionLabel = getSectionLabel(data.timeRange);
+    let sectionLabel = getSectionLabel(data.timeRange, data.habit?.name);
+    if (zoomed) {
+        sectionLabel = `Daily ${getUnitsLabel(data.habit?.name)} • ${MONTH_NAMES[zoomedMonth.month]} ${zoomedMonth.year}`;
+    } else if (heatmap) {
+        sectionLabel = `Daily ${getUnitsLabel(data.habit?.name)} • ${heatmapYear || 'Past Year'}`;
+    }
+
+    // Habits have no breakdown; activity is logged by hand on habits and the local-only account
+    const breakdownShown = showBreakdown && !data.habit;
+    const { useAPI, username } = getGitHubSettings();
+    const canLog = data.habit !== null || (data.account === '' && !(useAPI && username));
 
     // Generate streak display with tooltip
     const streakTooltip = generateStreakTooltip(data);
 
-    const panelHTML = `
-        <div class="github-panel">
+    return `
             <div class="github-header-section">
                 <div class="github-streak" title="${streakTooltip}">
                     <i class="ph ph-fire github-fire-icon"></i>
@@ -118,17 +662,40 @@ function renderGitHubPanel() {
                     </div>
                 </div>
                 <div class="github-header-right">
+                    ${generateAccountSelect(data.account)}
                     ${statusHTML}
                 </div>
             </div>
 
             <div class="github-habit-grid-section">
-                <div class="github-section-label">${sectionLabel}</div>
-                <div class="github-habit-grid-wrapper">
-                    <div class="github-habit-grid">
-                        ${gridHTML}
+                <div class="github-section-header">
+                    <div class="github-section-label">${breakdownShown ? 'Breakdown • Last 7 Days' : escapeHtml(sectionLabel)}</div>
+                    <div class="github-section-actions">
+                        ${zoomed && !breakdownShown ? `
+                            <button class="github-view-toggle" data-action="zoom-out" title="Back to the year" aria-label="Back to the year">
+                                <i class="ph ph-arrow-left"></i>
+                            </button>
+                        ` : ''}
+                        ${heatmap && !breakdownShown ? generateHeatmapYearSelect(getHeatmapData(heatmapYear).firstYear) : ''}
+                        ${data.habit ? '' : `
+                            <button class="github-view-toggle" data-action="toggle-breakdown"
+                                    title="${showBreakdown ? 'Show habit grid' : 'Show breakdown by type and repository'}"
+                                    aria-label="${showBreakdown ? 'Show habit grid' : 'Show breakdown by type and repository'}">
+                                <i class="ph ${showBreakdown ? 'ph-squares-four' : 'ph-chart-bar'}"></i>
+                            </button>
+                        `}
                     </div>
                 </div>
+                ${breakdownShown ? generateBreakdown(data.breakdown) : `
+                    <div class="github-habit-grid-wrapper">
+                        ${heatmap ? gridHTML : `
+                            <div class="github-habit-grid">
+                                ${gridHTML}
+                            </div>
+                        `}
+                    </div>
+                    ${dayDetailHTML}
+                `}
             </div>
 
             <div class="github-progress-section">
@@ -143,13 +710,328 @@ function renderGitHubPanel() {
 
             <div class="github-today-section">
                 ${dotsHTML}
-                <span class="github-today-label">${data.todayActivity === 0 ? 'No activity today yet' :
-                    data.todayActivity === 1 ? '1 commit today' : `${data.todayActivity} commits today`}</span>
+                <div class="github-today-row">
+                    <span class="github-today-label">${data.todayActivity === 0 ? 'No activity today yet' : `${escapeHtml(formatCount(data.todayActivity))} today`}</span>
+                    ${canLog ? `
+                        <button class="github-log-btn" data-action="log-one" title="Log 1 ${escapeHtml(countUnit)} today">+1</button>
+                        <button class="github-log-btn ${showLogForm ? 'active' : ''}" data-action="toggle-log-form"
+                                title="Log another day or amount" aria-label="Log another day or amount" aria-expanded="${showLogForm}">
+                            <i class="ph ph-note-pencil"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+            ${canLog && showLogForm ? generateLogPanel(data.habit, data.weeklyGoal) : ''}
+    `;
+}
+
+/**
+ * Render pull requests awaiting review, the user's open pull requests and assigned issues
+ */
+function renderQueueTab() {
+    const { token } = getGitHubSettings();
+
+    if (!token) {
+        return `
+            <div class="github-queue-empty">
+                <i class="ph ph-key"></i>
+                <span>Add a personal access token in Settings to see pull requests and issues waiting on you.</span>
+            </div>
+        `;
+    }
+
+    const queue = getQueueData();
+    const error = getQueueError();
+    const loading = isQueueLoading();
+
+    if (!queue) {
+        return `
+            <div class="github-queue-empty">
+                <i class="ph ${error ? 'ph-warning-circle' : 'ph-tray'}"></i>
+                <span>${error ? `Couldn't load the queue: ${escapeHtml(error)}` : 'Loading queue...'}</span>
+                ${error ? '<button class="secondary-btn modal-cancel-btn" data-action="refresh-queue">Retry</button>' : ''}
+            </div>
+        `;
+    }
+
+    const sections = [
+        { label: 'Review requested', section: queue.reviewRequests, showChecks: true },
+        { label: 'My pull requests', section: queue.myPullRequests, showChecks: true },
+        { label: 'Assigned issues', section: queue.assignedIssues, showChecks: false }
+    ];
+
+    return `
+            <div class="github-queue">
+                <div class="github-queue-toolbar">
+                    <span class="github-queue-updated" ${error ? `title="${escapeHtml(error)}"` : ''}>
+                        ${error ? '<i class="ph ph-warning-circle"></i>' : ''}
+                        Updated ${Date.now() - queue.fetchedAt < 60000 ? 'just now' : `${formatAge(queue.fetchedAt)} ago`}
+                    </span>
+                    <button class="widget-refresh-btn ${loading ? 'loading' : ''}" data-action="refresh-queue" title="Refresh" aria-label="Refresh queue">
+                        <i class="ph ph-arrows-clockwise"></i>
+                    </button>
+                </div>
+                ${sections.map(({ label, section, showChecks }) => `
+                    <div class="github-queue-section">
+                        <div class="github-section-label">
+                            ${label}
+                            <span class="github-queue-count">${section.total}</span>
+                        </div>
+                        ${section.items.length === 0
+                            ? '<div class="github-queue-none">Nothing here</div>'
+                            : section.items.map(item => renderQueueItem(item, showChecks)).join('')}
+                    </div>
+                `).join('')}
+            </div>
+    `;
+}
+
+function renderQueueItem(item, showChecks) {
+    const status = showChecks ? getCheckStatus(item.checkState) : { icon: 'ph-circle-dashed', className: 'none', label: 'Issue' };
+
+    return `
+        <a class="github-queue-item" href="${escapeHtml(item.url)}" target="_blank" rel="noopener noreferrer">
+            <i class="ph ${status.icon} github-check-${status.className}" title="${status.label}"></i>
+            <div class="github-queue-item-info">
+                <div class="github-queue-title">${escapeHtml(item.title)}</div>
+                <div class="github-queue-meta">
+                    ${escapeHtml(item.repo)} #${item.number}
+                    ${item.isDraft ? '<span class="github-queue-draft">Draft</span>' : ''}
+                </div>
+            </div>
+            <span class="github-queue-age" title="Opened ${new Date(item.createdAt).toLocaleString()}">${formatAge(Date.parse(item.createdAt))}</span>
+        </a>
+    `;
+}
+
+/**
+ * Render unread notifications grouped by repository
+ */
+function renderInboxTab() {
+    if (!getGitHubSettings().token) {
+        return `
+            <div class="github-queue-empty">
+                <i class="ph ph-key"></i>
+                <span>Add a personal access token with the notifications scope in Settings to see your inbox.</span>
+            </div>
+        `;
+    }
+
+    const notifications = getNotifications();
+    const error = getNotificationsError();
+
+    if (!hasFetchedNotifications()) {
+        return `
+            <div class="github-queue-empty">
+                <i class="ph ${error ? 'ph-warning-circle' : 'ph-bell'}"></i>
+                <span>${error ? `Couldn't load notifications: ${escapeHtml(error)}` : 'Loading notifications...'}</span>
+            </div>
+        `;
+    }
+
+    if (notifications.length === 0) {
+        return `
+            <div class="github-queue-empty">
+                <i class="ph ph-checks"></i>
+                <span>You're all caught up</span>
+            </div>
+        `;
+    }
+
+    // Group by repository, keeping the newest-first order
+    const groups = new Map();
+    notifications.forEach(notification => {
+        if (!groups.has(notification.repo)) {
+            groups.set(notification.repo, []);
+        }
+        groups.get(notification.repo).push(notification);
+    });
+
+    return `
+            <div class="github-queue">
+                <div class="github-queue-toolbar">
+                    <span class="github-queue-updated" ${error ? `title="${escapeHtml(error)}"` : ''}>
+                        ${error ? '<i class="ph ph-warning-circle"></i>' : ''}
+                        ${notifications.length} unread
+                    </span>
+                    <button class="github-inbox-action" data-action="mark-all-read" title="Mark all as read">
+                        <i class="ph ph-checks"></i>
+                        Mark all read
+                    </button>
+                </div>
+                ${Array.from(groups.entries()).map(([repo, items]) => `
+                    <div class="github-queue-section">
+                        <div class="github-section-label">
+                            ${escapeHtml(repo)}
+                            <span class="github-queue-count">${items.length}</span>
+                        </div>
+                        ${items.map(renderNotificationItem).join('')}
+                    </div>
+                `).join('')}
             </div>
+    `;
+}
+
+function renderNotificationItem(notification) {
+    const reason = NOTIFICATION_REASONS[notification.reason] || notification.reason.replace(/_/g, ' ');
+    const isHighlighted = ['review_requested', 'mention', 'team_mention', 'assign'].includes(notification.reason);
+
+    return `
+        <div class="github-queue-item github-inbox-item">
+            <a class="github-inbox-link" href="${escapeHtml(notification.url)}" target="_blank" rel="noopener noreferrer">
+                <i class="ph ${NOTIFICATION_ICONS[notification.type] || 'ph-bell'} github-check-none"></i>
+                <div class="github-queue-item-info">
+                    <div class="github-queue-title">${escapeHtml(notification.title)}</div>
+                    <div class="github-queue-meta">
+                        <span class="github-inbox-reason ${isHighlighted ? 'highlighted' : ''}">${escapeHtml(reason)}</span>
+                        <span>${formatAge(Date.parse(notification.updatedAt))}</span>
+                    </div>
+                </div>
+            </a>
+            <button class="github-inbox-action" data-action="mark-read" data-thread-id="${escapeHtml(notification.id)}" title="Mark as read" aria-label="Mark as read">
+                <i class="ph ph-check"></i>
+            </button>
         </div>
     `;
+}
+
+/**
+ * Render the watched repositories with their release, open work, CI and star trend
+ */
+function renderReposTab() {
+    if (!getGitHubSettings().token) {
+        return `
+            <div class="github-queue-empty">
+                <i class="ph ph-key"></i>
+                <span>Add a personal access token in Settings to watch repositories.</span>
+            </div>
+        `;
+    }
+
+    if (watchedRepos.length === 0) {
+        return `
+            <div class="github-queue-empty">
+                <i class="ph ph-push-pin"></i>
+                <span>Add repositories to watch under GitHub in Settings.</span>
+            </div>
+        `;
+    }
+
+    const repos = getWatchlist(watchedRepos);
+    const error = getWatchlistError();
+    const loading = isWatchlistLoading();
+    const fetchedTimes = repos.filter(repo => repo.fetchedAt).map(repo => repo.fetchedAt);
+    const oldestFetch = fetchedTimes.length > 0 ? Math.min(...fetchedTimes) : 0;
+
+    return `
+            <div class="github-queue">
+                <div class="github-queue-toolbar">
+                    <span class="github-queue-updated" ${error ? `title="${escapeHtml(error)}"` : ''}>
+                        ${error ? '<i class="ph ph-warning-circle"></i>' : ''}
+                        ${oldestFetch ? `Updated ${Date.now() - oldestFetch < 60000 ? 'just now' : `${formatAge(oldestFetch)} ago`}` : (error ? "Couldn't load repositories" : 'Loading repositories...')}
+                    </span>
+                    <button class="widget-refresh-btn ${loading ? 'loading' : ''}" data-action="refresh-repos" title="Refresh" aria-label="Refresh repositories">
+                        <i class="ph ph-arrows-clockwise"></i>
+                    </button>
+                </div>
+                <div class="github-queue-section">
+                    ${repos.map(renderWatchedRepo).join('')}
+                </div>
+            </div>
+    `;
+}
+
+function renderWatchedRepo({ repo, data, error }) {
+    if (!data) {
+        return `
+            <a class="github-queue-item" href="${escapeHtml(getGitHubWebUrl())}/${escapeHtml(repo)}" target="_blank" rel="noopener noreferrer">
+                <i class="ph ${error ? 'ph-warning-circle github-check-failure' : 'ph-circle-notch github-check-none'}" title="${escapeHtml(error || 'Loading')}"></i>
+                <div class="github-queue-item-info">
+                    <div class="github-queue-title">${escapeHtml(repo)}</div>
+                    <div class="github-queue-meta">${error ? escapeHtml(error) : 'Loading...'}</div>
+                </div>
+            </a>
+        `;
+    }
+
+    const check = getCheckStatus(data.checkState);
+    const checkLabel = data.checkState ? `${check.label} on ${data.defaultBranch}` : 'No checks on the default branch';
+
+    return `
+        <div class="github-queue-item github-repo-item">
+            <i class="ph ${data.checkState ? check.icon : 'ph-git-branch'} github-check-${check.className}" title="${escapeHtml(checkLabel)}"></i>
+            <div class="github-queue-item-info">
+                <a class="github-queue-title github-repo-link" href="${escapeHtml(data.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(data.name)}</a>
+                <div class="github-queue-meta">
+                    ${data.release
+                        ? `<a class="github-repo-release" href="${escapeHtml(data.release.url)}" target="_blank" rel="noopener noreferrer" ${data.release.publishedAt ? `title="Released ${new Date(data.release.publishedAt).toLocaleString()}"` : ''}>
+                            <i class="ph ph-tag"></i>${escapeHtml(data.release.name)}${data.release.publishedAt ? ` · ${formatAge(Date.parse(data.release.publishedAt))}` : ''}
+                        </a>`
+                        : '<span>No releases</span>'}
+                    <a class="github-repo-stat" href="${escapeHtml(data.url)}/pulls" target="_blank" rel="noopener noreferrer" title="Open pull requests">
+                        <i class="ph ph-git-pull-request"></i>${data.openPullRequests}
+                    </a>
+                    <a class="github-repo-stat" href="${escapeHtml(data.url)}/issues" target="_blank" rel="noopener noreferrer" title="Open issues">
+                        <i class="ph ph-circle-dashed"></i>${data.openIssues}
+                    </a>
+                </div>
+            </div>
+            <div class="github-repo-stars" title="${formatStarDeltaTitle(data)}">
+                <span><i class="ph ph-star"></i>${formatCompactNumber(data.stars)}</span>
+                ${data.starDelta !== null ? `<span class="github-repo-star-delta ${data.starDelta > 0 ? 'up' : data.starDelta < 0 ? 'down' : ''}">${data.starDelta > 0 ? '+' : ''}${data.starDelta}</span>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+function formatStarDeltaTitle(data) {
+    if (data.starDelta === null) return `${data.stars} stars`;
+    if (!data.starDeltaSince) return `${data.stars} stars, ${data.starDelta >= 0 ? '+' : ''}${data.starDelta} in the last week`;
+
+    const since = new Date(`${data.starDeltaSince}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    return `${data.stars} stars, ${data.starDelta >= 0 ? '+' : ''}${data.starDelta} since ${since} (watching for less than a week)`;
+}
+
+/**
+ * Compact count, e.g. 950, 12.3k, 1.2M
+ */
+function formatCompactNumber(value) {
+    if (value >= 1000000) return `${(value / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+    if (value >= 1000) return `${(value / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+    return String(value);
+}
 
-    container.innerHTML = panelHTML;
+/**
+ * Map a commit's status check rollup state to an icon
+ */
+function getCheckStatus(state) {
+    switch (state) {
+        case 'SUCCESS':
+            return { icon: 'ph-check-circle', className: 'success', label: 'Checks passed' };
+        case 'FAILURE':
+        case 'ERROR':
+            return { icon: 'ph-x-circle', className: 'failure', label: 'Checks failed' };
+        case 'PENDING':
+        case 'EXPECTED':
+            return { icon: 'ph-clock', className: 'pending', label: 'Checks running' };
+        default:
+            return { icon: 'ph-git-pull-request', className: 'none', label: 'No checks' };
+    }
+}
+
+/**
+ * Compact age, e.g. "5m", "3h", "2d", "4w", "1y"
+ */
+function formatAge(timestamp) {
+    const minutes = Math.max(0, Math.floor((Date.now() - timestamp) / 60000));
+
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h`;
+
+    const days = Math.floor(minutes / (60 * 24));
+    if (days < 14) return `${days}d`;
+    if (days < 365) return `${Math.floor(days / 7)}w`;
+    return `${Math.floor(days / 365)}y`;
 }
 
 /**
@@ -343,14 +1225,15 @@ function generateYearGrid(data) {
                 // Padding cells (hidden)
                 html += `<div class="github-grid-cell github-grid-empty" style="visibility: hidden;"></div>`;
             } else {
-                // Data cells
+                // Data cells (click to zoom into the month)
                 const month = data[dataIndex++];
                 const intensityClass = getIntensityClass(month.count, 'monthly');
                 const todayClass = month.isToday ? 'github-grid-today' : '';
                 const tooltipText = formatMonthlyTooltip(month.month, month.year, month.count);
 
-                html += `<div class="github-grid-cell ${intensityClass} ${todayClass}"
+                html += `<div class="github-grid-cell github-grid-clickable ${intensityClass} ${todayClass}"
                               data-count="${month.count}"
+                              data-action="zoom-month" data-year="${month.year}" data-month="${month.month}"
                               title="${tooltipText}">
                          </div>`;
             }
@@ -377,6 +1260,263 @@ function generateYearGrid(data) {
     return html;
 }
 
+/**
+ * Generate one month of the year view (rows of 7 days from the 1st; click a day for its detail)
+ */
+function generateMonthGrid(data) {
+    let html = '';
+    const rows = Math.ceil(data.length / 7);
+
+    for (let row = 0; row < rows; row++) {
+        html += '<div class="github-grid-row">';
+
+        for (let col = 0; col < 7; col++) {
+            const day = data[row * 7 + col];
+
+            if (!day) {
+                html += `<div class="github-grid-cell github-grid-empty" style="visibility: hidden;"></div>`;
+            } else if (day.isFuture) {
+                html += `<div class="github-grid-cell github-grid-empty"></div>`;
+            } else {
+                const intensityClass = getIntensityClass(day.count, 'daily');
+                const todayClass = day.isToday ? 'github-grid-today' : '';
+                const selectedClass = day.date === selectedDay ? 'github-grid-selected' : '';
+
+                html += `<div class="github-grid-cell github-grid-clickable ${intensityClass} ${todayClass} ${selectedClass}"
+                              data-count="${day.count}"
+                              data-action="select-day" data-date="${day.date}"
+                              title="${formatDailyTooltip(day.date, day.count)}">
+                         </div>`;
+            }
+        }
+
+        html += '</div>';
+    }
+
+    // Add date labels below the grid (showing dates for the top row)
+    html += '<div class="github-grid-date-labels">';
+    data.slice(0, 7).forEach(day => {
+        html += `<div class="github-grid-date-label">${new Date(day.date + 'T00:00:00').getDate()}</div>`;
+    });
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Generate a GitHub-style heatmap: a column per week, Sunday at the top, with month
+ * labels that zoom into the month and days that show their detail
+ */
+function generateHeatmap(heatmap) {
+    const columns = heatmap.weeks.length;
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    // Label each month above the column it starts in (unless it's too narrow to fit)
+    const monthsHTML = heatmap.months.map((month, index) => {
+        const nextWeek = index + 1 < heatmap.months.length ? heatmap.months[index + 1].week : columns;
+        const span = nextWeek - month.week;
+        if (span < 2) return '';
+
+        return `<button class="github-heatmap-month" style="grid-column: ${month.week + 1} / span ${span}"
+                        data-action="zoom-month" data-year="${month.year}" data-month="${month.month}"
+                        title="Zoom into ${MONTH_NAMES[month.month]} ${month.year}">${monthNames[month.month]}</button>`;
+    }).join('');
+
+    const cellsHTML = heatmap.weeks.map(week => week.map(day => {
+        if (!day) {
+            return '<div class="github-heatmap-cell github-heatmap-blank"></div>';
+        }
+
+        const intensityClass = getIntensityClass(day.count, 'daily');
+        const todayClass = day.isToday ? 'github-grid-today' : '';
+        const selectedClass = day.date === selectedDay ? 'github-grid-selected' : '';
+
+        return `<div class="github-heatmap-cell ${intensityClass} ${todayClass} ${selectedClass}"
+                     data-action="select-day" data-date="${day.date}"
+                     title="${formatDailyTooltip(day.date, day.count)}"></div>`;
+    }).join('')).join('');
+
+    let footer = `${formatCount(heatmap.total)} in ${heatmapYear || 'the past year'}`;
+    if (heatmapYear !== null && isContributionYearLoading(heatmapYear)) {
+        footer = `Loading ${heatmapYear}…`;
+    } else if (heatmapYear !== null && heatmapError) {
+        footer = `Couldn't load ${heatmapYear}: ${heatmapError}`;
+    }
+
+    return `
+        <div class="github-heatmap-wrapper" style="--heatmap-weeks: ${columns}">
+            <div class="github-heatmap-months">${monthsHTML}</div>
+            <div class="github-heatmap">${cellsHTML}</div>
+            <div class="github-grid-hint">${escapeHtml(footer)}</div>
+        </div>
+    `;
+}
+
+/**
+ * Generate the heatmap's year picker: the past year, then each calendar year back to the first
+ */
+function generateHeatmapYearSelect(firstYear) {
+    const currentYear = new Date().getFullYear();
+    const years = [];
+    for (let year = currentYear; year >= Math.min(firstYear, currentYear); year--) {
+        years.push(year);
+    }
+
+    return `<select class="github-heatmap-year" aria-label="Year">
+                <option value="" ${heatmapYear === null ? 'selected' : ''}>Past year</option>
+                ${years.map(year => `<option value="${year}" ${year === heatmapYear ? 'selected' : ''}>${year}</option>`).join('')}
+            </select>`;
+}
+
+/**
+ * Generate the detail for a day picked in the heatmap or a zoomed month
+ */
+function generateDayDetail(detail) {
+    const date = new Date(`${detail.date}T00:00:00`);
+    const dateLabel = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+    const types = detail.types.map(type => ({ className: `github-type-${type.key}`, label: type.label, count: type.count }));
+    if (detail.unclassified > 0 && types.length > 0) {
+        types.push({ className: 'github-type-unclassified', label: 'Other', count: detail.unclassified });
+    }
+
+    let bodyHTML;
+    if (detail.count === 0 && types.length === 0) {
+        bodyHTML = '<div class="github-day-detail-empty">No activity</div>';
+    } else if (types.length === 0) {
+        bodyHTML = '<div class="github-day-detail-empty">No detail kept for this day (only the last 90 days of GitHub activity)</div>';
+    } else {
+        bodyHTML = `
+            <div class="github-day-detail-types">
+                ${types.map(type => `
+                    <span class="github-day-detail-type">
+                        <span class="github-breakdown-swatch ${type.className}"></span>
+                        ${escapeHtml(type.label)} <span class="github-breakdown-count">${type.count}</span>
+                    </span>
+                `).join('')}
+            </div>
+            ${detail.repos.length > 0 ? `
+                <div class="github-day-detail-repos">
+                    ${detail.repos.map(repo => `
+                        <a class="github-day-detail-repo" href="${escapeHtml(`${getGitHubWebUrl()}/${repo.name}`)}" target="_blank" rel="noopener noreferrer">
+                            <span class="github-day-detail-repo-name">${escapeHtml(repo.name)}</span>
+                            <span class="github-breakdown-count">${repo.count}</span>
+                        </a>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    return `
+        <div class="github-day-detail">
+            <div class="github-day-detail-header">
+                <span class="github-day-detail-title">${dateLabel} • ${escapeHtml(formatCount(detail.count))}</span>
+                ${detail.profileUrl ? `
+                    <a class="github-view-toggle" href="${escapeHtml(detail.profileUrl)}" target="_blank" rel="noopener noreferrer"
+                       title="Open this day on GitHub" aria-label="Open this day on GitHub">
+                        <i class="ph ph-arrow-square-out"></i>
+                    </a>
+                ` : ''}
+                <button class="github-view-toggle" data-action="close-day" title="Close" aria-label="Close day detail">
+                    <i class="ph ph-x"></i>
+                </button>
+            </div>
+            ${bodyHTML}
+        </div>
+    `;
+}
+
+/**
+ * Generate the breakdown view: stacked daily bars by contribution type, a legend that
+ * toggles which types count, and the busiest repositories
+ */
+function generateBreakdown(breakdown) {
+    const dayTotals = breakdown.days.map(day =>
+        Object.values(day.types).reduce((sum, count) => sum + count, 0) + day.unclassified);
+    const maxDay = Math.max(1, ...dayTotals);
+
+    if (dayTotals.every(total => total === 0)) {
+        return '<div class="github-breakdown-empty">No activity in the last 7 days</div>';
+    }
+
+    const columnsHTML = breakdown.days.map(day => {
+        const date = new Date(`${day.date}T00:00:00`);
+        const segments = breakdown.types
+            .filter(type => day.types[type.key] > 0)
+            .map(type => ({ className: `github-type-${type.key} ${type.counted ? '' : 'excluded'}`, count: day.types[type.key], label: type.label }));
+        if (day.unclassified > 0) {
+            segments.push({ className: 'github-type-unclassified', count: day.unclassified, label: 'Other' });
+        }
+
+        const tooltip = [
+            date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' }),
+            ...segments.map(segment => `${segment.label}: ${segment.count}`)
+        ].join('\n');
+
+        return `
+            <div class="github-breakdown-day ${day.isToday ? 'today' : ''}" title="${escapeHtml(tooltip)}">
+                <div class="github-breakdown-bar">
+                    ${segments.map(segment => `
+                        <div class="github-breakdown-segment ${segment.className}" style="height: ${(segment.count / maxDay) * 100}%"></div>
+                    `).join('')}
+                </div>
+                <span class="github-breakdown-weekday">${date.toLocaleDateString('en-US', { weekday: 'narrow' })}</span>
+            </div>
+        `;
+    }).join('');
+
+    // Types can only be toggled when counting contributions; commit mode counts commits alone
+    const legendHTML = breakdown.types.map(type => countUnit === 'commit' ? `
+        <div class="github-breakdown-type ${type.counted ? '' : 'excluded'}" title="Counting commits only (change under GitHub in Settings)">
+            <span class="github-breakdown-swatch github-type-${type.key}"></span>
+            <span class="github-breakdown-type-label">${escapeHtml(type.label)}</span>
+            <span class="github-breakdown-count">${type.count}</span>
+        </div>
+    ` : `
+        <button class="github-breakdown-type ${type.counted ? '' : 'excluded'}" data-action="toggle-type" data-type="${type.key}"
+                title="${type.counted ? 'Counts toward streaks and the weekly goal (click to exclude)' : 'Not counted toward streaks or the weekly goal (click to include)'}"
+                aria-pressed="${type.counted}">
+            <span class="github-breakdown-swatch github-type-${type.key}"></span>
+            <span class="github-breakdown-type-label">${escapeHtml(type.label)}</span>
+            <span class="github-breakdown-count">${type.count}</span>
+        </button>
+    `).join('') + (breakdown.unclassified > 0 ? `
+        <div class="github-breakdown-type" title="Local tracking and contributions without detail always count">
+            <span class="github-breakdown-swatch github-type-unclassified"></span>
+            <span class="github-breakdown-type-label">Other</span>
+            <span class="github-breakdown-count">${breakdown.unclassified}</span>
+        </div>
+    ` : '');
+
+    const topRepos = breakdown.repos.slice(0, 3);
+    const moreRepos = breakdown.repos.length - topRepos.length;
+    const maxRepo = Math.max(1, ...topRepos.map(repo => repo.count));
+
+    const reposHTML = topRepos.map(repo => `
+        <div class="github-breakdown-repo" title="${escapeHtml(repo.name)}: ${repo.count}">
+            <span class="github-breakdown-repo-name">${escapeHtml(repo.name)}</span>
+            <span class="github-breakdown-repo-bar"><span style="width: ${(repo.count / maxRepo) * 100}%"></span></span>
+            <span class="github-breakdown-count">${repo.count}</span>
+        </div>
+    `).join('');
+
+    return `
+        <div class="github-breakdown">
+            <div class="github-breakdown-chart">
+                <div class="github-breakdown-days">${columnsHTML}</div>
+                <div class="github-breakdown-legend">${legendHTML}</div>
+            </div>
+            ${topRepos.length > 0 ? `
+                <div class="github-breakdown-repos">
+                    ${reposHTML}
+                    ${moreRepos > 0 ? `<div class="github-breakdown-more">+${moreRepos} more ${moreRepos === 1 ? 'repository' : 'repositories'}</div>` : ''}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
 /**
  * Generate activity dots for today
  */
@@ -434,19 +1574,35 @@ function getIntensityClass(count, type) {
 }
 
 /**
- * Get section label based on time range
+ * Get section label based on time range (named after the habit when one is shown)
  */
-function getSectionLabel(timeRange) {
+function getSectionLabel(timeRange, habitName) {
+    const units = getUnitsLabel(habitName);
+
     if (timeRange === 7) {
-        return 'Daily Commits • Last 7 Days';
+        return `Daily ${units} • Last 7 Days`;
     } else if (timeRange === 28) {
-        return 'Daily Commits • Last 28 Days';
+        return `Daily ${units} • Last 28 Days`;
     } else if (timeRange === 90) {
-        return 'Weekly Commits • Last 90 Days';
+        return `Weekly ${units} • Last 90 Days`;
     } else if (timeRange === 365) {
-        return 'Monthly Commits • Past Year';
+        return `Monthly ${units} • Past Year`;
     }
-    return 'Daily Commits • Last 28 Days';
+    return `Daily ${units} • Last 28 Days`;
+}
+
+/**
+ * What the grid counts, for section labels: the habit's name, or commits or contributions
+ */
+function getUnitsLabel(habitName) {
+    return habitName || (countUnit === 'commit' ? 'Commits' : 'Contributions');
+}
+
+/**
+ * Count with the unit being tracked, e.g. "1 commit" or "5 contributions"
+ */
+function formatCount(count) {
+    return `${count} ${countUnit}${count === 1 ? '' : 's'}`;
 }
 
 /**
@@ -459,9 +1615,7 @@ function formatDailyTooltip(dateString, count) {
     const month = monthNames[date.getMonth()];
     const dayWithOrdinal = getOrdinalSuffix(date.getDate());
 
-    const commitText = count === 1 ? 'commit' : 'commits';
-
-    return `${dayWithOrdinal} ${month}: ${count} ${commitText}`;
+    return `${dayWithOrdinal} ${month}: ${formatCount(count)}`;
 }
 
 /**
@@ -477,12 +1631,10 @@ function formatWeeklyTooltip(startDate, endDate, count) {
     const startDay = start.getDate();
     const endDay = end.getDate();
 
-    const commitText = count === 1 ? 'commit' : 'commits';
-
     if (start.getMonth() === end.getMonth()) {
-        return `${startMonth} ${startDay}-${endDay}: ${count} ${commitText}`;
+        return `${startMonth} ${startDay}-${endDay}: ${formatCount(count)}`;
     } else {
-        return `${startMonth} ${startDay} - ${endMonth} ${endDay}: ${count} ${commitText}`;
+        return `${startMonth} ${startDay} - ${endMonth} ${endDay}: ${formatCount(count)}`;
     }
 }
 
@@ -493,9 +1645,7 @@ function formatMonthlyTooltip(month, year, count) {
     const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                         'July', 'August', 'September', 'October', 'November', 'December'];
 
-    const commitText = count === 1 ? 'commit' : 'commits';
-
-    return `${monthNames[month]} ${year}: ${count} ${commitText}`;
+    return `${monthNames[month]} ${year}: ${formatCount(count)}`;
 }
 
 /**
@@ -512,6 +1662,63 @@ All-Time Records:
 • Monthly: ${records.monthly} month${records.monthly !== 1 ? 's' : ''}`;
 }
 
+/**
+ * Generate the account selector: accounts (combined when there are several), habits,
+ * and an option for adding a habit
+ */
+function generateAccountSelect(selected) {
+    const accounts = getAccounts();
+    const options = accounts.length > 1 ? [...accounts, { key: COMBINED_ACCOUNT, label: 'Combined' }] : accounts;
+    const habits = getHabits();
+
+    const renderOption = (key, label) => `
+        <option value="${escapeHtml(key)}" ${key === selected ? 'selected' : ''}>${escapeHtml(label)}</option>
+    `;
+
+    return `<select class="github-account-select" aria-label="Account or habit">
+                ${options.map(account => renderOption(account.key, account.label)).join('')}
+                ${habits.length > 0 ? `
+                    <optgroup label="Habits">
+                        ${habits.map(habit => renderOption(habit.key, habit.name)).join('')}
+                    </optgroup>
+                ` : ''}
+                <option value="${NEW_HABIT_OPTION}">New habit…</option>
+            </select>`;
+}
+
+/**
+ * Generate the form for logging activity on any day, plus a habit's goal and actions
+ */
+function generateLogPanel(habit, weeklyGoal) {
+    const today = new Date();
+    const todayKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+    return `
+        <div class="github-log-panel">
+            <form class="github-log-form">
+                <input type="date" name="date" class="github-log-input" value="${todayKey}" max="${todayKey}" aria-label="Day" required>
+                <input type="number" name="count" class="github-log-input github-log-count" value="1" step="1" aria-label="Amount (negative to take away)">
+                <button type="submit" class="github-log-submit">Log</button>
+            </form>
+            ${habit ? `
+                <div class="github-habit-settings">
+                    <label class="github-habit-goal-label">
+                        Weekly goal
+                        <input type="number" class="github-log-input github-habit-goal" data-habit-id="${escapeHtml(habit.id)}"
+                               value="${weeklyGoal}" min="1" step="1">
+                    </label>
+                    <button class="github-log-btn" data-action="rename-habit" data-habit-id="${escapeHtml(habit.id)}" title="Rename habit" aria-label="Rename habit">
+                        <i class="ph ph-pencil-simple"></i>
+                    </button>
+                    <button class="github-log-btn" data-action="delete-habit" data-habit-id="${escapeHtml(habit.id)}" title="Delete habit" aria-label="Delete habit">
+                        <i class="ph ph-trash"></i>
+                    </button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
 /**
  * Generate connection status indicator
  */
@@ -519,20 +1726,47 @@ function generateConnectionStatus(status) {
     if (!status.lastChecked) {
         // Not yet checked - show local mode indicator
         return `<div class="github-status-indicator" title="Using local tracking">
-                    <i class="ph ph-database" style="font-size: 0.875rem; color: #737373;"></i>
+                    <i class="ph ph-database" style="font-size: 0.875rem; color: var(--color-text-muted);"></i>
                 </div>`;
     }
 
+    const quota = formatRateLimits(status.rateLimits);
+
     if (status.connected) {
         // Connected successfully
-        return `<div class="github-status-indicator" title="Synced with GitHub">
-                    <i class="ph ph-check-circle" style="font-size: 0.875rem; color: #10b981;"></i>
+        return `<div class="github-status-indicator" title="${escapeHtml(['Synced with GitHub', ...quota].join('\n'))}">
+                    <i class="ph ph-check-circle" style="font-size: 0.875rem; color: var(--color-positive);"></i>
+                </div>`;
+    } else if (status.rateLimitedUntil > Date.now()) {
+        // Paused until the rate limit resets
+        const errorMsg = `Rate limit reached, paused until ${formatResetTime(status.rateLimitedUntil)}`;
+        return `<div class="github-status-indicator" title="${escapeHtml([errorMsg, ...quota].join('\n'))}">
+                    <i class="ph ph-hourglass" style="font-size: 0.875rem; color: var(--color-warning);"></i>
                 </div>`;
     } else {
         // Connection error
         const errorMsg = status.error || 'Connection failed';
-        return `<div class="github-status-indicator" title="${errorMsg}">
-                    <i class="ph ph-warning-circle" style="font-size: 0.875rem; color: #ef4444;"></i>
+        return `<div class="github-status-indicator" title="${escapeHtml([errorMsg, ...quota].join('\n'))}">
+                    <i class="ph ph-warning-circle" style="font-size: 0.875rem; color: var(--color-negative);"></i>
                 </div>`;
     }
 }
+
+/**
+ * Remaining quota lines for the status tooltip, e.g. "REST API: 4,990/5,000 left, resets at 14:05"
+ */
+function formatRateLimits(rateLimits = {}) {
+    const labels = { core: 'REST API', graphql: 'GraphQL API' };
+
+    return Object.entries(labels)
+        .filter(([resource]) => rateLimits[resource])
+        .map(([resource, label]) => {
+            const { limit, remaining, resetAt } = rateLimits[resource];
+            const reset = resetAt > Date.now() ? `, resets at ${formatResetTime(resetAt)}` : '';
+            return `${label}: ${remaining.toLocaleString()}/${limit.toLocaleString()} left${reset}`;
+        });
+}
+
+function formatResetTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
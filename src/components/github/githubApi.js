@@ -0,0 +1,329 @@
+// githubApi.js - Shared GitHub API client (REST and GraphQL), for github.com or GitHub Enterprise Server
+
+const GITHUB_API_BASE = 'https://api.github.com';
+const GITHUB_WEB_BASE = 'https://github.com';
+const RATE_LIMIT_STORAGE_KEY = 'github_rate_limits';
+const DEFAULT_RATE_LIMIT_PAUSE = 60 * 1000; // When GitHub doesn't say how long to wait
+
+// Set by setGitHubServer(); github.com unless an Enterprise Server URL is configured
+let apiBase = GITHUB_API_BASE;
+let graphQLEndpoint = `${GITHUB_API_BASE}/graphql`;
+let webBase = GITHUB_WEB_BASE;
+
+// Latest quota per resource ('core', 'graphql', 'search'): { limit, remaining, resetAt, pausedUntil }.
+// Kept in localStorage so a new tab doesn't retry while another tab is rate limited.
+let rateLimits = loadRateLimits();
+
+/**
+ * Normalize a GitHub Enterprise Server URL to its origin (plus any path prefix)
+ * @param {string} input - e.g. "github.example.com" or "https://github.example.com/"
+ * @returns {string} e.g. "https://github.example.com", or '' for github.com
+ * @throws {Error} If the input isn't a valid http(s) URL
+ */
+export function normalizeServerUrl(input) {
+    const value = (input || '').trim();
+    if (!value) return '';
+
+    let url;
+    try {
+        url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+        throw new Error(`"${value}" is not a valid server URL`);
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error('The server URL must start with https:// or http://');
+    }
+
+    if (url.hostname === 'github.com' || url.hostname === 'api.github.com') {
+        return '';
+    }
+
+    // Strip a pasted /api/v3 so either the web or API address works
+    const path = url.pathname.replace(/\/api\/v3\/?$/, '').replace(/\/+$/, '');
+    return `${url.origin}${path}`;
+}
+
+/**
+ * Point the client at github.com or a GitHub Enterprise Server instance
+ * @param {string} serverUrl - Normalized server URL ('' for github.com)
+ */
+export function setGitHubServer(serverUrl) {
+    if (serverUrl) {
+        // Enterprise Server serves REST under /api/v3 and GraphQL at /api/graphql
+        apiBase = `${serverUrl}/api/v3`;
+        graphQLEndpoint = `${serverUrl}/api/graphql`;
+        webBase = serverUrl;
+    } else {
+        apiBase = GITHUB_API_BASE;
+        graphQLEndpoint = `${GITHUB_API_BASE}/graphql`;
+        webBase = GITHUB_WEB_BASE;
+    }
+}
+
+/**
+ * @returns {string} Web address of the current server, e.g. "https://github.com"
+ */
+export function getGitHubWebUrl() {
+    return webBase;
+}
+
+/**
+ * Ask for access to an Enterprise Server host (the manifest only grants api.github.com).
+ * Must be called from a user gesture, such as the settings field being changed.
+ * @param {string} serverUrl - Normalized server URL
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+export function requestServerPermission(serverUrl) {
+    if (!serverUrl || typeof chrome === 'undefined' || !chrome.permissions) {
+        return Promise.resolve(true);
+    }
+
+    return chrome.permissions.request({ origins: [getOriginPattern(serverUrl)] });
+}
+
+/**
+ * Give up access to an Enterprise Server host that is no longer used
+ * @param {string} serverUrl - Normalized server URL
+ */
+export async function removeServerPermission(serverUrl) {
+    if (!serverUrl || typeof chrome === 'undefined' || !chrome.permissions) return;
+
+    try {
+        await chrome.permissions.remove({ origins: [getOriginPattern(serverUrl)] });
+    } catch (error) {
+        console.error('Error removing GitHub server permission:', error);
+    }
+}
+
+function getOriginPattern(serverUrl) {
+    return `${new URL(serverUrl).origin}/*`;
+}
+
+/**
+ * Get the last known quota for an API resource
+ * @param {string} [resource='core'] - 'core' (REST), 'graphql' or 'search'
+ * @returns {Object|null} { limit, remaining, resetAt, pausedUntil } (timestamps in ms), or null if unknown
+ */
+export function getRateLimit(resource = 'core') {
+    rateLimits = loadRateLimits();
+    const rateLimit = rateLimits[resource];
+    if (!rateLimit) return null;
+
+    // The window has reset since the last response
+    if (rateLimit.resetAt <= Date.now()) {
+        return { ...rateLimit, remaining: rateLimit.limit, pausedUntil: 0 };
+    }
+    return { ...rateLimit };
+}
+
+/**
+ * Forget known quotas (e.g. when the token or server changes)
+ */
+export function clearRateLimits() {
+    rateLimits = {};
+    localStorage.removeItem(RATE_LIMIT_STORAGE_KEY);
+}
+
+/**
+ * Make a REST API request
+ * @param {string} path - API path, e.g. `/users/octocat/events?per_page=100`
+ * @param {Object} [options]
+ * @param {string} [options.token] - Personal access token (optional for public data)
+ * @returns {Promise<*>} Parsed JSON response
+ * @throws {Error} With `status` set for HTTP errors
+ */
+export async function githubRequest(path, { token } = {}) {
+    const { data } = await githubFetch(path, { token });
+    return data;
+}
+
+/**
+ * Make a REST API request with full control over method and headers
+ * @param {string} path - API path
+ * @param {Object} [options]
+ * @param {string} [options.token] - Personal access token
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers] - Extra request headers (e.g. If-Modified-Since)
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<Object>} { status, data (null for empty and 304 responses), headers }
+ * @throws {Error} With `status` set for HTTP errors
+ */
+export async function githubFetch(path, { token, method = 'GET', headers = {}, body } = {}) {
+    const resource = path.startsWith('/search/') ? 'search' : 'core';
+    assertNotRateLimited(resource);
+
+    const requestHeaders = {
+        'Accept': 'application/vnd.github.v3+json',
+        ...headers
+    };
+
+    if (token) {
+        requestHeaders['Authorization'] = `token ${token}`;
+    }
+    if (body !== undefined) {
+        requestHeaders['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(`${apiBase}${path}`, {
+        method,
+        headers: requestHeaders,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    recordRateLimit(resource, response);
+
+    // 304 Not Modified is a successful conditional request
+    if (!response.ok && response.status !== 304) {
+        throw getRateLimitError(resource, response) || createHttpError(response.status, `GitHub API error: ${response.status}`);
+    }
+
+    const hasBody = response.status !== 204 && response.status !== 205 && response.status !== 304 &&
+        (response.headers.get('Content-Type') || '').includes('json');
+
+    return {
+        status: response.status,
+        data: hasBody ? await response.json() : null,
+        headers: response.headers
+    };
+}
+
+/**
+ * Run a GraphQL query (requires a token)
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {string} token - Personal access token
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPartial=false] - Return partial data instead of throwing when
+ *   some fields failed (they come back as null, e.g. a repository that doesn't exist)
+ * @returns {Promise<Object>} The `data` field of the response
+ * @throws {Error} For HTTP errors (with `status`) and GraphQL errors
+ */
+export async function githubGraphQL(query, variables, token, { allowPartial = false } = {}) {
+    assertNotRateLimited('graphql');
+
+    const response = await fetch(graphQLEndpoint, {
+        method: 'POST',
+        headers: {
+            'Authorization': `bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ query, variables })
+    });
+
+    recordRateLimit('graphql', response);
+
+    if (!response.ok) {
+        throw getRateLimitError('graphql', response) || createHttpError(response.status, `GitHub GraphQL error: ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    // GraphQL can report an exhausted quota with a 200 response
+    if (result.errors?.some(error => error.type === 'RATE_LIMITED')) {
+        const resetAt = rateLimits.graphql?.resetAt || Date.now() + DEFAULT_RATE_LIMIT_PAUSE;
+        pauseRequests('graphql', resetAt);
+        throw createRateLimitError(resetAt);
+    }
+
+    if (result.errors && !(allowPartial && result.data)) {
+        throw new Error(result.errors[0].message);
+    }
+
+    return result.data;
+}
+
+function createHttpError(status, message) {
+    const error = new Error(status === 401 ? 'Invalid or expired token' : message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * @throws {Error} If requests for this resource are paused until the rate limit resets
+ */
+function assertNotRateLimited(resource) {
+    rateLimits = loadRateLimits();
+    const pausedUntil = rateLimits[resource]?.pausedUntil || 0;
+
+    if (pausedUntil > Date.now()) {
+        throw createRateLimitError(pausedUntil);
+    }
+}
+
+/**
+ * Remember the quota reported by a response; an exhausted quota pauses requests until it resets
+ */
+function recordRateLimit(resource, response) {
+    const limit = parseInt(response.headers.get('X-RateLimit-Limit'), 10);
+    const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+    const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+    if (Number.isNaN(remaining) || Number.isNaN(reset)) return;
+
+    // Kept under the resource the caller asked for, which is what later requests check; GitHub's
+    // X-RateLimit-Resource can name a narrower bucket (e.g. "code_search" for "search")
+    const resetAt = reset * 1000;
+
+    rateLimits = loadRateLimits();
+    rateLimits[resource] = {
+        limit: Number.isNaN(limit) ? remaining : limit,
+        remaining,
+        resetAt,
+        pausedUntil: remaining === 0 ? resetAt : 0
+    };
+    saveRateLimits();
+}
+
+/**
+ * Turn a 403/429 caused by rate limiting into an error that says when requests resume
+ * @returns {Error|null} Null if the response wasn't rate limited
+ */
+function getRateLimitError(resource, response) {
+    if (response.status !== 403 && response.status !== 429) return null;
+
+    // Primary limit: the quota is used up until X-RateLimit-Reset
+    if (response.headers.get('X-RateLimit-Remaining') === '0') {
+        return createRateLimitError(rateLimits[resource]?.pausedUntil || Date.now() + DEFAULT_RATE_LIMIT_PAUSE);
+    }
+
+    // Secondary limit: GitHub says how long to back off (or at least a minute)
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    if (response.status === 429 || !Number.isNaN(retryAfter)) {
+        const resumeAt = Date.now() + (Number.isNaN(retryAfter) ? DEFAULT_RATE_LIMIT_PAUSE : retryAfter * 1000);
+        pauseRequests(resource, resumeAt);
+        return createRateLimitError(resumeAt);
+    }
+
+    return null;
+}
+
+function pauseRequests(resource, until) {
+    rateLimits = loadRateLimits();
+    rateLimits[resource] = { ...rateLimits[resource], pausedUntil: until };
+    saveRateLimits();
+}
+
+function createRateLimitError(resetAt) {
+    const time = new Date(resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const error = createHttpError(403, `GitHub rate limit reached until ${time}`);
+    error.rateLimited = true;
+    error.resetAt = resetAt;
+    return error;
+}
+
+function loadRateLimits() {
+    try {
+        return JSON.parse(localStorage.getItem(RATE_LIMIT_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error loading GitHub rate limits:', error);
+        return {};
+    }
+}
+
+function saveRateLimits() {
+    try {
+        localStorage.setItem(RATE_LIMIT_STORAGE_KEY, JSON.stringify(rateLimits));
+    } catch (error) {
+        console.error('Error saving GitHub rate limits:', error);
+    }
+}
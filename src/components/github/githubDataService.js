@@ -1,26 +1,67 @@
 // githubDataService.js - GitHub API integration and local tracking
+import { githubRequest, githubFetch, githubGraphQL, setGitHubServer, getGitHubWebUrl, getRateLimit } from './githubApi.js';
+import { profileStorageKey } from '../settings/profiles.js';
 
 // Constants
-const GITHUB_API_BASE = 'https://api.github.com';
 const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes cache
-const LOCAL_STORAGE_KEY = 'github_activity_data';
-const SETTINGS_KEY = 'github_settings';
+const LOCAL_STORAGE_KEY = 'github_activity_data'; // Primary account (and local tracking)
+const ACCOUNT_STORAGE_PREFIX = 'github_activity_data:'; // Additional accounts, by lowercased login
+const HABIT_STORAGE_KEY = 'github_habits'; // Manually logged habits, { [habitId]: cache } (suffixed per profile)
+const SETTINGS_KEY = 'github_settings'; // Suffixed per profile (see profiles.js)
+const LOGIN_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})$/i;
+
+const BREAKDOWN_DAYS = 28; // Days of per-type/per-repo detail fetched with the contribution calendar
+const BREAKDOWN_RETENTION_DAYS = 90; // Older detail is dropped; those days count in full
+
+// Account key for the view that sums all accounts
+export const COMBINED_ACCOUNT = '*';
+
+// Prefix of the key for a habit's view, e.g. 'habit:k3x9f'
+export const HABIT_KEY_PREFIX = 'habit:';
+
+// Kinds of contribution kept in the breakdown; each can be left out of streaks and the weekly goal
+export const CONTRIBUTION_TYPES = [
+    { key: 'commits', label: 'Commits' },
+    { key: 'pullRequests', label: 'Pull requests' },
+    { key: 'issues', label: 'Issues' },
+    { key: 'reviews', label: 'Reviews' },
+    { key: 'created', label: 'New repos & branches' }
+];
+
+// Public event types counted as activity, by contribution type
+const EVENT_CONTRIBUTION_TYPES = {
+    PushEvent: 'commits',
+    PullRequestEvent: 'pullRequests',
+    IssuesEvent: 'issues',
+    PullRequestReviewEvent: 'reviews',
+    CreateEvent: 'created'
+};
 
 // State
-let activityCache = null;
+let activityCaches = {}; // { [accountKey]: cache } - '' is the primary account
+let habitCaches = {}; // { [habitId]: cache } - logged by hand, never fetched
 let lastFetchTime = null;
+let pendingYears = {}; // { [year]: Promise } - past years being fetched for the heatmap
+let rateLimitRetryTimer = null;
 let onDataUpdateCallback = null;
 let connectionStatus = {
     connected: false,
     error: null,
+    rateLimitedUntil: null, // Set when the last fetch failed because the rate limit ran out
     lastChecked: null
 };
 let settings = {
     username: '',
     token: '',
+    server: '', // GitHub Enterprise Server URL ('' for github.com)
     useAPI: false,
     timeRange: 28,
-    weeklyGoal: 20
+    weeklyGoal: 20,
+    accounts: [], // Additional user or organization logins
+    selectedAccount: '', // Account key shown in the widget, COMBINED_ACCOUNT or a habit key
+    habits: [], // Named habits tracked by hand: [{ id, name, unit, weeklyGoal }]
+    countedTypes: CONTRIBUTION_TYPES.map(type => type.key), // Types counted toward streaks and the goal
+    countMode: 'contributions' // 'contributions' (like GitHub's calendar) or 'commits' only
 };
 
 /**
@@ -50,12 +91,29 @@ export function initGitHubService(onDataUpdate, userSettings = {}) {
     if (userSettings.githubWeeklyGoal) {
         settings.weeklyGoal = userSettings.githubWeeklyGoal;
     }
+    if (userSettings.githubAccounts !== undefined) {
+        settings.accounts = userSettings.githubAccounts;
+    }
+    if (userSettings.githubServerUrl !== undefined) {
+        settings.server = userSettings.githubServerUrl;
+    }
+    if (userSettings.githubCountedTypes !== undefined) {
+        settings.countedTypes = userSettings.githubCountedTypes;
+    }
+    if (userSettings.githubCountMode !== undefined) {
+        settings.countMode = userSettings.githubCountMode;
+    }
+    if (userSettings.githubHabits !== undefined) {
+        settings.habits = userSettings.githubHabits;
+    }
+    setGitHubServer(settings.server);
 
     // Load cached data
-    loadLocalData();
+    loadAccountCaches();
+    loadHabitCaches();
 
     // If API mode is enabled and we have credentials, fetch from GitHub
-    if (settings.useAPI && settings.username) {
+    if (settings.useAPI && getAccounts().some(account => account.login)) {
         fetchGitHubActivity();
     }
 
@@ -70,7 +128,7 @@ export function initGitHubService(onDataUpdate, userSettings = {}) {
  */
 function loadSettings() {
     try {
-        const stored = localStorage.getItem(SETTINGS_KEY);
+        const stored = localStorage.getItem(profileStorageKey(SETTINGS_KEY));
         if (stored) {
             const parsed = JSON.parse(stored);
             settings = { ...settings, ...parsed };
@@ -85,37 +143,171 @@ function loadSettings() {
  */
 function saveSettings() {
     try {
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        localStorage.setItem(profileStorageKey(SETTINGS_KEY), JSON.stringify(settings));
     } catch (error) {
         console.error('Error saving GitHub settings:', error);
     }
 }
 
 /**
- * Load local activity data from storage
+ * Parse a list of additional accounts from the settings field
+ * @param {string} text - Comma or space separated logins
+ * @returns {string[]} Valid, unique logins
  */
-function loadLocalData() {
-    try {
-        const stored = localStorage.getItem(LOCAL_STORAGE_KEY);
-        if (stored) {
-            activityCache = JSON.parse(stored);
-        } else {
-            // Initialize with empty data structure
-            activityCache = initializeEmptyData();
-            saveLocalData();
+export function parseAccountList(text) {
+    const logins = [];
+
+    (text || '').split(/[\s,]+/).filter(Boolean).forEach(login => {
+        const name = login.replace(/^@/, '');
+        if (!LOGIN_PATTERN.test(name)) {
+            console.warn(`Ignoring invalid GitHub login "${login}"`);
+        } else if (!logins.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+            logins.push(name);
         }
+    });
+
+    return logins;
+}
+
+/**
+ * Accounts shown in the widget: the primary account (local-only without a username)
+ * followed by the additional accounts
+ * @returns {Array} [{ key, login, label }]
+ */
+export function getAccounts() {
+    const accounts = [{ key: '', login: settings.username, label: settings.username || 'Local' }];
+
+    settings.accounts.forEach(login => {
+        const key = login.toLowerCase();
+        if (key !== settings.username.toLowerCase()) {
+            accounts.push({ key, login, label: login });
+        }
+    });
+
+    return accounts;
+}
+
+/**
+ * Habits tracked alongside GitHub activity
+ * @returns {Array} [{ id, key, name, unit, weeklyGoal }] - `key` selects the habit's view
+ */
+export function getHabits() {
+    return settings.habits.map(habit => ({ ...habit, key: `${HABIT_KEY_PREFIX}${habit.id}` }));
+}
+
+function getHabit(key) {
+    return getHabits().find(habit => habit.key === key) || null;
+}
+
+/**
+ * @returns {string} Key of the account or habit shown (falls back to the primary account)
+ */
+export function getSelectedAccount() {
+    const selected = settings.selectedAccount;
+    const accounts = getAccounts();
+
+    if (selected === COMBINED_ACCOUNT && accounts.length > 1) return selected;
+    if (selected.startsWith(HABIT_KEY_PREFIX)) return getHabit(selected) ? selected : '';
+    return accounts.some(account => account.key === selected) ? selected : '';
+}
+
+/**
+ * Choose the account or habit shown in the widget
+ * @param {string} key - Account key, COMBINED_ACCOUNT or a habit key
+ */
+export function selectAccount(key) {
+    settings.selectedAccount = key;
+    saveSettings();
+
+    if (onDataUpdateCallback) {
+        onDataUpdateCallback(getActivityData());
+    }
+}
+
+function getAccountStorageKey(accountKey) {
+    return accountKey ? `${ACCOUNT_STORAGE_PREFIX}${accountKey}` : LOCAL_STORAGE_KEY;
+}
+
+/**
+ * Load activity data for every account from storage
+ */
+function loadAccountCaches() {
+    activityCaches = {};
+
+    getAccounts().forEach(({ key }) => {
+        try {
+            const stored = localStorage.getItem(getAccountStorageKey(key));
+            if (stored) {
+                activityCaches[key] = { ...initializeEmptyData(), ...JSON.parse(stored) };
+            } else {
+                // Initialize with empty data structure
+                activityCaches[key] = initializeEmptyData();
+                saveAccountCache(key);
+            }
+        } catch (error) {
+            console.error('Error loading local data:', error);
+            activityCaches[key] = initializeEmptyData();
+        }
+    });
+}
+
+/**
+ * Load logged activity for every habit from storage
+ */
+function loadHabitCaches() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(profileStorageKey(HABIT_STORAGE_KEY))) || {};
+        habitCaches = {};
+        Object.entries(stored).forEach(([id, cache]) => {
+            habitCaches[id] = { ...initializeEmptyData(), ...cache };
+        });
     } catch (error) {
-        console.error('Error loading local data:', error);
-        activityCache = initializeEmptyData();
+        console.error('Error loading habit data:', error);
+        habitCaches = {};
+    }
+}
+
+function getHabitCache(habitId) {
+    if (!habitCaches[habitId]) {
+        habitCaches[habitId] = initializeEmptyData();
     }
+    return habitCaches[habitId];
+}
+
+function saveHabitCaches() {
+    try {
+        localStorage.setItem(profileStorageKey(HABIT_STORAGE_KEY), JSON.stringify(habitCaches));
+    } catch (error) {
+        console.error('Error saving habit data:', error);
+    }
+}
+
+/**
+ * Drop the logs of habits that have been deleted
+ */
+function pruneHabitCaches() {
+    const ids = new Set(settings.habits.map(habit => habit.id));
+    Object.keys(habitCaches).forEach(id => {
+        if (!ids.has(id)) {
+            delete habitCaches[id];
+        }
+    });
+    saveHabitCaches();
+}
+
+function getAccountCache(accountKey) {
+    if (!activityCaches[accountKey]) {
+        activityCaches[accountKey] = initializeEmptyData();
+    }
+    return activityCaches[accountKey];
 }
 
 /**
- * Save local activity data to storage
+ * Save an account's activity data to storage
  */
-function saveLocalData() {
+function saveAccountCache(accountKey) {
     try {
-        localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(activityCache));
+        localStorage.setItem(getAccountStorageKey(accountKey), JSON.stringify(activityCaches[accountKey]));
     } catch (error) {
         console.error('Error saving local data:', error);
     }
@@ -126,7 +318,10 @@ function saveLocalData() {
  */
 function initializeEmptyData() {
     return {
-        days: {}, // { 'YYYY-MM-DD': count }
+        days: {}, // { 'YYYY-MM-DD': count } - contributions, counting each commit like GitHub does
+        commitDays: {}, // { 'YYYY-MM-DD': count } - commits only
+        breakdown: {}, // { 'YYYY-MM-DD': { types: { [type]: count }, repos: { [nameWithOwner]: count } } }
+        fetchedYears: [], // Past calendar years fetched for the heatmap
         currentDailyStreak: 0,
         longestDailyStreak: 0,
         longestWeeklyStreak: 0,
@@ -136,7 +331,7 @@ function initializeEmptyData() {
 }
 
 /**
- * Fetch activity from GitHub API
+ * Fetch activity for every account from GitHub API
  */
 async function fetchGitHubActivity() {
     // Check cache validity
@@ -144,74 +339,105 @@ async function fetchGitHubActivity() {
         return;
     }
 
-    if (!settings.username) {
+    const accounts = getAccounts().filter(account => account.login);
+    if (accounts.length === 0) {
         connectionStatus.error = 'No username configured';
         return;
     }
 
-    try {
-        // Use GraphQL API if token is available, otherwise fall back to REST
-        if (settings.token) {
-            await fetchContributionCalendar();
-        } else {
-            await fetchPublicEvents();
+    const results = await Promise.allSettled(accounts.map(fetchAccountActivity));
+    const failures = [];
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Error fetching GitHub activity for ${accounts[index].login}:`, result.reason);
+            failures.push(accounts.length > 1 ? `${accounts[index].login}: ${result.reason.message}` : result.reason.message);
         }
+    });
 
-        connectionStatus.connected = true;
-        connectionStatus.error = null;
-        connectionStatus.lastChecked = new Date().toISOString();
+    const rateLimitResets = results
+        .filter(result => result.status === 'rejected' && result.reason.rateLimited)
+        .map(result => result.reason.resetAt);
+
+    connectionStatus.connected = failures.length === 0;
+    connectionStatus.error = failures.length > 0 ? failures.join('; ') : null;
+    connectionStatus.rateLimitedUntil = rateLimitResets.length > 0 ? Math.max(...rateLimitResets) : null;
+    connectionStatus.lastChecked = new Date().toISOString();
+
+    // Try again once the quota resets, rather than waiting for the next new tab
+    clearTimeout(rateLimitRetryTimer);
+    if (connectionStatus.rateLimitedUntil) {
+        rateLimitRetryTimer = setTimeout(fetchGitHubActivity, connectionStatus.rateLimitedUntil - Date.now() + 1000);
+    }
+
+    if (failures.length === 0) {
         lastFetchTime = Date.now();
+    }
 
-        // Notify update
-        if (onDataUpdateCallback) {
-            onDataUpdateCallback(getActivityData());
-        }
-    } catch (error) {
-        console.error('Error fetching GitHub activity:', error);
-        connectionStatus.connected = false;
-        connectionStatus.error = error.message;
-        connectionStatus.lastChecked = new Date().toISOString();
+    // Notify update if anything was fetched
+    if (failures.length < accounts.length && onDataUpdateCallback) {
+        onDataUpdateCallback(getActivityData());
     }
 }
 
 /**
- * Fetch public events (unauthenticated or token-based)
+ * Fetch one account's activity: organizations via their public events, users via the
+ * contribution calendar when a token is available, otherwise their public events
  */
-async function fetchPublicEvents() {
-    const headers = {
-        'Accept': 'application/vnd.github.v3+json'
-    };
+async function fetchAccountActivity(account) {
+    const cache = getAccountCache(account.key);
+
+    // The account type is looked up once per login
+    if (!cache.account || cache.account.login.toLowerCase() !== account.login.toLowerCase() ||
+        cache.account.server !== settings.server || cache.account.createdAt === undefined) {
+        const user = await fetchAccount(account.login);
+        cache.account = { login: user.login, type: user.type, server: settings.server, createdAt: user.created_at };
+    }
 
-    // Add authorization if token is available
-    if (settings.token) {
-        headers['Authorization'] = `token ${settings.token}`;
+    if (cache.account.type === 'Organization') {
+        await fetchPublicEvents(`/orgs/${account.login}/events`, cache);
+    } else if (settings.token) {
+        await fetchContributionCalendar(account.login, cache);
+    } else {
+        await fetchPublicEvents(`/users/${account.login}/events`, cache);
     }
 
-    const response = await fetch(
-        `${GITHUB_API_BASE}/users/${settings.username}/events?per_page=100`,
-        { headers }
-    );
+    saveAccountCache(account.key);
+}
 
-    if (!response.ok) {
-        if (response.status === 401) {
-            throw new Error('Invalid or expired token');
-        } else if (response.status === 404) {
+async function fetchAccount(login) {
+    try {
+        return await githubRequest(`/users/${login}`, { token: settings.token });
+    } catch (error) {
+        if (error.status === 404) {
             throw new Error('User not found');
-        } else {
-            throw new Error(`GitHub API error: ${response.status}`);
         }
+        throw error;
     }
+}
+
+/**
+ * Fetch public events (unauthenticated or token-based). Sends the last ETag so an
+ * unchanged feed comes back as 304, which doesn't count against the rate limit.
+ */
+async function fetchPublicEvents(path, cache) {
+    const url = `${path}?per_page=100`;
+    const headers = cache.eventsEtag?.url === url ? { 'If-None-Match': cache.eventsEtag.etag } : {};
+    const response = await githubFetch(url, { token: settings.token, headers });
+
+    if (response.status === 304) return;
 
-    const events = await response.json();
-    processGitHubEvents(events);
+    const etag = response.headers.get('ETag');
+    cache.eventsEtag = etag ? { url, etag } : null;
+    processGitHubEvents(response.data, cache);
 }
 
 /**
  * Fetch contribution calendar via GraphQL (requires token)
  */
-async function fetchContributionCalendar() {
+async function fetchContributionCalendar(login, cache) {
     const query = `
-        query($userName:String!) {
+        query($userName:String!, $from:DateTime!) {
             user(login: $userName) {
                 contributionsCollection {
                     contributionCalendar {
@@ -223,123 +449,322 @@ async function fetchContributionCalendar() {
                             }
                         }
                     }
+                    commitContributionsByRepository(maxRepositories: 100) {
+                        contributions(first: 100) { nodes { occurredAt commitCount } }
+                    }
+                }
+                recent: contributionsCollection(from: $from) {
+                    commitContributionsByRepository(maxRepositories: 25) {
+                        repository { nameWithOwner }
+                        contributions(first: 100) { nodes { occurredAt commitCount } }
+                    }
+                    pullRequestContributionsByRepository(maxRepositories: 25) {
+                        repository { nameWithOwner }
+                        contributions(first: 100) { nodes { occurredAt } }
+                    }
+                    issueContributionsByRepository(maxRepositories: 25) {
+                        repository { nameWithOwner }
+                        contributions(first: 100) { nodes { occurredAt } }
+                    }
+                    pullRequestReviewContributionsByRepository(maxRepositories: 25) {
+                        repository { nameWithOwner }
+                        contributions(first: 100) { nodes { occurredAt } }
+                    }
+                    repositoryContributions(first: 100) {
+                        nodes { occurredAt repository { nameWithOwner } }
+                    }
                 }
             }
         }
     `;
 
-    const response = await fetch('https://api.github.com/graphql', {
-        method: 'POST',
-        headers: {
-            'Authorization': `bearer ${settings.token}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            query: query,
-            variables: {
-                userName: settings.username
-            }
-        })
-    });
+    const from = new Date();
+    from.setDate(from.getDate() - BREAKDOWN_DAYS);
+    from.setHours(0, 0, 0, 0);
 
-    if (!response.ok) {
-        if (response.status === 401) {
-            throw new Error('Invalid or expired token');
-        } else {
-            throw new Error(`GitHub GraphQL error: ${response.status}`);
-        }
+    const data = await githubGraphQL(query, { userName: login, from: from.toISOString() }, settings.token);
+    processContributionBreakdown(data.user.recent, cache);
+    processCommitContributions(data.user.contributionsCollection.commitContributionsByRepository, cache);
+    processContributionCalendar(data.user.contributionsCollection.contributionCalendar, cache);
+}
+
+/**
+ * Fetch a past calendar year's contributions for the accounts in view, for the heatmap.
+ * Only users can be looked up this way (it needs a token); each finished year is fetched once.
+ * @param {number} year - Calendar year before the current one
+ * @returns {Promise<void>}
+ * @throws {Error} If any account's year couldn't be fetched
+ */
+export function fetchContributionYear(year) {
+    if (pendingYears[year]) {
+        return pendingYears[year];
     }
 
-    const result = await response.json();
+    const accounts = getViewAccounts().filter(({ key }) => {
+        const account = getAccountCache(key).account;
+        return account && account.type !== 'Organization' && !getAccountCache(key).fetchedYears.includes(year);
+    });
 
-    if (result.errors) {
-        throw new Error(result.errors[0].message);
+    if (!settings.useAPI || !settings.token || year >= new Date().getFullYear() || accounts.length === 0) {
+        return Promise.resolve();
     }
 
-    processContributionCalendar(result.data.user.contributionsCollection.contributionCalendar);
+    pendingYears[year] = Promise.all(accounts.map(async ({ key, login }) => {
+        const cache = getAccountCache(key);
+        await fetchCalendarYear(login, year, cache);
+        cache.fetchedYears = [...cache.fetchedYears, year];
+        saveAccountCache(key);
+    })).finally(() => {
+        delete pendingYears[year];
+    }).then(() => {
+        if (onDataUpdateCallback) {
+            onDataUpdateCallback(getActivityData());
+        }
+    });
+
+    return pendingYears[year];
 }
 
 /**
- * Process GraphQL contribution calendar data
+ * @returns {boolean} Whether a past year is being fetched for the heatmap
  */
-function processContributionCalendar(calendar) {
-    if (!activityCache) {
-        activityCache = initializeEmptyData();
-    }
+export function isContributionYearLoading(year) {
+    return Boolean(pendingYears[year]);
+}
 
+async function fetchCalendarYear(login, year, cache) {
+    const query = `
+        query($userName:String!, $from:DateTime!, $to:DateTime!) {
+            user(login: $userName) {
+                contributionsCollection(from: $from, to: $to) {
+                    contributionCalendar {
+                        weeks {
+                            contributionDays {
+                                contributionCount
+                                date
+                            }
+                        }
+                    }
+                    commitContributionsByRepository(maxRepositories: 100) {
+                        contributions(first: 100) { nodes { occurredAt commitCount } }
+                    }
+                }
+            }
+        }
+    `;
+
+    const variables = { userName: login, from: `${year}-01-01T00:00:00Z`, to: `${year}-12-31T23:59:59Z` };
+    const data = await githubGraphQL(query, variables, settings.token);
+    processCommitContributions(data.user.contributionsCollection.commitContributionsByRepository, cache);
+    processContributionCalendar(data.user.contributionsCollection.contributionCalendar, cache);
+}
+
+/**
+ * Process GraphQL contribution calendar data
+ */
+function processContributionCalendar(calendar, cache) {
     // Flatten weeks into days
     calendar.weeks.forEach(week => {
         week.contributionDays.forEach(day => {
             if (day.contributionCount > 0) {
                 // Keep the higher count (in case we have local data)
-                const existing = activityCache.days[day.date] || 0;
-                activityCache.days[day.date] = Math.max(existing, day.contributionCount);
+                const existing = cache.days[day.date] || 0;
+                cache.days[day.date] = Math.max(existing, day.contributionCount);
             }
         });
     });
 
     // Recalculate streaks
-    calculateStreaks();
+    calculateStreaks(cache);
 
-    activityCache.lastUpdated = new Date().toISOString();
-    saveLocalData();
+    cache.lastUpdated = new Date().toISOString();
+}
+
+/**
+ * Process the year's commits per day (GraphQL). Each repository lists at most 100 days,
+ * which only undercounts repositories committed to on more days than that.
+ */
+function processCommitContributions(repositories, cache) {
+    const commitDays = {};
+
+    repositories.forEach(({ contributions }) => {
+        contributions.nodes.forEach(node => {
+            const dateKey = node.occurredAt.slice(0, 10); // Dated at midnight UTC
+            commitDays[dateKey] = (commitDays[dateKey] || 0) + node.commitCount;
+        });
+    });
+
+    mergeCommitDays(cache, commitDays);
+}
+
+/**
+ * Process the recent contributions by type and repository (GraphQL)
+ */
+function processContributionBreakdown(recent, cache) {
+    const breakdown = {};
+
+    // Commit contributions are per repository per day, dated at midnight UTC
+    recent.commitContributionsByRepository.forEach(({ repository, contributions }) => {
+        contributions.nodes.forEach(node => {
+            addToBreakdown(breakdown, node.occurredAt.slice(0, 10), 'commits', repository.nameWithOwner, node.commitCount);
+        });
+    });
+
+    const sections = [
+        ['pullRequestContributionsByRepository', 'pullRequests'],
+        ['issueContributionsByRepository', 'issues'],
+        ['pullRequestReviewContributionsByRepository', 'reviews']
+    ];
+    sections.forEach(([field, type]) => {
+        recent[field].forEach(({ repository, contributions }) => {
+            contributions.nodes.forEach(node => {
+                addToBreakdown(breakdown, formatDateKey(new Date(node.occurredAt)), type, repository.nameWithOwner, 1);
+            });
+        });
+    });
+
+    recent.repositoryContributions.nodes.forEach(node => {
+        addToBreakdown(breakdown, formatDateKey(new Date(node.occurredAt)), 'created', node.repository.nameWithOwner, 1);
+    });
+
+    mergeBreakdown(cache, breakdown);
 }
 
 /**
  * Process GitHub events into daily activity
  */
-function processGitHubEvents(events) {
+function processGitHubEvents(events, cache) {
     const dailyActivity = {};
+    const breakdown = {};
 
-    events.forEach(event => {
-        const date = new Date(event.created_at);
-        const dateKey = formatDateKey(date);
+    const commitDays = {};
 
+    events.forEach(event => {
         // Count certain event types as activity
-        const activityTypes = [
-            'PushEvent',
-            'PullRequestEvent',
-            'IssuesEvent',
-            'PullRequestReviewEvent',
-            'CreateEvent'
-        ];
-
-        if (activityTypes.includes(event.type)) {
-            dailyActivity[dateKey] = (dailyActivity[dateKey] || 0) + 1;
+        const type = EVENT_CONTRIBUTION_TYPES[event.type];
+        if (!type) return;
+
+        // A push counts each of its commits, as on GitHub's contribution calendar
+        const dateKey = formatDateKey(new Date(event.created_at));
+        const count = event.type === 'PushEvent' ? getPushCommitCount(event.payload) : 1;
+
+        dailyActivity[dateKey] = (dailyActivity[dateKey] || 0) + count;
+        if (type === 'commits') {
+            commitDays[dateKey] = (commitDays[dateKey] || 0) + count;
         }
+        addToBreakdown(breakdown, dateKey, type, event.repo?.name, count);
     });
 
     // Merge with existing local data (keep the higher count)
-    if (!activityCache) {
-        activityCache = initializeEmptyData();
-    }
-
     Object.keys(dailyActivity).forEach(dateKey => {
-        const existing = activityCache.days[dateKey] || 0;
-        activityCache.days[dateKey] = Math.max(existing, dailyActivity[dateKey]);
+        const existing = cache.days[dateKey] || 0;
+        cache.days[dateKey] = Math.max(existing, dailyActivity[dateKey]);
     });
+    mergeCommitDays(cache, commitDays);
+    mergeBreakdown(cache, breakdown);
 
     // Recalculate streaks
-    calculateStreaks();
+    calculateStreaks(cache);
 
-    activityCache.lastUpdated = new Date().toISOString();
-    saveLocalData();
+    cache.lastUpdated = new Date().toISOString();
+}
+
+/**
+ * Commits in a push: distinct_size leaves out commits already on GitHub (e.g. when a
+ * branch is pushed that only contains merged work)
+ */
+function getPushCommitCount(payload = {}) {
+    if (typeof payload.distinct_size === 'number') return payload.distinct_size;
+    if (typeof payload.size === 'number') return payload.size;
+    if (Array.isArray(payload.commits)) return payload.commits.filter(commit => commit.distinct !== false).length;
+    return 1;
 }
 
 /**
- * Record local activity (for manual tracking)
+ * Merge fetched commit counts, keeping the higher count so sources are never added together
  */
-export function recordActivity(date = new Date(), count = 1) {
-    if (!activityCache) {
-        activityCache = initializeEmptyData();
+function mergeCommitDays(cache, commitDays) {
+    Object.entries(commitDays).forEach(([dateKey, count]) => {
+        cache.commitDays[dateKey] = Math.max(cache.commitDays[dateKey] || 0, count);
+    });
+}
+
+function addToBreakdown(breakdown, dateKey, type, repo, count) {
+    if (count <= 0) return;
+
+    const day = breakdown[dateKey] || (breakdown[dateKey] = { types: {}, repos: {} });
+    day.types[type] = (day.types[type] || 0) + count;
+    if (repo) {
+        day.repos[repo] = (day.repos[repo] || 0) + count;
     }
+}
+
+/**
+ * Replace the breakdown for freshly fetched days and drop detail past the retention period
+ */
+function mergeBreakdown(cache, breakdown) {
+    Object.assign(cache.breakdown, breakdown);
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - BREAKDOWN_RETENTION_DAYS);
+    const cutoffKey = formatDateKey(cutoff);
+
+    Object.keys(cache.breakdown).forEach(dateKey => {
+        if (dateKey < cutoffKey) {
+            delete cache.breakdown[dateKey];
+        }
+    });
+}
+
+/**
+ * Daily counts toward streaks and the weekly goal: commits in commit mode, otherwise
+ * contributions minus excluded types where the breakdown knows about them (local tracking
+ * and older days always count)
+ */
+function getCountedDays(cache) {
+    if (settings.countMode === 'commits') {
+        return cache.commitDays;
+    }
+
+    const excluded = CONTRIBUTION_TYPES.map(type => type.key).filter(key => !settings.countedTypes.includes(key));
+    if (excluded.length === 0) {
+        return cache.days;
+    }
+
+    const days = {};
+    Object.entries(cache.days).forEach(([dateKey, count]) => {
+        const types = cache.breakdown[dateKey]?.types || {};
+        const excludedCount = excluded.reduce((sum, key) => sum + (types[key] || 0), 0);
+        days[dateKey] = Math.max(0, count - excludedCount);
+    });
+    return days;
+}
+
+/**
+ * Record activity logged by hand, on the primary account or a habit
+ * @param {Date} [date=new Date()] - Day the activity happened
+ * @param {number} [count=1] - Amount to add (negative to correct a mistake; days never go below zero)
+ * @param {string} [key=''] - '' for the primary account, or a habit key
+ */
+export function recordActivity(date = new Date(), count = 1, key = '') {
+    const habit = getHabit(key);
+    if (key && !habit) {
+        throw new Error('Activity can only be logged on the primary account or a habit');
+    }
+    const cache = habit ? getHabitCache(habit.id) : getAccountCache('');
 
     const dateKey = formatDateKey(date);
-    activityCache.days[dateKey] = (activityCache.days[dateKey] || 0) + count;
+    cache.days[dateKey] = Math.max(0, (cache.days[dateKey] || 0) + count);
+    cache.commitDays[dateKey] = Math.max(0, (cache.commitDays[dateKey] || 0) + count);
 
-    calculateStreaks();
-    activityCache.lastUpdated = new Date().toISOString();
-    saveLocalData();
+    calculateStreaks(cache);
+    cache.lastUpdated = new Date().toISOString();
+
+    if (habit) {
+        saveHabitCaches();
+    } else {
+        saveAccountCache('');
+    }
 
     if (onDataUpdateCallback) {
         onDataUpdateCallback(getActivityData());
@@ -349,29 +774,31 @@ export function recordActivity(date = new Date(), count = 1) {
 /**
  * Calculate current and longest streaks (daily)
  */
-function calculateStreaks() {
-    if (!activityCache || !activityCache.days) {
+function calculateStreaks(cache) {
+    if (!cache || !cache.days) {
         return;
     }
 
+    const days = getCountedDays(cache);
+
     // Calculate daily streaks
-    const dailyStreaks = calculateDailyStreak();
-    activityCache.currentDailyStreak = dailyStreaks.current;
-    activityCache.longestDailyStreak = Math.max(dailyStreaks.longest, activityCache.longestDailyStreak || 0);
+    const dailyStreaks = calculateDailyStreak(days);
+    cache.currentDailyStreak = dailyStreaks.current;
+    cache.longestDailyStreak = Math.max(dailyStreaks.longest, cache.longestDailyStreak || 0);
 
     // Calculate weekly streaks (for all-time records)
-    const weeklyStreaks = calculateWeeklyStreak();
-    activityCache.longestWeeklyStreak = Math.max(weeklyStreaks.longest, activityCache.longestWeeklyStreak || 0);
+    const weeklyStreaks = calculateWeeklyStreak(days);
+    cache.longestWeeklyStreak = Math.max(weeklyStreaks.longest, cache.longestWeeklyStreak || 0);
 
     // Calculate monthly streaks (for all-time records)
-    const monthlyStreaks = calculateMonthlyStreak();
-    activityCache.longestMonthlyStreak = Math.max(monthlyStreaks.longest, activityCache.longestMonthlyStreak || 0);
+    const monthlyStreaks = calculateMonthlyStreak(days);
+    cache.longestMonthlyStreak = Math.max(monthlyStreaks.longest, cache.longestMonthlyStreak || 0);
 }
 
 /**
  * Calculate daily streaks
  */
-function calculateDailyStreak() {
+function calculateDailyStreak(days) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
@@ -385,7 +812,7 @@ function calculateDailyStreak() {
 
     for (let i = 0; i < 365; i++) {
         const dateKey = formatDateKey(checkDate);
-        const hasActivity = activityCache.days[dateKey] > 0;
+        const hasActivity = days[dateKey] > 0;
 
         if (hasActivity) {
             tempStreak++;
@@ -413,7 +840,7 @@ function calculateDailyStreak() {
 /**
  * Calculate weekly streaks
  */
-function calculateWeeklyStreak() {
+function calculateWeeklyStreak(days) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
@@ -437,7 +864,7 @@ function calculateWeeklyStreak() {
             const date = new Date(weekStart);
             date.setDate(date.getDate() + d);
             const dateKey = formatDateKey(date);
-            if (activityCache.days[dateKey] > 0) {
+            if (days[dateKey] > 0) {
                 hasWeekActivity = true;
                 break;
             }
@@ -466,7 +893,7 @@ function calculateWeeklyStreak() {
 /**
  * Calculate monthly streaks
  */
-function calculateMonthlyStreak() {
+function calculateMonthlyStreak(days) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
@@ -487,7 +914,7 @@ function calculateMonthlyStreak() {
         const currentDate = new Date(monthStart);
         while (currentDate <= monthEnd) {
             const dateKey = formatDateKey(currentDate);
-            if (activityCache.days[dateKey] > 0) {
+            if (days[dateKey] > 0) {
                 hasMonthActivity = true;
                 break;
             }
@@ -514,13 +941,61 @@ function calculateMonthlyStreak() {
     return { current: currentStreak, longest: longestStreak };
 }
 
+/**
+ * Accounts whose activity is in view: all of them in the combined view, otherwise the
+ * selected account (none for a habit)
+ */
+function getViewAccounts() {
+    const selected = getSelectedAccount();
+    if (selected === COMBINED_ACCOUNT) {
+        return getAccounts();
+    }
+    return getAccounts().filter(account => account.key === selected);
+}
+
+/**
+ * Get the activity shown in the widget: the selected account's or habit's cache, or for
+ * the combined view the daily counts of all accounts summed
+ */
+function getViewCache() {
+    const selected = getSelectedAccount();
+    const habit = getHabit(selected);
+    if (habit) {
+        return getHabitCache(habit.id);
+    }
+    if (selected !== COMBINED_ACCOUNT) {
+        return getAccountCache(selected);
+    }
+
+    const combined = initializeEmptyData();
+    getAccounts().forEach(({ key }) => {
+        const cache = getAccountCache(key);
+        Object.entries(cache.days).forEach(([dateKey, count]) => {
+            combined.days[dateKey] = (combined.days[dateKey] || 0) + count;
+        });
+        Object.entries(cache.commitDays).forEach(([dateKey, count]) => {
+            combined.commitDays[dateKey] = (combined.commitDays[dateKey] || 0) + count;
+        });
+        Object.entries(cache.breakdown).forEach(([dateKey, day]) => {
+            Object.entries(day.types).forEach(([type, count]) => addToBreakdown(combined.breakdown, dateKey, type, null, count));
+            Object.entries(day.repos).forEach(([repo, count]) => {
+                const repos = combined.breakdown[dateKey].repos;
+                repos[repo] = (repos[repo] || 0) + count;
+            });
+        });
+    });
+    calculateStreaks(combined);
+
+    return combined;
+}
+
 /**
  * Get activity data for display
  */
 export function getActivityData() {
-    if (!activityCache) {
-        activityCache = initializeEmptyData();
-    }
+    const habit = getHabit(getSelectedAccount());
+    const activityCache = getViewCache();
+    const days = getCountedDays(activityCache);
 
     const today = new Date();
     const todayKey = formatDateKey(today);
@@ -529,15 +1004,15 @@ export function getActivityData() {
     // Get time range data based on setting
     let rangeData;
     if (timeRange === 7) {
-        rangeData = getDailyData(7);
+        rangeData = getDailyData(7, days);
     } else if (timeRange === 28) {
-        rangeData = getDailyData(28);
+        rangeData = getDailyData(28, days);
     } else if (timeRange === 90) {
-        rangeData = getWeeklyData(13); // 13 weeks = ~90 days
+        rangeData = getWeeklyData(13, days); // 13 weeks = ~90 days
     } else if (timeRange === 365) {
-        rangeData = getMonthlyData(12); // 12 months
+        rangeData = getMonthlyData(12, days); // 12 months
     } else {
-        rangeData = getDailyData(28); // Default fallback
+        rangeData = getDailyData(28, days); // Default fallback
     }
 
     // Calculate this week's activity (last 7 days)
@@ -546,36 +1021,36 @@ export function getActivityData() {
         const date = new Date(today);
         date.setDate(date.getDate() - i);
         const dateKey = formatDateKey(date);
-        weekActivity += activityCache.days[dateKey] || 0;
+        weekActivity += days[dateKey] || 0;
     }
 
     // Get today's activity
-    const todayActivity = activityCache.days[todayKey] || 0;
+    const todayActivity = days[todayKey] || 0;
 
     // Get contextual streak data based on time range
     let currentStreak, bestStreak, streakLabel;
 
     if (timeRange === 7 || timeRange === 28) {
         // Daily streaks for 7 and 28 day views
-        const dailyStreaks = calculateDailyStreak();
+        const dailyStreaks = calculateDailyStreak(days);
         currentStreak = dailyStreaks.current;
         bestStreak = activityCache.longestDailyStreak || 0;
         streakLabel = currentStreak === 1 ? 'day' : 'days';
     } else if (timeRange === 90) {
         // Weekly streaks for 90 day view
-        const weeklyStreaks = calculateWeeklyStreak();
+        const weeklyStreaks = calculateWeeklyStreak(days);
         currentStreak = weeklyStreaks.current;
         bestStreak = activityCache.longestWeeklyStreak || 0;
         streakLabel = currentStreak === 1 ? 'week' : 'weeks';
     } else if (timeRange === 365) {
         // Monthly streaks for year view
-        const monthlyStreaks = calculateMonthlyStreak();
+        const monthlyStreaks = calculateMonthlyStreak(days);
         currentStreak = monthlyStreaks.current;
         bestStreak = activityCache.longestMonthlyStreak || 0;
         streakLabel = currentStreak === 1 ? 'month' : 'months';
     } else {
         // Default to daily
-        const dailyStreaks = calculateDailyStreak();
+        const dailyStreaks = calculateDailyStreak(days);
         currentStreak = dailyStreaks.current;
         bestStreak = activityCache.longestDailyStreak || 0;
         streakLabel = 'days';
@@ -593,27 +1068,206 @@ export function getActivityData() {
         timeRange: timeRange,
         rangeData: rangeData,
         weekActivity: weekActivity,
-        weeklyGoal: settings.weeklyGoal,
+        weeklyGoal: habit ? habit.weeklyGoal : settings.weeklyGoal,
         todayActivity: todayActivity,
-        username: settings.username
+        username: settings.username,
+        account: getSelectedAccount(),
+        habit: habit ? { id: habit.id, name: habit.name } : null,
+        unit: habit ? habit.unit : (settings.countMode === 'commits' ? 'commit' : 'contribution'),
+        breakdown: getBreakdown(activityCache, 7)
+    };
+}
+
+/**
+ * Where the last `dayCount` days of activity went, by contribution type and repository
+ * @returns {Object} { days: [{ date, types, unclassified, isToday }], types: [{ key, label, count, counted }],
+ *   unclassified, repos: [{ name, count }] (busiest first) } - `unclassified` is activity without
+ *   detail, such as local tracking or private contributions the token can't see
+ */
+function getBreakdown(cache, dayCount) {
+    const today = new Date();
+    const days = [];
+    const typeTotals = {};
+    const repoTotals = {};
+    let unclassified = 0;
+
+    for (let i = dayCount - 1; i >= 0; i--) {
+        const date = new Date(today);
+        date.setDate(date.getDate() - i);
+        const dateKey = formatDateKey(date);
+        const detail = cache.breakdown[dateKey] || { types: {}, repos: {} };
+
+        const classified = Object.values(detail.types).reduce((sum, count) => sum + count, 0);
+        const dayUnclassified = Math.max(0, (cache.days[dateKey] || 0) - classified);
+
+        Object.entries(detail.types).forEach(([type, count]) => {
+            typeTotals[type] = (typeTotals[type] || 0) + count;
+        });
+        Object.entries(detail.repos).forEach(([repo, count]) => {
+            repoTotals[repo] = (repoTotals[repo] || 0) + count;
+        });
+        unclassified += dayUnclassified;
+
+        days.push({ date: dateKey, types: { ...detail.types }, unclassified: dayUnclassified, isToday: i === 0 });
+    }
+
+    return {
+        days,
+        types: CONTRIBUTION_TYPES.map(type => ({
+            ...type,
+            count: typeTotals[type.key] || 0,
+            counted: settings.countMode === 'commits' ? type.key === 'commits' : settings.countedTypes.includes(type.key)
+        })),
+        unclassified,
+        repos: Object.entries(repoTotals)
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+/**
+ * Daily counts laid out like GitHub's contribution graph: one column per week, Sunday first
+ * @param {number|null} year - Calendar year, or null for the 53 weeks up to today
+ * @returns {Object} { weeks: [[{ date, count, isToday } | null]] (null outside the range),
+ *   months: [{ year, month, week }] (the column each month starts in), total, firstYear } -
+ *   `firstYear` is the earliest year with activity (or since the account was created)
+ */
+export function getHeatmapData(year = null) {
+    const cache = getViewCache();
+    const days = getCountedDays(cache);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    let start, end;
+    if (year === null) {
+        end = today;
+        start = new Date(today);
+        start.setDate(start.getDate() - 364);
+    } else {
+        start = new Date(year, 0, 1);
+        end = new Date(Math.min(new Date(year, 11, 31), today));
+    }
+
+    // Columns run Sunday to Saturday, so the first one starts on the Sunday before `start`
+    const cursor = new Date(start);
+    cursor.setDate(cursor.getDate() - cursor.getDay());
+
+    const weeks = [];
+    const months = [];
+    let total = 0;
+
+    while (cursor <= end) {
+        const week = [];
+        for (let d = 0; d < 7; d++) {
+            if (cursor < start || cursor > end) {
+                week.push(null);
+            } else {
+                const dateKey = formatDateKey(cursor);
+                const count = days[dateKey] || 0;
+                total += count;
+                week.push({ date: dateKey, count, isToday: cursor.getTime() === today.getTime() });
+
+                if (cursor.getDate() === 1 || months.length === 0) {
+                    months.push({ year: cursor.getFullYear(), month: cursor.getMonth(), week: weeks.length });
+                }
+            }
+            cursor.setDate(cursor.getDate() + 1);
+        }
+        weeks.push(week);
+    }
+
+    return { weeks, months, total, firstYear: getFirstActivityYear(cache) };
+}
+
+function getFirstActivityYear(cache) {
+    const years = Object.keys(cache.days)
+        .filter(dateKey => cache.days[dateKey] > 0)
+        .map(dateKey => parseInt(dateKey.slice(0, 4), 10));
+
+    getViewAccounts().forEach(({ key }) => {
+        const createdAt = getAccountCache(key).account?.createdAt;
+        if (createdAt) {
+            years.push(new Date(createdAt).getFullYear());
+        }
+    });
+
+    return years.length > 0 ? Math.min(...years) : new Date().getFullYear();
+}
+
+/**
+ * Get one calendar month of daily activity (for zooming into the year view)
+ * @param {number} year
+ * @param {number} month - 0-11
+ * @returns {Array} [{ date, count, isToday, isFuture, type: 'daily' }]
+ */
+export function getMonthData(year, month) {
+    const days = getCountedDays(getViewCache());
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const result = [];
+
+    const date = new Date(year, month, 1);
+    while (date.getMonth() === month) {
+        const dateKey = formatDateKey(date);
+        result.push({
+            date: dateKey,
+            count: days[dateKey] || 0,
+            isToday: date.getTime() === today.getTime(),
+            isFuture: date > today,
+            type: 'daily'
+        });
+        date.setDate(date.getDate() + 1);
+    }
+
+    return result;
+}
+
+/**
+ * What happened on one day, as far as the cache knows (type and repository detail is kept
+ * for the last 90 days of GitHub activity)
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {Object} { date, count, types: [{ key, label, count }], repos: [{ name, count }] (busiest first),
+ *   unclassified, profileUrl } - `profileUrl` is the account's GitHub page for that day, if there is one account
+ */
+export function getDayDetail(dateKey) {
+    const cache = getViewCache();
+    const detail = cache.breakdown[dateKey] || { types: {}, repos: {} };
+    const classified = Object.values(detail.types).reduce((sum, count) => sum + count, 0);
+
+    const accounts = getViewAccounts().filter(account => account.login);
+    const profileUrl = accounts.length === 1
+        ? `${getGitHubWebUrl()}/${encodeURIComponent(accounts[0].login)}?tab=overview&from=${dateKey}&to=${dateKey}`
+        : null;
+
+    return {
+        date: dateKey,
+        count: getCountedDays(cache)[dateKey] || 0,
+        types: CONTRIBUTION_TYPES
+            .map(type => ({ ...type, count: detail.types[type.key] || 0 }))
+            .filter(type => type.count > 0),
+        repos: Object.entries(detail.repos)
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count),
+        unclassified: Math.max(0, (cache.days[dateKey] || 0) - classified),
+        profileUrl
     };
 }
 
 /**
  * Get daily activity data for specified number of days
  */
-function getDailyData(days) {
+function getDailyData(count, days) {
     const today = new Date();
     const result = [];
 
-    for (let i = days - 1; i >= 0; i--) {
+    for (let i = count - 1; i >= 0; i--) {
         const date = new Date(today);
         date.setDate(date.getDate() - i);
         const dateKey = formatDateKey(date);
 
         result.push({
             date: dateKey,
-            count: activityCache.days[dateKey] || 0,
+            count: days[dateKey] || 0,
             isToday: i === 0,
             type: 'daily'
         });
@@ -625,7 +1279,7 @@ function getDailyData(days) {
 /**
  * Get weekly aggregated data for specified number of weeks
  */
-function getWeeklyData(weeks) {
+function getWeeklyData(weeks, days) {
     const today = new Date();
     const result = [];
 
@@ -644,7 +1298,7 @@ function getWeeklyData(weeks) {
             const date = new Date(weekStart);
             date.setDate(date.getDate() + d);
             const dateKey = formatDateKey(date);
-            weekTotal += activityCache.days[dateKey] || 0;
+            weekTotal += days[dateKey] || 0;
         }
 
         result.push({
@@ -662,7 +1316,7 @@ function getWeeklyData(weeks) {
 /**
  * Get monthly aggregated data for specified number of months
  */
-function getMonthlyData(months) {
+function getMonthlyData(months, days) {
     const today = new Date();
     const result = [];
 
@@ -678,7 +1332,7 @@ function getMonthlyData(months) {
         const currentDate = new Date(monthStart);
         while (currentDate <= monthEnd) {
             const dateKey = formatDateKey(currentDate);
-            monthTotal += activityCache.days[dateKey] || 0;
+            monthTotal += days[dateKey] || 0;
             currentDate.setDate(currentDate.getDate() + 1);
         }
 
@@ -702,17 +1356,48 @@ export function updateSettings(newSettings) {
     const oldUsername = settings.username;
     const oldToken = settings.token;
     const oldUseAPI = settings.useAPI;
+    const oldServer = settings.server;
+    const oldAccounts = settings.accounts.join(',');
+    const oldCountedTypes = settings.countedTypes.join(',');
+    const oldCountMode = settings.countMode;
+    const oldHabitIds = settings.habits.map(habit => habit.id).join(',');
 
     settings = { ...settings, ...newSettings };
     saveSettings();
+    setGitHubServer(settings.server);
+
+    const accountsChanged = newSettings.accounts !== undefined && newSettings.accounts.join(',') !== oldAccounts;
+    if (accountsChanged) {
+        loadAccountCaches();
+    }
+
+    if (newSettings.habits !== undefined && newSettings.habits.map(habit => habit.id).join(',') !== oldHabitIds) {
+        pruneHabitCaches();
+    }
 
-    // If username, token, or API mode changed, refetch
+    // Streak records are recalculated with the newly counted types or unit
+    const countedTypesChanged = newSettings.countedTypes !== undefined && newSettings.countedTypes.join(',') !== oldCountedTypes;
+    const countModeChanged = newSettings.countMode !== undefined && newSettings.countMode !== oldCountMode;
+    if (countedTypesChanged || countModeChanged) {
+        Object.keys(activityCaches).forEach(key => {
+            const cache = activityCaches[key];
+            cache.longestDailyStreak = 0;
+            cache.longestWeeklyStreak = 0;
+            cache.longestMonthlyStreak = 0;
+            calculateStreaks(cache);
+            saveAccountCache(key);
+        });
+    }
+
+    // If username, accounts, server, token, or API mode changed, refetch
     const shouldRefetch =
         (newSettings.username && newSettings.username !== oldUsername) ||
+        accountsChanged ||
+        (newSettings.server !== undefined && newSettings.server !== oldServer) ||
         (newSettings.token !== undefined && newSettings.token !== oldToken) ||
         (newSettings.useAPI !== undefined && newSettings.useAPI !== oldUseAPI);
 
-    if (shouldRefetch && settings.useAPI && settings.username) {
+    if (shouldRefetch && settings.useAPI && getAccounts().some(account => account.login)) {
         // Reset cache to force fresh fetch
         lastFetchTime = null;
         fetchGitHubActivity();
@@ -734,6 +1419,7 @@ function formatDateKey(date) {
  */
 export function cleanupGitHubService() {
     onDataUpdateCallback = null;
+    clearTimeout(rateLimitRetryTimer);
 }
 
 /**
@@ -745,7 +1431,15 @@ export function getSettings() {
 
 /**
  * Get connection status
+ * @returns {Object} { connected, error, rateLimitedUntil, lastChecked, rateLimits } - `rateLimits`
+ *   holds the last known REST and GraphQL quotas ({ limit, remaining, resetAt } or null)
  */
 export function getConnectionStatus() {
-    return { ...connectionStatus };
+    return {
+        ...connectionStatus,
+        rateLimits: {
+            core: getRateLimit('core'),
+            graphql: getRateLimit('graphql')
+        }
+    };
 }
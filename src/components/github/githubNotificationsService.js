@@ -0,0 +1,231 @@
+// githubNotificationsService.js - Unread GitHub notifications, polled as often as GitHub allows
+import { githubFetch } from './githubApi.js';
+
+const NOTIFICATIONS_STORAGE_KEY = 'github_notifications';
+const DEFAULT_POLL_INTERVAL = 60; // Seconds, until GitHub sends X-Poll-Interval
+const RETRY_INTERVAL = 5 * 60; // Seconds to wait after a failed poll
+
+// Shared across new tabs through localStorage so each tab doesn't poll on open
+let state = loadState();
+let pollTimer = null;
+let pollToken = null;
+let onUpdateCallback = null;
+let lastError = null;
+
+/**
+ * Start polling notifications for a token (restarts if already polling)
+ * @param {string} token - Personal access token (needs the notifications or repo scope)
+ * @param {Function} onUpdate - Called whenever notifications change
+ */
+export function startNotificationPolling(token, onUpdate) {
+    stopNotificationPolling();
+    pollToken = token;
+    onUpdateCallback = onUpdate;
+
+    // Another tab may have polled recently; wait out the rest of the interval
+    const nextPoll = state.lastPolled + state.pollInterval * 1000;
+    scheduleNextPoll(Math.max(0, nextPoll - Date.now()));
+}
+
+export function stopNotificationPolling() {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+    pollToken = null;
+    onUpdateCallback = null;
+}
+
+/**
+ * @returns {Array} Unread notifications, newest first:
+ *   [{ id, repo, title, type, reason, updatedAt, url }]
+ */
+export function getNotifications() {
+    return state.items;
+}
+
+/**
+ * @returns {string|null} Message from the last failed poll or action
+ */
+export function getNotificationsError() {
+    return lastError;
+}
+
+/**
+ * @returns {boolean} Whether notifications have been fetched at least once
+ */
+export function hasFetchedNotifications() {
+    return state.lastPolled > 0;
+}
+
+/**
+ * Mark one notification thread as read
+ * @param {string} threadId - Notification ID
+ */
+export async function markNotificationRead(threadId) {
+    const previous = state.items;
+    updateItems(previous.filter(item => item.id !== threadId));
+
+    try {
+        await githubFetch(`/notifications/threads/${encodeURIComponent(threadId)}`, { token: pollToken, method: 'PATCH' });
+    } catch (error) {
+        updateItems(previous);
+        throw error;
+    }
+}
+
+/**
+ * Mark everything fetched so far as read (notifications arriving later stay unread)
+ */
+export async function markAllNotificationsRead() {
+    const previous = state.items;
+    updateItems([]);
+
+    try {
+        await githubFetch('/notifications', {
+            token: pollToken,
+            method: 'PUT',
+            body: { last_read_at: new Date(state.lastPolled || Date.now()).toISOString() }
+        });
+    } catch (error) {
+        updateItems(previous);
+        throw error;
+    }
+}
+
+/**
+ * Forget cached notifications (e.g. when the token changes)
+ */
+export function clearNotifications() {
+    state = createEmptyState();
+    lastError = null;
+    localStorage.removeItem(NOTIFICATIONS_STORAGE_KEY);
+}
+
+function scheduleNextPoll(delay) {
+    clearTimeout(pollTimer);
+    pollTimer = setTimeout(pollNotifications, delay);
+}
+
+/**
+ * Fetch unread notifications, using Last-Modified so unchanged inboxes cost nothing
+ * and waiting X-Poll-Interval seconds before the next request
+ */
+async function pollNotifications() {
+    if (!pollToken) return;
+
+    // Pick up polls made by other open tabs in the meantime
+    state = loadState();
+    const nextPoll = state.lastPolled + state.pollInterval * 1000;
+    if (nextPoll > Date.now()) {
+        if (onUpdateCallback) {
+            onUpdateCallback(state.items);
+        }
+        scheduleNextPoll(nextPoll - Date.now());
+        return;
+    }
+
+    const token = pollToken;
+    let nextInterval = state.pollInterval;
+
+    try {
+        const headers = state.lastModified ? { 'If-Modified-Since': state.lastModified } : {};
+        const response = await githubFetch('/notifications?per_page=50', { token, headers });
+
+        // The token may have changed while the request was in flight
+        if (token !== pollToken) return;
+
+        const pollInterval = parseInt(response.headers.get('X-Poll-Interval'), 10);
+        if (pollInterval > 0) {
+            state.pollInterval = pollInterval;
+            nextInterval = pollInterval;
+        }
+
+        if (response.status !== 304) {
+            state.items = response.data.map(processNotification);
+            state.lastModified = response.headers.get('Last-Modified') || null;
+        }
+
+        state.lastPolled = Date.now();
+        lastError = null;
+        saveState();
+    } catch (error) {
+        console.error('Error fetching GitHub notifications:', error);
+        lastError = error.message;
+        nextInterval = Math.max(nextInterval, RETRY_INTERVAL);
+
+        // Don't poll again before the rate limit resets
+        if (error.rateLimited) {
+            nextInterval = Math.max(nextInterval, Math.ceil((error.resetAt - Date.now()) / 1000));
+        }
+    }
+
+    if (onUpdateCallback) {
+        onUpdateCallback(state.items);
+    }
+
+    scheduleNextPoll(nextInterval * 1000);
+}
+
+function processNotification(notification) {
+    const repo = notification.repository;
+
+    return {
+        id: notification.id,
+        repo: repo.full_name,
+        title: notification.subject.title,
+        type: notification.subject.type,
+        reason: notification.reason,
+        updatedAt: notification.updated_at,
+        url: getNotificationUrl(notification.subject, repo.html_url)
+    };
+}
+
+/**
+ * Notification subjects link to the API; map them to the matching web page
+ */
+function getNotificationUrl(subject, repoUrl) {
+    if (subject.type === 'CheckSuite') return `${repoUrl}/actions`;
+    if (subject.type === 'Release') return `${repoUrl}/releases`;
+    if (subject.type === 'Discussion') return `${repoUrl}/discussions`;
+
+    const match = /\/repos\/[^/]+\/[^/]+\/(issues|pulls|commits)\/([^/]+)$/.exec(subject.url || '');
+    if (!match) return repoUrl;
+
+    const section = { issues: 'issues', pulls: 'pull', commits: 'commit' }[match[1]];
+    return `${repoUrl}/${section}/${match[2]}`;
+}
+
+function updateItems(items) {
+    state.items = items;
+    saveState();
+
+    if (onUpdateCallback) {
+        onUpdateCallback(state.items);
+    }
+}
+
+function createEmptyState() {
+    return {
+        items: [],
+        lastModified: null,
+        lastPolled: 0,
+        pollInterval: DEFAULT_POLL_INTERVAL
+    };
+}
+
+function loadState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(NOTIFICATIONS_STORAGE_KEY));
+        return stored ? { ...createEmptyState(), ...stored } : createEmptyState();
+    } catch (error) {
+        console.error('Error loading GitHub notifications:', error);
+        return createEmptyState();
+    }
+}
+
+function saveState() {
+    try {
+        localStorage.setItem(NOTIFICATIONS_STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Error saving GitHub notifications:', error);
+    }
+}
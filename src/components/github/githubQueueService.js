@@ -0,0 +1,162 @@
+// githubQueueService.js - Pull requests and issues waiting on the user (GitHub search via GraphQL)
+import { githubGraphQL } from './githubApi.js';
+
+const QUEUE_STORAGE_KEY = 'github_queue_data';
+const QUEUE_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+const QUEUE_PAGE_SIZE = 20;
+
+// Search queries for each queue section (`@me` resolves to the token's user)
+const QUEUE_QUERY = `
+    query {
+        reviewRequests: search(type: ISSUE, first: ${QUEUE_PAGE_SIZE}, query: "is:open is:pr review-requested:@me archived:false sort:updated-desc") {
+            issueCount
+            nodes { ...QueuePullRequest }
+        }
+        myPullRequests: search(type: ISSUE, first: ${QUEUE_PAGE_SIZE}, query: "is:open is:pr author:@me archived:false sort:updated-desc") {
+            issueCount
+            nodes { ...QueuePullRequest }
+        }
+        assignedIssues: search(type: ISSUE, first: ${QUEUE_PAGE_SIZE}, query: "is:open is:issue assignee:@me archived:false sort:updated-desc") {
+            issueCount
+            nodes {
+                ... on Issue {
+                    number
+                    title
+                    url
+                    createdAt
+                    repository { nameWithOwner }
+                }
+            }
+        }
+    }
+
+    fragment QueuePullRequest on PullRequest {
+        number
+        title
+        url
+        createdAt
+        isDraft
+        repository { nameWithOwner }
+        commits(last: 1) {
+            nodes {
+                commit {
+                    statusCheckRollup { state }
+                }
+            }
+        }
+    }
+`;
+
+let queueData = loadQueueData();
+let queueError = null;
+let lastAttempt = 0;
+let pendingRequest = null;
+
+/**
+ * Get the cached queue
+ * @returns {Object|null} { reviewRequests, myPullRequests, assignedIssues, fetchedAt } - each section
+ *   is { total, items: [{ repo, number, title, url, createdAt, isDraft, checkState }] }
+ */
+export function getQueueData() {
+    return queueData;
+}
+
+/**
+ * @returns {string|null} Message from the last failed refresh
+ */
+export function getQueueError() {
+    return queueError;
+}
+
+export function isQueueLoading() {
+    return pendingRequest !== null;
+}
+
+/**
+ * Whether the queue should be refreshed (stale, and not retried too soon after a failure)
+ */
+export function isQueueStale() {
+    const fetchedAt = queueData?.fetchedAt || 0;
+    return Date.now() - Math.max(fetchedAt, lastAttempt) > QUEUE_CACHE_DURATION;
+}
+
+/**
+ * Fetch the review queue
+ * @param {string} token - Personal access token
+ * @returns {Promise<Object|null>} Queue data (the cached copy if the request failed)
+ */
+export function refreshQueue(token) {
+    if (!token) {
+        return Promise.resolve(queueData);
+    }
+
+    if (!pendingRequest) {
+        lastAttempt = Date.now();
+        pendingRequest = githubGraphQL(QUEUE_QUERY, {}, token)
+            .then(data => {
+                queueData = {
+                    reviewRequests: processSection(data.reviewRequests),
+                    myPullRequests: processSection(data.myPullRequests),
+                    assignedIssues: processSection(data.assignedIssues),
+                    fetchedAt: Date.now()
+                };
+                queueError = null;
+                saveQueueData();
+                return queueData;
+            })
+            .catch(error => {
+                console.error('Error fetching GitHub review queue:', error);
+                queueError = error.message;
+                return queueData;
+            })
+            .finally(() => {
+                pendingRequest = null;
+            });
+    }
+
+    return pendingRequest;
+}
+
+/**
+ * Forget the cached queue (e.g. when the token changes)
+ */
+export function clearQueue() {
+    queueData = null;
+    queueError = null;
+    lastAttempt = 0;
+    localStorage.removeItem(QUEUE_STORAGE_KEY);
+}
+
+function processSection(section) {
+    return {
+        total: section.issueCount,
+        items: section.nodes
+            .filter(node => node && node.url) // Search can return other node types
+            .map(node => ({
+                repo: node.repository.nameWithOwner,
+                number: node.number,
+                title: node.title,
+                url: node.url,
+                createdAt: node.createdAt,
+                isDraft: node.isDraft || false,
+                checkState: node.commits?.nodes[0]?.commit.statusCheckRollup?.state || null
+            }))
+    };
+}
+
+function loadQueueData() {
+    try {
+        return JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY));
+    } catch (error) {
+        console.error('Error loading GitHub review queue:', error);
+        return null;
+    }
+}
+
+function saveQueueData() {
+    try {
+        localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queueData));
+    } catch (error) {
+        console.error('Error saving GitHub review queue:', error);
+    }
+}
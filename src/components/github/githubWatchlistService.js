@@ -0,0 +1,294 @@
+// githubWatchlistService.js - Pinned repositories: latest release, open PRs/issues, CI and star trend
+import { githubGraphQL } from './githubApi.js';
+
+const WATCHLIST_STORAGE_KEY = 'github_watchlist_data';
+const WATCHLIST_CACHE_DURATION = 15 * 60 * 1000; // 15 minutes per repository
+const STAR_HISTORY_DAYS = 14; // Daily star counts kept for the weekly delta
+const REPO_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})\/[\w.-]{1,100}$/i;
+
+const WATCHED_REPO_FRAGMENT = `
+    fragment WatchedRepo on Repository {
+        nameWithOwner
+        url
+        stargazerCount
+        latestRelease { tagName url publishedAt }
+        refs(refPrefix: "refs/tags/", first: 1, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) {
+            nodes { name }
+        }
+        pullRequests(states: OPEN) { totalCount }
+        issues(states: OPEN) { totalCount }
+        defaultBranchRef {
+            name
+            target {
+                ... on Commit {
+                    statusCheckRollup { state }
+                }
+            }
+        }
+    }
+`;
+
+// Cached per repository ("owner/name") so each tab only fetches what has gone stale
+let repoCache = loadRepoCache();
+let watchlistError = null;
+let pendingRequest = null;
+
+/**
+ * Parse a comma or whitespace separated list of repositories, accepting repository URLs
+ * @param {string} text - e.g. "facebook/react, https://github.com/vuejs/core"
+ * @returns {string[]} Unique "owner/name" entries in their original order
+ */
+export function parseRepoList(text) {
+    const repos = [];
+
+    (text || '').split(/[\s,]+/).forEach(entry => {
+        const repo = entry.replace(/^https?:\/\/[^/]+\//i, '').replace(/(\.git)?\/?$/, '');
+        if (!repo) return;
+
+        if (!REPO_PATTERN.test(repo)) {
+            console.warn(`Ignoring invalid repository "${entry}"`);
+            return;
+        }
+        if (!repos.some(existing => existing.toLowerCase() === repo.toLowerCase())) {
+            repos.push(repo);
+        }
+    });
+
+    return repos;
+}
+
+/**
+ * Get cached details for the watched repositories
+ * @param {string[]} repos - Watched repositories ("owner/name")
+ * @returns {Array} [{ repo, data, error, fetchedAt }] in watchlist order - `data` is
+ *   { name, url, stars, starDelta, starDeltaSince, release, openPullRequests, openIssues,
+ *   defaultBranch, checkState } or null if the repository hasn't been fetched yet
+ */
+export function getWatchlist(repos) {
+    return repos.map(repo => {
+        const entry = repoCache[repo.toLowerCase()];
+        if (!entry) {
+            return { repo, data: null, error: null, fetchedAt: 0 };
+        }
+
+        return {
+            repo,
+            data: entry.data ? { ...entry.data, ...getStarDelta(entry) } : null,
+            error: entry.error,
+            fetchedAt: entry.fetchedAt
+        };
+    });
+}
+
+/**
+ * @returns {string|null} Message from the last failed refresh
+ */
+export function getWatchlistError() {
+    return watchlistError;
+}
+
+export function isWatchlistLoading() {
+    return pendingRequest !== null;
+}
+
+/**
+ * Whether any watched repository is due for a refresh
+ * @param {string[]} repos - Watched repositories
+ */
+export function isWatchlistStale(repos) {
+    return getStaleRepos(repos).length > 0;
+}
+
+/**
+ * Fetch the watched repositories whose cache has expired
+ * @param {string[]} repos - Watched repositories ("owner/name")
+ * @param {string} token - Personal access token
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Refetch every repository, not just stale ones
+ * @returns {Promise<void>}
+ */
+export function refreshWatchlist(repos, token, { force = false } = {}) {
+    if (!token || pendingRequest) {
+        return pendingRequest || Promise.resolve();
+    }
+
+    pruneRepoCache(repos);
+
+    const staleRepos = force ? repos : getStaleRepos(repos);
+    if (staleRepos.length === 0) {
+        return Promise.resolve();
+    }
+
+    const { query, variables } = buildWatchlistQuery(staleRepos);
+
+    pendingRequest = githubGraphQL(query, variables, token, { allowPartial: true })
+        .then(data => {
+            const now = Date.now();
+            staleRepos.forEach((repo, index) => {
+                const node = data[`repo${index}`];
+                const key = repo.toLowerCase();
+                const entry = repoCache[key] || { starHistory: [] };
+
+                // Missing repositories come back as null; keep trying, but not on every tab
+                repoCache[key] = node
+                    ? { ...entry, data: processRepository(node), error: null, fetchedAt: now, starHistory: recordStars(entry.starHistory, node.stargazerCount) }
+                    : { ...entry, error: 'Repository not found', fetchedAt: now };
+            });
+            watchlistError = null;
+            saveRepoCache();
+        })
+        .catch(error => {
+            console.error('Error fetching GitHub watchlist:', error);
+            watchlistError = error.message;
+        })
+        .finally(() => {
+            pendingRequest = null;
+        });
+
+    return pendingRequest;
+}
+
+/**
+ * Forget cached repository details (e.g. when the token changes)
+ * @param {Object} [options]
+ * @param {boolean} [options.keepHistory=true] - Keep star history (not when moving to another server)
+ */
+export function clearWatchlist({ keepHistory = true } = {}) {
+    if (!keepHistory) {
+        repoCache = {};
+    }
+
+    Object.values(repoCache).forEach(entry => {
+        entry.data = null;
+        entry.error = null;
+        entry.fetchedAt = 0;
+    });
+    watchlistError = null;
+    saveRepoCache();
+}
+
+function getStaleRepos(repos) {
+    const now = Date.now();
+    return repos.filter(repo => {
+        const entry = repoCache[repo.toLowerCase()];
+        return !entry || now - entry.fetchedAt > WATCHLIST_CACHE_DURATION;
+    });
+}
+
+/**
+ * One query for every stale repository, each under its own alias
+ */
+function buildWatchlistQuery(repos) {
+    const variables = {};
+    const params = [];
+    const fields = [];
+
+    repos.forEach((repo, index) => {
+        const [owner, name] = repo.split('/');
+        variables[`owner${index}`] = owner;
+        variables[`name${index}`] = name;
+        params.push(`$owner${index}: String!`, `$name${index}: String!`);
+        fields.push(`repo${index}: repository(owner: $owner${index}, name: $name${index}) { ...WatchedRepo }`);
+    });
+
+    return {
+        query: `query(${params.join(', ')}) {\n${fields.join('\n')}\n}\n${WATCHED_REPO_FRAGMENT}`,
+        variables
+    };
+}
+
+function processRepository(node) {
+    const tag = node.refs?.nodes[0]?.name;
+
+    // Repositories that only tag (without GitHub releases) still show their latest tag
+    let release = null;
+    if (node.latestRelease) {
+        release = { name: node.latestRelease.tagName, url: node.latestRelease.url, publishedAt: node.latestRelease.publishedAt };
+    } else if (tag) {
+        release = { name: tag, url: `${node.url}/releases/tag/${encodeURIComponent(tag)}`, publishedAt: null };
+    }
+
+    return {
+        name: node.nameWithOwner,
+        url: node.url,
+        stars: node.stargazerCount,
+        release,
+        openPullRequests: node.pullRequests.totalCount,
+        openIssues: node.issues.totalCount,
+        defaultBranch: node.defaultBranchRef?.name || null,
+        checkState: node.defaultBranchRef?.target?.statusCheckRollup?.state || null
+    };
+}
+
+/**
+ * Keep one star count per day (the latest) for the last two weeks
+ */
+function recordStars(history, stars) {
+    const today = formatDateKey(new Date());
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - STAR_HISTORY_DAYS);
+    const cutoffKey = formatDateKey(cutoff);
+
+    return [
+        ...history.filter(point => point.date !== today && point.date >= cutoffKey),
+        { date: today, stars }
+    ];
+}
+
+/**
+ * Stars gained since a week ago, or since the repository was first watched if that's more recent
+ */
+function getStarDelta(entry) {
+    const history = entry.starHistory || [];
+    if (!entry.data || history.length === 0) {
+        return { starDelta: null, starDeltaSince: null };
+    }
+
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    const weekAgoKey = formatDateKey(weekAgo);
+
+    const olderPoints = history.filter(point => point.date <= weekAgoKey);
+    const baseline = olderPoints.length > 0 ? olderPoints[olderPoints.length - 1] : history[0];
+
+    return {
+        starDelta: entry.data.stars - baseline.stars,
+        starDeltaSince: baseline.date <= weekAgoKey ? null : baseline.date
+    };
+}
+
+function formatDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Drop repositories that are no longer watched
+ */
+function pruneRepoCache(repos) {
+    const watched = new Set(repos.map(repo => repo.toLowerCase()));
+    Object.keys(repoCache).forEach(key => {
+        if (!watched.has(key)) {
+            delete repoCache[key];
+        }
+    });
+}
+
+function loadRepoCache() {
+    try {
+        return JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error loading GitHub watchlist:', error);
+        return {};
+    }
+}
+
+function saveRepoCache() {
+    try {
+        localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(repoCache));
+    } catch (error) {
+        console.error('Error saving GitHub watchlist:', error);
+    }
+}
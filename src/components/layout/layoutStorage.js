@@ -1,4 +1,6 @@
-const LAYOUT_STORAGE_KEY = 'newtab-widget-layouts';
+import { profileStorageKey } from '../settings/profiles.js';
+
+const LAYOUT_STORAGE_KEY = 'newtab-widget-layouts'; // Suffixed per profile (see profiles.js)
 const STORAGE_VERSION = 1;
 
 /**
@@ -7,7 +9,7 @@ const STORAGE_VERSION = 1;
  */
 export function loadLayouts() {
   try {
-    const stored = localStorage.getItem(LAYOUT_STORAGE_KEY);
+    const stored = localStorage.getItem(profileStorageKey(LAYOUT_STORAGE_KEY));
 
     if (!stored) {
       return null;  // No saved layouts
@@ -52,7 +54,7 @@ export function saveLayouts(layouts) {
       layouts: layouts
     };
 
-    localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(data));
+    localStorage.setItem(profileStorageKey(LAYOUT_STORAGE_KEY), JSON.stringify(data));
 
   } catch (error) {
     console.error('Failed to save layouts:', error);
@@ -86,7 +88,7 @@ export function removeWidgetLayout(widgetId) {
  * Clear all saved layouts (reset to default)
  */
 export function clearAllLayouts() {
-  localStorage.removeItem(LAYOUT_STORAGE_KEY);
+  localStorage.removeItem(profileStorageKey(LAYOUT_STORAGE_KEY));
 }
 
 /**
@@ -103,24 +105,26 @@ function getCurrentBreakpoint() {
 
 /**
  * Export layouts as JSON (for backup/sharing)
+ * @param {string} [profileId] - Profile whose layouts to export (defaults to the active profile)
  * @returns {string} JSON string of all layouts
  */
-export function exportLayouts() {
-  const stored = localStorage.getItem(LAYOUT_STORAGE_KEY);
+export function exportLayouts(profileId) {
+  const stored = localStorage.getItem(profileStorageKey(LAYOUT_STORAGE_KEY, profileId));
   return stored || '{}';
 }
 
 /**
  * Import layouts from JSON (for restore/sharing)
  * @param {string} jsonString - JSON string of layouts
+ * @param {string} [profileId] - Profile to import into (defaults to the active profile)
  * @returns {boolean} Success status
  */
-export function importLayouts(jsonString) {
+export function importLayouts(jsonString, profileId) {
   try {
     const data = JSON.parse(jsonString);
 
     if (data.version && data.layouts) {
-      localStorage.setItem(LAYOUT_STORAGE_KEY, jsonString);
+      localStorage.setItem(profileStorageKey(LAYOUT_STORAGE_KEY, profileId), jsonString);
       return true;
     }
 
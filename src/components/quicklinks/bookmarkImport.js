@@ -0,0 +1,330 @@
+// bookmarkImport.js - Import quick links from a Netscape-format bookmarks HTML export
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+const GENERIC_ICON = 'ph-globe';
+const DEFAULT_COLOR = '#a3a3a3';
+
+// Phosphor icons for well-known sites (matched against the hostname suffix)
+const KNOWN_SITE_ICONS = {
+    'mail.google.com': 'ph-envelope-simple',
+    'drive.google.com': 'ph-google-drive-logo',
+    'google.com': 'ph-google-logo',
+    'youtube.com': 'ph-youtube-logo',
+    'github.com': 'ph-github-logo',
+    'gitlab.com': 'ph-gitlab-logo',
+    'stackoverflow.com': 'ph-stack-overflow-logo',
+    'spotify.com': 'ph-spotify-logo',
+    'x.com': 'ph-x-logo',
+    'twitter.com': 'ph-x-logo',
+    'linkedin.com': 'ph-linkedin-logo',
+    'reddit.com': 'ph-reddit-logo',
+    'slack.com': 'ph-slack-logo',
+    'figma.com': 'ph-figma-logo',
+    'notion.so': 'ph-notion-logo',
+    'discord.com': 'ph-discord-logo',
+    'amazon.com': 'ph-amazon-logo',
+    'twitch.tv': 'ph-twitch-logo',
+    'facebook.com': 'ph-facebook-logo',
+    'instagram.com': 'ph-instagram-logo',
+    'outlook.com': 'ph-microsoft-outlook-logo',
+    'outlook.office.com': 'ph-microsoft-outlook-logo',
+    'teams.microsoft.com': 'ph-microsoft-teams-logo',
+    'medium.com': 'ph-medium-logo',
+    'pinterest.com': 'ph-pinterest-logo',
+    'dribbble.com': 'ph-dribbble-logo',
+    'dropbox.com': 'ph-dropbox-logo',
+    'whatsapp.com': 'ph-whatsapp-logo',
+    'telegram.org': 'ph-telegram-logo',
+    'mastodon.social': 'ph-mastodon-logo',
+    'tiktok.com': 'ph-tiktok-logo'
+};
+
+const MODAL_ID = 'bookmark-import-modal';
+
+/**
+ * Let the user pick a bookmarks HTML file, preview its contents and import a selection
+ * @param {Object} options
+ * @param {Array} options.existingLinks - Current quick links (used to flag duplicates)
+ * @param {Function} options.onImport - Called with an array of { folder, links } to import
+ * @param {Function} [options.checkSelection] - Called with the same array whenever the selection
+ *   changes; returns a message to show (with importing disabled) when it can't be imported
+ */
+export function openBookmarkImport({ existingLinks = [], onImport, checkSelection = () => null }) {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.html,.htm,text/html';
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+
+        try {
+            const html = await file.text();
+            const folders = parseBookmarksHtml(html);
+            const total = folders.reduce((sum, folder) => sum + folder.links.length, 0);
+
+            if (total === 0) {
+                alert('No bookmarks found in that file. Please choose a bookmarks HTML export.');
+                return;
+            }
+
+            showImportPreview(folders, existingLinks, onImport, checkSelection);
+        } catch (error) {
+            console.error('Error reading bookmarks file:', error);
+            alert('Could not read that bookmarks file.');
+        }
+    });
+
+    fileInput.click();
+}
+
+/**
+ * Parse a Netscape bookmarks file into folders of links.
+ * Nested folders are flattened and named by their path (e.g. "Work / Dashboards");
+ * links outside any folder are returned in a folder with a null name.
+ * @param {string} html - Bookmarks file contents
+ * @returns {Array} [{ name, links: [{ label, url, icon, iconType }] }]
+ */
+export function parseBookmarksHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const rootList = doc.querySelector('dl');
+    const folders = [];
+
+    if (!rootList) {
+        return folders;
+    }
+
+    const walk = (list, path) => {
+        const folder = { name: path.length > 0 ? path.join(' / ') : null, links: [] };
+        folders.push(folder);
+
+        Array.from(list.children).forEach(item => {
+            // Parsers sometimes nest <DT> inside <P>; descend transparently
+            if (item.tagName === 'P') {
+                walk(item, path);
+                return;
+            }
+            if (item.tagName !== 'DT') return;
+
+            const heading = item.querySelector(':scope > h3');
+            const anchor = item.querySelector(':scope > a');
+
+            if (heading) {
+                const childList = item.querySelector(':scope > dl') || nextList(item);
+                if (childList) {
+                    walk(childList, [...path, heading.textContent.trim() || 'Untitled']);
+                }
+            } else if (anchor) {
+                const link = createLinkFromAnchor(anchor);
+                if (link) {
+                    folder.links.push(link);
+                }
+            }
+        });
+    };
+
+    walk(rootList, []);
+
+    // Merge the pieces of folders that were split by <P> wrappers and drop empty ones
+    const merged = new Map();
+    folders.forEach(folder => {
+        const key = folder.name ?? '';
+        if (!merged.has(key)) {
+            merged.set(key, { name: folder.name, links: [] });
+        }
+        merged.get(key).links.push(...folder.links);
+    });
+
+    return Array.from(merged.values()).filter(folder => folder.links.length > 0);
+}
+
+/**
+ * Some exports place a folder's <DL> as the next sibling of its <DT>
+ */
+function nextList(item) {
+    const sibling = item.nextElementSibling;
+    return sibling && sibling.tagName === 'DL' ? sibling : null;
+}
+
+function createLinkFromAnchor(anchor) {
+    const href = anchor.getAttribute('href') || '';
+
+    let url;
+    try {
+        url = new URL(href);
+    } catch (error) {
+        return null;
+    }
+
+    // Skip bookmarklets, place: queries and other non-web entries
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;
+    }
+
+    // Sites without a known icon show their own favicon instead of a generic globe
+    const icon = guessIcon(url.href);
+
+    return {
+        label: anchor.textContent.trim() || url.hostname,
+        url: url.href,
+        icon,
+        iconType: icon === GENERIC_ICON ? 'favicon' : 'icon'
+    };
+}
+
+/**
+ * Pick a Phosphor icon for a URL, falling back to a generic globe
+ * @param {string} url - Link URL
+ * @returns {string} Phosphor icon class
+ */
+export function guessIcon(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return GENERIC_ICON;
+    }
+
+    const match = Object.keys(KNOWN_SITE_ICONS).find(domain =>
+        hostname === domain || hostname.endsWith(`.${domain}`)
+    );
+    return match ? KNOWN_SITE_ICONS[match] : GENERIC_ICON;
+}
+
+/**
+ * Show the preview modal with a checkbox per folder and per link
+ */
+function showImportPreview(folders, existingLinks, onImport, checkSelection) {
+    closeImportPreview();
+
+    const existingUrls = new Set(existingLinks.map(link => link.url));
+
+    const foldersHTML = folders.map((folder, folderIndex) => {
+        const linksHTML = folder.links.map((link, linkIndex) => {
+            const duplicate = existingUrls.has(link.url);
+            return `
+                <label class="bookmark-import-link ${duplicate ? 'bookmark-import-duplicate' : ''}" title="${escapeHtml(link.url)}">
+                    <input type="checkbox"
+                           data-folder="${folderIndex}"
+                           data-link="${linkIndex}"
+                           ${duplicate ? 'disabled' : 'checked'}>
+                    <i class="ph ${escapeHtml(link.icon)}"></i>
+                    <span class="bookmark-import-label">${escapeHtml(link.label)}</span>
+                    ${duplicate ? '<span class="bookmark-import-note">already added</span>' : ''}
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div class="bookmark-import-folder">
+                <label class="bookmark-import-folder-header">
+                    <input type="checkbox" data-folder-toggle="${folderIndex}" checked>
+                    <i class="ph ph-folder"></i>
+                    <span>${escapeHtml(folder.name || 'Ungrouped')}</span>
+                    <span class="bookmark-import-note">${folder.links.length}</span>
+                </label>
+                <div class="bookmark-import-links">
+                    ${linksHTML}
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const modalHTML = `
+        <div id="${MODAL_ID}" class="modal show">
+            <div class="modal-content bookmark-import-content">
+                <div class="modal-header">
+                    <h2 class="modal-title">Import Bookmarks</h2>
+                    <button class="close-btn" data-action="cancel" aria-label="Close import">
+                        <i class="ph ph-x"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <label class="bookmark-import-option">
+                        <input type="checkbox" id="bookmark-import-as-groups" checked>
+                        <span>Import folders as groups</span>
+                    </label>
+                    <div class="bookmark-import-list">
+                        ${foldersHTML}
+                    </div>
+                    <div class="bookmark-import-warning" hidden></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="secondary-btn modal-cancel-btn" data-action="cancel">Cancel</button>
+                    <button class="secondary-btn modal-confirm-btn" data-action="import">Import</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    const modal = document.getElementById(MODAL_ID);
+
+    const getSelection = () => {
+        const asGroups = modal.querySelector('#bookmark-import-as-groups').checked;
+
+        return folders.map((folder, folderIndex) => ({
+            folder: asGroups ? folder.name : null,
+            links: folder.links
+                .filter((link, linkIndex) => modal.querySelector(`input[data-folder="${folderIndex}"][data-link="${linkIndex}"]`)?.checked)
+                .map(link => ({ ...link, color: DEFAULT_COLOR }))
+        })).filter(entry => entry.links.length > 0);
+    };
+
+    const updateCount = () => {
+        const count = modal.querySelectorAll('input[data-link]:checked').length;
+        const problem = count > 0 ? checkSelection(getSelection()) : null;
+        const confirmBtn = modal.querySelector('[data-action="import"]');
+        const warning = modal.querySelector('.bookmark-import-warning');
+        confirmBtn.textContent = count === 1 ? 'Import 1 link' : `Import ${count} links`;
+        confirmBtn.disabled = count === 0 || Boolean(problem);
+        warning.textContent = problem || '';
+        warning.hidden = !problem;
+    };
+
+    // Folder checkbox toggles all of its (non-duplicate) links
+    modal.querySelectorAll('[data-folder-toggle]').forEach(toggle => {
+        toggle.addEventListener('change', () => {
+            modal.querySelectorAll(`input[data-folder="${toggle.dataset.folderToggle}"]:not(:disabled)`).forEach(box => {
+                box.checked = toggle.checked;
+            });
+            updateCount();
+        });
+    });
+
+    modal.querySelectorAll('input[data-link]').forEach(box => {
+        box.addEventListener('change', updateCount);
+    });
+
+    // Groups take up room in settings too
+    modal.querySelector('#bookmark-import-as-groups').addEventListener('change', updateCount);
+
+    modal.querySelectorAll('[data-action="cancel"]').forEach(btn => {
+        btn.addEventListener('click', closeImportPreview);
+    });
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeImportPreview();
+        }
+    });
+
+    modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeImportPreview();
+        }
+    });
+
+    modal.querySelector('[data-action="import"]').addEventListener('click', () => {
+        const selection = getSelection();
+        closeImportPreview();
+        onImport(selection);
+    });
+
+    updateCount();
+    modal.querySelector('[data-action="import"]').focus();
+}
+
+function closeImportPreview() {
+    document.getElementById(MODAL_ID)?.remove();
+}
@@ -0,0 +1,145 @@
+// faviconCache.js - Resolve site favicons via Chrome's favicon API and cache them as data URLs
+
+const FAVICON_CACHE_KEY = 'quicklinks_favicons';
+const FAVICON_SIZE = 64;
+const MISS_RETRY_DURATION = 7 * 24 * 60 * 60 * 1000; // Re-check sites without a favicon weekly
+
+// Chrome returns a generic globe for unknown pages; fetched once to detect "no favicon"
+const PLACEHOLDER_PAGE_URL = 'https://favicon-placeholder.invalid/';
+
+let faviconCache = null;
+let placeholderPromise = null;
+const pendingRequests = new Map();
+
+/**
+ * Get the cached favicon for a URL
+ * @param {string} url - Page URL
+ * @returns {Object|undefined} { dataUrl } (dataUrl null when the site has none), or undefined if unknown
+ */
+export function getCachedFavicon(url) {
+    const key = getCacheKey(url);
+    if (!key) return { dataUrl: null };
+
+    const entry = loadCache()[key];
+    if (!entry) return undefined;
+
+    // Misses expire so sites visited since then can pick up their icon
+    if (!entry.dataUrl && Date.now() - entry.fetchedAt > MISS_RETRY_DURATION) {
+        return undefined;
+    }
+
+    return { dataUrl: entry.dataUrl };
+}
+
+/**
+ * Fetch (once) and cache the favicon for a URL
+ * @param {string} url - Page URL
+ * @returns {Promise<string|null>} Data URL, or null when no favicon is available
+ */
+export function resolveFavicon(url) {
+    const key = getCacheKey(url);
+    if (!key) return Promise.resolve(null);
+
+    const cached = getCachedFavicon(url);
+    if (cached) return Promise.resolve(cached.dataUrl);
+
+    if (!pendingRequests.has(key)) {
+        const request = fetchFavicon(url)
+            .catch(error => {
+                console.error(`Error fetching favicon for ${key}:`, error);
+                return null;
+            })
+            .then(dataUrl => {
+                const cache = loadCache();
+                cache[key] = { dataUrl, fetchedAt: Date.now() };
+                saveCache();
+                pendingRequests.delete(key);
+                return dataUrl;
+            });
+
+        pendingRequests.set(key, request);
+    }
+
+    return pendingRequests.get(key);
+}
+
+/**
+ * Fetch a favicon through the extension's _favicon endpoint (requires the "favicon" permission)
+ */
+async function fetchFavicon(url) {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.getURL) {
+        return null; // Not running as an extension
+    }
+
+    const [dataUrl, placeholder] = await Promise.all([
+        fetchFaviconDataUrl(url),
+        getPlaceholderDataUrl()
+    ]);
+
+    return dataUrl && dataUrl !== placeholder ? dataUrl : null;
+}
+
+function getPlaceholderDataUrl() {
+    if (!placeholderPromise) {
+        placeholderPromise = fetchFaviconDataUrl(PLACEHOLDER_PAGE_URL).catch(() => null);
+    }
+    return placeholderPromise;
+}
+
+async function fetchFaviconDataUrl(pageUrl) {
+    const faviconUrl = new URL(chrome.runtime.getURL('/_favicon/'));
+    faviconUrl.searchParams.set('pageUrl', pageUrl);
+    faviconUrl.searchParams.set('size', String(FAVICON_SIZE));
+
+    const response = await fetch(faviconUrl.toString());
+    if (!response.ok) {
+        return null;
+    }
+
+    const blob = await response.blob();
+    return blobToDataUrl(blob);
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Favicons are cached per origin so links to the same site share one entry
+ */
+function getCacheKey(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return null;
+        }
+        return parsed.origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+function loadCache() {
+    if (!faviconCache) {
+        try {
+            faviconCache = JSON.parse(localStorage.getItem(FAVICON_CACHE_KEY)) || {};
+        } catch (error) {
+            console.error('Error loading favicon cache:', error);
+            faviconCache = {};
+        }
+    }
+    return faviconCache;
+}
+
+function saveCache() {
+    try {
+        localStorage.setItem(FAVICON_CACHE_KEY, JSON.stringify(faviconCache));
+    } catch (error) {
+        console.error('Error saving favicon cache:', error);
+    }
+}
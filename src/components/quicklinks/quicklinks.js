@@ -1,44 +1,19 @@
-// quicklinks.js - Quick links widget with hardcoded favorite sites
-
-// Hardcoded links with Phosphor icons
-const links = [
-    {
-        label: 'YouTube',
-        url: 'https://youtube.com',
-        icon: 'ph-youtube-logo',
-        color: '#ef4444'
-    },
-    {
-        label: 'Gmail',
-        url: 'https://mail.google.com',
-        icon: 'ph-envelope-simple',
-        color: '#ef4444'
-    },
-    {
-        label: 'Spotify',
-        url: 'https://open.spotify.com',
-        icon: 'ph-spotify-logo',
-        color: '#22c55e'
-    },
-    {
-        label: 'Vite',
-        url: 'http://localhost:5173',
-        icon: 'ph-lightning',
-        color: '#8b5cf6'
-    },
-    {
-        label: 'Outlook',
-        url: 'https://outlook.com',
-        icon: 'ph-envelope-open',
-        color: '#3b82f6'
-    },
-    {
-        label: 'GitHub',
-        url: 'https://github.com', // User will update this to their repo
-        icon: 'ph-github-logo',
-        color: '#a3a3a3'
-    }
-];
+// quicklinks.js - Quick links widget with user-editable favorite sites
+import { updateSetting, updateSettings, getSettingsOverflow } from '../settings/settings.js';
+import { openBookmarkImport } from './bookmarkImport.js';
+import { getCachedFavicon, resolveFavicon } from './faviconCache.js';
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+const DEFAULT_ICON = 'ph-link';
+const DEFAULT_COLOR = '#a3a3a3';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Widget state
+let links = [];
+let groups = [];
+let isEditing = false;
+let editingLinkId = null; // Link being edited in the form ('new' when adding)
+let draggedLinkId = null;
 
 // Widget configuration for registration
 export const quickLinksWidget = {
@@ -49,6 +24,32 @@ export const quickLinksWidget = {
     update: updateQuickLinks,
     cleanup: () => {}, // No cleanup needed
 
+    // Stored settings (edited in the widget itself, so no controls in the settings modal)
+    settings: {
+        fields: [
+            {
+                key: 'quickLinks', // Ordered as shown in the widget
+                type: 'array',
+                item: isValidLink,
+                hidden: true,
+                default: [
+                    { id: 'youtube', label: 'YouTube', url: 'https://youtube.com', icon: 'ph-youtube-logo', color: '#ef4444' },
+                    { id: 'gmail', label: 'Gmail', url: 'https://mail.google.com', icon: 'ph-envelope-simple', color: '#ef4444' },
+                    { id: 'spotify', label: 'Spotify', url: 'https://open.spotify.com', icon: 'ph-spotify-logo', color: '#22c55e' },
+                    { id: 'outlook', label: 'Outlook', url: 'https://outlook.com', icon: 'ph-envelope-open', color: '#3b82f6' },
+                    { id: 'github', label: 'GitHub', url: 'https://github.com', icon: 'ph-github-logo', color: '#a3a3a3' }
+                ]
+            },
+            {
+                key: 'quickLinkGroups', // [{ id, name, collapsed }] - links reference groups via groupId
+                type: 'array',
+                item: isValidGroup,
+                hidden: true,
+                default: []
+            }
+        ]
+    },
+
     // Layout configuration for drag/drop/resize
     layout: {
         defaultPosition: { x: '5%', y: '580px' },
@@ -62,25 +63,59 @@ export const quickLinksWidget = {
 };
 
 export function initQuickLinks(settings) {
+    readLinkSettings(settings);
     renderQuickLinks();
 }
 
 export function updateQuickLinks(settings) {
+    readLinkSettings(settings);
+
+    // Drop out of the form if the link being edited no longer exists
+    if (editingLinkId && editingLinkId !== 'new' && !links.some(link => link.id === editingLinkId)) {
+        editingLinkId = null;
+    }
+
     renderQuickLinks();
 }
 
+function isValidLink(link) {
+    return isPlainObject(link) &&
+        typeof link.id === 'string' && link.id !== '' &&
+        typeof link.label === 'string' &&
+        typeof link.url === 'string' && link.url !== '' &&
+        (link.icon === undefined || typeof link.icon === 'string') &&
+        // The colour goes into an inline style, so only #rrggbb (what the colour picker gives)
+        (link.color === undefined || (typeof link.color === 'string' && COLOR_PATTERN.test(link.color))) &&
+        (link.groupId === undefined || typeof link.groupId === 'string') &&
+        (link.iconType === undefined || link.iconType === 'icon' || link.iconType === 'favicon');
+}
+
+function isValidGroup(group) {
+    return isPlainObject(group) &&
+        typeof group.id === 'string' && group.id !== '' &&
+        typeof group.name === 'string' &&
+        (group.collapsed === undefined || typeof group.collapsed === 'boolean');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readLinkSettings(settings) {
+    links = Array.isArray(settings.quickLinks) ? settings.quickLinks : [];
+    groups = Array.isArray(settings.quickLinkGroups) ? settings.quickLinkGroups : [];
+}
+
 function renderQuickLinks() {
     const container = document.getElementById('quicklinks-container');
     if (!container) return;
 
-    const linksHTML = links.map(link => createLinkCard(link)).join('');
+    const contentHTML = editingLinkId ? renderLinkForm() : renderLinkStrip();
 
     // Widget HTML structure (no duplicate header)
     const panelHTML = `
-        <div class="quicklinks-wrapper">
-            <div class="quicklinks-scroll">
-                ${linksHTML}
-            </div>
+        <div class="quicklinks-wrapper ${isEditing ? 'quicklinks-editing' : ''}">
+            ${contentHTML}
         </div>
     `;
 
@@ -96,22 +131,630 @@ function renderQuickLinks() {
         container.innerHTML = panelHTML;
     }
 
-    // Add click handlers to all link cards
-    const linkCards = container.querySelectorAll('.quicklink-card');
-    linkCards.forEach((card, index) => {
-        card.addEventListener('click', () => {
-            window.location.href = links[index].url;
-        });
-    });
+    if (editingLinkId) {
+        attachFormListeners(container);
+    } else {
+        attachStripListeners(container);
+        resolveMissingFavicons();
+    }
+}
+
+/**
+ * Render the horizontal strip: ungrouped links first, then one section per group
+ */
+function renderLinkStrip() {
+    const groupIds = new Set(groups.map(group => group.id));
+    const ungroupedHTML = links
+        .filter(link => !groupIds.has(link.groupId))
+        .map(link => createLinkCard(link))
+        .join('');
+
+    const groupsHTML = groups
+        .map(group => createGroupSection(group, links.filter(link => link.groupId === group.id)))
+        .join('');
+
+    const controlsHTML = isEditing ? `
+        <div class="quicklink-card quicklink-action" data-action="add" title="Add link">
+            <div class="quicklink-icon"><i class="ph ph-plus"></i></div>
+            <div class="quicklink-label">Add</div>
+        </div>
+        <div class="quicklink-card quicklink-action" data-action="add-group" title="Add group">
+            <div class="quicklink-icon"><i class="ph ph-folder-simple-plus"></i></div>
+            <div class="quicklink-label">Group</div>
+        </div>
+        <div class="quicklink-card quicklink-action" data-action="import" title="Import bookmarks HTML file">
+            <div class="quicklink-icon"><i class="ph ph-bookmarks-simple"></i></div>
+            <div class="quicklink-label">Import</div>
+        </div>
+        <div class="quicklink-card quicklink-action" data-action="done" title="Finish editing">
+            <div class="quicklink-icon"><i class="ph ph-check"></i></div>
+            <div class="quicklink-label">Done</div>
+        </div>
+    ` : `
+        <button class="quicklinks-edit-toggle" data-action="edit" title="Edit quick links" aria-label="Edit quick links">
+            <i class="ph ph-pencil-simple"></i>
+        </button>
+    `;
+
+    return `
+        <div class="quicklinks-scroll">
+            ${ungroupedHTML}
+            ${groupsHTML}
+            ${controlsHTML}
+        </div>
+    `;
+}
+
+/**
+ * Render a collapsible group: a folder card followed by its links when expanded
+ */
+function createGroupSection(group, groupLinks) {
+    const collapsed = group.collapsed === true;
+    const editControls = isEditing ? `
+        <div class="quicklink-edit-actions">
+            <button class="quicklink-edit-btn" data-action="rename-group" title="Rename" aria-label="Rename ${escapeHtml(group.name)}">
+                <i class="ph ph-pencil-simple"></i>
+            </button>
+            <button class="quicklink-edit-btn" data-action="delete-group" title="Delete group" aria-label="Delete ${escapeHtml(group.name)}">
+                <i class="ph ph-x"></i>
+            </button>
+        </div>
+    ` : '';
+
+    return `
+        <div class="quicklinks-group ${collapsed ? 'quicklinks-group-collapsed' : ''}" data-group-id="${escapeHtml(group.id)}">
+            <div class="quicklink-card quicklinks-group-header"
+                 data-group-id="${escapeHtml(group.id)}"
+                 title="${collapsed ? 'Expand' : 'Collapse'} ${escapeHtml(group.name)}"
+                 aria-expanded="${!collapsed}">
+                ${editControls}
+                <div class="quicklink-icon">
+                    <i class="ph ${collapsed ? 'ph-folder' : 'ph-folder-open'}"></i>
+                </div>
+                <div class="quicklink-label">
+                    ${escapeHtml(group.name)}
+                    <span class="quicklinks-group-count">${groupLinks.length}</span>
+                </div>
+            </div>
+            ${collapsed ? '' : groupLinks.map(link => createLinkCard(link)).join('')}
+        </div>
+    `;
 }
 
 function createLinkCard(link) {
+    const color = link.color || DEFAULT_COLOR;
+    const editControls = isEditing ? `
+        <div class="quicklink-edit-actions">
+            <button class="quicklink-edit-btn" data-action="edit-link" title="Edit" aria-label="Edit ${escapeHtml(link.label)}">
+                <i class="ph ph-pencil-simple"></i>
+            </button>
+            <button class="quicklink-edit-btn" data-action="delete-link" title="Delete" aria-label="Delete ${escapeHtml(link.label)}">
+                <i class="ph ph-x"></i>
+            </button>
+        </div>
+    ` : '';
+
     return `
-        <div class="quicklink-card" data-url="${link.url}">
+        <div class="quicklink-card"
+             data-link-id="${escapeHtml(link.id)}"
+             data-url="${escapeHtml(link.url)}"
+             style="--quicklink-color: ${escapeHtml(color)};"
+             ${isEditing ? 'draggable="true"' : ''}>
+            ${editControls}
             <div class="quicklink-icon">
-                <i class="ph ${link.icon}"></i>
+                ${renderLinkIcon(link)}
             </div>
-            <div class="quicklink-label">${link.label}</div>
+            <div class="quicklink-label">${escapeHtml(link.label)}</div>
         </div>
     `;
 }
+
+/**
+ * Render a link's icon: its Phosphor icon, or (in favicon mode) the site's cached
+ * favicon with a letter avatar while it loads or when the site has none
+ */
+function renderLinkIcon(link) {
+    if (link.iconType !== 'favicon') {
+        return `<i class="ph ${escapeHtml(link.icon || DEFAULT_ICON)}"></i>`;
+    }
+
+    const favicon = getCachedFavicon(link.url);
+    if (favicon?.dataUrl) {
+        return `<img class="quicklink-media quicklink-favicon" src="${escapeHtml(favicon.dataUrl)}" alt="">`;
+    }
+
+    const letter = Array.from((link.label || '').trim())[0]?.toUpperCase() || '?';
+    const textColor = getContrastColor(link.color || DEFAULT_COLOR);
+    return `
+        <span class="quicklink-media quicklink-avatar" style="color: ${textColor};">
+            <span>${escapeHtml(letter)}</span>
+        </span>
+    `;
+}
+
+/**
+ * Fetch favicons that are not cached yet and re-render once any arrive
+ */
+function resolveMissingFavicons() {
+    const unresolved = links.filter(link => link.iconType === 'favicon' && !getCachedFavicon(link.url));
+    if (unresolved.length === 0) return;
+
+    Promise.all(unresolved.map(link => resolveFavicon(link.url))).then(results => {
+        // Don't re-render underneath an open form
+        if (!editingLinkId && results.some(Boolean)) {
+            renderQuickLinks();
+        }
+    });
+}
+
+/**
+ * Render the add/edit form for a single link
+ */
+function renderLinkForm() {
+    const link = links.find(l => l.id === editingLinkId) || {
+        label: '',
+        url: '',
+        icon: DEFAULT_ICON,
+        iconType: 'icon',
+        color: DEFAULT_COLOR
+    };
+    const useFavicon = link.iconType === 'favicon';
+
+    const groupOptions = groups.map(group => `
+        <option value="${escapeHtml(group.id)}" ${group.id === link.groupId ? 'selected' : ''}>${escapeHtml(group.name)}</option>
+    `).join('');
+
+    return `
+        <form class="quicklinks-form" autocomplete="off">
+            <div class="quicklinks-form-preview" id="quicklinks-form-preview" style="--quicklink-color: ${escapeHtml(link.color || DEFAULT_COLOR)};">
+                ${renderLinkIcon(link)}
+            </div>
+            <input type="text" class="text-input quicklinks-form-input" name="label" placeholder="Label" value="${escapeHtml(link.label)}" required>
+            <input type="text" class="text-input quicklinks-form-input quicklinks-form-url" name="url" placeholder="https://example.com" value="${escapeHtml(link.url)}" required>
+            <select class="select quicklinks-form-icon-type" name="iconType" title="Icon source">
+                <option value="icon" ${useFavicon ? '' : 'selected'}>Icon</option>
+                <option value="favicon" ${useFavicon ? 'selected' : ''}>Site favicon</option>
+            </select>
+            <input type="text" class="text-input quicklinks-form-input" name="icon" placeholder="ph-link" value="${escapeHtml(link.icon || DEFAULT_ICON)}" title="Phosphor icon class, e.g. ph-github-logo" ${useFavicon ? 'hidden' : ''}>
+            <input type="color" class="quicklinks-form-color" name="color" value="${escapeHtml(link.color || DEFAULT_COLOR)}" title="Icon colour">
+            ${groups.length > 0 ? `
+                <select class="select quicklinks-form-group" name="group" title="Group">
+                    <option value="">No group</option>
+                    ${groupOptions}
+                </select>
+            ` : ''}
+            <button type="submit" class="quicklinks-form-btn" title="Save" aria-label="Save link">
+                <i class="ph ph-check"></i>
+            </button>
+            <button type="button" class="quicklinks-form-btn" data-action="cancel" title="Cancel" aria-label="Cancel">
+                <i class="ph ph-x"></i>
+            </button>
+        </form>
+    `;
+}
+
+function attachStripListeners(container) {
+    const linkCards = container.querySelectorAll('.quicklink-card[data-link-id]');
+    linkCards.forEach(card => {
+        card.addEventListener('click', (e) => {
+            const linkId = card.dataset.linkId;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            if (action === 'delete-link') {
+                deleteLink(linkId);
+            } else if (isEditing) {
+                openLinkForm(linkId);
+            } else {
+                const link = links.find(l => l.id === linkId);
+                if (link) {
+                    window.location.href = link.url;
+                }
+            }
+        });
+
+        if (isEditing) {
+            attachDragListeners(card);
+        }
+    });
+
+    container.querySelector('[data-action="edit"]')?.addEventListener('click', () => {
+        isEditing = true;
+        renderQuickLinks();
+    });
+
+    container.querySelector('[data-action="add"]')?.addEventListener('click', () => {
+        openLinkForm('new');
+    });
+
+    container.querySelector('[data-action="add-group"]')?.addEventListener('click', addGroup);
+
+    container.querySelector('[data-action="import"]')?.addEventListener('click', importBookmarks);
+
+    const groupHeaders = container.querySelectorAll('.quicklinks-group-header');
+    groupHeaders.forEach(header => {
+        const groupId = header.dataset.groupId;
+
+        header.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            if (action === 'rename-group') {
+                renameGroup(groupId);
+            } else if (action === 'delete-group') {
+                deleteGroup(groupId);
+            } else {
+                toggleGroup(groupId);
+            }
+        });
+
+        if (isEditing) {
+            attachGroupDropListeners(header);
+        }
+    });
+
+    container.querySelector('[data-action="done"]')?.addEventListener('click', () => {
+        isEditing = false;
+        renderQuickLinks();
+    });
+}
+
+/**
+ * Drag-to-reorder using native HTML5 drag and drop (edit mode only)
+ */
+function attachDragListeners(card) {
+    card.addEventListener('dragstart', (e) => {
+        draggedLinkId = card.dataset.linkId;
+        card.classList.add('quicklink-dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', draggedLinkId);
+    });
+
+    card.addEventListener('dragend', () => {
+        draggedLinkId = null;
+        card.classList.remove('quicklink-dragging');
+        document.querySelectorAll('.quicklink-drop-before, .quicklink-drop-after').forEach(el => {
+            el.classList.remove('quicklink-drop-before', 'quicklink-drop-after');
+        });
+    });
+
+    card.addEventListener('dragover', (e) => {
+        if (!draggedLinkId || draggedLinkId === card.dataset.linkId) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        const after = isPointerAfterMidpoint(card, e);
+        card.classList.toggle('quicklink-drop-after', after);
+        card.classList.toggle('quicklink-drop-before', !after);
+    });
+
+    card.addEventListener('dragleave', () => {
+        card.classList.remove('quicklink-drop-before', 'quicklink-drop-after');
+    });
+
+    card.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (!draggedLinkId || draggedLinkId === card.dataset.linkId) return;
+        moveLink(draggedLinkId, card.dataset.linkId, isPointerAfterMidpoint(card, e));
+    });
+}
+
+/**
+ * Dropping a link on a group's folder card moves it to the end of that group
+ */
+function attachGroupDropListeners(header) {
+    header.addEventListener('dragover', (e) => {
+        if (!draggedLinkId) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        header.classList.add('quicklinks-group-drop');
+    });
+
+    header.addEventListener('dragleave', () => {
+        header.classList.remove('quicklinks-group-drop');
+    });
+
+    header.addEventListener('drop', (e) => {
+        e.preventDefault();
+        header.classList.remove('quicklinks-group-drop');
+        if (!draggedLinkId) return;
+        moveLinkToGroup(draggedLinkId, header.dataset.groupId);
+    });
+}
+
+function isPointerAfterMidpoint(card, event) {
+    const rect = card.getBoundingClientRect();
+    return event.clientX > rect.left + rect.width / 2;
+}
+
+function attachFormListeners(container) {
+    const form = container.querySelector('.quicklinks-form');
+    if (!form) return;
+
+    const preview = container.querySelector('#quicklinks-form-preview');
+    const { label: labelInput, url: urlInput, icon: iconInput, iconType: iconTypeInput, color: colorInput } = form.elements;
+
+    labelInput.focus();
+
+    // Live preview of icon (or favicon/letter avatar) and colour
+    const updatePreview = () => {
+        if (!preview) return;
+        preview.style.setProperty('--quicklink-color', colorInput.value);
+        preview.innerHTML = renderLinkIcon({
+            label: labelInput.value,
+            url: normalizeUrl(urlInput.value) || '',
+            icon: normalizeIcon(iconInput.value),
+            iconType: iconTypeInput.value,
+            color: colorInput.value
+        });
+    };
+
+    // Favicons are fetched once the URL is complete (on change), not on every keystroke
+    const loadPreviewFavicon = () => {
+        const url = normalizeUrl(urlInput.value);
+        if (iconTypeInput.value === 'favicon' && url && !getCachedFavicon(url)) {
+            resolveFavicon(url).then(updatePreview);
+        }
+        updatePreview();
+    };
+
+    iconTypeInput.addEventListener('change', () => {
+        iconInput.hidden = iconTypeInput.value === 'favicon';
+        loadPreviewFavicon();
+    });
+    urlInput.addEventListener('change', loadPreviewFavicon);
+    labelInput.addEventListener('input', updatePreview);
+    iconInput.addEventListener('input', updatePreview);
+    colorInput.addEventListener('input', updatePreview);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveLinkForm(form);
+    });
+
+    form.querySelector('[data-action="cancel"]')?.addEventListener('click', closeLinkForm);
+
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeLinkForm();
+        }
+    });
+}
+
+function openLinkForm(linkId) {
+    editingLinkId = linkId;
+    renderQuickLinks();
+}
+
+function closeLinkForm() {
+    editingLinkId = null;
+    renderQuickLinks();
+}
+
+function saveLinkForm(form) {
+    const label = form.elements.label.value.trim();
+    const url = normalizeUrl(form.elements.url.value);
+
+    if (!label) {
+        alert('Please enter a label for the link.');
+        return;
+    }
+
+    if (!url) {
+        alert('Please enter a valid URL (e.g. https://example.com).');
+        return;
+    }
+
+    const linkData = {
+        label,
+        url,
+        icon: normalizeIcon(form.elements.icon.value),
+        iconType: form.elements.iconType.value === 'favicon' ? 'favicon' : 'icon',
+        color: form.elements.color.value || DEFAULT_COLOR
+    };
+    const groupId = form.elements.group ? form.elements.group.value : undefined;
+
+    let newLinks;
+    if (editingLinkId === 'new') {
+        newLinks = [...links, withGroup({ id: createLinkId(), ...linkData }, groupId)];
+    } else {
+        newLinks = links.map(link => {
+            if (link.id !== editingLinkId) return link;
+            const updated = { ...link, ...linkData };
+            return groupId === undefined ? updated : withGroup(updated, groupId);
+        });
+    }
+
+    editingLinkId = null;
+    saveLinks(newLinks);
+}
+
+function deleteLink(linkId) {
+    const link = links.find(l => l.id === linkId);
+    if (!link) return;
+
+    if (confirm(`Remove "${link.label}" from quick links?`)) {
+        saveLinks(links.filter(l => l.id !== linkId));
+    }
+}
+
+/**
+ * Move a link before or after another link (adopting the target's group)
+ */
+function moveLink(linkId, targetId, placeAfter) {
+    const moving = links.find(l => l.id === linkId);
+    if (!moving) return;
+
+    const remaining = links.filter(l => l.id !== linkId);
+    const targetIndex = remaining.findIndex(l => l.id === targetId);
+    if (targetIndex === -1) return;
+
+    const target = remaining[targetIndex];
+    remaining.splice(placeAfter ? targetIndex + 1 : targetIndex, 0, withGroup(moving, target.groupId));
+    saveLinks(remaining);
+}
+
+/**
+ * Move a link to the end of a group
+ */
+function moveLinkToGroup(linkId, groupId) {
+    const moving = links.find(l => l.id === linkId);
+    if (!moving) return;
+
+    saveLinks([...links.filter(l => l.id !== linkId), withGroup(moving, groupId)]);
+}
+
+/**
+ * Return a copy of a link assigned to a group (or ungrouped when groupId is empty)
+ */
+function withGroup(link, groupId) {
+    const updated = { ...link };
+    delete updated.groupId;
+    return groupId ? { ...updated, groupId } : updated;
+}
+
+function addGroup() {
+    const name = prompt('Group name (e.g. Work, Infra dashboards, Personal):')?.trim();
+    if (!name) return;
+
+    updateSetting('quickLinkGroups', [...groups, { id: createGroupId(), name, collapsed: false }]);
+}
+
+function renameGroup(groupId) {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+
+    const name = prompt('Rename group:', group.name)?.trim();
+    if (!name || name === group.name) return;
+
+    updateSetting('quickLinkGroups', groups.map(g => g.id === groupId ? { ...g, name } : g));
+}
+
+/**
+ * Delete a group; its links are kept and become ungrouped
+ */
+function deleteGroup(groupId) {
+    const group = groups.find(g => g.id === groupId);
+    if (!group) return;
+
+    if (!confirm(`Delete group "${group.name}"? Its links will be kept as ungrouped links.`)) {
+        return;
+    }
+
+    updateSettings({
+        quickLinkGroups: groups.filter(g => g.id !== groupId),
+        quickLinks: links.map(link => link.groupId === groupId ? withGroup(link, null) : link)
+    });
+}
+
+/**
+ * Import links from a bookmarks file; folders become (collapsed) groups,
+ * reusing an existing group when the name matches
+ */
+function importBookmarks() {
+    openBookmarkImport({
+        existingLinks: links,
+        onImport: (selection) => updateSettings(getImportChanges(selection)),
+        checkSelection: (selection) => {
+            // Links are stored in synced settings, which have a size limit
+            const overflow = getSettingsOverflow(getImportChanges(selection));
+            return overflow > 0
+                ? `Too many links to save: about ${Math.ceil(overflow / 1024)} KB over the synced settings limit. Select fewer links.`
+                : null;
+        }
+    });
+}
+
+/**
+ * Quick link settings with a bookmark import selection added
+ * @param {Array} selection - { folder, links } entries from the import preview
+ * @returns {Object} { quickLinks, quickLinkGroups }
+ */
+function getImportChanges(selection) {
+    const newGroups = [...groups];
+    const newLinks = [...links];
+
+    selection.forEach(({ folder, links: folderLinks }) => {
+        let groupId = null;
+
+        if (folder) {
+            let group = newGroups.find(g => g.name === folder);
+            if (!group) {
+                group = { id: createGroupId(), name: folder, collapsed: true };
+                newGroups.push(group);
+            }
+            groupId = group.id;
+        }
+
+        folderLinks.forEach(link => {
+            newLinks.push(withGroup({ id: createLinkId(), ...link }, groupId));
+        });
+    });
+
+    return { quickLinks: newLinks, quickLinkGroups: newGroups };
+}
+
+/**
+ * Collapse or expand a group (persisted so it is remembered between new tabs)
+ */
+function toggleGroup(groupId) {
+    updateSetting('quickLinkGroups', groups.map(g => g.id === groupId ? { ...g, collapsed: !g.collapsed } : g));
+}
+
+/**
+ * Persist links through settings (triggers a re-render via updateQuickLinks)
+ */
+function saveLinks(newLinks) {
+    links = newLinks;
+    updateSetting('quickLinks', newLinks);
+}
+
+/**
+ * Normalize a user-entered URL, adding https:// when no scheme is given
+ * @returns {string|null} Normalized URL or null if invalid
+ */
+function normalizeUrl(value) {
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+
+    const withScheme = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+
+    try {
+        const parsed = new URL(withScheme);
+        // Only allow schemes that make sense for a new tab shortcut
+        if (!['http:', 'https:', 'file:', 'chrome:', 'edge:', 'brave:'].includes(parsed.protocol)) {
+            return null;
+        }
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+function normalizeIcon(value) {
+    const icon = value.trim().replace(/^ph\s+/, '');
+    return /^ph-[a-z0-9-]+$/.test(icon) ? icon : DEFAULT_ICON;
+}
+
+/**
+ * Pick dark or light text for a letter avatar based on the background's luminance
+ */
+function getContrastColor(hex) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(hex);
+    if (!match) return '#fafafa';
+
+    const value = parseInt(match[1], 16);
+    const r = (value >> 16) & 0xff;
+    const g = (value >> 8) & 0xff;
+    const b = value & 0xff;
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+
+    return luminance > 0.6 ? '#0a0a0a' : '#fafafa';
+}
+
+function createLinkId() {
+    return `link-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function createGroupId() {
+    return `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
@@ -0,0 +1,637 @@
+// configBundle.js - Export/import all stored configuration as a single versioned JSON file
+import { loadProfileSettings, saveProfileSettings } from './settings.js';
+import { exportLayouts, importLayouts } from '../layout/layoutStorage.js';
+import { loadAlerts, saveAlerts } from '../finance/priceAlerts.js';
+import {
+    profileStorageKey,
+    getActiveProfileId,
+    loadProfiles,
+    mergeProfiles,
+    saveProfileSchedule
+} from './profiles.js';
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+const BUNDLE_FORMAT = 'newtab-config';
+const BUNDLE_VERSION = 2; // 2: every profile's data (version 1 files held the active profile's only)
+const MODAL_ID = 'config-bundle-modal';
+
+// Registered configuration sections, in display order
+const sections = [];
+
+/**
+ * Register a piece of stored configuration to include in exported bundles
+ * @param {Object} section
+ * @param {string} section.key - Unique key used in the bundle file
+ * @param {string} section.label - Name shown in the export/import dialogs
+ * @param {Function} section.read - Returns the current data, or null if none (may return a Promise);
+ *        receives the profile ID for per-profile sections
+ * @param {Function} section.write - Persists imported data (may return a Promise); receives the
+ *        data and, for per-profile sections, the profile ID
+ * @param {boolean} [section.perProfile] - Each profile has its own copy (all of them are exported)
+ * @param {Array} [section.secrets] - Top-level keys holding secrets (e.g. tokens) that can be left out
+ * @param {Function} [section.describe] - Returns a short summary of the data, e.g. "7 widget positions"
+ */
+export function registerConfigSection(section) {
+    if (sections.some(s => s.key === section.key)) {
+        console.warn(`Config section "${section.key}" is already registered`);
+        return;
+    }
+    sections.push(section);
+}
+
+registerConfigSection({
+    key: 'settings',
+    label: 'Settings',
+    perProfile: true,
+    read: (profileId) => loadProfileSettings(profileId),
+    write: async (data, profileId) => {
+        if (!(await saveProfileSettings(data, profileId))) {
+            throw new Error('Settings could not be saved');
+        }
+    },
+    secrets: ['githubToken']
+});
+
+registerConfigSection({
+    key: 'layouts',
+    label: 'Widget layouts',
+    perProfile: true,
+    read: (profileId) => {
+        const data = JSON.parse(exportLayouts(profileId));
+        return data.layouts ? data : null;
+    },
+    write: (data, profileId) => {
+        if (!importLayouts(JSON.stringify(data), profileId)) {
+            throw new Error('Invalid widget layout data');
+        }
+    },
+    describe: (data) => `${Object.keys(data.layouts || {}).length} widget positions`
+});
+
+registerConfigSection({
+    key: 'profileSchedule',
+    label: 'Profile schedule',
+    read: async () => {
+        const { schedule } = await loadProfiles();
+        return schedule.rules.length > 0 || schedule.fallbackProfileId ? schedule : null;
+    },
+    write: async (data) => {
+        if (!isPlainObject(data) || !Array.isArray(data.rules)) {
+            throw new Error('Invalid profile schedule data');
+        }
+
+        // Rules for profiles that weren't imported are dropped
+        const { profiles } = await loadProfiles();
+        const exists = (profileId) => profiles.some(profile => profile.id === profileId);
+        await saveProfileSchedule({
+            rules: data.rules.filter(rule => exists(rule?.profileId)),
+            fallbackProfileId: exists(data.fallbackProfileId) ? data.fallbackProfileId : null
+        });
+    },
+    describe: (data) => data.rules.length === 1 ? '1 rule' : `${data.rules.length} rules`
+});
+
+registerConfigSection(localStorageSection('github_settings', 'GitHub settings', { perProfile: true, secrets: ['token'] }));
+registerConfigSection(localStorageSection('github_habits', 'Habit logs', {
+    perProfile: true,
+    describe: (data) => `${Object.keys(data).length} habits`
+}));
+registerConfigSection(localStorageSection('finance_portfolio', 'Portfolio', {
+    perProfile: true,
+    describe: (data) => `${data.length} positions`
+}));
+registerConfigSection({
+    key: 'finance_alerts',
+    label: 'Price alerts',
+    perProfile: true,
+    read: async (profileId) => {
+        const alerts = await loadAlerts(profileId);
+        return alerts.length > 0 ? alerts : null;
+    },
+    write: (data, profileId) => {
+        if (!Array.isArray(data)) {
+            throw new Error('Invalid price alert data');
+        }
+        return saveAlerts(data, profileId);
+    },
+    describe: (data) => `${data.length} alerts`
+});
+registerConfigSection(localStorageSection('calculatorHistory', 'Calculator history'));
+
+/**
+ * Create a section for a JSON value stored under a localStorage key
+ * @param {Object} [options] - Other section fields, including `perProfile` for keys suffixed per profile
+ */
+function localStorageSection(storageKey, label, options = {}) {
+    const getKey = (profileId) => options.perProfile ? profileStorageKey(storageKey, profileId) : storageKey;
+
+    return {
+        key: storageKey,
+        label,
+        read: (profileId) => {
+            const stored = localStorage.getItem(getKey(profileId));
+            return stored ? JSON.parse(stored) : null;
+        },
+        write: (data, profileId) => {
+            localStorage.setItem(getKey(profileId), JSON.stringify(data));
+        },
+        ...options
+    };
+}
+
+/**
+ * Build a configuration bundle from the registered sections, with per-profile sections for every profile
+ * @param {Object} options
+ * @param {Array} [options.sectionKeys] - Sections to include (defaults to all)
+ * @param {boolean} [options.includeSecrets=false] - Keep tokens and other secrets in the bundle
+ * @returns {Promise<Object>} Bundle ready to be serialized
+ */
+export async function createConfigBundle({ sectionKeys, includeSecrets = false } = {}) {
+    const { profiles } = await loadProfiles();
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        includesSecrets: includeSecrets,
+        profiles: profiles.map(({ id, name }) => ({ id, name })),
+        sections: {},
+        profileSections: {}
+    };
+
+    for (const section of sections) {
+        if (sectionKeys && !sectionKeys.includes(section.key)) continue;
+
+        for (const { profileId, data } of await readAllSection(section, profiles)) {
+            const exported = includeSecrets ? data : withoutSecrets(data, section.secrets);
+
+            if (section.perProfile) {
+                bundle.profileSections[profileId] = { ...bundle.profileSections[profileId], [section.key]: exported };
+            } else {
+                bundle.sections[section.key] = exported;
+            }
+        }
+    }
+
+    return bundle;
+}
+
+/**
+ * Parse and validate a bundle file's contents
+ * @param {string} text - File contents
+ * @returns {Object} Bundle (version 1 files are converted, their per-profile data going to the active profile)
+ * @throws {Error} If the file is not a configuration bundle this version can read
+ */
+export function parseConfigBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (!isPlainObject(bundle) || bundle.format !== BUNDLE_FORMAT || !isPlainObject(bundle.sections)) {
+        throw new Error('The file is not a New Tab configuration export.');
+    }
+
+    if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+        throw new Error('The file was exported by a newer version of New Tab. Please update the extension first.');
+    }
+
+    if (bundle.version === 1) {
+        const sharedSections = {};
+        const profileData = {};
+        Object.entries(bundle.sections).forEach(([key, data]) => {
+            const section = sections.find(s => s.key === key);
+            if (section?.perProfile) {
+                profileData[key] = data;
+            } else {
+                sharedSections[key] = data;
+            }
+        });
+        return {
+            ...bundle,
+            profiles: [],
+            sections: sharedSections,
+            profileSections: { [getActiveProfileId()]: profileData }
+        };
+    }
+
+    if (!Array.isArray(bundle.profiles) || !isPlainObject(bundle.profileSections) ||
+        !Object.values(bundle.profileSections).every(isPlainObject)) {
+        throw new Error('The file is not a New Tab configuration export.');
+    }
+
+    return { ...bundle, profiles: bundle.profiles.filter(isPlainObject) };
+}
+
+/**
+ * Write a bundle's sections to storage; profiles in the bundle that don't exist here are added
+ * (and existing ones renamed to match)
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} options
+ * @param {Array} [options.sectionKeys] - Sections to restore (defaults to all in the bundle)
+ * @param {boolean} [options.includeSecrets=true] - Restore secrets from the bundle; when false
+ *        (or when the bundle has none) the current secrets are kept
+ */
+export async function applyConfigBundle(bundle, { sectionKeys, includeSecrets = true } = {}) {
+    const selected = sections.filter(section => !sectionKeys || sectionKeys.includes(section.key));
+
+    // Profiles first, so their data and schedule rules have somewhere to go
+    const importedProfileIds = Object.keys(bundle.profileSections)
+        .filter(profileId => selected.some(section => section.key in bundle.profileSections[profileId]));
+    const profiles = importedProfileIds.length > 0
+        ? await mergeProfiles(bundle.profiles.filter(profile => importedProfileIds.includes(profile.id)))
+        : (await loadProfiles()).profiles;
+
+    for (const section of selected) {
+        const entries = section.perProfile
+            ? importedProfileIds
+                .filter(profileId => section.key in bundle.profileSections[profileId])
+                .filter(profileId => profiles.some(profile => profile.id === profileId))
+                .map(profileId => ({ profileId, data: bundle.profileSections[profileId][section.key] }))
+            : section.key in bundle.sections ? [{ profileId: null, data: bundle.sections[section.key] }] : [];
+
+        for (const { profileId, data } of entries) {
+            let restored = data;
+
+            if (section.secrets && isPlainObject(data)) {
+                const current = await readSection(section, profileId);
+                restored = mergeSecrets(data, current, section.secrets, includeSecrets && bundle.includesSecrets);
+            }
+
+            await section.write(restored, profileId);
+        }
+    }
+}
+
+/**
+ * Show the export dialog (section selection and secrets option), then download the bundle
+ */
+export async function openConfigExport() {
+    const { profiles } = await loadProfiles();
+    const available = [];
+    for (const section of sections) {
+        const entries = await readAllSection(section, profiles);
+        if (entries.length > 0) {
+            available.push({ section, entries });
+        }
+    }
+
+    const secretLabels = available
+        .filter(({ section, entries }) => entries.some(({ data }) => hasSecrets(data, section.secrets)))
+        .map(({ section }) => section.label);
+
+    const rowsHTML = available.map(({ section, entries }) => `
+        <label class="config-bundle-row">
+            <input type="checkbox" data-section="${escapeHtml(section.key)}" checked>
+            <span class="config-bundle-label">${escapeHtml(section.label)}</span>
+            <span class="config-bundle-note">${escapeHtml(describeEntries(section, entries, profiles))}</span>
+        </label>
+    `).join('');
+
+    const profilesHTML = profiles.length > 1
+        ? `<div class="config-bundle-hint">Includes all ${profiles.length} profiles: ${escapeHtml(profiles.map(profile => profile.name).join(', '))}</div>`
+        : '';
+
+    const secretsHTML = secretLabels.length > 0 ? `
+        <label class="config-bundle-row config-bundle-secrets">
+            <input type="checkbox" id="config-bundle-include-secrets">
+            <span class="config-bundle-label">Include secrets (GitHub token)</span>
+        </label>
+        <div class="config-bundle-hint">Leave unchecked if you plan to share this file.</div>
+    ` : '';
+
+    showDialog({
+        title: 'Export Configuration',
+        bodyHTML: `
+            ${profilesHTML}
+            <div class="config-bundle-list">${rowsHTML}</div>
+            ${secretsHTML}
+        `,
+        confirmLabel: 'Export',
+        onConfirm: async (modal) => {
+            const bundle = await createConfigBundle({
+                sectionKeys: getCheckedSections(modal),
+                includeSecrets: modal.querySelector('#config-bundle-include-secrets')?.checked === true
+            });
+            downloadBundle(bundle);
+        }
+    });
+}
+
+/**
+ * Let the user pick a bundle file, preview what it will overwrite, then restore it and reload
+ */
+export function openConfigImport() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        if (!file) return;
+
+        try {
+            const bundle = parseConfigBundle(await file.text());
+            await showImportPreview(bundle);
+        } catch (error) {
+            console.error('Error reading configuration file:', error);
+            alert(`Could not import configuration: ${error.message}`);
+        }
+    });
+
+    fileInput.click();
+}
+
+async function showImportPreview(bundle) {
+    const { profiles: currentProfiles } = await loadProfiles();
+    // Names from the file win, as importing renames existing profiles to match
+    const profiles = [
+        ...bundle.profiles,
+        ...currentProfiles.filter(profile => !bundle.profiles.some(p => p.id === profile.id))
+    ];
+    const rows = [];
+
+    for (const section of sections) {
+        const entries = section.perProfile
+            ? Object.keys(bundle.profileSections)
+                .filter(profileId => section.key in bundle.profileSections[profileId])
+                .map(profileId => ({ profileId, data: bundle.profileSections[profileId][section.key] }))
+            : section.key in bundle.sections ? [{ profileId: null, data: bundle.sections[section.key] }] : [];
+        if (entries.length === 0) continue;
+
+        const changes = [];
+        for (const { profileId, data } of entries) {
+            const change = describeChanges(section, await readSection(section, profileId), data);
+            changes.push(section.perProfile && profiles.length > 1 ? `${getProfileName(profiles, profileId)}: ${change}` : change);
+        }
+
+        rows.push(`
+            <label class="config-bundle-row">
+                <input type="checkbox" data-section="${escapeHtml(section.key)}" checked>
+                <span class="config-bundle-label">${escapeHtml(section.label)}</span>
+                <span class="config-bundle-note">${escapeHtml(describeEntries(section, entries, profiles))}</span>
+            </label>
+            ${changes.map(change => `<div class="config-bundle-changes">${escapeHtml(change)}</div>`).join('')}
+        `);
+    }
+
+    const unknown = [
+        ...Object.keys(bundle.sections),
+        ...Object.values(bundle.profileSections).flatMap(data => Object.keys(data))
+    ].filter(key => !sections.some(s => s.key === key));
+    if (unknown.length > 0) {
+        console.warn('Skipping unknown configuration sections:', [...new Set(unknown)]);
+    }
+
+    if (rows.length === 0) {
+        alert('The file does not contain any configuration that can be imported.');
+        return;
+    }
+
+    const newProfiles = bundle.profiles.filter(profile =>
+        profile.id in bundle.profileSections && !currentProfiles.some(p => p.id === profile.id));
+    const profilesHTML = newProfiles.length > 0
+        ? `<div class="config-bundle-hint">Adds ${newProfiles.length === 1 ? 'profile' : 'profiles'}: ${escapeHtml(newProfiles.map(profile => profile.name).join(', '))}</div>`
+        : '';
+
+    const secretsHTML = bundle.includesSecrets ? `
+        <label class="config-bundle-row config-bundle-secrets">
+            <input type="checkbox" id="config-bundle-include-secrets" checked>
+            <span class="config-bundle-label">Import secrets (GitHub token)</span>
+        </label>
+    ` : `
+        <div class="config-bundle-hint">This file has no secrets; your current GitHub token will be kept.</div>
+    `;
+
+    const exportedAt = bundle.exportedAt ? new Date(bundle.exportedAt) : null;
+    const exportedHTML = exportedAt && !isNaN(exportedAt)
+        ? `<div class="config-bundle-hint">Exported ${escapeHtml(exportedAt.toLocaleString())}</div>`
+        : '';
+
+    showDialog({
+        title: 'Import Configuration',
+        bodyHTML: `
+            ${exportedHTML}
+            ${profilesHTML}
+            <div class="config-bundle-list">${rows.join('')}</div>
+            ${secretsHTML}
+            <div class="config-bundle-hint">Selected sections replace your current configuration. The page will reload.</div>
+        `,
+        confirmLabel: 'Import',
+        onConfirm: async (modal) => {
+            await applyConfigBundle(bundle, {
+                sectionKeys: getCheckedSections(modal),
+                includeSecrets: modal.querySelector('#config-bundle-include-secrets')?.checked !== false
+            });
+            window.location.reload();
+        }
+    });
+}
+
+/**
+ * Show a dialog with section checkboxes; the confirm button is disabled when nothing is selected
+ */
+function showDialog({ title, bodyHTML, confirmLabel, onConfirm }) {
+    closeDialog();
+
+    const modalHTML = `
+        <div id="${MODAL_ID}" class="modal show">
+            <div class="modal-content config-bundle-content">
+                <div class="modal-header">
+                    <h2 class="modal-title">${escapeHtml(title)}</h2>
+                    <button class="close-btn" data-action="cancel" aria-label="Close">
+                        <i class="ph ph-x"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    ${bodyHTML}
+                </div>
+                <div class="modal-footer">
+                    <button class="secondary-btn modal-cancel-btn" data-action="cancel">Cancel</button>
+                    <button class="secondary-btn modal-confirm-btn" data-action="confirm">${escapeHtml(confirmLabel)}</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    const modal = document.getElementById(MODAL_ID);
+    const confirmBtn = modal.querySelector('[data-action="confirm"]');
+
+    const updateConfirm = () => {
+        confirmBtn.disabled = getCheckedSections(modal).length === 0;
+    };
+
+    modal.querySelectorAll('input[data-section]').forEach(box => {
+        box.addEventListener('change', updateConfirm);
+    });
+
+    modal.querySelectorAll('[data-action="cancel"]').forEach(btn => {
+        btn.addEventListener('click', closeDialog);
+    });
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeDialog();
+        }
+    });
+
+    confirmBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        try {
+            await onConfirm(modal);
+            closeDialog();
+        } catch (error) {
+            console.error(`${title} failed:`, error);
+            alert(`${title} failed: ${error.message}`);
+            updateConfirm();
+        }
+    });
+
+    updateConfirm();
+    confirmBtn.focus();
+}
+
+function closeDialog() {
+    document.getElementById(MODAL_ID)?.remove();
+}
+
+function getCheckedSections(modal) {
+    return Array.from(modal.querySelectorAll('input[data-section]:checked')).map(box => box.dataset.section);
+}
+
+function downloadBundle(bundle) {
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const date = new Date().toISOString().slice(0, 10);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `newtab-config-${date}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function readSection(section, profileId) {
+    try {
+        const data = await (section.perProfile ? section.read(profileId) : section.read());
+        return data ?? null;
+    } catch (error) {
+        console.error(`Error reading configuration section "${section.key}":`, error);
+        return null;
+    }
+}
+
+/**
+ * Read a section's stored data, for every profile if it's per-profile
+ * @returns {Promise<Array>} [{ profileId (null for shared sections), data }] for those with data
+ */
+async function readAllSection(section, profiles) {
+    const profileIds = section.perProfile ? profiles.map(profile => profile.id) : [null];
+    const entries = [];
+
+    for (const profileId of profileIds) {
+        const data = await readSection(section, profileId);
+        if (data !== null) {
+            entries.push({ profileId, data });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Summarize a section's data, naming the profiles it covers when there are several
+ */
+function describeEntries(section, entries, profiles) {
+    if (!section.perProfile || profiles.length <= 1) {
+        return describeData(section, entries[0].data);
+    }
+    if (entries.length === 1) {
+        return `${getProfileName(profiles, entries[0].profileId)}: ${describeData(section, entries[0].data)}`;
+    }
+    return `${entries.length} profiles`;
+}
+
+function getProfileName(profiles, profileId) {
+    return profiles.find(profile => profile.id === profileId)?.name || profileId;
+}
+
+function describeData(section, data) {
+    if (section.describe) {
+        return section.describe(data);
+    }
+    if (Array.isArray(data)) {
+        return data.length === 1 ? '1 entry' : `${data.length} entries`;
+    }
+    if (isPlainObject(data)) {
+        const count = Object.keys(data).length;
+        return count === 1 ? '1 value' : `${count} values`;
+    }
+    return '';
+}
+
+/**
+ * Summarize what importing a section would overwrite
+ */
+function describeChanges(section, current, incoming) {
+    if (current === null) {
+        return 'Nothing stored yet';
+    }
+
+    if (isPlainObject(current) && isPlainObject(incoming)) {
+        const secrets = section.secrets || [];
+        const keys = new Set([...Object.keys(current), ...Object.keys(incoming)]);
+        const changed = Array.from(keys).filter(key =>
+            !secrets.includes(key) &&
+            key in incoming &&
+            JSON.stringify(current[key]) !== JSON.stringify(incoming[key])
+        );
+
+        if (changed.length === 0) return 'No changes';
+        return `Overwrites: ${changed.join(', ')}`;
+    }
+
+    return JSON.stringify(current) === JSON.stringify(incoming)
+        ? 'No changes'
+        : `Replaces current ${describeData(section, current)}`;
+}
+
+function hasSecrets(data, secrets) {
+    return Boolean(secrets && isPlainObject(data) && secrets.some(key => data[key]));
+}
+
+function withoutSecrets(data, secrets) {
+    if (!secrets || !isPlainObject(data)) return data;
+
+    const copy = { ...data };
+    secrets.forEach(key => delete copy[key]);
+    return copy;
+}
+
+/**
+ * Take secrets from the bundle, or keep the currently stored ones
+ */
+function mergeSecrets(incoming, current, secrets, useIncoming) {
+    const merged = { ...incoming };
+
+    secrets.forEach(key => {
+        if (useIncoming && key in incoming) return;
+
+        if (isPlainObject(current) && key in current) {
+            merged[key] = current[key];
+        } else {
+            delete merged[key];
+        }
+    });
+
+    return merged;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,272 @@
+// profileSchedule.js - Switch profiles automatically by day of week and time of day
+import {
+    loadProfiles,
+    getProfiles,
+    getActiveProfileId,
+    getManualSwitch,
+    getProfileSchedule,
+    saveProfileSchedule,
+    switchProfile
+} from './profiles.js';
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0]; // Week shown Monday first
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000; // Re-check at least daily (long timers drift across sleep)
+
+let boundaryTimer = null;
+
+/**
+ * Apply the schedule on new tab open, before settings load (so no reload is needed).
+ * A manual switch made since the last rule boundary is respected.
+ */
+export async function applyProfileSchedule() {
+    const { profiles, schedule } = await loadProfiles();
+    if (schedule.rules.length === 0) return;
+
+    const now = new Date();
+    if (hasManualOverride(schedule, now)) return;
+
+    const target = getScheduledProfileId(schedule, now, profiles);
+    if (target && target !== getActiveProfileId()) {
+        switchProfile(target, { manual: false, reload: false });
+    }
+}
+
+/**
+ * Re-evaluate at the next rule boundary while the tab stays open
+ */
+export function scheduleNextProfileCheck() {
+    clearTimeout(boundaryTimer);
+
+    const schedule = getProfileSchedule();
+    if (schedule.rules.length === 0) return;
+
+    const now = new Date();
+    const next = getBoundaries(schedule, now).find(boundary => boundary > now.getTime());
+    const delay = next ? Math.min(next - now.getTime() + 1000, MAX_TIMER_DELAY) : MAX_TIMER_DELAY;
+
+    boundaryTimer = setTimeout(() => {
+        const current = new Date();
+        const target = getScheduledProfileId(getProfileSchedule(), current, getProfiles());
+
+        if (target && target !== getActiveProfileId() && !hasManualOverride(getProfileSchedule(), current)) {
+            switchProfile(target, { manual: false });
+            return;
+        }
+        scheduleNextProfileCheck();
+    }, delay);
+}
+
+/**
+ * Get the profile the schedule selects at a given time
+ * @param {Object} schedule - { rules, fallbackProfileId }
+ * @param {Date} date - Time to evaluate
+ * @param {Array} profiles - Existing profiles (rules for deleted profiles are ignored)
+ * @returns {string|null} Profile ID, or null to keep the current profile
+ */
+export function getScheduledProfileId(schedule, date, profiles) {
+    const exists = (id) => profiles.some(profile => profile.id === id);
+    const time = date.getTime();
+
+    // First matching rule wins
+    const rule = schedule.rules.find(r =>
+        exists(r.profileId) &&
+        getRuleIntervals(r, date).some(interval => time >= interval.start && time < interval.end)
+    );
+
+    if (rule) return rule.profileId;
+    return schedule.fallbackProfileId && exists(schedule.fallbackProfileId) ? schedule.fallbackProfileId : null;
+}
+
+/**
+ * A manual switch overrides the schedule until the next boundary after it
+ */
+function hasManualOverride(schedule, now) {
+    const manual = getManualSwitch();
+    if (!manual || manual.profileId !== getActiveProfileId()) return false;
+
+    const previous = getBoundaries(schedule, now).filter(boundary => boundary <= now.getTime()).pop();
+    return previous === undefined || manual.switchedAt > previous;
+}
+
+/**
+ * Intervals (timestamps) covered by a rule around a date: rules that end at or before
+ * their start time run past midnight, and equal start/end times mean the whole day
+ */
+function getRuleIntervals(rule, date, daysBefore = 1, daysAfter = 0) {
+    const start = parseTime(rule.start);
+    const end = parseTime(rule.end);
+    if (start === null || end === null) return [];
+
+    const duration = ((end - start + 1440) % 1440 || 1440) * 60 * 1000;
+    const intervals = [];
+
+    for (let offset = -daysBefore; offset <= daysAfter; offset++) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+        if (!rule.days.includes(day.getDay())) continue;
+
+        const intervalStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(start / 60), start % 60).getTime();
+        intervals.push({ start: intervalStart, end: intervalStart + duration });
+    }
+
+    return intervals;
+}
+
+/**
+ * All rule start/end times within a week either side of a date, sorted
+ */
+function getBoundaries(schedule, date) {
+    const boundaries = new Set();
+
+    schedule.rules.forEach(rule => {
+        getRuleIntervals(rule, date, 8, 8).forEach(interval => {
+            boundaries.add(interval.start);
+            boundaries.add(interval.end);
+        });
+    });
+
+    return Array.from(boundaries).sort((a, b) => a - b);
+}
+
+/**
+ * @returns {number|null} Minutes after midnight for "HH:MM"
+ */
+function parseTime(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Render the schedule editor into the settings modal and start the boundary timer
+ */
+export function initProfileSchedule() {
+    const container = document.getElementById('profile-schedule');
+
+    if (container) {
+        renderScheduleEditor(container);
+        container.addEventListener('change', () => saveFromEditor(container));
+        container.addEventListener('click', (e) => handleEditorClick(e, container));
+        document.addEventListener('profileschange', () => renderScheduleEditor(container));
+    }
+
+    scheduleNextProfileCheck();
+}
+
+function renderScheduleEditor(container) {
+    const profiles = getProfiles();
+    const schedule = getProfileSchedule();
+
+    const profileOptions = (selectedId) => profiles.map(profile => `
+        <option value="${escapeHtml(profile.id)}" ${profile.id === selectedId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+    `).join('');
+
+    const rulesHTML = schedule.rules.map(rule => `
+        <div class="profile-rule" data-rule-id="${escapeHtml(rule.id)}">
+            <select class="select profile-rule-profile" aria-label="Profile">
+                ${profileOptions(rule.profileId)}
+            </select>
+            <div class="profile-rule-days">
+                ${DAY_ORDER.map(day => `
+                    <button type="button"
+                            class="profile-rule-day ${rule.days.includes(day) ? 'active' : ''}"
+                            data-day="${day}"
+                            aria-pressed="${rule.days.includes(day)}">${DAY_LABELS[day].charAt(0)}</button>
+                `).join('')}
+            </div>
+            <input type="time" class="text-input profile-rule-time" data-field="start" value="${escapeHtml(rule.start)}" aria-label="From">
+            <span class="profile-rule-separator">–</span>
+            <input type="time" class="text-input profile-rule-time" data-field="end" value="${escapeHtml(rule.end)}" aria-label="Until">
+            <button type="button" class="close-btn" data-action="delete-rule" title="Remove rule" aria-label="Remove rule">
+                <i class="ph ph-x"></i>
+            </button>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="profile-rules">
+            ${rulesHTML || '<div class="setting-hint">No rules yet. The profile only changes when you switch it.</div>'}
+        </div>
+        <button type="button" class="secondary-btn modal-cancel-btn profile-rule-add" data-action="add-rule">
+            <i class="ph ph-plus"></i>
+            Add rule
+        </button>
+        <div class="setting-item">
+            <label class="setting-label" for="profile-schedule-fallback">Otherwise use</label>
+            <div class="setting-control">
+                <select id="profile-schedule-fallback" class="select">
+                    <option value="">Last used profile</option>
+                    ${profileOptions(schedule.fallbackProfileId)}
+                </select>
+            </div>
+        </div>
+    `;
+}
+
+function handleEditorClick(e, container) {
+    const dayButton = e.target.closest('.profile-rule-day');
+    const action = e.target.closest('[data-action]')?.dataset.action;
+
+    if (dayButton) {
+        const active = !dayButton.classList.contains('active');
+        dayButton.classList.toggle('active', active);
+        dayButton.setAttribute('aria-pressed', String(active));
+        saveFromEditor(container);
+    } else if (action === 'add-rule') {
+        const schedule = readEditor(container);
+        schedule.rules.push({
+            id: `rule-${Date.now().toString(36)}`,
+            profileId: getActiveProfileId(),
+            days: [1, 2, 3, 4, 5],
+            start: '08:00',
+            end: '18:00'
+        });
+        saveSchedule(schedule, container, true);
+    } else if (action === 'delete-rule') {
+        e.target.closest('.profile-rule')?.remove();
+        saveFromEditor(container);
+    }
+}
+
+function readEditor(container) {
+    const rules = Array.from(container.querySelectorAll('.profile-rule')).map(row => ({
+        id: row.dataset.ruleId,
+        profileId: row.querySelector('.profile-rule-profile').value,
+        days: Array.from(row.querySelectorAll('.profile-rule-day.active')).map(button => Number(button.dataset.day)),
+        start: row.querySelector('[data-field="start"]').value,
+        end: row.querySelector('[data-field="end"]').value
+    }));
+
+    return {
+        rules,
+        fallbackProfileId: container.querySelector('#profile-schedule-fallback')?.value || null
+    };
+}
+
+function saveFromEditor(container) {
+    const schedule = readEditor(container);
+
+    // Skip incomplete times (e.g. while the time input is being edited)
+    if (schedule.rules.some(rule => parseTime(rule.start) === null || parseTime(rule.end) === null)) {
+        return;
+    }
+
+    saveSchedule(schedule, container, false);
+}
+
+async function saveSchedule(schedule, container, rerender) {
+    try {
+        await saveProfileSchedule(schedule);
+        if (!rerender) return;
+        renderScheduleEditor(container);
+    } catch (error) {
+        console.error('Error saving profile schedule:', error);
+        alert(`Schedule could not be saved: ${error.message}`);
+    } finally {
+        scheduleNextProfileCheck();
+    }
+}
@@ -0,0 +1,428 @@
+// profiles.js - Named profiles, each with its own settings, widget layouts, portfolio, price alerts,
+// GitHub settings and habit logs
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+const PROFILES_KEY = 'newtabProfiles'; // Profile index (chrome.storage.sync)
+const ACTIVE_PROFILE_KEY = 'newtab-active-profile'; // Active profile (localStorage, per device)
+const MANUAL_SWITCH_KEY = 'newtab-profile-manual-switch'; // Last manual switch (overrides the schedule)
+
+// Per-profile storage: settings live in chrome.storage.sync, price alerts in chrome.storage.local
+// (for the background worker) and the rest in localStorage
+const SETTINGS_KEY = 'newtabSettings';
+const ALERTS_KEY = 'finance_alerts';
+const LAYOUTS_KEY = 'newtab-widget-layouts';
+const GITHUB_SETTINGS_KEY = 'github_settings';
+const LOCAL_DATA_KEYS = [LAYOUTS_KEY, GITHUB_SETTINGS_KEY, 'github_habits', 'finance_portfolio'];
+
+// New profiles start with a copy of these (but no portfolio, habit logs or alerts)
+const COPIED_LOCAL_KEYS = [LAYOUTS_KEY, GITHUB_SETTINGS_KEY];
+
+// The default profile keeps the original (unsuffixed) storage keys
+export const DEFAULT_PROFILE_ID = 'default';
+const PROFILE_ID_PATTERN = /^[\w-]+$/; // Profile IDs end up in storage keys and notification IDs
+
+let profileIndex = {
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default' }],
+    schedule: { rules: [], fallbackProfileId: null } // See profileSchedule.js
+};
+
+/**
+ * Get the active profile ID (available synchronously, before settings load)
+ * @returns {string} Profile ID
+ */
+export function getActiveProfileId() {
+    return localStorage.getItem(ACTIVE_PROFILE_KEY) || DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Get the storage key holding a profile's copy of some per-profile data
+ * @param {string} baseKey - Storage key used by the default profile
+ * @param {string} [profileId] - Profile ID (defaults to the active profile)
+ * @returns {string} Storage key
+ */
+export function profileStorageKey(baseKey, profileId = getActiveProfileId()) {
+    return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}_${profileId}`;
+}
+
+/**
+ * Load the profile index
+ * @returns {Promise<Object>} { profiles: [{ id, name }], schedule: { rules, fallbackProfileId } }
+ */
+export async function loadProfiles() {
+    const stored = await storageGet(PROFILES_KEY);
+
+    if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+        profileIndex = { ...profileIndex, ...stored };
+    }
+
+    if (!profileIndex.schedule || !Array.isArray(profileIndex.schedule.rules)) {
+        profileIndex.schedule = { rules: [], fallbackProfileId: null };
+    }
+
+    // The default profile always exists
+    if (!profileIndex.profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+        profileIndex.profiles.unshift({ id: DEFAULT_PROFILE_ID, name: 'Default' });
+    }
+
+    return profileIndex;
+}
+
+/**
+ * @returns {Array} [{ id, name }]
+ */
+export function getProfiles() {
+    return profileIndex.profiles.slice();
+}
+
+/**
+ * Switch to another profile; the page reloads so every widget starts from that profile's settings
+ * @param {string} profileId - Profile ID
+ * @param {Object} [options]
+ * @param {boolean} [options.manual=true] - User-initiated (overrides the schedule until its next boundary)
+ * @param {boolean} [options.reload=true] - Reload the page (false before settings have loaded)
+ */
+export function switchProfile(profileId, { manual = true, reload = true } = {}) {
+    if (manual) {
+        localStorage.setItem(MANUAL_SWITCH_KEY, JSON.stringify({ profileId, switchedAt: Date.now() }));
+    }
+
+    if (profileId === getActiveProfileId()) return;
+
+    if (profileId === DEFAULT_PROFILE_ID) {
+        localStorage.removeItem(ACTIVE_PROFILE_KEY);
+    } else {
+        localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+    }
+
+    if (reload) {
+        window.location.reload();
+    }
+}
+
+/**
+ * Get the last manual profile switch on this device
+ * @returns {Object|null} { profileId, switchedAt }
+ */
+export function getManualSwitch() {
+    try {
+        return JSON.parse(localStorage.getItem(MANUAL_SWITCH_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @returns {Object} { rules, fallbackProfileId }
+ */
+export function getProfileSchedule() {
+    return profileIndex.schedule;
+}
+
+/**
+ * Save the automatic switching schedule
+ * @param {Object} schedule - { rules, fallbackProfileId }
+ */
+export async function saveProfileSchedule(schedule) {
+    await saveProfiles({ ...profileIndex, schedule });
+}
+
+/**
+ * Create a profile with a copy of the active one's settings, layouts and GitHub settings, and switch to it
+ * @param {string} name - Profile name
+ */
+export async function createProfile(name) {
+    const id = createProfileId();
+    const activeId = getActiveProfileId();
+
+    const settings = await storageGet(profileStorageKey(SETTINGS_KEY, activeId));
+    if (settings) {
+        await storageSet(profileStorageKey(SETTINGS_KEY, id), settings);
+    }
+
+    COPIED_LOCAL_KEYS.forEach(key => {
+        const value = localStorage.getItem(profileStorageKey(key, activeId));
+        if (value) {
+            localStorage.setItem(profileStorageKey(key, id), value);
+        }
+    });
+
+    await saveProfiles({ ...profileIndex, profiles: [...profileIndex.profiles, { id, name }] });
+    switchProfile(id);
+}
+
+/**
+ * Rename a profile
+ * @param {string} profileId - Profile ID
+ * @param {string} name - New name
+ */
+export async function renameProfile(profileId, name) {
+    await saveProfiles({
+        ...profileIndex,
+        profiles: profileIndex.profiles.map(profile => profile.id === profileId ? { ...profile, name } : profile)
+    });
+}
+
+/**
+ * Delete a profile and its stored data (the default profile cannot be deleted)
+ * @param {string} profileId - Profile ID
+ */
+export async function deleteProfile(profileId) {
+    if (profileId === DEFAULT_PROFILE_ID) return;
+
+    const { rules, fallbackProfileId } = profileIndex.schedule;
+    await saveProfiles({
+        ...profileIndex,
+        profiles: profileIndex.profiles.filter(profile => profile.id !== profileId),
+        schedule: {
+            rules: rules.filter(rule => rule.profileId !== profileId),
+            fallbackProfileId: fallbackProfileId === profileId ? null : fallbackProfileId
+        }
+    });
+    await storageRemove(profileStorageKey(SETTINGS_KEY, profileId));
+    await storageLocalRemove(profileStorageKey(ALERTS_KEY, profileId));
+    LOCAL_DATA_KEYS.forEach(key => localStorage.removeItem(profileStorageKey(key, profileId)));
+
+    if (profileId === getActiveProfileId()) {
+        switchProfile(DEFAULT_PROFILE_ID, { manual: false });
+    }
+}
+
+/**
+ * Add profiles (e.g. from an imported configuration), renaming any that already exist
+ * @param {Array} profiles - [{ id, name }]
+ * @returns {Promise<Array>} All profiles afterwards
+ */
+export async function mergeProfiles(profiles) {
+    await loadProfiles();
+
+    const merged = profileIndex.profiles.slice();
+    profiles.forEach(({ id, name }) => {
+        if (typeof id !== 'string' || !PROFILE_ID_PATTERN.test(id) || typeof name !== 'string' || !name.trim()) return;
+
+        const index = merged.findIndex(profile => profile.id === id);
+        if (index === -1) {
+            merged.push({ id, name: name.trim() });
+        } else {
+            merged[index] = { ...merged[index], name: name.trim() };
+        }
+    });
+
+    await saveProfiles({ ...profileIndex, profiles: merged });
+    return getProfiles();
+}
+
+async function saveProfiles(index) {
+    profileIndex = index;
+    await storageSet(PROFILES_KEY, index);
+    renderProfileSwitcher();
+
+    // Let other views (e.g. the schedule editor) pick up renamed profiles
+    document.dispatchEvent(new CustomEvent('profileschange'));
+}
+
+/**
+ * Set up the profile switcher next to the settings button
+ */
+export async function initProfileSwitcher() {
+    await loadProfiles();
+
+    // The active profile may have been deleted on another device
+    if (!profileIndex.profiles.some(profile => profile.id === getActiveProfileId())) {
+        console.warn('Active profile no longer exists, switching to default');
+        switchProfile(DEFAULT_PROFILE_ID, { manual: false });
+        return;
+    }
+
+    renderProfileSwitcher();
+
+    const button = document.getElementById('profile-btn');
+    const menu = document.getElementById('profile-menu');
+
+    button?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setMenuOpen(menu.hidden);
+    });
+
+    menu?.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-profile-id], [data-action]');
+        if (!item) return;
+
+        setMenuOpen(false);
+
+        if (item.dataset.profileId) {
+            switchProfile(item.dataset.profileId);
+        } else {
+            handleMenuAction(item.dataset.action);
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (menu && !menu.hidden && !e.target.closest('#profile-switcher')) {
+            setMenuOpen(false);
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && menu && !menu.hidden) {
+            setMenuOpen(false);
+            return;
+        }
+
+        // Alt+1..9 switches to the nth profile, except while typing (some keyboard layouts
+        // type characters with Alt, and switching reloads the page)
+        if (e.altKey && !e.ctrlKey && !e.metaKey && /^[1-9]$/.test(e.key) && !isEditableTarget(e.target)) {
+            const profile = profileIndex.profiles[Number(e.key) - 1];
+            if (profile) {
+                e.preventDefault();
+                switchProfile(profile.id);
+            }
+        }
+    });
+}
+
+function isEditableTarget(target) {
+    return target instanceof Element &&
+        (target.isContentEditable || target.closest('input, textarea, select') !== null);
+}
+
+function setMenuOpen(open) {
+    const button = document.getElementById('profile-btn');
+    const menu = document.getElementById('profile-menu');
+    if (!menu) return;
+
+    menu.hidden = !open;
+    button?.setAttribute('aria-expanded', String(open));
+}
+
+async function handleMenuAction(action) {
+    const activeId = getActiveProfileId();
+    const active = profileIndex.profiles.find(profile => profile.id === activeId);
+
+    try {
+        if (action === 'new') {
+            const name = prompt('New profile name (starts with a copy of the current profile\'s settings and layout):')?.trim();
+            if (name) {
+                await createProfile(name);
+            }
+        } else if (action === 'rename' && active) {
+            const name = prompt('Rename profile:', active.name)?.trim();
+            if (name && name !== active.name) {
+                await renameProfile(activeId, name);
+            }
+        } else if (action === 'delete' && active) {
+            if (confirm(`Delete profile "${active.name}"? Its settings, quick links, layout, portfolio, price alerts and habit logs will be removed.`)) {
+                await deleteProfile(activeId);
+            }
+        }
+    } catch (error) {
+        console.error('Profile action failed:', error);
+        alert(`Profile could not be updated: ${error.message}`);
+    }
+}
+
+function renderProfileSwitcher() {
+    const nameLabel = document.getElementById('profile-name');
+    const menu = document.getElementById('profile-menu');
+    if (!menu) return;
+
+    const activeId = getActiveProfileId();
+    const active = profileIndex.profiles.find(profile => profile.id === activeId);
+
+    if (nameLabel) {
+        nameLabel.textContent = active?.name || 'Default';
+    }
+
+    const itemsHTML = profileIndex.profiles.map((profile, index) => `
+        <button class="profile-menu-item ${profile.id === activeId ? 'active' : ''}"
+                data-profile-id="${escapeHtml(profile.id)}"
+                role="menuitemradio"
+                aria-checked="${profile.id === activeId}">
+            <i class="ph ${profile.id === activeId ? 'ph-check' : 'ph-user'}"></i>
+            <span class="profile-menu-label">${escapeHtml(profile.name)}</span>
+            ${index < 9 ? `<kbd class="profile-menu-shortcut">Alt ${index + 1}</kbd>` : ''}
+        </button>
+    `).join('');
+
+    menu.innerHTML = `
+        ${itemsHTML}
+        <div class="profile-menu-divider"></div>
+        <button class="profile-menu-item" data-action="new" role="menuitem">
+            <i class="ph ph-plus"></i>
+            <span class="profile-menu-label">New profile…</span>
+        </button>
+        <button class="profile-menu-item" data-action="rename" role="menuitem">
+            <i class="ph ph-pencil-simple"></i>
+            <span class="profile-menu-label">Rename profile…</span>
+        </button>
+        ${activeId !== DEFAULT_PROFILE_ID ? `
+            <button class="profile-menu-item" data-action="delete" role="menuitem">
+                <i class="ph ph-trash"></i>
+                <span class="profile-menu-label">Delete profile…</span>
+            </button>
+        ` : ''}
+    `;
+}
+
+/**
+ * chrome.storage.sync helpers (falling back to localStorage outside the extension)
+ */
+function storageGet(key) {
+    return new Promise((resolve) => {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            chrome.storage.sync.get([key], (result) => resolve(result[key] ?? null));
+        } else {
+            try {
+                resolve(JSON.parse(localStorage.getItem(key)));
+            } catch (error) {
+                console.error(`Error reading ${key}:`, error);
+                resolve(null);
+            }
+        }
+    });
+}
+
+function storageSet(key, value) {
+    return new Promise((resolve, reject) => {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            chrome.storage.sync.set({ [key]: value }, () => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                resolve();
+            });
+        } else {
+            localStorage.setItem(key, JSON.stringify(value));
+            resolve();
+        }
+    });
+}
+
+function storageRemove(key) {
+    return new Promise((resolve) => {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            chrome.storage.sync.remove(key, () => resolve());
+        } else {
+            localStorage.removeItem(key);
+            resolve();
+        }
+    });
+}
+
+/**
+ * Remove an item from chrome.storage.local (localStorage outside the extension)
+ */
+function storageLocalRemove(key) {
+    return new Promise((resolve) => {
+        if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+            chrome.storage.local.remove(key, () => resolve());
+        } else {
+            localStorage.removeItem(key);
+            resolve();
+        }
+    });
+}
+
+function createProfileId() {
+    return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
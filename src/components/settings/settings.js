@@ -1,47 +1,36 @@
 // settings.js - Settings management
 import { getAllWidgets, getDefaultEnabledWidgets } from './widgetManager.js';
+import { openConfigExport, openConfigImport } from './configBundle.js';
+import { getDefaultSettings, normalizeSettings, isValidSetting } from './settingsSchema.js';
+import { profileStorageKey, getActiveProfileId } from './profiles.js';
+import { setupThemeControls, syncThemeControls } from './theme.js';
+import { escapeHtml } from '../../utils/escapeHtml.js';
 
-const DEFAULT_SETTINGS = {
-    timeFormat: '24h',
-    showSeconds: true,
-    weekStartsOn: 'monday',
-    showWeekNumbers: true,
-    githubUsername: '',
-    githubToken: '',
-    githubUseAPI: false,
-    githubTimeRange: 28,
-    githubWeeklyGoal: 20,
-    enabledWidgets: {}, // Will be populated from widget registry
-    customLayoutEnabled: false, // Custom drag/drop/resize layout
-
-    // Weather settings
-    weatherLocation: 'Aberdeen',
-    weatherLat: 57.1497,
-    weatherLon: -2.0943,
-    weatherLocationName: 'Aberdeen, United Kingdom',
-    temperatureUnit: 'celsius',
-    windSpeedUnit: 'kmh',
-    weatherRefreshInterval: 30
-};
+const SETTINGS_KEY = 'newtabSettings'; // Suffixed per profile (see profiles.js)
+
+// Defaults come from the declared schema (see settingsSchema.js and widget settings descriptors)
+let DEFAULT_SETTINGS = getDefaultSettings();
 
 let currentSettings = { ...DEFAULT_SETTINGS };
 let onSettingsChangeCallback = null;
+let settingsIssues = []; // Problems found while validating stored/imported settings
 
 export function initSettings(onChangeCallback) {
     onSettingsChangeCallback = onChangeCallback;
 
-    // Initialize default enabled widgets from registry
+    // Widgets declare their settings when registered, so defaults are only complete now
+    DEFAULT_SETTINGS = getDefaultSettings();
     DEFAULT_SETTINGS.enabledWidgets = getDefaultEnabledWidgets();
-    currentSettings.enabledWidgets = { ...DEFAULT_SETTINGS.enabledWidgets };
+    currentSettings = { ...DEFAULT_SETTINGS };
 
     // Set up modal controls
     setupModalControls();
 
-    // Load settings from storage
-    loadSettings();
-
-    // Set up setting controls (including dynamically generated widget toggles)
+    // Set up setting controls (including dynamically generated widget sections)
     setupSettingControls();
+
+    // Load settings from storage (syncs the controls once loaded)
+    loadSettings();
 }
 
 function setupModalControls() {
@@ -54,6 +43,7 @@ function setupModalControls() {
         settingsModal?.classList.add('show');
         // Refresh UI controls to match current settings
         applySettings();
+        renderSettingsNotice();
     });
     
     // Close modal
@@ -80,65 +70,12 @@ function closeModal() {
 }
 
 function setupSettingControls() {
-    // Dynamically generate widget visibility controls
+    // Dynamically generate widget visibility controls and per-widget settings sections
     generateWidgetControls();
+    generateWidgetSettingsSections();
 
-    // Time format toggle
-    const timeFormatToggle = document.getElementById('time-format-toggle');
-    timeFormatToggle?.addEventListener('change', (e) => {
-        updateSetting('timeFormat', e.target.checked ? '24h' : '12h');
-    });
-
-    // Show seconds toggle
-    const showSecondsToggle = document.getElementById('show-seconds-toggle');
-    showSecondsToggle?.addEventListener('change', (e) => {
-        updateSetting('showSeconds', e.target.checked);
-    });
-
-    // Week starts on select
-    const weekStartSelect = document.getElementById('week-start-select');
-    weekStartSelect?.addEventListener('change', (e) => {
-        updateSetting('weekStartsOn', e.target.value);
-    });
-
-    // Show week numbers toggle
-    const showWeekNumbersToggle = document.getElementById('show-week-numbers-toggle');
-    showWeekNumbersToggle?.addEventListener('change', (e) => {
-        updateSetting('showWeekNumbers', e.target.checked);
-    });
-
-    // GitHub username input
-    const githubUsernameInput = document.getElementById('github-username-input');
-    githubUsernameInput?.addEventListener('change', (e) => {
-        updateSetting('githubUsername', e.target.value.trim());
-    });
-
-    // GitHub token input
-    const githubTokenInput = document.getElementById('github-token-input');
-    githubTokenInput?.addEventListener('change', (e) => {
-        updateSetting('githubToken', e.target.value.trim());
-    });
-
-    // GitHub API mode toggle
-    const githubApiModeToggle = document.getElementById('github-api-mode-toggle');
-    githubApiModeToggle?.addEventListener('change', (e) => {
-        updateSetting('githubUseAPI', e.target.checked);
-    });
-
-    // GitHub time range select
-    const githubTimeRangeSelect = document.getElementById('github-time-range-select');
-    githubTimeRangeSelect?.addEventListener('change', (e) => {
-        updateSetting('githubTimeRange', parseInt(e.target.value, 10));
-    });
-
-    // GitHub weekly goal input
-    const githubWeeklyGoalInput = document.getElementById('github-weekly-goal-input');
-    githubWeeklyGoalInput?.addEventListener('change', (e) => {
-        const value = parseInt(e.target.value, 10);
-        if (!isNaN(value) && value >= 1 && value <= 100) {
-            updateSetting('githubWeeklyGoal', value);
-        }
-    });
+    // Theme select and custom theme editor
+    setupThemeControls();
 
     // Custom layout toggle
     const customLayoutToggle = document.getElementById('custom-layout-toggle');
@@ -156,93 +93,9 @@ function setupSettingControls() {
         }
     });
 
-    // Temperature unit select - auto-apply
-    const tempUnitSelect = document.getElementById('temperature-unit');
-    tempUnitSelect?.addEventListener('change', (e) => {
-        updateSetting('temperatureUnit', e.target.value);
-    });
-
-    // Wind speed unit select - auto-apply
-    const windUnitSelect = document.getElementById('wind-speed-unit');
-    windUnitSelect?.addEventListener('change', (e) => {
-        updateSetting('windSpeedUnit', e.target.value);
-    });
-
-    // Weather refresh interval select - auto-apply
-    const refreshSelect = document.getElementById('weather-refresh-interval');
-    refreshSelect?.addEventListener('change', (e) => {
-        updateSetting('weatherRefreshInterval', parseInt(e.target.value));
-    });
-
-    // Weather location input - auto-apply on blur or Enter key
-    const locationInput = document.getElementById('weather-location');
-    const applyWeatherLocation = async () => {
-        const input = locationInput?.value.trim() || '';
-
-        try {
-            // Process location if changed
-            if (input && input !== currentSettings.weatherLocation) {
-                // Check if input is coordinates (lat, lon)
-                const coordPattern = /^(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)$/;
-                const match = input.match(coordPattern);
-
-                if (match) {
-                    // User entered coordinates
-                    currentSettings.weatherLat = parseFloat(match[1]);
-                    currentSettings.weatherLon = parseFloat(match[2]);
-                    currentSettings.weatherLocationName = `${match[1]}, ${match[2]}`;
-                    currentSettings.weatherLocation = input;
-                } else {
-                    // User entered city name - use geocoding
-                    try {
-                        const geoUrl = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(input)}&count=1&language=en&format=json`;
-                        const response = await fetch(geoUrl);
-                        const data = await response.json();
-
-                        if (data.results && data.results.length > 0) {
-                            const location = data.results[0];
-                            currentSettings.weatherLat = location.latitude;
-                            currentSettings.weatherLon = location.longitude;
-                            currentSettings.weatherLocationName = location.name + (location.country ? `, ${location.country}` : '');
-                            currentSettings.weatherLocation = input;
-                        } else {
-                            throw new Error('Location not found');
-                        }
-                    } catch (error) {
-                        console.error('Geocoding error:', error);
-                        alert('Location not found. Please try entering coordinates (lat, lon) instead.');
-                        return;
-                    }
-                }
-
-                // Save settings and notify
-                saveSettings();
-                if (onSettingsChangeCallback) {
-                    onSettingsChangeCallback(currentSettings);
-                }
-            } else if (!input) {
-                // Clear location
-                currentSettings.weatherLocation = '';
-                currentSettings.weatherLat = null;
-                currentSettings.weatherLon = null;
-                currentSettings.weatherLocationName = 'Unknown Location';
-                saveSettings();
-                if (onSettingsChangeCallback) {
-                    onSettingsChangeCallback(currentSettings);
-                }
-            }
-        } catch (error) {
-            console.error('Error applying weather location:', error);
-            alert('Failed to apply weather location. Please try again.');
-        }
-    };
-
-    locationInput?.addEventListener('blur', applyWeatherLocation);
-    locationInput?.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            applyWeatherLocation();
-        }
-    });
+    // Configuration export/import
+    document.getElementById('export-config-btn')?.addEventListener('click', openConfigExport);
+    document.getElementById('import-config-btn')?.addEventListener('click', openConfigImport);
 
     // Set up widget toggle listeners
     setupWidgetToggles();
@@ -302,138 +155,430 @@ function setupWidgetToggles() {
     });
 }
 
+/**
+ * Generate a settings section for every widget that declares settings fields
+ * (the `settings` descriptor passed to registerWidget)
+ */
+function generateWidgetSettingsSections() {
+    const widgetSection = document.querySelector('.settings-list .widget-section');
+    if (!widgetSection) return;
+
+    const sectionsHTML = getAllWidgets()
+        .map(widget => ({ widget, fields: getVisibleFields(widget) }))
+        .filter(({ fields }) => fields.length > 0)
+        .map(({ widget, fields }) => `
+            <div class="settings-section" data-widget-settings="${escapeHtml(widget.id)}">
+                <div class="section-header">${escapeHtml(widget.displayName)}</div>
+                ${fields.map(renderSettingField).join('')}
+            </div>
+        `).join('');
+
+    widgetSection.insertAdjacentHTML('afterend', sectionsHTML);
+
+    getSettingFields().forEach(field => {
+        const control = document.getElementById(getFieldControlId(field.key));
+        control?.addEventListener('change', () => handleSettingFieldChange(field, control));
+    });
+}
+
+function getVisibleFields(widget) {
+    return widget.settings ? widget.settings.fields.filter(field => !field.hidden) : [];
+}
+
+/**
+ * All generated (visible) widget settings fields
+ */
+function getSettingFields() {
+    return getAllWidgets().flatMap(getVisibleFields);
+}
+
+function getFieldControlId(key) {
+    return `setting-${key}`;
+}
+
+function renderSettingField(field) {
+    const id = getFieldControlId(field.key);
+    let control;
+
+    switch (field.type) {
+        case 'toggle':
+            control = `
+                <label class="toggle-wrapper">
+                    <input type="checkbox" id="${id}" class="toggle-input">
+                    <div class="toggle-slider"></div>
+                </label>
+            `;
+            break;
+
+        case 'select':
+            control = `
+                <select id="${id}" class="select">
+                    ${field.options.map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}
+                </select>
+            `;
+            break;
+
+        case 'number':
+            control = `
+                <input type="number" id="${id}" class="text-input small"
+                       ${field.min !== undefined ? `min="${field.min}"` : ''}
+                       ${field.max !== undefined ? `max="${field.max}"` : ''}
+                       ${field.integer ? 'step="1"' : ''}>
+            `;
+            break;
+
+        default:
+            control = `
+                <input type="${field.type === 'password' ? 'password' : 'text'}" id="${id}" class="text-input"
+                       placeholder="${escapeHtml(field.placeholder || '')}" autocomplete="off">
+            `;
+    }
+
+    const linkHTML = field.link
+        ? ` <a href="${escapeHtml(field.link.url)}" target="_blank" rel="noopener">${escapeHtml(field.link.label)}</a>`
+        : '';
+    const hintHTML = field.hint || field.link
+        ? `<div class="setting-hint">${escapeHtml(field.hint || '')}${linkHTML}</div>`
+        : '';
+
+    return `
+        <div class="setting-item ${hintHTML ? 'multiline' : ''}">
+            <label class="setting-label" for="${id}">
+                ${escapeHtml(field.label)}
+                ${hintHTML}
+            </label>
+            <div class="setting-control">
+                ${control}
+            </div>
+        </div>
+    `;
+}
+
+function readFieldValue(field, control) {
+    switch (field.type) {
+        case 'toggle':
+            return control.checked;
+        case 'select':
+            // Option values may be numbers; map the string back to the declared value
+            return field.options.find(option => String(option.value) === control.value)?.value;
+        case 'number':
+            return control.value === '' ? NaN : Number(control.value);
+        default:
+            return control.value.trim();
+    }
+}
+
+/**
+ * Update a generated control to match the current setting value
+ */
+function syncSettingField(field) {
+    const control = document.getElementById(getFieldControlId(field.key));
+    if (!control) return;
+
+    const value = currentSettings[field.key];
+    if (field.type === 'toggle') {
+        control.checked = value === true;
+    } else {
+        control.value = value ?? '';
+    }
+}
+
+/**
+ * Save a changed field; fields with an `apply` function turn the input into
+ * one or more setting changes themselves (e.g. geocoding a weather location)
+ */
+async function handleSettingFieldChange(field, control) {
+    const value = readFieldValue(field, control);
+
+    if (field.apply) {
+        try {
+            const changes = await field.apply(value, getSettings());
+            if (changes) {
+                updateSettings(changes);
+            }
+        } catch (error) {
+            console.error(`Error applying setting ${field.key}:`, error);
+            alert(error.message);
+            syncSettingField(field);
+        }
+        return;
+    }
+
+    if (!isValidSetting(field.key, value)) {
+        // Revert out-of-range or malformed input
+        syncSettingField(field);
+        return;
+    }
+
+    updateSetting(field.key, value);
+}
+
 function loadSettings() {
     // Try to load from chrome.storage
     if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.sync.get(['newtabSettings'], (result) => {
-            if (result.newtabSettings) {
-                currentSettings = { ...DEFAULT_SETTINGS, ...result.newtabSettings };
-            }
+        const key = profileStorageKey(SETTINGS_KEY);
+        chrome.storage.sync.get([key], (result) => {
+            loadStoredSettings(result[key]);
             applySettings();
         });
     } else {
         // Fallback to localStorage for testing
-        const stored = localStorage.getItem('newtabSettings');
+        const stored = localStorage.getItem(profileStorageKey(SETTINGS_KEY));
         if (stored) {
             try {
-                currentSettings = { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+                loadStoredSettings(JSON.parse(stored));
             } catch (e) {
                 console.error('Error parsing settings:', e);
+                loadStoredSettings('unreadable');
             }
         }
         applySettings();
     }
 }
 
-function applySettings() {
-    // Update UI controls to match current settings
-    const timeFormatToggle = document.getElementById('time-format-toggle');
-    if (timeFormatToggle) {
-        timeFormatToggle.checked = currentSettings.timeFormat === '24h';
+/**
+ * Migrate and validate stored settings before they reach any widget;
+ * repaired settings are saved back so the problems are only reported once
+ */
+function loadStoredSettings(stored) {
+    const { settings, issues, changed } = normalizeSettings(stored, DEFAULT_SETTINGS);
+    currentSettings = settings;
+    reportSettingsIssues(issues);
+
+    if (changed) {
+        saveSettings();
     }
+}
 
-    const showSecondsToggle = document.getElementById('show-seconds-toggle');
-    if (showSecondsToggle) {
-        showSecondsToggle.checked = currentSettings.showSeconds;
-    }
+/**
+ * Log settings problems and flag them in the settings modal
+ * @param {string[]} issues - Human-readable problem descriptions
+ */
+function reportSettingsIssues(issues) {
+    if (issues.length === 0) return;
 
-    const weekStartSelect = document.getElementById('week-start-select');
-    if (weekStartSelect) {
-        weekStartSelect.value = currentSettings.weekStartsOn;
-    }
+    issues.forEach(issue => console.warn(`Settings: ${issue}`));
+    settingsIssues = [...settingsIssues, ...issues];
+    renderSettingsNotice();
+}
 
-    const showWeekNumbersToggle = document.getElementById('show-week-numbers-toggle');
-    if (showWeekNumbersToggle) {
-        showWeekNumbersToggle.checked = currentSettings.showWeekNumbers;
-    }
+/**
+ * Show (or clear) the notice listing reset settings at the top of the settings modal
+ */
+function renderSettingsNotice() {
+    const settingsList = document.querySelector('.settings-list');
+    const settingsBtn = document.getElementById('settings-btn');
+    document.getElementById('settings-notice')?.remove();
+    settingsBtn?.classList.toggle('has-notice', settingsIssues.length > 0);
+
+    if (!settingsList || settingsIssues.length === 0) return;
+
+    const items = settingsIssues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('');
+    settingsList.insertAdjacentHTML('afterbegin', `
+        <div id="settings-notice" class="settings-notice">
+            <div class="settings-notice-header">
+                <i class="ph ph-warning-circle"></i>
+                <span>Some settings were invalid and have been reset</span>
+                <button class="close-btn" id="settings-notice-dismiss" aria-label="Dismiss">
+                    <i class="ph ph-x"></i>
+                </button>
+            </div>
+            <ul class="settings-notice-list">${items}</ul>
+        </div>
+    `);
+
+    document.getElementById('settings-notice-dismiss')?.addEventListener('click', () => {
+        settingsIssues = [];
+        renderSettingsNotice();
+    });
+}
+
+function applySettings() {
+    // Update UI controls to match current settings
+    getSettingFields().forEach(syncSettingField);
+    syncThemeControls(currentSettings);
 
     const customLayoutToggle = document.getElementById('custom-layout-toggle');
     if (customLayoutToggle) {
         customLayoutToggle.checked = currentSettings.customLayoutEnabled || false;
     }
 
-    const githubUsernameInput = document.getElementById('github-username-input');
-    if (githubUsernameInput) {
-        githubUsernameInput.value = currentSettings.githubUsername || '';
+    // Update widget toggles to match current settings
+    const widgetToggles = document.querySelectorAll('.widget-toggle');
+    widgetToggles.forEach(toggle => {
+        const widgetId = toggle.dataset.widgetId;
+        if (widgetId && currentSettings.enabledWidgets) {
+            toggle.checked = currentSettings.enabledWidgets[widgetId] !== false;
+        }
+    });
+
+    // Notify components of settings
+    if (onSettingsChangeCallback) {
+        onSettingsChangeCallback(currentSettings);
     }
+}
 
-    const githubTokenInput = document.getElementById('github-token-input');
-    if (githubTokenInput) {
-        githubTokenInput.value = currentSettings.githubToken || '';
+/**
+ * Update a single setting, persist it and notify widgets
+ * @param {string} key - Setting key
+ * @param {*} value - New value (objects/arrays should be new instances)
+ */
+export function updateSetting(key, value) {
+    if (!isValidSetting(key, value)) {
+        console.warn(`Settings: ignoring invalid value for "${key}":`, value);
+        return;
     }
 
-    const githubApiModeToggle = document.getElementById('github-api-mode-toggle');
-    if (githubApiModeToggle) {
-        githubApiModeToggle.checked = currentSettings.githubUseAPI || false;
+    const previousSettings = currentSettings;
+    currentSettings = { ...currentSettings, [key]: value };
+    saveSettings(previousSettings);
+    
+    // Notify components of change
+    if (onSettingsChangeCallback) {
+        onSettingsChangeCallback(currentSettings);
     }
+}
 
-    const githubTimeRangeSelect = document.getElementById('github-time-range-select');
-    if (githubTimeRangeSelect) {
-        githubTimeRangeSelect.value = currentSettings.githubTimeRange || 28;
+/**
+ * Update several settings at once with a single save and notification
+ * @param {Object} changes - Map of setting keys to new values
+ */
+export function updateSettings(changes) {
+    const invalidKeys = Object.keys(changes).filter(key => !isValidSetting(key, changes[key]));
+    if (invalidKeys.length > 0) {
+        console.warn(`Settings: ignoring update with invalid values for ${invalidKeys.join(', ')}`);
+        return;
     }
 
-    const githubWeeklyGoalInput = document.getElementById('github-weekly-goal-input');
-    if (githubWeeklyGoalInput) {
-        githubWeeklyGoalInput.value = currentSettings.githubWeeklyGoal || 20;
+    const previousSettings = currentSettings;
+    currentSettings = { ...currentSettings, ...changes };
+    saveSettings(previousSettings);
+
+    if (onSettingsChangeCallback) {
+        onSettingsChangeCallback(currentSettings);
     }
+}
 
-    // Weather location
-    const weatherLocationInput = document.getElementById('weather-location');
-    if (weatherLocationInput) {
-        weatherLocationInput.value = currentSettings.weatherLocation || '';
+/**
+ * Replace all settings (e.g. when restoring an exported configuration)
+ * @param {Object} settings - Complete settings object (any version); missing or invalid keys fall back to defaults
+ * @returns {Promise<boolean>} Resolves once persisted, with false if saving failed
+ */
+export function replaceSettings(settings) {
+    const { settings: normalized, issues } = normalizeSettings(settings, DEFAULT_SETTINGS);
+    const previousSettings = currentSettings;
+    currentSettings = normalized;
+    reportSettingsIssues(issues);
+    applySettings();
+    return saveSettings(previousSettings);
+}
+
+/**
+ * Load any profile's stored settings, validated like the active profile's
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object|null>} Settings, or null if the profile has none stored
+ */
+export async function loadProfileSettings(profileId) {
+    if (profileId === getActiveProfileId()) {
+        return getSettings();
     }
 
-    // Temperature unit
-    const temperatureUnitSelect = document.getElementById('temperature-unit');
-    if (temperatureUnitSelect) {
-        temperatureUnitSelect.value = currentSettings.temperatureUnit || 'celsius';
+    const stored = await readStoredSettings(profileStorageKey(SETTINGS_KEY, profileId));
+    return stored ? normalizeSettings(stored, DEFAULT_SETTINGS).settings : null;
+}
+
+/**
+ * Replace any profile's settings (see replaceSettings for the active profile)
+ * @param {Object} settings - Complete settings object (any version)
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<boolean>} Resolves once persisted, with false if saving failed
+ */
+export async function saveProfileSettings(settings, profileId) {
+    if (profileId === getActiveProfileId()) {
+        return replaceSettings(settings);
     }
 
-    // Wind speed unit
-    const windSpeedUnitSelect = document.getElementById('wind-speed-unit');
-    if (windSpeedUnitSelect) {
-        windSpeedUnitSelect.value = currentSettings.windSpeedUnit || 'kmh';
+    try {
+        await writeStoredSettings(profileStorageKey(SETTINGS_KEY, profileId), normalizeSettings(settings, DEFAULT_SETTINGS).settings);
+        return true;
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        return false;
     }
+}
 
-    // Weather refresh interval
-    const weatherRefreshSelect = document.getElementById('weather-refresh-interval');
-    if (weatherRefreshSelect) {
-        weatherRefreshSelect.value = currentSettings.weatherRefreshInterval || 30;
+/**
+ * How far settings with these changes would go over the sync storage quota for one item
+ * (only enforced inside the extension)
+ * @param {Object} changes - Map of setting keys to new values
+ * @returns {number} Bytes over the quota, 0 if they fit
+ */
+export function getSettingsOverflow(changes) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.sync) {
+        return 0;
     }
 
-    // Update widget toggles to match current settings
-    const widgetToggles = document.querySelectorAll('.widget-toggle');
-    widgetToggles.forEach(toggle => {
-        const widgetId = toggle.dataset.widgetId;
-        if (widgetId && currentSettings.enabledWidgets) {
-            toggle.checked = currentSettings.enabledWidgets[widgetId] !== false;
+    const key = profileStorageKey(SETTINGS_KEY);
+    const size = new TextEncoder().encode(key + JSON.stringify({ ...currentSettings, ...changes })).length;
+    return Math.max(0, size - (chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192));
+}
+
+/**
+ * Persist current settings
+ * @param {Object} [previousSettings] - Restored if the save fails, so widgets don't show
+ *   changes that would be gone on the next new tab
+ * @returns {Promise<boolean>} Resolves with whether the save succeeded
+ */
+function saveSettings(previousSettings = null) {
+    const savedSettings = currentSettings;
+
+    return writeStoredSettings(profileStorageKey(SETTINGS_KEY), savedSettings).then(() => true, (error) => {
+        // Sync storage has per-item quotas (e.g. large bookmark imports can exceed them)
+        console.error('Error saving settings:', error.message);
+        alert(`Settings could not be saved: ${error.message}`);
+        // Go back to what's stored, unless a later change replaced these settings meanwhile
+        if (previousSettings && currentSettings === savedSettings) {
+            currentSettings = previousSettings;
+            applySettings();
         }
+        return false;
     });
-
-    // Notify components of settings
-    if (onSettingsChangeCallback) {
-        onSettingsChangeCallback(currentSettings);
-    }
 }
 
-function updateSetting(key, value) {
-    currentSettings[key] = value;
-    saveSettings();
-    
-    // Notify components of change
-    if (onSettingsChangeCallback) {
-        onSettingsChangeCallback(currentSettings);
-    }
-}
+function readStoredSettings(key) {
+    return new Promise((resolve) => {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            chrome.storage.sync.get([key], (result) => resolve(result[key] ?? null));
+            return;
+        }
 
-function saveSettings() {
-    // Save to chrome.storage
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.sync.set({ newtabSettings: currentSettings });
-    } else {
         // Fallback to localStorage for testing
-        localStorage.setItem('newtabSettings', JSON.stringify(currentSettings));
-    }
+        try {
+            resolve(JSON.parse(localStorage.getItem(key)));
+        } catch (error) {
+            console.error('Error parsing settings:', error);
+            resolve(null);
+        }
+    });
+}
+
+function writeStoredSettings(key, settings) {
+    return new Promise((resolve, reject) => {
+        // Save to chrome.storage
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            chrome.storage.sync.set({ [key]: settings }, () => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                resolve();
+            });
+        } else {
+            // Fallback to localStorage for testing
+            localStorage.setItem(key, JSON.stringify(settings));
+            resolve();
+        }
+    });
 }
 
 export function getSettings() {
@@ -0,0 +1,251 @@
+// settingsSchema.js - Declared settings (types, ranges, defaults) plus versioned migrations
+
+/**
+ * Current settings version. Bump it and append a migration to MIGRATIONS whenever
+ * a setting is renamed, removed or changes shape.
+ */
+export const SETTINGS_VERSION = 2;
+
+/**
+ * Settings schema. Field types:
+ * - boolean, string
+ * - number: optional min, max, integer, nullable
+ * - enum: one of `values`
+ * - object: optional `values` (type check for each property value)
+ * - array: optional `item` (validator; invalid items are dropped)
+ *
+ * Only app-level settings are declared here; widget settings are added by
+ * registerSettingsFields() from each widget's settings descriptor.
+ */
+const SETTINGS_SCHEMA = {
+    enabledWidgets: { type: 'object', values: 'boolean', default: {} }, // Populated from the widget registry
+    customLayoutEnabled: { type: 'boolean', default: false },
+    theme: { type: 'enum', values: ['dark', 'light', 'system', 'custom'], default: 'dark' },
+    customTheme: { type: 'object', values: 'string', default: {} } // Colours by role (see theme.js); missing ones come from the dark theme
+};
+
+// Settings descriptor field types (as rendered in the settings modal) and the schema types they store
+const FIELD_SCHEMA_TYPES = {
+    toggle: 'boolean',
+    select: 'enum',
+    text: 'string',
+    password: 'string'
+};
+
+/**
+ * Add widget settings fields to the schema
+ * @param {Array} fields - Fields from a widget settings descriptor (see registerWidget)
+ */
+export function registerSettingsFields(fields) {
+    fields.forEach(field => {
+        if (field.key in SETTINGS_SCHEMA) {
+            console.warn(`Setting "${field.key}" is declared more than once`);
+            return;
+        }
+
+        const entry = { ...field, type: FIELD_SCHEMA_TYPES[field.type] || field.type };
+        if (field.type === 'select') {
+            entry.values = field.options.map(option => option.value);
+        }
+
+        SETTINGS_SCHEMA[field.key] = entry;
+    });
+}
+
+/**
+ * Ordered migrations. Each upgrades settings saved at `version - 1` to `version`.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        // Settings saved before the schema existed were never checked; salvage numbers
+        // stored as strings (e.g. "30" for weatherRefreshInterval) instead of resetting them
+        migrate: (settings) => {
+            const migrated = { ...settings };
+            Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+                const value = migrated[key];
+                const expectsNumber = field.type === 'number' ||
+                    (field.type === 'enum' && field.values.every(v => typeof v === 'number'));
+
+                if (expectsNumber && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+                    migrated[key] = Number(value);
+                }
+            });
+            return migrated;
+        }
+    },
+    {
+        version: 2,
+        // The Markets widget's built-in symbols used to be shown on top of the watchlist and are
+        // part of it now (its default); put them in front of a watchlist saved before that
+        migrate: (settings) => {
+            const watchlist = settings.financeWatchlist;
+            const builtIns = SETTINGS_SCHEMA.financeWatchlist?.default;
+            if (!Array.isArray(watchlist) || !Array.isArray(builtIns)) return settings;
+
+            const missing = builtIns.filter(entry => !watchlist.some(item => item?.symbol === entry.symbol));
+            return { ...settings, financeWatchlist: [...cloneValue(missing), ...watchlist] };
+        }
+    }
+];
+
+/**
+ * Get a fresh copy of the default settings
+ * @returns {Object} Default settings, stamped with the current version
+ */
+export function getDefaultSettings() {
+    const defaults = { settingsVersion: SETTINGS_VERSION };
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        defaults[key] = cloneValue(field.default);
+    });
+    return defaults;
+}
+
+/**
+ * Migrate stored settings to the current version, then validate them against the schema.
+ * Invalid values are replaced by defaults, unknown keys are dropped and both are reported.
+ * @param {Object} stored - Settings as stored (any version)
+ * @param {Object} defaults - Defaults to fill in missing or invalid values
+ * @returns {Object} { settings, issues: string[], changed: boolean (true if it should be re-saved) }
+ */
+export function normalizeSettings(stored, defaults) {
+    const issues = [];
+
+    if (!isPlainObject(stored)) {
+        if (stored !== undefined && stored !== null) {
+            issues.push('Stored settings were unreadable and have been reset to defaults');
+        }
+        return { settings: { ...cloneValue(defaults), settingsVersion: SETTINGS_VERSION }, issues, changed: issues.length > 0 };
+    }
+
+    const storedVersion = Number.isInteger(stored.settingsVersion) ? stored.settingsVersion : 0;
+    let migrated = stored;
+
+    if (storedVersion > SETTINGS_VERSION) {
+        // Saved by a newer build; keep what we understand and don't try to downgrade
+        console.warn(`Settings version ${storedVersion} is newer than supported version ${SETTINGS_VERSION}`);
+    } else {
+        MIGRATIONS
+            .filter(migration => migration.version > storedVersion)
+            .forEach(migration => {
+                migrated = migration.migrate(migrated);
+            });
+    }
+
+    const settings = { settingsVersion: Math.max(storedVersion, SETTINGS_VERSION) };
+
+    Object.keys(migrated).forEach(key => {
+        if (key !== 'settingsVersion' && !(key in SETTINGS_SCHEMA)) {
+            issues.push(`Removed unknown setting "${key}"`);
+        }
+    });
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+        const fallback = key in defaults ? defaults[key] : field.default;
+
+        if (!(key in migrated)) {
+            settings[key] = cloneValue(fallback);
+            return;
+        }
+
+        const result = validateField(field, migrated[key]);
+        if (result.valid) {
+            settings[key] = result.value;
+            if (result.issue) {
+                issues.push(`${key}: ${result.issue}`);
+            }
+        } else {
+            settings[key] = cloneValue(fallback);
+            issues.push(`${key}: invalid value ${formatValue(migrated[key])} was reset to ${formatValue(fallback)}`);
+        }
+    });
+
+    return { settings, issues, changed: issues.length > 0 || storedVersion < SETTINGS_VERSION };
+}
+
+/**
+ * Check a single value against the schema
+ * @param {string} key - Setting key
+ * @param {*} value - Candidate value
+ * @returns {boolean} True if the value can be stored as-is
+ */
+export function isValidSetting(key, value) {
+    const field = SETTINGS_SCHEMA[key];
+    if (!field) return false;
+
+    const result = validateField(field, value);
+    return result.valid && !result.issue;
+}
+
+/**
+ * @returns {Object} { valid, value, issue } - issue is set when the value was partly repaired
+ */
+function validateField(field, value) {
+    switch (field.type) {
+        case 'boolean':
+            return { valid: typeof value === 'boolean', value };
+
+        case 'string':
+            return { valid: typeof value === 'string', value };
+
+        case 'number': {
+            if (value === null) {
+                return { valid: field.nullable === true, value };
+            }
+            const valid = typeof value === 'number' && Number.isFinite(value) &&
+                (!field.integer || Number.isInteger(value)) &&
+                (field.min === undefined || value >= field.min) &&
+                (field.max === undefined || value <= field.max);
+            return { valid, value };
+        }
+
+        case 'enum':
+            return { valid: field.values.includes(value), value };
+
+        case 'object': {
+            if (!isPlainObject(value)) {
+                return { valid: false, value };
+            }
+            if (!field.values) {
+                return { valid: true, value: { ...value } };
+            }
+            const entries = Object.entries(value);
+            const kept = entries.filter(([, v]) => typeof v === field.values);
+            const dropped = entries.length - kept.length;
+            return {
+                valid: true,
+                value: Object.fromEntries(kept),
+                issue: dropped > 0 ? `removed ${dropped} invalid ${dropped === 1 ? 'entry' : 'entries'}` : null
+            };
+        }
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return { valid: false, value };
+            }
+            const kept = field.item ? value.filter(field.item) : value.slice();
+            const dropped = value.length - kept.length;
+            return {
+                valid: true,
+                value: kept,
+                issue: dropped > 0 ? `removed ${dropped} invalid ${dropped === 1 ? 'item' : 'items'}` : null
+            };
+        }
+
+        default:
+            return { valid: false, value };
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneValue(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+function formatValue(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
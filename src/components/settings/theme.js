@@ -0,0 +1,204 @@
+// theme.js - Dark, light, system and custom themes, applied through the CSS variables in styles.css
+import { getSettings, updateSetting, updateSettings } from './settings.js';
+
+const THEME_CACHE_KEY = 'newtab-theme'; // Last applied theme (localStorage), read by theme-preload.js
+
+/**
+ * Colours a custom theme can set, and the CSS variable each one drives
+ */
+const THEME_COLORS = [
+    { key: 'accent', label: 'Accent', variable: '--color-accent' },
+    { key: 'background', label: 'Background', variable: '--color-bg' },
+    { key: 'card', label: 'Cards', variable: '--color-card' },
+    { key: 'text', label: 'Text', variable: '--color-text' },
+    { key: 'positive', label: 'Positive', variable: '--color-positive' },
+    { key: 'negative', label: 'Negative', variable: '--color-negative' }
+];
+
+// Keep in sync with the :root theme blocks in styles.css
+const PRESET_COLORS = {
+    dark: {
+        accent: '#0ea5e9',
+        background: '#0a0a0a',
+        card: '#1a1a1a',
+        text: '#e5e5e5',
+        positive: '#10b981',
+        negative: '#ef4444'
+    },
+    light: {
+        accent: '#0284c7',
+        background: '#f5f5f5',
+        card: '#ffffff',
+        text: '#262626',
+        positive: '#059669',
+        negative: '#dc2626'
+    }
+};
+
+const systemThemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+let appliedSettings = null;
+
+// Follow OS changes while the tab is open
+systemThemeQuery.addEventListener('change', () => {
+    if (appliedSettings?.theme === 'system') {
+        applyTheme(appliedSettings);
+    }
+});
+
+/**
+ * Apply the theme from settings to the page
+ * @param {Object} settings - Current settings (theme, customTheme)
+ */
+export function applyTheme(settings) {
+    appliedSettings = settings;
+
+    const root = document.documentElement;
+    const variables = settings.theme === 'custom' ? getCustomThemeVariables(settings.customTheme) : {};
+
+    root.dataset.theme = resolveThemeMode(settings);
+
+    // Custom colours are inline so they override the selected base theme
+    THEME_COLORS.forEach(color => root.style.removeProperty(color.variable));
+    root.style.removeProperty('--color-text-strong');
+    Object.entries(variables).forEach(([name, value]) => root.style.setProperty(name, value));
+
+    try {
+        localStorage.setItem(THEME_CACHE_KEY, JSON.stringify({ theme: settings.theme, mode: root.dataset.theme, variables }));
+    } catch (error) {
+        console.error('Error caching theme:', error);
+    }
+}
+
+/**
+ * Resolve the base (dark/light) theme; custom themes use whichever suits their background
+ */
+function resolveThemeMode(settings) {
+    switch (settings.theme) {
+        case 'light':
+            return 'light';
+        case 'system':
+            return systemThemeQuery.matches ? 'light' : 'dark';
+        case 'custom':
+            return isLightColor(getCustomThemeColors(settings.customTheme).background) ? 'light' : 'dark';
+        default:
+            return 'dark';
+    }
+}
+
+/**
+ * Custom theme colours with missing or invalid ones taken from the dark preset
+ */
+function getCustomThemeColors(customTheme = {}) {
+    const colors = {};
+    THEME_COLORS.forEach(({ key }) => {
+        colors[key] = isHexColor(customTheme[key]) ? customTheme[key].toLowerCase() : PRESET_COLORS.dark[key];
+    });
+    return colors;
+}
+
+function getCustomThemeVariables(customTheme) {
+    const colors = getCustomThemeColors(customTheme);
+    const variables = {};
+
+    THEME_COLORS.forEach(({ key, variable }) => {
+        variables[variable] = colors[key];
+    });
+    variables['--color-text-strong'] = colors.text;
+
+    return variables;
+}
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function isLightColor(hex) {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.5;
+}
+
+/**
+ * Set up the theme select and custom theme editor in the settings modal
+ */
+export function setupThemeControls() {
+    const themeSelect = document.getElementById('theme-select');
+    const editor = document.getElementById('custom-theme-editor');
+    if (!themeSelect || !editor) return;
+
+    editor.innerHTML = `
+        <div class="custom-theme-colors">
+            ${THEME_COLORS.map(color => `
+                <label class="custom-theme-color">
+                    <input type="color" data-color="${color.key}" aria-label="${color.label} colour">
+                    <span>${color.label}</span>
+                </label>
+            `).join('')}
+        </div>
+        <div class="custom-theme-presets">
+            <span class="setting-hint">Start from</span>
+            <button type="button" class="secondary-btn modal-cancel-btn" data-preset="dark">Dark</button>
+            <button type="button" class="secondary-btn modal-cancel-btn" data-preset="light">Light</button>
+        </div>
+    `;
+
+    themeSelect.addEventListener('change', (e) => {
+        const theme = e.target.value;
+        const settings = getSettings();
+
+        // A new custom theme starts from the theme that was showing
+        if (theme === 'custom' && Object.keys(settings.customTheme).length === 0) {
+            updateSettings({ theme, customTheme: { ...PRESET_COLORS[resolveThemeMode(settings)] } });
+        } else {
+            updateSetting('theme', theme);
+        }
+        syncThemeControls(getSettings());
+    });
+
+    // Preview while picking, save once a colour is chosen
+    editor.addEventListener('input', () => {
+        applyTheme({ ...getSettings(), customTheme: readCustomTheme(editor) });
+    });
+    editor.addEventListener('change', () => {
+        updateSetting('customTheme', readCustomTheme(editor));
+    });
+
+    editor.addEventListener('click', (e) => {
+        const preset = e.target.closest('[data-preset]')?.dataset.preset;
+        if (!preset) return;
+
+        updateSetting('customTheme', { ...PRESET_COLORS[preset] });
+        syncThemeControls(getSettings());
+    });
+}
+
+/**
+ * Update the theme controls to match settings
+ * @param {Object} settings - Current settings
+ */
+export function syncThemeControls(settings) {
+    const themeSelect = document.getElementById('theme-select');
+    const editor = document.getElementById('custom-theme-editor');
+
+    if (themeSelect) {
+        themeSelect.value = settings.theme;
+    }
+
+    if (editor) {
+        editor.hidden = settings.theme !== 'custom';
+
+        const colors = getCustomThemeColors(settings.customTheme);
+        editor.querySelectorAll('[data-color]').forEach(input => {
+            input.value = colors[input.dataset.color];
+        });
+    }
+}
+
+function readCustomTheme(editor) {
+    const customTheme = {};
+    editor.querySelectorAll('[data-color]').forEach(input => {
+        customTheme[input.dataset.color] = input.value;
+    });
+    return customTheme;
+}
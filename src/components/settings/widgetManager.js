@@ -1,4 +1,5 @@
 // widgetManager.js - Widget registry and lifecycle management
+import { registerSettingsFields } from './settingsSchema.js';
 
 // Widget registry - all available widgets in the system
 const widgetRegistry = new Map();
@@ -16,6 +17,15 @@ const activeWidgets = new Map();
  * @param {Function} config.update - Update function(settings)
  * @param {Function} config.cleanup - Cleanup function()
  * @param {string} config.containerId - DOM element ID for the widget
+ * @param {Object} [config.settings] - Settings descriptor; settings.js generates the widget's
+ *        section in the settings modal from it and the fields are added to the settings schema
+ * @param {Array} config.settings.fields - Fields, each with:
+ *        key, label, default, type ('toggle' | 'select' | 'number' | 'text' | 'password'),
+ *        optional hint, link ({ url, label }), placeholder, options ([{ value, label }] for selects),
+ *        min/max/integer/nullable (numbers), and apply(value, settings) returning the setting
+ *        changes to save (may be async; throw an Error to reject the input).
+ *        Fields with `hidden: true` are stored and validated but get no control; they may use
+ *        any schema type (e.g. 'array' with an `item` validator).
  */
 export function registerWidget(id, config) {
     if (!id || !config) {
@@ -41,6 +51,7 @@ export function registerWidget(id, config) {
         cleanup: config.cleanup || (() => {}),
         containerId: config.containerId,
         layout: config.layout || {}, // Store layout configuration
+        settings: config.settings || null,
         onDragStart: config.onDragStart,
         onDragEnd: config.onDragEnd,
         onResize: config.onResize,
@@ -48,6 +59,10 @@ export function registerWidget(id, config) {
         onResizeEnd: config.onResizeEnd
     });
 
+    if (config.settings?.fields) {
+        registerSettingsFields(config.settings.fields);
+    }
+
     console.log(`Widget registered: ${id}`);
 }
 
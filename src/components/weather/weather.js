@@ -5,7 +5,8 @@ import {
     getWeatherData,
     forceRefreshWeather,
     cleanupWeatherService,
-    updateWeatherSettings
+    updateWeatherSettings,
+    geocodeLocation
 } from './weatherDataService.js';
 
 import {
@@ -37,6 +38,58 @@ export const weatherWidget = {
     update: updateWeather,
     cleanup: cleanupWeather,
 
+    // Settings shown in the settings modal
+    settings: {
+        fields: [
+            {
+                key: 'weatherLocation',
+                type: 'text',
+                label: 'Weather Location',
+                hint: 'City name or coordinates (lat, lon). Press Enter to apply.',
+                placeholder: 'London or 51.5074, -0.1278',
+                default: 'Aberdeen',
+                apply: applyWeatherLocation
+            },
+            {
+                key: 'temperatureUnit',
+                type: 'select',
+                label: 'Temperature Unit',
+                default: 'celsius',
+                options: [
+                    { value: 'celsius', label: 'Celsius (°C)' },
+                    { value: 'fahrenheit', label: 'Fahrenheit (°F)' }
+                ]
+            },
+            {
+                key: 'windSpeedUnit',
+                type: 'select',
+                label: 'Wind Speed Unit',
+                default: 'kmh',
+                options: [
+                    { value: 'kmh', label: 'Kilometers per Hour (km/h)' },
+                    { value: 'mph', label: 'Miles per Hour (mph)' },
+                    { value: 'ms', label: 'Meters per Second (m/s)' }
+                ]
+            },
+            {
+                key: 'weatherRefreshInterval',
+                type: 'select',
+                label: 'Weather Refresh Interval',
+                default: 30,
+                options: [
+                    { value: 15, label: '15 minutes' },
+                    { value: 30, label: '30 minutes' },
+                    { value: 60, label: '60 minutes' }
+                ]
+            },
+
+            // Resolved from weatherLocation
+            { key: 'weatherLat', type: 'number', min: -90, max: 90, nullable: true, default: 57.1497, hidden: true },
+            { key: 'weatherLon', type: 'number', min: -180, max: 180, nullable: true, default: -2.0943, hidden: true },
+            { key: 'weatherLocationName', type: 'string', default: 'Aberdeen, United Kingdom', hidden: true }
+        ]
+    },
+
     layout: {
         defaultPosition: { x: '55%', y: '50px' },
         defaultSize: { width: '560px', height: '380px' },
@@ -117,6 +170,34 @@ async function updateWeather(settings) {
     renderWeatherWidget();
 }
 
+/**
+ * Turn the location input into coordinates (geocoding city names)
+ * @returns {Promise<Object|null>} Setting changes, or null if the location is unchanged
+ */
+async function applyWeatherLocation(input, settings) {
+    if (!input) {
+        // Clear location
+        return {
+            weatherLocation: '',
+            weatherLat: null,
+            weatherLon: null,
+            weatherLocationName: 'Unknown Location'
+        };
+    }
+
+    if (input === settings.weatherLocation) {
+        return null;
+    }
+
+    const location = await geocodeLocation(input);
+    return {
+        weatherLocation: input,
+        weatherLat: location.lat,
+        weatherLon: location.lon,
+        weatherLocationName: location.name
+    };
+}
+
 /**
  * Cleanup weather widget
  */
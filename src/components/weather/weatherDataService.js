@@ -3,6 +3,7 @@
 // Constants
 const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
 const API_BASE = 'https://api.open-meteo.com/v1/forecast';
+const GEOCODING_API = 'https://geocoding-api.open-meteo.com/v1/search';
 
 // State
 let weatherCache = null;
@@ -291,3 +292,46 @@ export function cleanupWeatherService() {
 export function getLastFetchTime() {
     return lastFetchTime;
 }
+
+/**
+ * Resolve a city name or "lat, lon" coordinates to a location
+ * @param {string} query - City name or coordinates
+ * @returns {Promise<Object>} { lat, lon, name }
+ * @throws {Error} If the location cannot be found
+ */
+export async function geocodeLocation(query) {
+    // Check if input is coordinates (lat, lon)
+    const coordPattern = /^(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)$/;
+    const match = query.match(coordPattern);
+
+    if (match) {
+        const lat = parseFloat(match[1]);
+        const lon = parseFloat(match[2]);
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            throw new Error('Coordinates must be between -90 and 90 (latitude) and -180 and 180 (longitude).');
+        }
+        return { lat, lon, name: `${match[1]}, ${match[2]}` };
+    }
+
+    // City name - use geocoding
+    let data;
+    try {
+        const geoUrl = `${GEOCODING_API}?name=${encodeURIComponent(query)}&count=1&language=en&format=json`;
+        const response = await fetch(geoUrl);
+        data = await response.json();
+    } catch (error) {
+        console.error('Geocoding error:', error);
+        throw new Error('Failed to look up the location. Please try again.');
+    }
+
+    if (!data.results || data.results.length === 0) {
+        throw new Error('Location not found. Please try entering coordinates (lat, lon) instead.');
+    }
+
+    const location = data.results[0];
+    return {
+        lat: location.latitude,
+        lon: location.longitude,
+        name: location.name + (location.country ? `, ${location.country}` : '')
+    };
+}
@@ -8,6 +8,9 @@ import { quickLinksWidget } from './components/quicklinks/quicklinks.js';
 import { calculatorWidget } from './components/calculator/calculator.js';
 import { registerWidget, initializeWidgets, updateAllWidgets, getWidgetRegistry } from './components/settings/widgetManager.js';
 import { initSettings, getSettings } from './components/settings/settings.js';
+import { applyTheme } from './components/settings/theme.js';
+import { initProfileSwitcher } from './components/settings/profiles.js';
+import { applyProfileSchedule, initProfileSchedule } from './components/settings/profileSchedule.js';
 import { initializeCustomLayout, resetLayout } from './components/layout/layoutManager.js';
 
 // Track if this is the initial load
@@ -23,10 +26,20 @@ registerWidget('quicklinks', quickLinksWidget);
 registerWidget('calculator', calculatorWidget);
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Pick the scheduled profile before anything loads its settings or layouts
+    try {
+        await applyProfileSchedule();
+    } catch (error) {
+        console.error('Error applying profile schedule:', error);
+    }
+
     // Initialize settings first, with callback for when settings change
     initSettings(handleSettingsChange);
 
+    // Profile switcher (each profile has its own settings and layouts)
+    initProfileSwitcher().then(initProfileSchedule);
+
     // Initialize widgets after a short delay to let settings load
     setTimeout(() => {
         initializeApp();
@@ -51,6 +64,9 @@ function initializeApp() {
 }
 
 function handleSettingsChange(settings) {
+    // Theme applies right away, including on initial load
+    applyTheme(settings);
+
     // Skip handling on initial load (widgets aren't initialized yet)
     if (isInitialLoad) {
         return;
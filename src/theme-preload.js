@@ -0,0 +1,16 @@
+// theme-preload.js - Apply the last used theme before the page paints (kept up to date by theme.js)
+(() => {
+    try {
+        const cached = JSON.parse(localStorage.getItem('newtab-theme'));
+        if (!cached) return;
+
+        const root = document.documentElement;
+        root.dataset.theme = cached.theme === 'system'
+            ? (window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark')
+            : cached.mode;
+
+        Object.entries(cached.variables || {}).forEach(([name, value]) => root.style.setProperty(name, value));
+    } catch (error) {
+        // Fall back to the stylesheet's default theme
+    }
+})();
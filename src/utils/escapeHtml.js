@@ -0,0 +1,14 @@
+// escapeHtml.js - Escape text for use in HTML markup and attribute values
+
+/**
+ * @param {*} text - Converted to a string; null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}